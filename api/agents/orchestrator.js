@@ -85,10 +85,11 @@ class Orchestrator {
    * @param {Object} options
    * @param {string} options.imageData - Base64 encoded image
    * @param {string} options.mediaType - MIME type
+   * @param {Object} options.ocr - Text layer if already read (see api/images/ocr.js)
    * @param {Function} options.onProgress - Progress callback
    * @returns {Promise<Object>} Generated canvas data
    */
-  async process({ imageData, mediaType, onProgress }) {
+  async process({ imageData, mediaType, ocr, onProgress }) {
     this.status = 'analyzing';
     
     try {
@@ -98,6 +99,7 @@ class Orchestrator {
       this.analysis = await analyzeScreenshot({
         imageData,
         mediaType,
+        ocr,
         adapterConfig: this.config.adapterConfig,
       });
       
@@ -146,12 +148,13 @@ class Orchestrator {
    * @param {Object} options
    * @param {string} options.imageData - Base64 encoded image
    * @param {string} options.mediaType - MIME type
+   * @param {Object} options.ocr - Text layer if already read (see api/images/ocr.js)
    * @param {Function} options.onChunk - Callback for each HTML chunk
    * @param {Function} options.onProgress - Progress callback
    * @param {Function} options.onComplete - Completion callback
    * @param {Function} options.onError - Error callback
    */
-  async processStream({ imageData, mediaType, onChunk, onProgress, onComplete, onError }) {
+  async processStream({ imageData, mediaType, ocr, onChunk, onProgress, onComplete, onError }) {
     this.status = 'analyzing';
     console.log('[Orchestrator] Starting processStream');
     
@@ -163,6 +166,7 @@ class Orchestrator {
       this.analysis = await analyzeScreenshot({
         imageData,
         mediaType,
+        ocr,
         adapterConfig: this.config.adapterConfig,
       });
       console.log('[Orchestrator] Vision analysis complete, hotspots:', this.analysis.hotspots?.length);
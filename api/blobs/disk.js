@@ -0,0 +1,154 @@
+/**
+ * Disk Blob Driver
+ *
+ * Stores blobs as files under BLOB_DIR (default: .data/blobs), sharded by
+ * the first two hex characters of the hash, with a JSON sidecar for metadata.
+ * The sidecar also records when the blob expires: expired blobs are removed
+ * when they are next read, and a sweep run from put() at most every
+ * SWEEP_INTERVAL_MS removes the ones nobody asks for again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BlobDriver, hashBuffer, isValidHash } = require('./driver');
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class DiskBlobDriver extends BlobDriver {
+  constructor(config = {}) {
+    super(config);
+
+    this.dir = path.resolve(config.dir || process.env.BLOB_DIR || path.join(process.cwd(), '.data', 'blobs'));
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.lastSweep = 0;
+  }
+
+  get driverName() {
+    return 'disk';
+  }
+
+  blobPath(hash) {
+    if (!isValidHash(hash)) {
+      throw new Error(`Invalid blob hash: ${hash}`);
+    }
+    return path.join(this.dir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Write a file atomically (temp file + rename)
+   */
+  async writeAtomic(target, data) {
+    const tmp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, target);
+  }
+
+  async put(buffer, { contentType }) {
+    this.scheduleSweep();
+
+    const hash = hashBuffer(buffer);
+    const target = this.blobPath(hash);
+    const meta = { hash, size: buffer.length, contentType };
+    const sidecar = JSON.stringify({ ...meta, expiresAt: Date.now() + this.ttl * 1000 });
+
+    if (await this.head(hash)) {
+      // Same bytes: only the expiry moves
+      await this.writeAtomic(`${target}.json`, sidecar);
+      return meta;
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await this.writeAtomic(target, buffer);
+    // Sidecar last, so a blob is only visible once its bytes are in place
+    await this.writeAtomic(`${target}.json`, sidecar);
+    return meta;
+  }
+
+  /**
+   * Read a blob's sidecar, or null if it's missing or expired
+   */
+  async readSidecar(hash) {
+    if (!isValidHash(hash)) return null;
+
+    const sidecarPath = `${this.blobPath(hash)}.json`;
+    let sidecar;
+    try {
+      sidecar = JSON.parse(await fs.promises.readFile(sidecarPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    // Sidecars written before blobs expired count from when they were written
+    const expiresAt = sidecar.expiresAt
+      ?? (await fs.promises.stat(sidecarPath)).mtimeMs + this.ttl * 1000;
+    if (expiresAt <= Date.now()) {
+      await this.remove(hash);
+      return null;
+    }
+    return sidecar;
+  }
+
+  async head(hash) {
+    const sidecar = await this.readSidecar(hash);
+    if (!sidecar) return null;
+    const { expiresAt, ...meta } = sidecar;
+    return meta;
+  }
+
+  async createReadStream(hash, { start, end } = {}) {
+    if (!await this.head(hash)) return null;
+    return fs.createReadStream(this.blobPath(hash), { start, end });
+  }
+
+  async delete(hash) {
+    if (!await this.head(hash)) return false;
+    await this.remove(hash);
+    return true;
+  }
+
+  /**
+   * Remove a blob's files, sidecar first so it stops being visible
+   */
+  async remove(hash) {
+    const target = this.blobPath(hash);
+    await fs.promises.unlink(`${target}.json`).catch(() => {});
+    await fs.promises.unlink(target).catch(() => {});
+  }
+
+  /**
+   * Start a sweep in the background if the last one was long enough ago
+   */
+  scheduleSweep() {
+    if (Date.now() - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = Date.now();
+    this.sweep()
+      .then((removed) => {
+        if (removed > 0) console.log(`[Blobs] Removed ${removed} expired blobs`);
+      })
+      .catch((error) => console.error('[Blobs] Sweep failed:', error.message));
+  }
+
+  /**
+   * Remove every expired blob
+   * @returns {Promise<number>} Number of blobs removed
+   */
+  async sweep() {
+    let removed = 0;
+    for (const shard of await fs.promises.readdir(this.dir)) {
+      if (!/^[0-9a-f]{2}$/.test(shard)) continue;
+      for (const file of await fs.promises.readdir(path.join(this.dir, shard))) {
+        if (!file.endsWith('.json')) continue;
+        const hash = file.slice(0, -'.json'.length);
+        // readSidecar removes the blob if it has expired
+        if (isValidHash(hash) && !await this.readSidecar(hash)) {
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { DiskBlobDriver };
@@ -0,0 +1,126 @@
+/**
+ * Blob Driver Interface
+ *
+ * Abstract base class for content-addressed binary storage.
+ * Blobs are immutable and keyed by the SHA-256 hex digest of their bytes,
+ * so storing the same image twice only refreshes it.
+ *
+ * Every driver expires blobs BLOB_TTL seconds (default: 3600, the job TTL)
+ * after they were last stored; expired blobs read as missing.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const DEFAULT_BLOB_TTL = 3600;
+
+class BlobDriver {
+  constructor(config = {}) {
+    if (new.target === BlobDriver) {
+      throw new Error('BlobDriver is an abstract class and cannot be instantiated directly');
+    }
+    this.config = config;
+    // Seconds a blob is kept after it was last stored
+    this.ttl = config.ttl || parseInt(process.env.BLOB_TTL, 10) || DEFAULT_BLOB_TTL;
+  }
+
+  /**
+   * Get the driver name
+   * @returns {string}
+   */
+  get driverName() {
+    throw new Error('driverName must be implemented');
+  }
+
+  /**
+   * Store bytes under their content hash, restarting the blob's TTL
+   * @param {Buffer} buffer - Blob contents
+   * @param {Object} options
+   * @param {string} options.contentType - MIME type to serve the blob with
+   * @returns {Promise<{hash: string, size: number, contentType: string}>}
+   */
+  async put(buffer, { contentType }) {
+    throw new Error('put must be implemented');
+  }
+
+  /**
+   * Look up blob metadata without reading its contents
+   * @param {string} hash
+   * @returns {Promise<{hash: string, size: number, contentType: string}|null>}
+   */
+  async head(hash) {
+    throw new Error('head must be implemented');
+  }
+
+  /**
+   * Open a stream over a blob, optionally limited to an inclusive byte range
+   * @param {string} hash
+   * @param {Object} range
+   * @param {number} range.start - First byte offset
+   * @param {number} range.end - Last byte offset (inclusive)
+   * @returns {Promise<Readable|null>}
+   */
+  async createReadStream(hash, { start, end } = {}) {
+    throw new Error('createReadStream must be implemented');
+  }
+
+  /**
+   * Read a whole blob into memory
+   * @param {string} hash
+   * @returns {Promise<Buffer|null>}
+   */
+  async get(hash) {
+    const stream = await this.createReadStream(hash);
+    if (!stream) return null;
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Delete a blob
+   * @param {string} hash
+   * @returns {Promise<boolean>} Whether a blob was deleted
+   */
+  async delete(hash) {
+    throw new Error('delete must be implemented');
+  }
+}
+
+/**
+ * Compute the content address for a buffer
+ * @param {Buffer} buffer
+ * @returns {string} SHA-256 hex digest
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Validate a hash before it is used to build a path or object key
+ * @param {string} hash
+ * @returns {boolean}
+ */
+function isValidHash(hash) {
+  return typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash);
+}
+
+/**
+ * Stream a slice of an in-memory buffer
+ * @param {Buffer} buffer
+ * @param {Object} range - Inclusive { start, end } byte range
+ * @returns {Readable}
+ */
+function bufferStream(buffer, { start = 0, end = buffer.length - 1 } = {}) {
+  return Readable.from([buffer.subarray(start, end + 1)]);
+}
+
+module.exports = {
+  BlobDriver,
+  hashBuffer,
+  isValidHash,
+  bufferStream,
+};
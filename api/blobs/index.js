@@ -0,0 +1,99 @@
+/**
+ * Blob Store Factory
+ *
+ * Creates the content-addressed blob store used for image payloads.
+ * BLOB_DRIVER picks a driver explicitly ('storage', 'disk', 's3');
+ * otherwise S3 is used when BLOB_S3_BUCKET is set, disk when BLOB_DIR is set,
+ * and the job storage driver for everything else.
+ */
+
+const { BlobDriver, hashBuffer, isValidHash } = require('./driver');
+const { StorageBlobDriver } = require('./storage');
+const { DiskBlobDriver } = require('./disk');
+const { S3BlobDriver } = require('./s3');
+
+// Registry of available drivers
+const drivers = {
+  storage: StorageBlobDriver,
+  disk: DiskBlobDriver,
+  s3: S3BlobDriver,
+};
+
+// Active store (lazy loaded)
+let activeStore = null;
+
+/**
+ * Resolve the configured driver name
+ * @returns {string}
+ */
+function resolveDriverName() {
+  if (process.env.BLOB_DRIVER) {
+    return process.env.BLOB_DRIVER;
+  }
+  if (process.env.BLOB_S3_BUCKET) {
+    return 's3';
+  }
+  if (process.env.BLOB_DIR) {
+    return 'disk';
+  }
+  return 'storage';
+}
+
+/**
+ * Create a new blob driver instance
+ * @param {string} name - Driver name ('storage', 'disk', 's3')
+ * @param {Object} config - Driver-specific configuration
+ * @returns {BlobDriver}
+ */
+function createBlobStore(name, config = {}) {
+  const DriverClass = drivers[name];
+  if (!DriverClass) {
+    throw new Error(`Unknown blob driver: ${name}. Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return new DriverClass(config);
+}
+
+/**
+ * Get the configured blob store, creating it on first use
+ * @returns {BlobDriver}
+ */
+function getBlobStore() {
+  if (!activeStore) {
+    activeStore = createBlobStore(resolveDriverName());
+    console.log(`[Blobs] Using ${activeStore.driverName} driver`);
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the active blob store (useful for testing)
+ * @param {BlobDriver|null} store
+ */
+function setBlobStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Register a new blob driver
+ * @param {string} name - Driver name
+ * @param {typeof BlobDriver} DriverClass - Driver class
+ */
+function registerBlobDriver(name, DriverClass) {
+  if (!(DriverClass.prototype instanceof BlobDriver)) {
+    throw new Error('DriverClass must extend BlobDriver');
+  }
+  drivers[name] = DriverClass;
+}
+
+module.exports = {
+  BlobDriver,
+  StorageBlobDriver,
+  DiskBlobDriver,
+  S3BlobDriver,
+  hashBuffer,
+  isValidHash,
+  createBlobStore,
+  getBlobStore,
+  setBlobStore,
+  registerBlobDriver,
+};
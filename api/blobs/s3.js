@@ -0,0 +1,184 @@
+/**
+ * S3 Blob Driver
+ *
+ * Stores blobs in any S3-compatible object store (AWS S3, Cloudflare R2,
+ * MinIO, ...) using path-style requests signed with AWS Signature V4.
+ * Point BLOB_S3_ENDPOINT at a local MinIO or similar to run without AWS.
+ *
+ * Config: BLOB_S3_BUCKET (required), BLOB_S3_ENDPOINT, BLOB_S3_REGION,
+ * BLOB_S3_ACCESS_KEY_ID / BLOB_S3_SECRET_ACCESS_KEY (fall back to the
+ * standard AWS_* variables), BLOB_S3_PREFIX (default: images/).
+ *
+ * S3 can't expire single objects, so blobs are expired by age: every put
+ * rewrites the object, and one whose Last-Modified is more than BLOB_TTL
+ * ago reads as missing and is deleted. A bucket lifecycle rule on the
+ * prefix removes the ones nobody reads again.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { BlobDriver, hashBuffer, isValidHash } = require('./driver');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+class S3BlobDriver extends BlobDriver {
+  constructor(config = {}) {
+    super(config);
+
+    this.bucket = config.bucket || process.env.BLOB_S3_BUCKET;
+    this.region = config.region || process.env.BLOB_S3_REGION || process.env.AWS_REGION || 'us-east-1';
+    this.accessKeyId = config.accessKeyId || process.env.BLOB_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+    this.secretAccessKey = config.secretAccessKey || process.env.BLOB_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('BLOB_S3_BUCKET and S3 credentials are required for S3BlobDriver');
+    }
+
+    this.endpoint = (config.endpoint || process.env.BLOB_S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`)
+      .replace(/\/+$/, '');
+    this.prefix = config.prefix ?? process.env.BLOB_S3_PREFIX ?? 'images/';
+  }
+
+  get driverName() {
+    return 's3';
+  }
+
+  objectUrl(hash) {
+    if (!isValidHash(hash)) {
+      throw new Error(`Invalid blob hash: ${hash}`);
+    }
+    return new URL(`${this.endpoint}/${this.bucket}/${this.prefix}${hash}`);
+  }
+
+  /**
+   * Build AWS Signature V4 headers for a request
+   * @param {string} method
+   * @param {URL} url
+   * @param {Object} headers - Extra headers to sign (lowercase names)
+   * @param {string} payloadHash - Hex SHA-256 of the request body
+   * @returns {Object} Headers to send
+   */
+  sign(method, url, headers, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const signedHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const names = Object.keys(signedHeaders).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.searchParams.toString(),
+      names.map((name) => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash,
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sendHeaders } = signedHeaders;
+    return {
+      ...sendHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+    };
+  }
+
+  async request(method, hash, { body, headers = {} } = {}) {
+    const url = this.objectUrl(hash);
+    const payloadHash = body ? crypto.createHash('sha256').update(body).digest('hex') : EMPTY_PAYLOAD_HASH;
+    return fetch(url, {
+      method,
+      headers: this.sign(method, url, headers, payloadHash),
+      body,
+    });
+  }
+
+  async put(buffer, { contentType }) {
+    const hash = hashBuffer(buffer);
+    // Written even if the object exists, which restarts its age
+    const response = await this.request('PUT', hash, {
+      body: buffer,
+      headers: { 'content-type': contentType },
+    });
+    if (!response.ok) {
+      throw new Error(`S3 PUT failed (${response.status}): ${await response.text().catch(() => '')}`);
+    }
+    return { hash, size: buffer.length, contentType };
+  }
+
+  /**
+   * Check a response's Last-Modified against the TTL, deleting the object
+   * (in the background) once it has expired
+   * @returns {boolean} Whether the object has expired
+   */
+  expired(hash, response) {
+    const modifiedAt = Date.parse(response.headers.get('last-modified'));
+    if (!(modifiedAt + this.ttl * 1000 <= Date.now())) return false;
+
+    this.request('DELETE', hash).catch((error) => {
+      console.error(`[Blobs] Failed to delete expired blob ${hash}:`, error.message);
+    });
+    return true;
+  }
+
+  async head(hash) {
+    if (!isValidHash(hash)) return null;
+
+    const response = await this.request('HEAD', hash);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 HEAD failed (${response.status})`);
+    }
+    if (this.expired(hash, response)) return null;
+    return {
+      hash,
+      size: parseInt(response.headers.get('content-length'), 10),
+      contentType: response.headers.get('content-type'),
+    };
+  }
+
+  async createReadStream(hash, { start, end } = {}) {
+    if (!isValidHash(hash)) return null;
+
+    const headers = start !== undefined ? { range: `bytes=${start}-${end ?? ''}` } : {};
+    const response = await this.request('GET', hash, { headers });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 GET failed (${response.status})`);
+    }
+    if (this.expired(hash, response)) {
+      await response.body.cancel();
+      return null;
+    }
+    return Readable.fromWeb(response.body);
+  }
+
+  async delete(hash) {
+    if (!await this.head(hash)) return false;
+
+    const response = await this.request('DELETE', hash);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 DELETE failed (${response.status})`);
+    }
+    return true;
+  }
+}
+
+module.exports = { S3BlobDriver };
@@ -0,0 +1,52 @@
+/**
+ * Storage-backed Blob Driver
+ *
+ * Keeps blobs in the job storage driver (api/storage) as base64 under
+ * `blob:<hash>` keys. This is the default: it needs no extra infrastructure
+ * and works across serverless instances whenever job storage does, while
+ * still keeping image bytes out of the job records themselves.
+ * Blobs expire with the storage driver's own TTLs.
+ */
+
+const { getDriver } = require('../storage');
+const { BlobDriver, hashBuffer, isValidHash, bufferStream } = require('./driver');
+
+class StorageBlobDriver extends BlobDriver {
+  get driverName() {
+    return 'storage';
+  }
+
+  async put(buffer, { contentType }) {
+    const hash = hashBuffer(buffer);
+    const meta = { hash, size: buffer.length, contentType };
+    await getDriver().set(`blob:${hash}`, { ...meta, data: buffer.toString('base64') }, this.ttl);
+    return meta;
+  }
+
+  async head(hash) {
+    const record = await this.read(hash);
+    return record ? { hash: record.hash, size: record.size, contentType: record.contentType } : null;
+  }
+
+  async read(hash) {
+    if (!isValidHash(hash)) return null;
+    return getDriver().get(`blob:${hash}`);
+  }
+
+  async get(hash) {
+    const record = await this.read(hash);
+    return record ? Buffer.from(record.data, 'base64') : null;
+  }
+
+  async createReadStream(hash, range = {}) {
+    const buffer = await this.get(hash);
+    return buffer ? bufferStream(buffer, range) : null;
+  }
+
+  async delete(hash) {
+    if (!isValidHash(hash)) return false;
+    return getDriver().delete(`blob:${hash}`);
+  }
+}
+
+module.exports = { StorageBlobDriver };
@@ -5,7 +5,10 @@
  * that represents the screenshot content in a useful way.
  */
 
-const { getVisionAdapter } = require('../llm');
+const { getRouteAdapter } = require('../llm');
+const { describeTiles } = require('../images/tiles');
+const { describeFrames } = require('../images/frames');
+const { describeText } = require('../images/ocr');
 
 const CANVAS_PROMPT = `You are a UI generator. Analyze this screenshot and create a compact, visual HTML interface that displays the key information in a more useful, interactive way.
 
@@ -35,26 +38,51 @@ Generate a self-contained HTML document that visually summarizes this screenshot
  * @param {Object} options
  * @param {string} options.imageData - Base64 image
  * @param {string} options.mediaType - MIME type
+ * @param {Array<{imageData: string, mediaType: string, bounds: Object}>} options.images - Tiles of
+ *   one long screenshot (see api/images/tiles.js), or key frames of a recording
+ *   with a `timestamp` instead of bounds (see api/images/frames.js), instead
+ *   of imageData/mediaType
+ * @param {Object} options.text - Optional text layer read from the image (see api/images/ocr.js)
  * @param {Function} options.onToken - Token callback
- * @param {Function} options.onComplete - Completion callback
+ * @param {Function} options.onComplete - Completion callback: (html, answeredBy) where answeredBy
+ *   is { provider, model, failures } when the route retries or falls back (see api/llm/resilient.js)
+ * @param {Function} options.onRetry - Optional callback before a retry or fallback
  * @param {Function} options.onError - Error callback
+ * @param {string} options.provider - Optional provider for the canvas route (see api/llm/index.js)
+ * @param {string} options.model - Optional model override
+ * @param {AbortSignal} options.signal - Optional signal to abort generation
  */
-async function streamCanvasGeneration({ imageData, mediaType, onToken, onComplete, onError }) {
+async function streamCanvasGeneration({ imageData, mediaType, images, text, onToken, onComplete, onError, onRetry, provider, model, signal }) {
   console.log('[CanvasGenerator] Starting streamCanvasGeneration');
-  console.log('[CanvasGenerator] Image size:', imageData ? `${(Buffer.from(imageData, 'base64').length / 1024).toFixed(2)}KB` : 'null');
-  console.log('[CanvasGenerator] Media type:', mediaType);
+  if (images?.length > 1) {
+    console.log(`[CanvasGenerator] ${images[0].timestamp !== undefined ? 'Frames' : 'Tiles'}:`, images.length);
+  } else {
+    ({ imageData, mediaType } = images?.[0] || { imageData, mediaType });
+    console.log('[CanvasGenerator] Image size:', imageData ? `${(Buffer.from(imageData, 'base64').length / 1024).toFixed(2)}KB` : 'null');
+    console.log('[CanvasGenerator] Media type:', mediaType);
+  }
   
   try {
-    const adapter = getVisionAdapter();
-    console.log('[CanvasGenerator] Got vision adapter:', adapter.providerName);
+    const adapter = getRouteAdapter('canvas', { provider, model });
+    console.log('[CanvasGenerator] Got canvas adapter:', adapter.providerName);
     
     let tokenCount = 0;
     const startTime = Date.now();
     
+    const several = images?.length > 1;
+    let prompt = CANVAS_PROMPT;
+    if (text?.text) {
+      prompt = `${describeText(text)}\n\n${prompt}`;
+    }
+    if (several) {
+      const describe = images[0].timestamp !== undefined ? describeFrames : describeTiles;
+      prompt = `${describe(images)}\n\n${prompt}`;
+    }
     await adapter.streamImageAnalysis({
-      imageData,
-      mediaType,
-      prompt: CANVAS_PROMPT,
+      ...(several ? { images } : { imageData, mediaType }),
+      prompt,
+      signal,
+      onRetry,
       onToken: (token) => {
         tokenCount++;
         if (tokenCount % 50 === 0) {
@@ -62,14 +90,14 @@ async function streamCanvasGeneration({ imageData, mediaType, onToken, onComplet
         }
         if (onToken) onToken(token);
       },
-      onComplete: (text, usage) => {
+      onComplete: (text, usage, answeredBy) => {
         const duration = Date.now() - startTime;
         console.log(`[CanvasGenerator] Complete! Total tokens: ${tokenCount}, Duration: ${duration}ms`);
         console.log(`[CanvasGenerator] Final text length: ${text.length} chars`);
         if (usage) {
           console.log('[CanvasGenerator] Usage:', JSON.stringify(usage));
         }
-        if (onComplete) onComplete(text);
+        if (onComplete) onComplete(text, answeredBy);
       },
       onError: (error) => {
         console.error('[CanvasGenerator] Error:', error.message);
@@ -9,9 +9,15 @@
  * - Content classification (text, image, chart, etc.)
  * - Predicted user questions
  * - Noise regions to filter out (ads, navigation, etc.)
+ *
+ * Text read locally by OCR (see api/images/ocr.js) is given to the model
+ * to quote, and text hotspots are snapped to the lines OCR actually found
+ * in them, which are far more precise than the model's estimate.
  */
 
 const { getVisionAdapter } = require('../llm');
+const { tileImage, describeTiles, mapTileBounds } = require('../images/tiles');
+const { OCR_ENABLED, readTextLayer, describeText } = require('../images/ocr');
 
 // Structured output schema for vision analysis
 const ANALYSIS_SCHEMA = {
@@ -119,28 +125,180 @@ IMPORTANT:
 
 Return your analysis as valid JSON matching the schema provided.`;
 
+// Long screenshots are sent as tiles (see api/images/tiles.js); regions
+// are then located within a tile and mapped back to the whole image
+const TILED_SCHEMA = (() => {
+  const schema = JSON.parse(JSON.stringify(ANALYSIS_SCHEMA));
+  const tile = { type: 'integer', description: 'Number of the image (tile) the bounds are measured in, from 1' };
+  schema.properties.hotspots.items.properties.tile = tile;
+  schema.properties.noiseRegions.items.properties.tile = tile;
+  return schema;
+})();
+
+// Hotspot types that are mostly text, and so can be snapped to OCR lines
+const TEXT_HOTSPOT_TYPES = ['text_block', 'headline', 'social_post', 'data_table'];
+
+// An OCR line belongs to a hotspot when this share of it lies inside
+// (the hotspot grown by SNAP_MARGIN percentage points on each side)
+const SNAP_LINE_INSIDE = 0.6;
+const SNAP_MARGIN = 2;
+
+// The lines' box replaces the hotspot's only if they overlap at least this
+// much (intersection over union); otherwise the lines are likely stray ones
+const SNAP_MIN_OVERLAP = 0.3;
+
+const TILED_BOUNDS_NOTE = `For tiled screenshots: give each hotspot's and noise region's bounds as PERCENTAGES of the image (tile) it appears in, and set "tile" to that image's number. If a region appears in two tiles, report it once, from the tile that shows more of it.`;
+
 /**
  * Analyze a screenshot for intent hotspots
  * @param {Object} options
  * @param {string} options.imageData - Base64 encoded image
  * @param {string} options.mediaType - MIME type
  * @param {Object} options.adapterConfig - Optional LLM adapter config
+ * @param {Object|null} options.ocr - The image's text layer if already read
+ *   (e.g. a job's `ocr`); read here when omitted and OCR is enabled
  * @returns {Promise<Object>} Analysis result with hotspots, noise regions, etc.
  */
-async function analyzeScreenshot({ imageData, mediaType, adapterConfig = {} }) {
+async function analyzeScreenshot({ imageData, mediaType, adapterConfig = {}, ocr }) {
   const adapter = getVisionAdapter(adapterConfig);
-  
-  const result = await adapter.analyzeImage({
-    imageData,
-    mediaType,
-    prompt: VISION_ANALYSIS_PROMPT,
-    responseFormat: ANALYSIS_SCHEMA,
-  });
+  const buffer = Buffer.from(imageData, 'base64');
+
+  if (ocr === undefined) {
+    ocr = OCR_ENABLED
+      ? await readTextLayer(buffer).catch((error) => {
+          console.warn('[VisionAnalyzer] OCR failed:', error.message);
+          return null;
+        })
+      : null;
+  }
+  const prompt = ocr?.text ? `${describeText(ocr)}\n\n${VISION_ANALYSIS_PROMPT}` : VISION_ANALYSIS_PROMPT;
+
+  const tiled = await tileImage(buffer, mediaType, adapter.imageProfile);
+  const tiles = tiled?.tiles.map((tile) => ({
+    imageData: tile.buffer.toString('base64'),
+    mediaType: tile.mediaType,
+    bounds: tile.bounds,
+  }));
+
+  const result = await adapter.analyzeImage(tiles
+    ? {
+        images: tiles,
+        prompt: `${describeTiles(tiles)}\n\n${prompt}\n\n${TILED_BOUNDS_NOTE}`,
+        responseFormat: TILED_SCHEMA,
+      }
+    : {
+        imageData,
+        mediaType,
+        prompt,
+        responseFormat: ANALYSIS_SCHEMA,
+      });
   
   // Validate and normalize the response
   const analysis = result.structured || parseAnalysisFromText(result.text);
-  
-  return normalizeAnalysis(analysis);
+  const normalized = normalizeAnalysis(tiles
+    ? {
+        ...analysis,
+        viewport: { width: tiled.params.originalWidth, height: tiled.params.originalHeight },
+        hotspots: dropOverlapDuplicates(untile(analysis.hotspots, tiles)),
+        noiseRegions: dropOverlapDuplicates(untile(analysis.noiseRegions || analysis.noise_regions, tiles)),
+      }
+    : analysis);
+  normalized.hotspots = snapToText(normalized.hotspots, ocr);
+  return normalized;
+}
+
+/**
+ * Area shared by two percentage boxes
+ * @returns {number}
+ */
+function overlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Intersection over union of two percentage boxes
+ * @returns {number} 0 to 1
+ */
+function overlapRatio(a, b) {
+  const shared = overlapArea(a, b);
+  return shared / (a.width * a.height + b.width * b.height - shared);
+}
+
+/**
+ * Tighten text hotspots to the OCR lines inside them. Snapped hotspots are
+ * marked `snappedToText`; the rest keep the model's bounds.
+ * @param {Array} hotspots - Normalized hotspots
+ * @param {Object|null} ocr - Text layer (see api/images/ocr.js)
+ * @returns {Array}
+ */
+function snapToText(hotspots, ocr) {
+  if (!ocr?.lines?.length) return hotspots;
+
+  const lines = ocr.lines.map(({ box }) => ({
+    x: (box.left / ocr.width) * 100,
+    y: (box.top / ocr.height) * 100,
+    width: (box.width / ocr.width) * 100,
+    height: (box.height / ocr.height) * 100,
+  }));
+
+  return hotspots.map((hotspot) => {
+    if (!TEXT_HOTSPOT_TYPES.includes(hotspot.type)) return hotspot;
+
+    const { bounds } = hotspot;
+    const grown = {
+      x: bounds.x - SNAP_MARGIN,
+      y: bounds.y - SNAP_MARGIN,
+      width: bounds.width + 2 * SNAP_MARGIN,
+      height: bounds.height + 2 * SNAP_MARGIN,
+    };
+    const inside = lines.filter((line) => overlapArea(line, grown) >= SNAP_LINE_INSIDE * line.width * line.height);
+    if (inside.length === 0) return hotspot;
+
+    const x = Math.min(...inside.map((line) => line.x));
+    const y = Math.min(...inside.map((line) => line.y));
+    const snapped = normalizeBounds({
+      x,
+      y,
+      width: Math.max(...inside.map((line) => line.x + line.width)) - x,
+      height: Math.max(...inside.map((line) => line.y + line.height)) - y,
+    });
+    if (overlapRatio(snapped, bounds) < SNAP_MIN_OVERLAP) return hotspot;
+
+    return { ...hotspot, bounds: snapped, snappedToText: true };
+  });
+}
+
+/**
+ * Map regions located within tiles back to whole-image bounds
+ * @param {Array} regions - Hotspots or noise regions with a `tile` number
+ * @param {Array<{bounds: Object}>} tiles
+ * @returns {Array}
+ */
+function untile(regions, tiles) {
+  if (!Array.isArray(regions)) return regions;
+  return regions.map(({ tile, ...region }) => {
+    const index = clamp(Math.round(Number(tile) || 1), 1, tiles.length) - 1;
+    return { ...region, bounds: mapTileBounds(normalizeBounds(region.bounds), tiles[index].bounds) };
+  });
+}
+
+/**
+ * Drop regions reported twice because they sit where two tiles overlap:
+ * same type and mostly the same area as one already kept
+ * @param {Array} regions
+ * @returns {Array}
+ */
+function dropOverlapDuplicates(regions) {
+  if (!Array.isArray(regions)) return regions;
+
+  const kept = [];
+  for (const region of regions) {
+    const duplicate = kept.some((other) => other.type === region.type && overlapRatio(other.bounds, region.bounds) >= 0.5);
+    if (!duplicate) kept.push(region);
+  }
+  return kept;
 }
 
 /**
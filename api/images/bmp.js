@@ -0,0 +1,183 @@
+/**
+ * BMP Decoder
+ *
+ * libvips (and so sharp) has no BMP loader, so BMP uploads are decoded here
+ * into raw RGBA pixels for sharp to encode. Covers uncompressed files:
+ * 1/4/8-bit palettes, 16-bit (5-5-5 or bitfields), 24-bit and 32-bit
+ * (plain or bitfields), stored bottom-up or top-down. RLE-compressed BMPs
+ * are rare and rejected.
+ */
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+// Refuse to allocate pixel buffers beyond this (4 bytes per pixel)
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+// Default channel masks for BI_RGB files
+const DEFAULT_MASKS = {
+  16: { red: 0x7C00, green: 0x03E0, blue: 0x001F, alpha: 0 },
+  32: { red: 0x00FF0000, green: 0x0000FF00, blue: 0x000000FF, alpha: 0 },
+};
+
+/**
+ * Thrown when a BMP can't be decoded
+ */
+class BmpDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BmpDecodeError';
+  }
+}
+
+/**
+ * Scale a masked channel to 0-255 (a missing mask means fully opaque/absent)
+ */
+function extractChannel(value, mask, fallback) {
+  if (!mask) return fallback;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return Math.round((((value & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * Read the header fields the decoder needs
+ */
+function readHeader(buffer) {
+  const headerSize = buffer.readUInt32LE(14);
+  const header = { pixelOffset: buffer.readUInt32LE(10), headerSize, compression: BI_RGB, colorsUsed: 0 };
+
+  if (headerSize === 12) {
+    header.width = buffer.readUInt16LE(18);
+    header.height = buffer.readInt16LE(20);
+    header.bitCount = buffer.readUInt16LE(24);
+  } else {
+    header.width = buffer.readInt32LE(18);
+    header.height = buffer.readInt32LE(22);
+    header.bitCount = buffer.readUInt16LE(28);
+    header.compression = buffer.readUInt32LE(30);
+    header.colorsUsed = buffer.readUInt32LE(46);
+  }
+
+  header.topDown = header.height < 0;
+  header.height = Math.abs(header.height);
+  return header;
+}
+
+/**
+ * Channel masks for 16/32-bit files: in the V2+ header, or right after a
+ * plain BITMAPINFOHEADER
+ */
+function readMasks(buffer, { headerSize, compression, bitCount }) {
+  if (compression === BI_RGB) return DEFAULT_MASKS[bitCount];
+
+  const offset = headerSize >= 52 ? 54 : 14 + headerSize;
+  const hasAlpha = headerSize >= 56 || compression === BI_ALPHABITFIELDS;
+  if (buffer.length < offset + (hasAlpha ? 16 : 12)) {
+    throw new BmpDecodeError('BMP file is truncated');
+  }
+  return {
+    red: buffer.readUInt32LE(offset),
+    green: buffer.readUInt32LE(offset + 4),
+    blue: buffer.readUInt32LE(offset + 8),
+    alpha: hasAlpha ? buffer.readUInt32LE(offset + 12) : 0,
+  };
+}
+
+/**
+ * Palette entries as [r, g, b] for 1/4/8-bit files
+ */
+function readPalette(buffer, { headerSize, bitCount, colorsUsed }) {
+  const entrySize = headerSize === 12 ? 3 : 4;
+  const count = Math.min(colorsUsed || 2 ** bitCount, 2 ** bitCount);
+  const offset = 14 + headerSize;
+  if (buffer.length < offset + count * entrySize) {
+    throw new BmpDecodeError('BMP file is truncated');
+  }
+
+  const palette = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * entrySize;
+    palette.push([buffer[at + 2], buffer[at + 1], buffer[at]]);
+  }
+  return palette;
+}
+
+/**
+ * Decode a BMP file to raw RGBA pixels
+ * @param {Buffer} buffer
+ * @returns {{data: Buffer, width: number, height: number, channels: number}}
+ * @throws {BmpDecodeError}
+ */
+function decodeBmp(buffer) {
+  if (buffer.length < 26) {
+    throw new BmpDecodeError('BMP file is truncated');
+  }
+
+  const header = readHeader(buffer);
+  const { width, height, bitCount, compression, pixelOffset, topDown } = header;
+
+  if (width <= 0 || height <= 0 || width * height > MAX_PIXELS) {
+    throw new BmpDecodeError(`Unsupported BMP dimensions: ${width}x${height}`);
+  }
+  if (![1, 4, 8, 16, 24, 32].includes(bitCount)) {
+    throw new BmpDecodeError(`Unsupported BMP bit depth: ${bitCount}`);
+  }
+  const bitfields = compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS;
+  if (compression !== BI_RGB && !(bitfields && (bitCount === 16 || bitCount === 32))) {
+    throw new BmpDecodeError('Compressed BMP files are not supported');
+  }
+
+  const rowSize = Math.floor((bitCount * width + 31) / 32) * 4;
+  if (pixelOffset + rowSize * height > buffer.length) {
+    throw new BmpDecodeError('BMP file is truncated');
+  }
+
+  const palette = bitCount <= 8 ? readPalette(buffer, header) : null;
+  const masks = bitCount === 16 || bitCount === 32 ? readMasks(buffer, header) : null;
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = pixelOffset + (topDown ? y : height - 1 - y) * rowSize;
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let r;
+      let g;
+      let b;
+      let a = 255;
+
+      if (palette) {
+        const bitOffset = x * bitCount;
+        const byte = buffer[rowStart + (bitOffset >> 3)];
+        const index = (byte >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1);
+        [r, g, b] = palette[index] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const at = rowStart + x * 3;
+        [b, g, r] = [buffer[at], buffer[at + 1], buffer[at + 2]];
+      } else {
+        const value = bitCount === 16
+          ? buffer.readUInt16LE(rowStart + x * 2)
+          : buffer.readUInt32LE(rowStart + x * 4);
+        r = extractChannel(value, masks.red, 0);
+        g = extractChannel(value, masks.green, 0);
+        b = extractChannel(value, masks.blue, 0);
+        a = extractChannel(value, masks.alpha, 255);
+      }
+
+      data[out] = r;
+      data[out + 1] = g;
+      data[out + 2] = b;
+      data[out + 3] = a;
+    }
+  }
+
+  return { data, width, height, channels: 4 };
+}
+
+module.exports = {
+  decodeBmp,
+  BmpDecodeError,
+};
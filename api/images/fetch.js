@@ -0,0 +1,269 @@
+/**
+ * Remote Image Fetching
+ *
+ * Downloads the image behind a client-supplied `imageUrl`. The URL comes
+ * from anyone on the internet, so the fetch is fenced in:
+ * - http(s) only, no credentials in the URL, default ports or 1024+
+ * - every address the host resolves to must be public: loopback, private,
+ *   link-local (cloud metadata at 169.254.169.254), CGNAT, NAT64, multicast and
+ *   reserved ranges are refused. The check runs inside the connection's DNS
+ *   lookup, so a name can't resolve to a public address for the check and a
+ *   private one for the connection.
+ * - redirects are followed by hand, at most IMAGE_FETCH_MAX_REDIRECTS, and
+ *   each hop is checked like the first
+ * - one deadline (IMAGE_FETCH_TIMEOUT_MS) covers every hop and the body
+ * - the response must declare an image type (or a generic binary one, or a
+ *   video type where videos are taken) and stop at the size limit, whatever
+ *   Content-Length says
+ *
+ * Set IMAGE_FETCH_ALLOW_PRIVATE=true to allow private addresses, or to a
+ * comma-separated list of addresses to allow just those, for local
+ * development against a fixture server. The address checks are shared with
+ * other outgoing requests to client-supplied URLs (see api/jobs/webhooks.js).
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS, 10) || 10000;
+
+const configuredRedirects = parseInt(process.env.IMAGE_FETCH_MAX_REDIRECTS, 10);
+const MAX_REDIRECTS = Number.isNaN(configuredRedirects) ? 3 : Math.max(configuredRedirects, 0);
+
+/**
+ * Read an *_ALLOW_PRIVATE setting
+ * @param {string} value - 'true', or a comma-separated list of addresses
+ * @returns {true|string[]} true to allow every private address, else the ones allowed
+ */
+function parseAllowPrivate(value) {
+  if (value === 'true') return true;
+  return (value || '').split(',').map((address) => address.trim()).filter(Boolean);
+}
+
+const ALLOW_PRIVATE = parseAllowPrivate(process.env.IMAGE_FETCH_ALLOW_PRIVATE);
+
+// Ports below 1024 other than the web ones reach mail, SSH and the like
+const ALLOWED_LOW_PORTS = ['', '80', '443'];
+
+// Content types a server may send an image as; anything else is refused
+// before the body is read (the bytes are still sniffed afterwards)
+const BINARY_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses no public image lives at
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'], // Documentation
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved, broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'], // Multicast
+  ['2001:db8::', 32, 'ipv6'], // Documentation
+  ['64:ff9b::', 96, 'ipv6'], // NAT64: reaches the IPv4 address in its last 32 bits
+  ['64:ff9b:1::', 48, 'ipv6'], // Local-use NAT64
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, family);
+}
+
+/**
+ * Thrown when a remote image can't be fetched. `code` says why:
+ * INVALID_URL, BLOCKED, TIMEOUT, HTTP_ERROR, TOO_MANY_REDIRECTS,
+ * NOT_AN_IMAGE, TOO_LARGE or NETWORK.
+ */
+class FetchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'FetchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether an IP address is one we refuse to connect to
+ * @param {string} address
+ * @param {true|string[]} allowPrivate - See parseAllowPrivate (default: IMAGE_FETCH_ALLOW_PRIVATE)
+ * @returns {boolean}
+ */
+function isBlockedAddress(address, allowPrivate = ALLOW_PRIVATE) {
+  if (allowPrivate === true || allowPrivate.includes(address)) return false;
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return blockList.check(address, family);
+}
+
+/**
+ * A dns.lookup() that refuses blocked addresses; handed to http(s).request
+ * so the address checked is the address connected to
+ * @param {true|string[]} allowPrivate - See parseAllowPrivate
+ * @returns {Function}
+ */
+function createGuardedLookup(allowPrivate) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address, allowPrivate));
+      if (blocked) {
+        return callback(new FetchError('BLOCKED', `${hostname} resolves to a private or reserved address`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+const guardedLookup = createGuardedLookup(ALLOW_PRIVATE);
+
+/**
+ * Refuse a URL whose host is a blocked IP literal (IP literals never go
+ * through the DNS lookup)
+ * @param {URL} url
+ * @param {true|string[]} allowPrivate - See parseAllowPrivate
+ * @throws {FetchError}
+ */
+function checkHost(url, allowPrivate = ALLOW_PRIVATE) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host, allowPrivate)) {
+    throw new FetchError('BLOCKED', `${host} is a private or reserved address`);
+  }
+}
+
+/**
+ * Check a URL before connecting to it
+ * @param {string|URL} value
+ * @param {URL} base - URL a relative redirect is resolved against
+ * @returns {URL}
+ * @throws {FetchError}
+ */
+function checkUrl(value, base) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    throw new FetchError('INVALID_URL', 'not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new FetchError('INVALID_URL', 'only http and https URLs can be fetched');
+  }
+  if (url.username || url.password) {
+    throw new FetchError('INVALID_URL', 'URLs with credentials are not fetched');
+  }
+  if (!ALLOWED_LOW_PORTS.includes(url.port) && Number(url.port) < 1024) {
+    throw new FetchError('BLOCKED', `port ${url.port} is not allowed`);
+  }
+
+  checkHost(url);
+  return url;
+}
+
+/**
+ * Make one request, without following redirects
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function request(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: guardedLookup,
+      signal,
+      headers: { accept: 'image/*', 'user-agent': 'thinx-image-fetch/1.0' },
+    }, resolve);
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Download an image
+ * @param {string} value - http(s) URL
+ * @param {Object} options
+ * @param {number} options.maxBytes - Refuse bodies larger than this
+ * @param {boolean} options.video - Also take MP4/MOV responses
+ * @returns {Promise<{buffer: Buffer, contentType: string|null, url: string, redirects: number}>}
+ *   url is where the image was finally found
+ * @throws {FetchError}
+ */
+async function fetchImage(value, { maxBytes, video = false }) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let url = checkUrl(value);
+  let redirects = 0;
+
+  try {
+    for (;;) {
+      const response = await request(url, signal);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw new FetchError('TOO_MANY_REDIRECTS', `more than ${MAX_REDIRECTS} redirects`);
+        }
+        url = checkUrl(response.headers.location, url);
+        redirects++;
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new FetchError('HTTP_ERROR', `HTTP ${response.statusCode}`);
+      }
+
+      const contentType = response.headers['content-type']?.split(';')[0].trim().toLowerCase() || null;
+      const allowed = contentType?.startsWith('image/') || BINARY_TYPES.includes(contentType) || (video && VIDEO_TYPES.includes(contentType));
+      if (contentType && !allowed) {
+        response.destroy();
+        throw new FetchError('NOT_AN_IMAGE', `the server sent ${contentType}, not an image`);
+      }
+
+      if (parseInt(response.headers['content-length'], 10) > maxBytes) {
+        response.destroy();
+        throw new FetchError('TOO_LARGE', `the image is over ${maxBytes / 1024 / 1024}MB`);
+      }
+
+      // Count as we read: the header can be missing or wrong
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          throw new FetchError('TOO_LARGE', `the image is over ${maxBytes / 1024 / 1024}MB`);
+        }
+        chunks.push(chunk);
+      }
+
+      return { buffer: Buffer.concat(chunks), contentType, url: url.href, redirects };
+    }
+  } catch (error) {
+    if (error instanceof FetchError) throw error;
+    if (signal.aborted) {
+      throw new FetchError('TIMEOUT', `timed out after ${FETCH_TIMEOUT_MS}ms`);
+    }
+    throw new FetchError('NETWORK', error.code ? `could not connect (${error.code})` : error.message);
+  }
+}
+
+module.exports = {
+  FetchError,
+  fetchImage,
+  isBlockedAddress,
+  parseAllowPrivate,
+  createGuardedLookup,
+  checkHost,
+};
@@ -0,0 +1,227 @@
+/**
+ * Key Frame Sampling
+ *
+ * The vision APIs look at one still per image: an animated GIF or WebP is
+ * read as its first frame, and a video isn't taken at all. Recordings are
+ * sent instead as a handful of key frames, in order, as one multi-image
+ * message, each labelled with the time it was shown so the answer can say
+ * when something happened.
+ *
+ * Key frames are picked by scene change: every frame is shrunk to a tiny
+ * greyscale signature, and a frame starts a new scene when it differs from
+ * the last picked one by at least SCENE_THRESHOLD. While the picture is
+ * still drifting (a scroll, a fade) the frame where it comes to rest is
+ * taken rather than the first one that changed. At most IMAGE_MAX_FRAMES are
+ * kept, spread evenly over the scenes.
+ *
+ * GIF and WebP frames are read with sharp; MP4 and MOV through the bundled
+ * ffmpeg (see ./video).
+ */
+
+const sharp = require('sharp');
+const { MAX_INPUT_PIXELS, prepareImage } = require('./prepare');
+const { probeVideo, readVideoSignatures, readVideoFrame } = require('./video');
+
+// Most frames sent for one recording
+const MAX_FRAMES = parseInt(process.env.IMAGE_MAX_FRAMES, 10) || 8;
+
+// Signatures are SIGNATURE_SIZE x SIGNATURE_SIZE grey pixels
+const SIGNATURE_SIZE = 32;
+
+// Video frames compared per second
+const VIDEO_SAMPLE_FPS = 4;
+
+// Mean difference (0-1) between signatures that counts as a new scene
+const SCENE_THRESHOLD = 0.05;
+
+// Below this difference from the next frame, the picture is at rest
+const STILL_THRESHOLD = 0.01;
+
+// Animations with more frames than this only have their first ones read
+const MAX_ANIMATION_FRAMES = 1000;
+
+// Browsers play frames with no (or a tiny) delay at 100ms
+const DEFAULT_FRAME_DELAY_MS = 100;
+
+/**
+ * Mean absolute difference of two signatures
+ * @returns {number} 0 (identical) to 1
+ */
+function difference(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / (a.length * 255);
+}
+
+/**
+ * Pick the frames that start each scene, where the picture settles
+ * @param {Uint8Array[]} signatures - One per frame, in order
+ * @returns {number[]} Indexes of the picked frames, first frame included
+ */
+function pickScenes(signatures) {
+  // Follow gradual change to where it stops; a cut to another scene ends it too
+  const settle = (index) => {
+    let at = index;
+    while (at + 1 < signatures.length) {
+      const change = difference(signatures[at], signatures[at + 1]);
+      if (change <= STILL_THRESHOLD || change >= SCENE_THRESHOLD) break;
+      at++;
+    }
+    return at;
+  };
+
+  const picked = [settle(0)];
+  for (let i = picked[0] + 1; i < signatures.length; i++) {
+    if (difference(signatures[i], signatures[picked[picked.length - 1]]) >= SCENE_THRESHOLD) {
+      const rest = settle(i);
+      picked.push(rest);
+      i = rest;
+    }
+  }
+
+  if (picked.length <= MAX_FRAMES) return picked;
+  return Array.from({ length: MAX_FRAMES }, (_, k) => picked[Math.round((k * (picked.length - 1)) / (MAX_FRAMES - 1))]);
+}
+
+/**
+ * Signatures and timestamps of an animated GIF/WebP's frames
+ * @returns {Promise<{signatures: Uint8Array[], timestamps: number[], duration: number}|null>} null if it isn't animated
+ */
+async function readAnimation(buffer) {
+  const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  const pages = Math.min(metadata.pages || 1, MAX_ANIMATION_FRAMES);
+  if (pages < 2) return null;
+
+  const frameHeight = metadata.pageHeight || metadata.height;
+  const { data } = await sharp(buffer, { pages, limitInputPixels: metadata.width * frameHeight * pages })
+    .greyscale()
+    .resize(SIGNATURE_SIZE, SIGNATURE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const frameBytes = SIGNATURE_SIZE * SIGNATURE_SIZE;
+  const signatures = [];
+  const timestamps = [];
+  let elapsed = 0;
+  for (let page = 0; page < pages; page++) {
+    signatures.push(data.subarray(page * frameBytes, (page + 1) * frameBytes));
+    timestamps.push(elapsed / 1000);
+    const delay = metadata.delay?.[page];
+    elapsed += delay > 10 ? delay : DEFAULT_FRAME_DELAY_MS;
+  }
+  return { signatures, timestamps, duration: elapsed / 1000 };
+}
+
+/**
+ * Signatures and timestamps of a video's frames, at VIDEO_SAMPLE_FPS
+ * @returns {Promise<{signatures: Uint8Array[], timestamps: number[], duration: number}>}
+ */
+async function readVideo(buffer) {
+  const { duration } = await probeVideo(buffer);
+  const signatures = await readVideoSignatures(buffer, { fps: VIDEO_SAMPLE_FPS, size: SIGNATURE_SIZE });
+  if (signatures.length === 0) {
+    // Shorter than one sample: its first frame
+    return { signatures: [new Uint8Array(SIGNATURE_SIZE * SIGNATURE_SIZE)], timestamps: [0], duration };
+  }
+  return { signatures, timestamps: signatures.map((_, index) => index / VIDEO_SAMPLE_FPS), duration };
+}
+
+/**
+ * Sample the key frames of a recording, fitted to a profile
+ * @param {Buffer} buffer
+ * @param {string} mediaType
+ * @param {Object} profile - See LLMAdapter.imageProfile
+ * @returns {Promise<{frames: Array<{buffer: Buffer, mediaType: string, timestamp: number}>, params: Object}|null>}
+ *   null if it's a still image, or an animation with a single scene (send
+ *   it whole). Timestamps are seconds from the start; params is like
+ *   prepareImage's, with `framed`, `duration` and each frame's own params
+ *   under `frames`.
+ */
+async function sampleFrames(buffer, mediaType, profile) {
+  const video = mediaType.startsWith('video/');
+  if (!video && mediaType !== 'image/gif' && mediaType !== 'image/webp') return null;
+
+  const source = video ? await readVideo(buffer) : await readAnimation(buffer);
+  if (!source) return null;
+
+  const picked = pickScenes(source.signatures);
+  if (!video && picked.length < 2) return null;
+
+  // The frames share one request
+  const frameProfile = {
+    ...profile,
+    maxBytes: Math.min(profile.maxBytes, Math.floor(profile.maxRequestBytes / picked.length)),
+  };
+
+  const frames = [];
+  for (const index of picked) {
+    const timestamp = source.timestamps[index];
+    const still = video
+      ? await readVideoFrame(buffer, timestamp)
+      : await sharp(buffer, { page: index, limitInputPixels: MAX_INPUT_PIXELS }).png().toBuffer();
+    const prepared = await prepareImage(still, 'image/png', frameProfile);
+    frames.push({ buffer: prepared.buffer, mediaType: prepared.mediaType, timestamp, params: prepared.params });
+  }
+
+  const sum = (field) => frames.reduce((total, frame) => total + (frame.params[field] || 0), 0);
+  console.log(`[ImagePrep] ${profile.name}: ${source.duration.toFixed(1)}s ${video ? 'video' : 'animation'} sampled to ${frames.length} of ${source.signatures.length} frames (${(sum('bytes') / 1024).toFixed(0)}KB)`);
+
+  return {
+    frames: frames.map(({ buffer: frameBuffer, mediaType: frameType, timestamp }) => ({ buffer: frameBuffer, mediaType: frameType, timestamp })),
+    params: {
+      profile: profile.name,
+      originalWidth: frames[0].params.originalWidth,
+      originalHeight: frames[0].params.originalHeight,
+      originalBytes: buffer.length,
+      framed: true,
+      source: video ? 'video' : 'animation',
+      duration: Math.round(source.duration * 100) / 100,
+      frameCount: source.signatures.length,
+      bytes: sum('bytes'),
+      encodes: sum('encodes'),
+      estimatedTokens: sum('estimatedTokens'),
+      frames: frames.map(({ timestamp, params }) => ({
+        timestamp,
+        width: params.width,
+        height: params.height,
+        format: params.format,
+        quality: params.quality,
+        bytes: params.bytes,
+      })),
+    },
+  };
+}
+
+/**
+ * A frame's time for prompts and labels, e.g. '3.5s'
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  return `${Math.round(seconds * 10) / 10}s`;
+}
+
+/**
+ * Tell the model the images are frames of one recording; goes before the prompt
+ * @param {Array<{timestamp: number}>} frames
+ * @param {number} duration - Length of the recording in seconds, if known
+ * @returns {string}
+ */
+function describeFrames(frames, duration) {
+  const length = duration ? `${formatTimestamp(duration)} ` : '';
+  const times = frames.map(({ timestamp }, index) => `Image ${index + 1}: at ${formatTimestamp(timestamp)}`);
+  const intro = frames.length === 1
+    ? `This image is a frame from a ${length}recording.`
+    : `These ${frames.length} images are key frames from one ${length}recording, in the order they were shown. `
+      + 'Describe what happens across them as a sequence.';
+  return `${intro} When you refer to a moment, give its frame timestamp (e.g. "at ${formatTimestamp(frames[frames.length - 1].timestamp)}").\n${times.join('\n')}`;
+}
+
+module.exports = {
+  pickScenes,
+  sampleFrames,
+  describeFrames,
+  formatTimestamp,
+};
@@ -0,0 +1,429 @@
+/**
+ * Image Ingestion
+ *
+ * One way in for every route that accepts an image. A request may carry it as:
+ * - multipart/form-data file (`image` field, parsed by multer beforehand)
+ * - JSON `image`: raw base64 or a data URL, with optional `mediaType`
+ * - JSON `imageUrl`: a remote http(s) image, fetched here (see ./fetch)
+ * - raw body with an `image/*` (or, for jobs, `video/*`) content type
+ * - `?img=` / `?image=` query parameter (GET /api/scan only)
+ *
+ * Whatever the source, the bytes are checked the same way: size limits,
+ * then the format is read from the file's structure (see ./sniff; a declared
+ * type is only used in the error message when it isn't an image we know).
+ * Formats the vision APIs don't take are converted here (see ./transcode),
+ * so everything downstream sees JPEG, PNG, GIF or WebP.
+ *
+ * Every image is then turned upright by its EXIF orientation and stripped
+ * of EXIF/XMP/IPTC/ICC metadata unless the request sets `keepMetadata`
+ * (see ./metadata). A `redact` option blurs faces, email addresses and card
+ * numbers before the image goes anywhere (see ./redact). What was done is
+ * returned as the image's `privacy` record. Last, the image gets a
+ * perceptual hash (see ./phash) so near-duplicates can share cached results.
+ *
+ * Routes that sample key frames (see ./frames) also take MP4 and MOV
+ * recordings up to VIDEO_MAX_SECONDS long. Videos are kept as uploaded but
+ * for their metadata and audio, which are removed unless `keepMetadata` is
+ * set (see ./video); they can't be redacted and aren't hashed.
+ *
+ * Problems are thrown as ImageInputError with a stable `code` and the HTTP
+ * status to answer with.
+ */
+
+const { sniffImage } = require('./sniff');
+const { transcodeImage, TranscodeError } = require('./transcode');
+const { scrubImage, inspectMetadata } = require('./metadata');
+const { parseRedactKinds, redactImage } = require('./redact');
+const { perceptualHash } = require('./phash');
+const { fetchImage, FetchError } = require('./fetch');
+const { probeVideo, stripVideo, VideoError } = require('./video');
+
+// Largest image accepted from any source
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Smaller than any real image header
+const MIN_IMAGE_BYTES = 8;
+
+// Longest recording accepted, in seconds
+const MAX_VIDEO_SECONDS = parseInt(process.env.VIDEO_MAX_SECONDS, 10) || 60;
+
+const ERROR_TYPES = {
+  NO_IMAGE: { status: 400, title: 'No image provided' },
+  INVALID_DATA_URL: { status: 400, title: 'Invalid image format' },
+  INVALID_BASE64: { status: 400, title: 'Invalid base64' },
+  INVALID_URL: { status: 400, title: 'Invalid image URL' },
+  IMAGE_TOO_SMALL: { status: 400, title: 'Invalid image' },
+  IMAGE_TOO_LARGE: { status: 413, title: 'File too large' },
+  VIDEO_TOO_LONG: { status: 413, title: 'Video too long' },
+  UNSUPPORTED_TYPE: { status: 415, title: 'Invalid image type' },
+  CONVERSION_FAILED: { status: 422, title: 'Image conversion failed' },
+  FETCH_FAILED: { status: 422, title: 'Image fetch failed' },
+  URL_NOT_ALLOWED: { status: 400, title: 'Image URL not allowed' },
+  INVALID_OPTION: { status: 400, title: 'Invalid image option' },
+  REDACTION_FAILED: { status: 500, title: 'Image redaction failed' },
+};
+
+/**
+ * Thrown when a request's image is missing or unusable
+ */
+class ImageInputError extends Error {
+  /**
+   * @param {string} code - One of ERROR_TYPES
+   * @param {string} message - What was wrong, for the client
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageInputError';
+    this.code = code;
+    this.status = ERROR_TYPES[code].status;
+    this.title = ERROR_TYPES[code].title;
+  }
+}
+
+// How each way a fetch can fail is reported
+const FETCH_ERROR_CODES = {
+  INVALID_URL: 'INVALID_URL',
+  BLOCKED: 'URL_NOT_ALLOWED',
+  NOT_AN_IMAGE: 'UNSUPPORTED_TYPE',
+  TOO_LARGE: 'IMAGE_TOO_LARGE',
+};
+
+const SUPPORTED_FORMATS = 'JPEG, PNG, GIF, WebP, HEIC/HEIF, AVIF, TIFF, BMP, SVG';
+const VIDEO_FORMATS = 'MP4, MOV';
+
+/**
+ * Read the image options a request set, as JSON fields, form fields or query parameters
+ * @param {Object} fields - { keepMetadata, redact }
+ * @returns {{keepMetadata: boolean, redact: string[]}}
+ * @throws {ImageInputError} INVALID_OPTION
+ */
+function readImageOptions(fields = {}) {
+  const { keepMetadata, redact } = fields;
+
+  if (![undefined, '', true, false, 'true', 'false'].includes(keepMetadata)) {
+    throw new ImageInputError('INVALID_OPTION', 'keepMetadata must be true or false');
+  }
+
+  const { kinds, error } = parseRedactKinds(redact);
+  if (error) {
+    throw new ImageInputError('INVALID_OPTION', error);
+  }
+
+  return { keepMetadata: keepMetadata === true || keepMetadata === 'true', redact: kinds };
+}
+
+/**
+ * Orient, scrub and optionally redact an image in a format the vision APIs take
+ * @param {{buffer: Buffer, mediaType: string}} image
+ * @param {Object} options - See readImageOptions
+ * @param {Object|null} converted - What transcoding found in the original, if it was converted
+ * @returns {Promise<{buffer: Buffer, privacy: Object}>}
+ * @throws {ImageInputError}
+ */
+async function applyPrivacy({ buffer, mediaType }, { keepMetadata = false, redact = [] }, converted) {
+  let scrubbed;
+  if (converted) {
+    // Transcoding has already applied the orientation and dropped everything
+    scrubbed = { buffer, rotated: converted.rotated, metadataRemoved: converted.metadata, metadataKept: [] };
+  } else {
+    try {
+      scrubbed = await scrubImage(buffer, mediaType, { keepMetadata });
+    } catch (error) {
+      throw new ImageInputError('CONVERSION_FAILED', `Could not read the image: ${error.message}`);
+    }
+  }
+
+  let redactions = [];
+  let output = scrubbed.buffer;
+  if (redact.length > 0) {
+    try {
+      ({ buffer: output, regions: redactions } = await redactImage(output, mediaType, redact));
+    } catch (error) {
+      console.error('[Redact] Failed:', error);
+      throw new ImageInputError('REDACTION_FAILED', `Could not redact the image: ${error.message}`);
+    }
+  }
+
+  return {
+    buffer: output,
+    privacy: {
+      rotated: scrubbed.rotated,
+      metadataRemoved: scrubbed.metadataRemoved,
+      metadataKept: scrubbed.metadataKept,
+      redact,
+      redactions,
+    },
+  };
+}
+
+/**
+ * Perceptual hash of an ingested image, or null if it can't be computed
+ * (the image is still usable, it just won't be cached)
+ * @param {Buffer} buffer
+ * @returns {Promise<string|null>}
+ */
+async function hashImage(buffer) {
+  try {
+    return await perceptualHash(buffer);
+  } catch (error) {
+    console.error('[Ingest] Perceptual hash failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check a recording's length and strip its metadata
+ * @param {Object} image - fromBuffer's image so far
+ * @param {Object} options - See readImageOptions
+ * @returns {Promise<Object>} See fromBuffer
+ * @throws {ImageInputError}
+ */
+async function ingestVideo(image, { keepMetadata = false, redact = [] }) {
+  if (redact.length > 0) {
+    throw new ImageInputError('INVALID_OPTION', 'redact is not supported for video');
+  }
+
+  let probe;
+  let output = image.buffer;
+  try {
+    probe = await probeVideo(image.buffer);
+    if (probe.duration > MAX_VIDEO_SECONDS) {
+      throw new ImageInputError('VIDEO_TOO_LONG', `Maximum video length is ${MAX_VIDEO_SECONDS} seconds, got ${Math.round(probe.duration)}`);
+    }
+    if (!keepMetadata) {
+      output = await stripVideo(image.buffer, image.mediaType, probe.rotate);
+    }
+  } catch (error) {
+    if (!(error instanceof VideoError)) throw error;
+    throw new ImageInputError('CONVERSION_FAILED', `Could not read the video: ${error.message}`);
+  }
+
+  if (!keepMetadata && probe.metadata.length > 0) {
+    console.log(`[Metadata] Removed ${probe.metadata.join(', ')} from video`);
+  }
+
+  return {
+    ...image,
+    buffer: output,
+    size: output.length,
+    privacy: {
+      rotated: 0,
+      metadataRemoved: keepMetadata ? [] : probe.metadata,
+      metadataKept: keepMetadata ? probe.metadata : [],
+      redact: [],
+      redactions: [],
+    },
+    phash: null,
+  };
+}
+
+/**
+ * Validate image bytes, settle their type and convert them if needed
+ * @param {Buffer} buffer
+ * @param {Object} meta
+ * @param {string} meta.source - Where the bytes came from (reported back)
+ * @param {string} meta.declaredType - Type the client claimed, if any
+ * @param {string} meta.name - Original file name, if any
+ * @param {Object} options - { keepMetadata, redact }, see readImageOptions,
+ *   and `video` to accept MP4/MOV recordings
+ * @returns {Promise<{buffer: Buffer, mediaType: string, size: number, source: string, name: string|null, originalType: string|null, privacy: Object, phash: string|null}>}
+ *   originalType is the uploaded format when the image was converted;
+ *   privacy is { rotated, metadataRemoved, metadataKept, redact, redactions }
+ * @throws {ImageInputError}
+ */
+async function fromBuffer(buffer, { source, declaredType, name } = {}, options = {}) {
+  if (buffer.length < MIN_IMAGE_BYTES) {
+    throw new ImageInputError('IMAGE_TOO_SMALL', 'Image data is too small to be a valid image');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new ImageInputError('IMAGE_TOO_LARGE', `Maximum image size is ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+  }
+
+  const sniffed = sniffImage(buffer);
+  if (!sniffed) {
+    const formats = options.video ? `${SUPPORTED_FORMATS}, ${VIDEO_FORMATS}` : SUPPORTED_FORMATS;
+    const got = declaredType ? ` Got: ${declaredType}` : '';
+    throw new ImageInputError('UNSUPPORTED_TYPE', `Supported formats: ${formats}.${got}`);
+  }
+  if (sniffed.video && !options.video) {
+    throw new ImageInputError('UNSUPPORTED_TYPE', `${sniffed.format.toUpperCase()} video is only accepted for analysis and canvas jobs`);
+  }
+
+  const image = { buffer, mediaType: sniffed.mediaType, size: buffer.length, source, name: name || null, originalType: null };
+  if (sniffed.video) {
+    return ingestVideo(image, options);
+  }
+  if (sniffed.accepted) {
+    const { buffer: output, privacy } = await applyPrivacy(image, options, null);
+    return { ...image, buffer: output, size: output.length, privacy, phash: await hashImage(output) };
+  }
+
+  let converted;
+  try {
+    converted = await transcodeImage(buffer, sniffed.format);
+  } catch (error) {
+    if (!(error instanceof TranscodeError)) throw error;
+    throw new ImageInputError(error.unsupported ? 'UNSUPPORTED_TYPE' : 'CONVERSION_FAILED', error.message);
+  }
+  if (converted.buffer.length > MAX_IMAGE_BYTES) {
+    throw new ImageInputError('IMAGE_TOO_LARGE', `Image is over ${MAX_IMAGE_BYTES / 1024 / 1024}MB once converted from ${sniffed.format.toUpperCase()}`);
+  }
+
+  const { buffer: output, privacy } = await applyPrivacy(converted, options, await inspectMetadata(buffer));
+  return {
+    ...image,
+    buffer: output,
+    mediaType: converted.mediaType,
+    size: output.length,
+    originalType: sniffed.mediaType,
+    privacy,
+    phash: await hashImage(output),
+  };
+}
+
+/**
+ * Decode a base64 string or data URL
+ * @param {string} value
+ * @param {Object} meta
+ * @param {string} meta.declaredType - Type given alongside raw base64
+ * @param {string} meta.source - Reported source for raw base64 (default 'base64')
+ * @param {Object} options - See fromBuffer
+ * @returns {Promise<Object>} See fromBuffer
+ * @throws {ImageInputError}
+ */
+async function fromString(value, { declaredType, source = 'base64', name } = {}, options = {}) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ImageInputError('NO_IMAGE', 'image must be a base64 string or data URL');
+  }
+
+  let base64Data = value.trim();
+  let type = declaredType;
+  let from = source;
+
+  if (base64Data.startsWith('data:')) {
+    const matches = base64Data.match(/^data:([^;,]+);base64,(.+)$/s);
+    if (!matches) {
+      throw new ImageInputError('INVALID_DATA_URL', 'Could not parse data URL');
+    }
+    [, type, base64Data] = matches;
+    from = 'data_url';
+  }
+
+  // Line-wrapped base64 is common from shell tools
+  base64Data = base64Data.replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]+=*$/.test(base64Data)) {
+    throw new ImageInputError('INVALID_BASE64', 'Image data is not valid base64 encoding');
+  }
+  if (base64Data.length * 0.75 > MAX_IMAGE_BYTES + 3) {
+    throw new ImageInputError('IMAGE_TOO_LARGE', `Maximum image size is ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+  }
+
+  return fromBuffer(Buffer.from(base64Data, 'base64'), { source: from, declaredType: type, name }, options);
+}
+
+/**
+ * Download a remote image (see ./fetch for the limits and SSRF guards)
+ * @param {string} value - http(s) URL
+ * @param {Object} options - See fromBuffer
+ * @returns {Promise<Object>} See fromBuffer
+ * @throws {ImageInputError}
+ */
+async function fromUrl(value, options = {}) {
+  let fetched;
+  try {
+    fetched = await fetchImage(value, { maxBytes: MAX_IMAGE_BYTES, video: options.video });
+  } catch (error) {
+    if (!(error instanceof FetchError)) throw error;
+    const code = FETCH_ERROR_CODES[error.code] || 'FETCH_FAILED';
+    if (code === 'IMAGE_TOO_LARGE') {
+      throw new ImageInputError(code, `Maximum image size is ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+    }
+    throw new ImageInputError(code, code === 'FETCH_FAILED' ? `Could not fetch imageUrl: ${error.message}` : `imageUrl: ${error.message}`);
+  }
+
+  return fromBuffer(fetched.buffer, {
+    source: 'url',
+    declaredType: fetched.contentType,
+    name: new URL(fetched.url).pathname.split('/').pop() || null,
+  }, options);
+}
+
+/**
+ * Read an image from a JSON-style object: `image` (base64 / data URL) or `imageUrl`
+ * @param {Object} body - { image, imageUrl, mediaType | media_type, name }
+ * @param {Object} options - See fromBuffer
+ * @returns {Promise<Object>} See fromBuffer
+ * @throws {ImageInputError}
+ */
+async function fromFields(body = {}, options = {}) {
+  if (body.image) {
+    return fromString(body.image, {
+      declaredType: body.mediaType || body.media_type,
+      name: typeof body.name === 'string' ? body.name : null,
+    }, options);
+  }
+  if (body.imageUrl) {
+    if (typeof body.imageUrl !== 'string') {
+      throw new ImageInputError('INVALID_URL', 'imageUrl must be a string');
+    }
+    return fromUrl(body.imageUrl, options);
+  }
+  throw new ImageInputError('NO_IMAGE', 'Please provide an image as multipart form-data, JSON (image or imageUrl) or a raw image/* body');
+}
+
+/**
+ * Read the image a request carries, from whichever source it used
+ * @param {Request} req - Express request, after multer if the route takes files
+ * @param {Object} options
+ * @param {boolean} options.query - Also accept ?img= / ?image=
+ * @param {boolean} options.video - Also accept MP4/MOV recordings
+ * @returns {Promise<Object>} See fromBuffer
+ * @throws {ImageInputError}
+ */
+async function ingestImage(req, { query = false, video = false } = {}) {
+  // keepMetadata / redact as JSON or form fields, or in the query string
+  const fields = req.body && !Buffer.isBuffer(req.body) && typeof req.body === 'object' ? req.body : {};
+  const options = { ...readImageOptions({ ...req.query, ...fields }), video };
+
+  if (req.file) {
+    return fromBuffer(req.file.buffer, {
+      source: 'multipart',
+      declaredType: req.file.mimetype,
+      name: req.file.originalname,
+    }, options);
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length === 0) {
+      throw new ImageInputError('NO_IMAGE', 'The request body is empty');
+    }
+    return fromBuffer(req.body, { source: 'raw', declaredType: req.get('content-type')?.split(';')[0] }, options);
+  }
+
+  if (query) {
+    let value = req.query.img || req.query.image;
+    if (typeof value === 'string' && value) {
+      // Some clients encode the value twice
+      try {
+        value = decodeURIComponent(value);
+      } catch {
+        // Already decoded
+      }
+      // '+' in an unencoded query string arrives as a space
+      return fromString(value.replace(/ /g, '+'), { source: 'query' }, options);
+    }
+  }
+
+  return fromFields(req.body || {}, options);
+}
+
+module.exports = {
+  ImageInputError,
+  MAX_IMAGE_BYTES,
+  ingestImage,
+  readImageOptions,
+  fromBuffer,
+  fromString,
+  fromUrl,
+  fromFields,
+};
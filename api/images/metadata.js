@@ -0,0 +1,158 @@
+/**
+ * Image Metadata Scrubbing
+ *
+ * Uploaded photos carry EXIF (GPS position, camera make and serial numbers,
+ * capture times), XMP, IPTC and ICC profiles. All of it would otherwise be
+ * stored with the job and sent on to the model providers. At ingestion the
+ * image is re-encoded without it, unless the caller asks to keep it, and
+ * what was removed is recorded.
+ *
+ * EXIF orientation is always applied, so portrait photos aren't sent
+ * sideways; the orientation tag is dropped with it.
+ */
+
+const sharp = require('sharp');
+
+// Re-encoding quality for lossy formats; high enough not to matter
+const JPEG_QUALITY = 92;
+const WEBP_QUALITY = 92;
+
+// Same ceiling as transcoding (see ./transcode)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Degrees clockwise each EXIF orientation needs (5-8 are also mirrored)
+const ORIENTATION_DEGREES = { 1: 0, 2: 0, 3: 180, 4: 180, 5: 90, 6: 90, 7: 270, 8: 270 };
+
+// EXIF tags worth naming when they're removed, by what they reveal
+const EXIF_TAGS = {
+  0x010F: 'device', // Make
+  0x0110: 'device', // Model
+  0x0131: 'software',
+  0x0132: 'timestamps', // DateTime
+  0x9003: 'timestamps', // DateTimeOriginal
+  0x9004: 'timestamps', // DateTimeDigitized
+  0x013B: 'owner', // Artist
+  0x8298: 'owner', // Copyright
+  0xA430: 'owner', // CameraOwnerName
+  0xA431: 'serial', // BodySerialNumber
+  0xA435: 'serial', // LensSerialNumber
+  0xC62F: 'serial', // CameraSerialNumber
+  0x927C: 'makerNote',
+  0x8825: 'gps', // GPS IFD pointer
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+
+/**
+ * Name the kinds of information an EXIF block holds, from IFD0 and the
+ * Exif sub-IFD
+ * @param {Buffer} exif - As returned by sharp's metadata(), starting "Exif\0\0"
+ * @returns {string[]} e.g. ['gps', 'device', 'serial']; empty if unreadable
+ */
+function describeExif(exif) {
+  const found = new Set();
+  try {
+    const tiff = exif.subarray(exif.toString('latin1', 0, 4) === 'Exif' ? 6 : 0);
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const readIfd = (offset, nested) => {
+      const count = u16(offset);
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = u16(entry);
+        if (EXIF_TAGS[tag]) found.add(EXIF_TAGS[tag]);
+        if (tag === EXIF_IFD_POINTER && !nested) readIfd(u32(entry + 8), true);
+      }
+    };
+    readIfd(u32(4), false);
+  } catch {
+    // Truncated or odd EXIF: it's still removed, just not itemized
+  }
+  return [...found];
+}
+
+/**
+ * List the metadata an image carries
+ * @param {Object} metadata - From sharp's metadata()
+ * @returns {string[]} e.g. ['exif', 'gps', 'device', 'xmp', 'icc']
+ */
+function listMetadata(metadata) {
+  const present = [];
+  if (metadata.exif) present.push('exif', ...describeExif(metadata.exif));
+  if (metadata.xmp) present.push('xmp');
+  if (metadata.iptc) present.push('iptc');
+  if (metadata.icc) present.push('icc');
+  if (metadata.comments?.length) present.push('comments');
+  return present;
+}
+
+/**
+ * Read what scrubImage() would do to an image, without changing it. For
+ * formats that are converted instead (see ./transcode), which applies the
+ * orientation and drops the metadata anyway.
+ * @param {Buffer} buffer
+ * @returns {Promise<{rotated: number, metadata: string[]}>} Nothing if sharp can't read the image
+ */
+async function inspectMetadata(buffer) {
+  try {
+    const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    return { rotated: ORIENTATION_DEGREES[metadata.orientation] || 0, metadata: listMetadata(metadata) };
+  } catch {
+    return { rotated: 0, metadata: [] };
+  }
+}
+
+/**
+ * Apply EXIF orientation and, unless asked to keep it, strip metadata
+ * @param {Buffer} buffer - JPEG, PNG, GIF or WebP (see ./ingest)
+ * @param {string} mediaType
+ * @param {Object} options
+ * @param {boolean} options.keepMetadata - Keep EXIF/XMP/IPTC/ICC
+ * @returns {Promise<{buffer: Buffer, rotated: number, metadataRemoved: string[], metadataKept: string[]}>}
+ *   rotated is the degrees applied; the image is unchanged if both that and
+ *   metadataRemoved are empty
+ */
+async function scrubImage(buffer, mediaType, { keepMetadata = false } = {}) {
+  const animated = mediaType === 'image/gif' || mediaType === 'image/webp';
+  const open = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated });
+  const metadata = await open().metadata();
+
+  const present = listMetadata(metadata);
+  const rotated = ORIENTATION_DEGREES[metadata.orientation] || 0;
+  const reorient = (metadata.orientation || 1) > 1;
+
+  if (!reorient && (keepMetadata || present.length === 0)) {
+    return { buffer, rotated: 0, metadataRemoved: [], metadataKept: keepMetadata ? present : [] };
+  }
+
+  // Without keepMetadata(), sharp writes no metadata and converts to sRGB
+  // so dropping the ICC profile doesn't shift colors
+  let pipeline = open().rotate();
+  if (keepMetadata) pipeline = pipeline.keepMetadata();
+
+  if (mediaType === 'image/jpeg') pipeline = pipeline.jpeg({ quality: JPEG_QUALITY });
+  else if (mediaType === 'image/webp') pipeline = pipeline.webp({ quality: WEBP_QUALITY });
+  else if (mediaType === 'image/gif') pipeline = pipeline.gif();
+  else pipeline = pipeline.png();
+
+  const output = await pipeline.toBuffer();
+  const metadataRemoved = keepMetadata ? [] : present;
+  if (metadataRemoved.length > 0 || rotated) {
+    console.log(`[Metadata] ${rotated ? `Rotated ${rotated}°` : 'Not rotated'}${metadataRemoved.length ? `, removed ${metadataRemoved.join(', ')}` : ''}`);
+  }
+
+  return {
+    buffer: output,
+    rotated,
+    metadataRemoved,
+    metadataKept: keepMetadata ? present : [],
+  };
+}
+
+module.exports = {
+  scrubImage,
+  inspectMetadata,
+  describeExif,
+};
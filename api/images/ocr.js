@@ -0,0 +1,187 @@
+/**
+ * Local OCR
+ *
+ * Reads text and word positions from an image with tesseract.js, on this
+ * server: nothing is sent anywhere. The English model ships with the
+ * @tesseract.js-data/eng package, so no download happens at runtime.
+ *
+ * One tesseract worker is started on first use (about a second) and reused;
+ * it reads one image at a time.
+ *
+ * - recognizeText(): everything tesseract found, for redaction (see ./redact)
+ * - readTextLayer(): the confident words only, with the image size, as
+ *   stored on jobs (`ocr`) and used to ground prompts
+ * - describeText(): that layer as a prompt section
+ */
+
+const sharp = require('sharp');
+const { createWorker, OEM } = require('tesseract.js');
+const eng = require('@tesseract.js-data/eng');
+const { MAX_INPUT_PIXELS } = require('./prepare');
+
+// Set OCR=false to skip the text layer (redaction still reads text)
+const OCR_ENABLED = process.env.OCR !== 'false';
+
+// Words tesseract is less sure of than this (0-100) are left out of the text layer
+const MIN_CONFIDENCE = parseInt(process.env.OCR_MIN_CONFIDENCE, 10) || 50;
+
+// Longest a text layer may take to read before it's given up on
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS, 10) || 30000;
+
+// Most characters of read text put into a prompt
+const MAX_PROMPT_CHARS = 6000;
+
+let workerPromise = null;
+
+/**
+ * The shared worker, started on first call
+ * @returns {Promise<Object>} tesseract.js worker
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(eng.code, OEM.LSTM_ONLY, {
+      langPath: eng.langPath,
+      gzip: eng.gzip,
+      cacheMethod: 'none',
+      // Without a handler, a failed read is thrown outside any promise and
+      // takes the process down; the failing call still rejects
+      errorHandler: (error) => console.warn('[OCR] Worker error:', error),
+    }).catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Stop the shared worker (e.g. stuck on an image); the next call starts another
+ */
+async function resetWorker() {
+  const pending = workerPromise;
+  workerPromise = null;
+  const worker = await pending?.catch(() => null);
+  await worker?.terminate().catch(() => {});
+}
+
+const toBox = ({ x0, y0, x1, y1 }) => ({ left: x0, top: y0, width: x1 - x0, height: y1 - y0 });
+
+/**
+ * Read the text in an image
+ * @param {Buffer} buffer - Any format sharp/tesseract reads (JPEG, PNG, GIF, WebP)
+ * @returns {Promise<{text: string, lines: Array<{text: string, box: Object, words: Array<{text: string, confidence: number, box: Object}>}>}>}
+ *   Boxes are { left, top, width, height } in image pixels
+ */
+async function recognizeText(buffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer, {}, { text: true, blocks: true });
+
+  const lines = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        lines.push({
+          text: line.text.trim(),
+          box: toBox(line.bbox),
+          words: line.words.map((word) => ({
+            text: word.text,
+            confidence: word.confidence,
+            box: toBox(word.bbox),
+          })),
+        });
+      }
+    }
+  }
+  return { text: data.text || '', lines };
+}
+
+/**
+ * Smallest box around several boxes
+ * @param {Array<{left: number, top: number, width: number, height: number}>} boxes
+ * @returns {Object}
+ */
+function unionBox(boxes) {
+  const left = Math.min(...boxes.map((box) => box.left));
+  const top = Math.min(...boxes.map((box) => box.top));
+  const right = Math.max(...boxes.map((box) => box.left + box.width));
+  const bottom = Math.max(...boxes.map((box) => box.top + box.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Read an image's text layer: its confidently read words, line by line
+ * @param {Buffer} buffer - A still image (animations are read at their first frame)
+ * @returns {Promise<{text: string, width: number, height: number, lines: Array, wordCount: number, durationMs: number}>}
+ *   lines as in recognizeText(), without the words below OCR_MIN_CONFIDENCE;
+ *   boxes are in pixels of the width x height image
+ * @throws {Error} If the image can't be read, or reading takes over OCR_TIMEOUT_MS
+ */
+async function readTextLayer(buffer) {
+  const start = Date.now();
+
+  // tesseract's own decoders are pickier than sharp, and read transparency as black
+  const { data: png, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .flatten({ background: '#ffffff' })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`OCR timed out after ${OCR_TIMEOUT_MS}ms`)), OCR_TIMEOUT_MS);
+  });
+  let recognized;
+  try {
+    recognized = await Promise.race([recognizeText(png), timeout]);
+  } catch (error) {
+    if (error.message.startsWith('OCR timed out')) await resetWorker();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const lines = [];
+  for (const line of recognized.lines) {
+    const words = line.words
+      .filter((word) => word.text.trim() && word.confidence >= MIN_CONFIDENCE)
+      .map((word) => ({ ...word, text: word.text.trim(), confidence: Math.round(word.confidence) }));
+    if (words.length === 0) continue;
+    lines.push({
+      text: words.map((word) => word.text).join(' '),
+      box: unionBox(words.map((word) => word.box)),
+      words,
+    });
+  }
+
+  const layer = {
+    text: lines.map((line) => line.text).join('\n'),
+    width: info.width,
+    height: info.height,
+    lines,
+    wordCount: lines.reduce((total, line) => total + line.words.length, 0),
+    durationMs: Date.now() - start,
+  };
+  console.log(`[OCR] Read ${layer.wordCount} words in ${lines.length} lines from ${info.width}x${info.height} (${layer.durationMs}ms)`);
+  return layer;
+}
+
+/**
+ * A text layer as a prompt section, so the model reads the text from it
+ * rather than transcribing the image itself; empty if there's no text
+ * @param {Object|null} layer - From readTextLayer()
+ * @returns {string}
+ */
+function describeText(layer) {
+  if (!layer?.text) return '';
+  const text = layer.text.length > MAX_PROMPT_CHARS
+    ? `${layer.text.slice(0, MAX_PROMPT_CHARS)}\n[...]`
+    : layer.text;
+  return 'Text read from the image by OCR, line by line. Quote text from here rather than transcribing it yourself, '
+    + `but trust the image where OCR misread something or missed it:\n"""\n${text}\n"""`;
+}
+
+module.exports = {
+  OCR_ENABLED,
+  recognizeText,
+  readTextLayer,
+  describeText,
+};
@@ -0,0 +1,88 @@
+/**
+ * Perceptual Hashing
+ *
+ * A 64-bit difference hash (dHash) of an image: shrink it to 9x8 grey
+ * pixels and record, for each row, whether each pixel is brighter than the
+ * next. Re-encoded, resized or lightly cropped copies of a screenshot hash
+ * the same or a few bits apart, so the hash finds near-duplicates where a
+ * content hash would only find byte-identical files.
+ */
+
+const sharp = require('sharp');
+
+// Same ceiling as transcoding (see ./transcode)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Hashes with fewer bits set (or cleared) than this say little about the
+// image: every solid colour hashes to 0000000000000000, and mostly blank
+// screenshots land a bit or two from each other
+const MIN_INFORMATIVE_BITS = 8;
+
+/**
+ * Difference-hash an image
+ * @param {Buffer} buffer - Any format sharp reads; animated images use their first frame
+ * @returns {Promise<string>} 16 hex digits
+ */
+async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill', kernel: 'cubic' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      const offset = row * HASH_WIDTH + col;
+      hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count the set bits of a hash-sized number
+ * @param {bigint} value
+ * @returns {number}
+ */
+function countBits(value) {
+  let count = 0;
+  while (value) {
+    count += Number(value & 1n);
+    value >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Count the bits two hashes differ in
+ * @param {string} a - From perceptualHash()
+ * @param {string} b
+ * @returns {number} 0 (same picture) to 64
+ */
+function hammingDistance(a, b) {
+  return countBits(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+}
+
+/**
+ * Whether a hash carries enough detail to tell images apart. Blank, solid
+ * or near-solid images don't, so they shouldn't be matched by hash at all.
+ * @param {string} hash - From perceptualHash()
+ * @returns {boolean}
+ */
+function isInformativeHash(hash) {
+  const bits = countBits(BigInt(`0x${hash}`));
+  return bits >= MIN_INFORMATIVE_BITS && bits <= HASH_BITS - MIN_INFORMATIVE_BITS;
+}
+
+module.exports = {
+  perceptualHash,
+  hammingDistance,
+  isInformativeHash,
+};
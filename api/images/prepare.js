@@ -0,0 +1,208 @@
+/**
+ * Image Preparation
+ *
+ * Fits an image to a provider's image profile (see LLMAdapter.imageProfile)
+ * just before it's sent: no larger than the profile's long edge and pixel
+ * count, under its byte limit, in a type it accepts. Images that already
+ * fit go through untouched.
+ *
+ * When re-encoding is needed, the image is first scaled to the profile's
+ * dimensions and tried at full quality (losslessly for PNGs). If that's too
+ * big, a binary search finds the highest quality that fits, and if even the
+ * lowest quality doesn't, a second binary search finds the largest scale
+ * that does. File size only grows with quality and scale, so each search
+ * settles in a handful of encodes.
+ */
+
+const sharp = require('sharp');
+
+// Lossy quality range searched
+const MAX_QUALITY = 90;
+const MIN_QUALITY = 40;
+
+// Stop the quality search once the range is this narrow
+const QUALITY_STEP = 5;
+
+// Quality used while searching for a scale, once quality alone can't fit
+const SCALE_SEARCH_QUALITY = 70;
+
+// Don't shrink below this long edge; an image that doesn't fit by then is rejected
+const MIN_LONG_EDGE = 256;
+
+// Stop the scale search once the candidates are this close on the long edge
+const SCALE_STEP_PX = 32;
+
+// Same ceiling as transcoding (see ./transcode)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const MEDIA_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+/**
+ * Oriented dimensions of an image, as the model will see it
+ */
+function orientedSize({ width, height, orientation }) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Largest scale (<= 1) that respects the profile's long edge and pixel limits
+ */
+function fitScale(width, height, profile) {
+  let scale = Math.min(1, profile.maxLongEdge / Math.max(width, height));
+  if (profile.maxPixels) {
+    scale = Math.min(scale, Math.sqrt(profile.maxPixels / (width * height)));
+  }
+  return scale;
+}
+
+/**
+ * Lossy format to encode in: the profile's preference, unless that would
+ * drop transparency
+ */
+function lossyFormat(profile, hasAlpha) {
+  if (!hasAlpha || profile.preferredFormat !== 'jpeg') return profile.preferredFormat;
+  return profile.acceptedTypes.includes(MEDIA_TYPES.webp) ? 'webp' : 'png';
+}
+
+/**
+ * Fit an image to a provider's image profile
+ * @param {Buffer} buffer - Image in a format ingestion accepts (see ./ingest)
+ * @param {string} mediaType
+ * @param {Object} profile - See LLMAdapter.imageProfile
+ * @returns {Promise<{buffer: Buffer, mediaType: string, changed: boolean, params: Object}>}
+ *   params records what was chosen: { profile, width, height, originalWidth,
+ *   originalHeight, scale, format, quality, bytes, originalBytes, encodes,
+ *   estimatedTokens }. quality is null when the image wasn't lossily encoded.
+ * @throws {Error} If the image can't be made to fit
+ */
+async function prepareImage(buffer, mediaType, profile) {
+  const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  const original = orientedSize(metadata);
+  const fit = fitScale(original.width, original.height, profile);
+
+  const params = {
+    profile: profile.name,
+    originalWidth: original.width,
+    originalHeight: original.height,
+    originalBytes: buffer.length,
+    encodes: 0,
+  };
+
+  const orientedByExif = (metadata.orientation || 1) > 1;
+  if (fit === 1 && buffer.length <= profile.maxBytes && profile.acceptedTypes.includes(mediaType) && !orientedByExif) {
+    return {
+      buffer,
+      mediaType,
+      changed: false,
+      params: {
+        ...params,
+        width: original.width,
+        height: original.height,
+        scale: 1,
+        format: mediaType.split('/')[1],
+        quality: null,
+        bytes: buffer.length,
+        estimatedTokens: profile.estimateTokens(original.width, original.height),
+      },
+    };
+  }
+
+  const longEdge = Math.max(original.width, original.height);
+  const lossy = lossyFormat(profile, metadata.hasAlpha);
+  const encode = async (scale, format, quality) => {
+    params.encodes++;
+    // EXIF orientation is applied here: the output carries no metadata
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({
+        width: Math.max(1, Math.round(original.width * scale)),
+        height: Math.max(1, Math.round(original.height * scale)),
+        fit: 'fill',
+      })
+      .toFormat(format, format === 'png' ? {} : { quality, ...(format === 'jpeg' ? { mozjpeg: true } : {}) })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height, scale, format, quality: format === 'png' ? null : quality };
+  };
+  const fits = (candidate) => candidate.buffer.length <= profile.maxBytes;
+
+  const best = await (async () => {
+    // Screenshots keep their sharp edges if they fit losslessly
+    if (mediaType === 'image/png' && profile.acceptedTypes.includes(MEDIA_TYPES.png)) {
+      const lossless = await encode(fit, 'png');
+      if (fits(lossless)) return lossless;
+    }
+    if (lossy === 'png') {
+      throw new Error(`Image doesn't fit the ${profile.name} limit of ${(profile.maxBytes / 1024 / 1024).toFixed(2)}MB`);
+    }
+
+    const top = await encode(fit, lossy, MAX_QUALITY);
+    if (fits(top)) return top;
+
+    // Highest quality that fits at full size
+    let found = await encode(fit, lossy, MIN_QUALITY);
+    if (fits(found)) {
+      let low = MIN_QUALITY;
+      let high = MAX_QUALITY;
+      while (high - low > QUALITY_STEP) {
+        const quality = Math.round((low + high) / 2);
+        const candidate = await encode(fit, lossy, quality);
+        if (fits(candidate)) {
+          low = quality;
+          found = candidate;
+        } else {
+          high = quality;
+        }
+      }
+      return found;
+    }
+
+    // Largest scale that fits at a fixed quality
+    const minScale = Math.min(fit, MIN_LONG_EDGE / longEdge);
+    found = await encode(minScale, lossy, SCALE_SEARCH_QUALITY);
+    if (!fits(found)) {
+      throw new Error(`Image doesn't fit the ${profile.name} limit of ${(profile.maxBytes / 1024 / 1024).toFixed(2)}MB even at ${found.width}x${found.height}`);
+    }
+    let low = minScale;
+    let high = fit;
+    while ((high - low) * longEdge > SCALE_STEP_PX) {
+      const scale = (low + high) / 2;
+      const candidate = await encode(scale, lossy, SCALE_SEARCH_QUALITY);
+      if (fits(candidate)) {
+        low = scale;
+        found = candidate;
+      } else {
+        high = scale;
+      }
+    }
+    return found;
+  })();
+
+  console.log(`[ImagePrep] ${profile.name}: ${original.width}x${original.height} ${(buffer.length / 1024).toFixed(0)}KB -> ${best.width}x${best.height} ${best.format}${best.quality ? ` q${best.quality}` : ''} ${(best.buffer.length / 1024).toFixed(0)}KB (${params.encodes} encode${params.encodes === 1 ? '' : 's'})`);
+
+  return {
+    buffer: best.buffer,
+    mediaType: MEDIA_TYPES[best.format],
+    changed: true,
+    params: {
+      ...params,
+      width: best.width,
+      height: best.height,
+      scale: Math.round(best.scale * 1000) / 1000,
+      format: best.format,
+      quality: best.quality,
+      bytes: best.buffer.length,
+      estimatedTokens: profile.estimateTokens(best.width, best.height),
+    },
+  };
+}
+
+module.exports = {
+  MAX_INPUT_PIXELS,
+  prepareImage,
+  fitScale,
+  orientedSize,
+};
@@ -0,0 +1,332 @@
+/**
+ * Image Redaction
+ *
+ * Optional privacy pass at ingestion: finds faces, email addresses and
+ * payment card numbers and blurs them out before the image is stored or
+ * sent to a model provider. Detection runs on this server:
+ * - faces: the tiny face detector from @vladmandic/face-api (TensorFlow.js
+ *   on its WebAssembly backend, model weights from the package)
+ * - emails and card numbers: words read by local OCR (see ./ocr), matched
+ *   by pattern; card numbers must pass the Luhn check or be written in
+ *   groups of four
+ *
+ * Both detectors load on first use, so servers that never redact don't
+ * pay for them.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { recognizeText } = require('./ocr');
+
+const REDACTION_KINDS = ['faces', 'emails', 'cards'];
+
+// Region kind reported for each redaction kind
+const REGION_KINDS = { faces: 'face', emails: 'email', cards: 'card' };
+
+// Face detection runs on square-ish chunks this long on their short side
+const FACE_CHUNK_SIZE = 1024;
+const FACE_SCORE_THRESHOLD = 0.4;
+
+// Grow face boxes by this share of their size, to cover hair and jaw
+const FACE_PADDING = 0.2;
+
+// Grow text boxes by this share of their height
+const TEXT_PADDING = 0.25;
+
+// Blocks across the shorter side of a redacted region, before blurring
+const PIXELATE_BLOCKS = 4;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9-]+(\.[A-Z0-9-]+)*\.[A-Z]{2,}/i;
+
+const ENCODERS = {
+  'image/jpeg': (image) => image.jpeg({ quality: 92 }),
+  'image/png': (image) => image.png(),
+  'image/webp': (image) => image.webp({ quality: 92 }),
+  'image/gif': (image) => image.gif(),
+};
+
+let faceDetector = null;
+
+/**
+ * Load face-api and its detector model, once
+ * @returns {Promise<Object>} The face-api module
+ */
+function loadFaceDetector() {
+  if (!faceDetector) {
+    faceDetector = (async () => {
+      const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+      await faceapi.tf.setBackend('wasm');
+      await faceapi.tf.ready();
+      const modelDir = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+      await faceapi.nets.tinyFaceDetector.loadFromDisk(modelDir);
+      return faceapi;
+    })().catch((error) => {
+      faceDetector = null;
+      throw error;
+    });
+  }
+  return faceDetector;
+}
+
+/**
+ * Find faces
+ * @param {Object} raw - { data, info } decoded RGB pixels
+ * @returns {Promise<Array<{left: number, top: number, width: number, height: number}>>} In image pixels
+ */
+async function detectFaces({ data, info }) {
+  const faceapi = await loadFaceDetector();
+  const options = new faceapi.TinyFaceDetectorOptions({ inputSize: 608, scoreThreshold: FACE_SCORE_THRESHOLD });
+
+  // The detector squashes its input into a square, so long images are
+  // scanned in overlapping chunks or their faces would be too small to find
+  const scale = Math.min(1, FACE_CHUNK_SIZE / Math.min(info.width, info.height));
+  const width = Math.round(info.width * scale);
+  const height = Math.round(info.height * scale);
+  const scaled = await sharp(data, { raw: info }).resize(width, height, { fit: 'fill' }).raw().toBuffer();
+
+  const vertical = height >= width;
+  const long = vertical ? height : width;
+  const chunk = Math.min(long, Math.round(Math.min(width, height) * 1.5));
+  const step = Math.round(chunk * 0.8);
+
+  const faces = [];
+  for (let start = 0; ; start = Math.min(start + step, long - chunk)) {
+    const region = vertical
+      ? { left: 0, top: start, width, height: chunk }
+      : { left: start, top: 0, width: chunk, height };
+    const pixels = await sharp(scaled, { raw: { width, height, channels: info.channels } })
+      .extract(region)
+      .raw()
+      .toBuffer();
+    const tensor = faceapi.tf.tensor3d(pixels, [region.height, region.width, info.channels], 'int32');
+    try {
+      const detections = await faceapi.detectAllFaces(tensor, options);
+      for (const { box } of detections) {
+        faces.push({
+          left: (box.x + region.left) / scale,
+          top: (box.y + region.top) / scale,
+          width: box.width / scale,
+          height: box.height / scale,
+        });
+      }
+    } finally {
+      tensor.dispose();
+    }
+    if (start + chunk >= long) break;
+  }
+
+  // Faces in the overlap between chunks are found twice
+  const unique = faces.filter((box, index) => !faces.slice(0, index).some((other) => overlap(box, other) >= 0.5));
+  return unique.map((box) => pad(box, box.width * FACE_PADDING, box.height * FACE_PADDING));
+}
+
+/**
+ * Luhn checksum, as used by payment card numbers
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Whether a run of OCR words spells a card number
+ */
+function isCardNumber(words) {
+  const digits = words.map((word) => word.text).join('').replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  const grouped = words.length >= 3 && words.every((word) => /^\d{4}$/.test(word.text.replace(/-/g, '')) || word === words[words.length - 1]);
+  return passesLuhn(digits) || grouped;
+}
+
+/**
+ * Find email addresses and card numbers in OCR'd text
+ * @param {Buffer} buffer
+ * @param {string[]} kinds - 'emails' and/or 'cards'
+ * @returns {Promise<Array<{kind: string, box: Object}>>}
+ */
+async function detectText(buffer, kinds) {
+  const { lines } = await recognizeText(buffer);
+  const found = [];
+
+  for (const { words } of lines) {
+    if (kinds.includes('emails')) {
+      for (const word of words) {
+        if (EMAIL_PATTERN.test(word.text)) found.push({ kind: 'email', box: word.box });
+      }
+    }
+
+    if (kinds.includes('cards')) {
+      // Cards are often written in groups: look at every run of numeric words
+      const numeric = words.map((word) => /^[\d-]+[.,:;]?$/.test(word.text) && /\d/.test(word.text));
+      for (let start = 0; start < words.length; start++) {
+        if (!numeric[start]) continue;
+        let end = start;
+        while (end + 1 < words.length && numeric[end + 1]) end++;
+
+        // Longest card number in the run wins
+        let match = null;
+        for (let from = start; from <= end && !match; from++) {
+          for (let to = end; to >= from; to--) {
+            if (isCardNumber(words.slice(from, to + 1))) {
+              match = words.slice(from, to + 1);
+              break;
+            }
+          }
+        }
+        if (match) found.push({ kind: 'card', box: union(match.map((word) => word.box)) });
+        start = end;
+      }
+    }
+  }
+
+  return found.map(({ kind, box }) => ({ kind, box: pad(box, box.height * TEXT_PADDING, box.height * TEXT_PADDING) }));
+}
+
+/**
+ * Smallest box around several boxes
+ */
+function union(boxes) {
+  const left = Math.min(...boxes.map((box) => box.left));
+  const top = Math.min(...boxes.map((box) => box.top));
+  const right = Math.max(...boxes.map((box) => box.left + box.width));
+  const bottom = Math.max(...boxes.map((box) => box.top + box.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Intersection over union of two boxes
+ */
+function overlap(a, b) {
+  const width = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+  const height = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+  if (width <= 0 || height <= 0) return 0;
+  const shared = width * height;
+  return shared / (a.width * a.height + b.width * b.height - shared);
+}
+
+/**
+ * Grow a box on every side
+ */
+function pad(box, x, y) {
+  return { left: box.left - x, top: box.top - y, width: box.width + 2 * x, height: box.height + 2 * y };
+}
+
+/**
+ * Round a box to whole pixels inside the image, or null if nothing's left
+ */
+function clip(box, width, height) {
+  const left = Math.max(0, Math.floor(box.left));
+  const top = Math.max(0, Math.floor(box.top));
+  const right = Math.min(width, Math.ceil(box.left + box.width));
+  const bottom = Math.min(height, Math.ceil(box.top + box.height));
+  return right > left && bottom > top ? { left, top, width: right - left, height: bottom - top } : null;
+}
+
+/**
+ * Pixelate and blur regions of an image
+ * @param {Object} raw - { data, info } decoded pixels
+ * @param {Array<Object>} boxes - Clipped pixel boxes
+ * @returns {Promise<Object>} sharp instance with the regions covered
+ */
+async function blurRegions({ data, info }, boxes) {
+  const overlays = [];
+  for (const box of boxes) {
+    const blocks = Math.max(1, Math.min(box.width, box.height) / PIXELATE_BLOCKS);
+    const input = await sharp(data, { raw: info })
+      .extract(box)
+      .resize(Math.max(1, Math.round(box.width / blocks)), Math.max(1, Math.round(box.height / blocks)), { fit: 'fill' })
+      .resize(box.width, box.height, { fit: 'fill', kernel: 'nearest' })
+      .blur(Math.max(0.3, blocks))
+      .png()
+      .toBuffer();
+    overlays.push({ input, left: box.left, top: box.top });
+  }
+  return sharp(data, { raw: info }).composite(overlays);
+}
+
+/**
+ * Parse the kinds of redaction a request asked for
+ * @param {*} value - true / 'all', or kinds as an array or comma-separated string
+ * @returns {{kinds: string[], error?: string}}
+ */
+function parseRedactKinds(value) {
+  if (value === undefined || value === null || value === '' || value === false || value === 'false') {
+    return { kinds: [] };
+  }
+  if (value === true || value === 'true' || value === 'all') {
+    return { kinds: [...REDACTION_KINDS] };
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const kinds = [...new Set(list.map((kind) => String(kind).trim().toLowerCase()).filter(Boolean))];
+  const unknown = kinds.filter((kind) => !REDACTION_KINDS.includes(kind));
+  if (unknown.length > 0) {
+    return { kinds: [], error: `Unknown redaction ${unknown.join(', ')}. Use ${REDACTION_KINDS.join(', ')} or all` };
+  }
+  return { kinds };
+}
+
+/**
+ * Blur the faces, email addresses and/or card numbers in an image
+ * @param {Buffer} buffer - JPEG, PNG, GIF or WebP, already upright (see ./metadata)
+ * @param {string} mediaType
+ * @param {string[]} kinds - Some of REDACTION_KINDS
+ * @returns {Promise<{buffer: Buffer, regions: Array<{kind: string, bounds: Object}>}>}
+ *   Region bounds are percentages of the image ({ x, y, width, height });
+ *   the buffer is unchanged when nothing was found
+ */
+async function redactImage(buffer, mediaType, kinds) {
+  const raw = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = raw.info;
+
+  const found = [];
+  if (kinds.includes('faces')) {
+    found.push(...(await detectFaces(raw)).map((box) => ({ kind: REGION_KINDS.faces, box })));
+  }
+  const textKinds = kinds.filter((kind) => kind !== 'faces');
+  if (textKinds.length > 0) {
+    found.push(...await detectText(buffer, textKinds));
+  }
+
+  const regions = found
+    .map(({ kind, box }) => ({ kind, box: clip(box, width, height) }))
+    .filter(({ box }) => box);
+  if (regions.length === 0) {
+    return { buffer, regions: [] };
+  }
+
+  // Blur over the original pixels, alpha included
+  const original = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const covered = await blurRegions(original, regions.map(({ box }) => box));
+  const output = await ENCODERS[mediaType](covered).toBuffer();
+
+  console.log(`[Redact] Blurred ${regions.length} region(s): ${regions.map(({ kind }) => kind).join(', ')}`);
+
+  const percent = (value, total) => Math.round((value / total) * 10000) / 100;
+  return {
+    buffer: output,
+    regions: regions.map(({ kind, box }) => ({
+      kind,
+      bounds: {
+        x: percent(box.left, width),
+        y: percent(box.top, height),
+        width: percent(box.width, width),
+        height: percent(box.height, height),
+      },
+    })),
+  };
+}
+
+module.exports = {
+  REDACTION_KINDS,
+  parseRedactKinds,
+  redactImage,
+};
@@ -0,0 +1,151 @@
+/**
+ * Image Format Sniffing
+ *
+ * Identifies an image from its container structure rather than trusting the
+ * declared type or the first couple of bytes: PNG's full signature, RIFF
+ * files only when the form type is `WEBP`, ISO-BMFF (`ftyp`) brands for
+ * HEIC/HEIF/AVIF and MP4/MOV, BMP's header sizes, and SVG's root element.
+ *
+ * `accepted` marks the formats the vision APIs take as-is; anything else is
+ * transcoded first (see ./transcode). `video` marks recordings, which are
+ * never sent whole: key frames are sampled from them (see ./frames).
+ */
+
+const FORMATS = {
+  jpeg: { mediaType: 'image/jpeg', accepted: true },
+  png: { mediaType: 'image/png', accepted: true },
+  gif: { mediaType: 'image/gif', accepted: true },
+  webp: { mediaType: 'image/webp', accepted: true },
+  heic: { mediaType: 'image/heic', accepted: false },
+  heif: { mediaType: 'image/heif', accepted: false },
+  avif: { mediaType: 'image/avif', accepted: false },
+  tiff: { mediaType: 'image/tiff', accepted: false },
+  bmp: { mediaType: 'image/bmp', accepted: false },
+  svg: { mediaType: 'image/svg+xml', accepted: false },
+  mp4: { mediaType: 'video/mp4', accepted: false, video: true },
+  mov: { mediaType: 'video/quicktime', accepted: false, video: true },
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Little- and big-endian TIFF, then BigTIFF
+const TIFF_SIGNATURES = ['II*\0', 'MM\0*', 'II+\0', 'MM\0+'];
+
+// ISO-BMFF brands (ftyp major or compatible) by format
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+const MOV_BRANDS = ['qt  '];
+const MP4_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'mp71', 'dash', '3gp4', '3gp5', '3gp6', '3g2a'];
+
+// BITMAPCOREHEADER, BITMAPINFOHEADER and its V2-V5 successors
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// How much of a file to read when looking for an SVG root element
+const SVG_SNIFF_BYTES = 4096;
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+/**
+ * Identify an ISO-BMFF image (HEIC, HEIF, AVIF) or video (MP4, MOV) from
+ * its ftyp box
+ * @returns {string|null} Format name
+ */
+function sniffIsoBmff(buffer) {
+  if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') return null;
+
+  const boxSize = buffer.readUInt32BE(0);
+  if (boxSize < 16) return null;
+  const end = Math.min(boxSize, buffer.length);
+
+  const major = ascii(buffer, 8, 12);
+  const compatible = [];
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    compatible.push(ascii(buffer, offset, offset + 4));
+  }
+
+  // The major brand decides when it's specific; generic HEIF files
+  // (mif1/msf1) say what they hold in their compatible brands
+  if (AVIF_BRANDS.includes(major)) return 'avif';
+  if (HEIC_BRANDS.includes(major)) return 'heic';
+  if (compatible.some((brand) => AVIF_BRANDS.includes(brand))) return 'avif';
+  if (compatible.some((brand) => HEIC_BRANDS.includes(brand))) return 'heic';
+  if (HEIF_BRANDS.includes(major) || compatible.some((brand) => HEIF_BRANDS.includes(brand))) return 'heif';
+
+  // Only once no image brand matched: HEIF files can list video brands too
+  if (MOV_BRANDS.includes(major)) return 'mov';
+  if (MP4_BRANDS.includes(major)) return 'mp4';
+  return null;
+}
+
+/**
+ * Whether a buffer is a BMP file
+ */
+function isBmp(buffer) {
+  if (buffer.length < 26 || ascii(buffer, 0, 2) !== 'BM') return false;
+  const pixelOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  return BMP_HEADER_SIZES.includes(headerSize) && pixelOffset >= 14 + headerSize;
+}
+
+/**
+ * Whether a buffer is an SVG document: its root element, after any XML
+ * declaration, comments and doctype, must be <svg>
+ */
+function isSvg(buffer) {
+  let text = buffer.toString('utf8', 0, Math.min(buffer.length, SVG_SNIFF_BYTES)).replace(/^\uFEFF/, '');
+
+  for (;;) {
+    const trimmed = text.trimStart();
+    const prolog = trimmed.match(/^(<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>)/i);
+    if (!prolog) {
+      text = trimmed;
+      break;
+    }
+    text = trimmed.slice(prolog[0].length);
+  }
+  return /^<svg[\s>/]/i.test(text);
+}
+
+/**
+ * Identify an image's format from its bytes
+ * @param {Buffer} buffer
+ * @returns {{format: string, mediaType: string, accepted: boolean, video?: boolean}|null}
+ *   null if it isn't a known image or video format
+ */
+function sniffImage(buffer) {
+  let format = null;
+
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    format = 'jpeg';
+  } else if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    format = 'png';
+  } else if (buffer.length >= 6 && (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a')) {
+    format = 'gif';
+  } else if (buffer.length >= 12 && ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    format = 'webp';
+  } else if (buffer.length >= 4 && TIFF_SIGNATURES.includes(ascii(buffer, 0, 4))) {
+    format = 'tiff';
+  } else if (isBmp(buffer)) {
+    format = 'bmp';
+  } else {
+    format = sniffIsoBmff(buffer) || (isSvg(buffer) ? 'svg' : null);
+  }
+
+  return format ? { format, ...FORMATS[format] } : null;
+}
+
+/**
+ * Detect an image's MIME type from its bytes
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectMediaType(buffer) {
+  return sniffImage(buffer)?.mediaType || null;
+}
+
+module.exports = {
+  FORMATS,
+  sniffImage,
+  detectMediaType,
+};
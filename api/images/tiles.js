@@ -0,0 +1,190 @@
+/**
+ * Screenshot Tiling
+ *
+ * Full-page captures (1170x10000 and up) shrunk to fit a provider's image
+ * profile end up a couple of hundred pixels wide, too small to read. When an
+ * image is that long, it's cut along its long axis into overlapping tiles
+ * that each fit the profile at a readable scale, and the tiles are sent
+ * together as one multi-image message.
+ *
+ * Each tile records where it sits in the whole image as percentages, so
+ * positions the model gives relative to a tile can be mapped back (see
+ * mapTileBounds()).
+ *
+ * Set IMAGE_TILING=false to always send long images whole.
+ */
+
+const sharp = require('sharp');
+const { MAX_INPUT_PIXELS, prepareImage, fitScale, orientedSize } = require('./prepare');
+
+const TILING_ENABLED = process.env.IMAGE_TILING !== 'false';
+
+// Most tiles one image is cut into
+const MAX_TILES = parseInt(process.env.IMAGE_MAX_TILES, 10) || 8;
+
+// Only images at least this many times longer than they are wide (or the
+// reverse); a single phone screen is about 2.2
+const MIN_ASPECT = 3;
+
+// Only tile when it keeps the image at least this much larger than sending it whole
+const MIN_GAIN = 1.5;
+
+// Share of each tile repeated in the next, so nothing is cut through unseen
+const OVERLAP = 0.1;
+
+// How much to shrink tiles by when there would be too many
+const SCALE_STEP = 0.9;
+
+/**
+ * Work out how to tile an image for a profile
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} profile - See LLMAdapter.imageProfile
+ * @returns {{axis: string, scale: number, tiles: Array<{left: number, top: number, width: number, height: number}>}|null}
+ *   Tiles in source pixels, or null if the image is better sent whole
+ */
+function planTiles(width, height, profile) {
+  const axis = height >= width ? 'y' : 'x';
+  const long = Math.max(width, height);
+  const short = Math.min(width, height);
+  if (long / short < MIN_ASPECT) return null;
+
+  const wholeScale = fitScale(width, height, profile);
+  if (wholeScale === 1) return null;
+
+  for (let scale = Math.min(1, profile.maxLongEdge / short); scale >= wholeScale * MIN_GAIN; scale *= SCALE_STEP) {
+    // Longest tile, in source pixels, that fits the profile at this scale
+    let span = profile.maxLongEdge / scale;
+    if (profile.maxPixels) {
+      span = Math.min(span, profile.maxPixels / (scale * scale * short));
+    }
+    span = Math.min(Math.floor(span), long);
+
+    const count = Math.ceil((long - span) / Math.floor(span * (1 - OVERLAP))) + 1;
+    if (count > MAX_TILES) continue;
+
+    // Spread the tiles evenly, so the overlaps are all the same
+    const tiles = [];
+    for (let i = 0; i < count; i++) {
+      const start = Math.round((i * (long - span)) / (count - 1));
+      tiles.push(axis === 'y'
+        ? { left: 0, top: start, width, height: span }
+        : { left: start, top: 0, width: span, height });
+    }
+    return { axis, scale, tiles };
+  }
+  return null;
+}
+
+const percent = (value, total) => Math.round((value / total) * 10000) / 100;
+
+/**
+ * Cut a long image into tiles fitted to a profile
+ * @param {Buffer} buffer
+ * @param {string} mediaType
+ * @param {Object} profile - See LLMAdapter.imageProfile
+ * @returns {Promise<{tiles: Array<{buffer: Buffer, mediaType: string, bounds: Object}>, params: Object}|null>}
+ *   null if the image shouldn't be tiled. Tile bounds are percentages of the
+ *   whole image ({ x, y, width, height }); params is like prepareImage's,
+ *   with `tiled`, `axis` and each tile's own params under `tiles`.
+ */
+async function tileImage(buffer, mediaType, profile) {
+  if (!TILING_ENABLED) return null;
+
+  const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  const size = orientedSize(metadata);
+  const plan = planTiles(size.width, size.height, profile);
+  if (!plan) return null;
+
+  // The tiles share one request
+  const tileProfile = {
+    ...profile,
+    maxBytes: Math.min(profile.maxBytes, Math.floor(profile.maxRequestBytes / plan.tiles.length)),
+  };
+
+  const tiles = [];
+  for (const region of plan.tiles) {
+    const crop = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .extract(region)
+      .png()
+      .toBuffer();
+    const prepared = await prepareImage(crop, 'image/png', tileProfile);
+    tiles.push({
+      buffer: prepared.buffer,
+      mediaType: prepared.mediaType,
+      bounds: {
+        x: percent(region.left, size.width),
+        y: percent(region.top, size.height),
+        width: percent(region.width, size.width),
+        height: percent(region.height, size.height),
+      },
+      params: prepared.params,
+    });
+  }
+
+  const sum = (field) => tiles.reduce((total, tile) => total + (tile.params[field] || 0), 0);
+  console.log(`[ImagePrep] ${profile.name}: ${size.width}x${size.height} cut into ${tiles.length} tiles along ${plan.axis} (${(sum('bytes') / 1024).toFixed(0)}KB)`);
+
+  return {
+    tiles: tiles.map(({ buffer: tileBuffer, mediaType: tileType, bounds }) => ({ buffer: tileBuffer, mediaType: tileType, bounds })),
+    params: {
+      profile: profile.name,
+      originalWidth: size.width,
+      originalHeight: size.height,
+      originalBytes: buffer.length,
+      tiled: true,
+      axis: plan.axis,
+      scale: Math.round(plan.scale * 1000) / 1000,
+      bytes: sum('bytes'),
+      encodes: sum('encodes'),
+      estimatedTokens: sum('estimatedTokens'),
+      tiles: tiles.map(({ bounds, params }) => ({
+        bounds,
+        width: params.width,
+        height: params.height,
+        format: params.format,
+        quality: params.quality,
+        bytes: params.bytes,
+      })),
+    },
+  };
+}
+
+/**
+ * Tell the model how tiled images fit together; goes before the prompt
+ * @param {Array<{bounds: Object}>} tiles
+ * @returns {string}
+ */
+function describeTiles(tiles) {
+  const vertical = tiles.length < 2 || tiles[1].bounds.y > tiles[0].bounds.y;
+  const [from, to, start, size] = vertical ? ['top', 'bottom', 'y', 'height'] : ['left', 'right', 'x', 'width'];
+  const spans = tiles.map(({ bounds }, index) => (
+    `Image ${index + 1}: ${bounds[start]}% to ${Math.round((bounds[start] + bounds[size]) * 100) / 100}% from the ${from}`
+  ));
+  return `These ${tiles.length} images are overlapping tiles of one long screenshot, in order from ${from} to ${to}. `
+    + `Read them as a single image; content in the overlaps appears twice but exists once.\n${spans.join('\n')}`;
+}
+
+/**
+ * Map bounds given relative to a tile back to the whole image
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Percentages of the tile
+ * @param {{x: number, y: number, width: number, height: number}} tileBounds - The tile's bounds in the whole image
+ * @returns {{x: number, y: number, width: number, height: number}} Percentages of the whole image
+ */
+function mapTileBounds(bounds, tileBounds) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    x: round(tileBounds.x + (bounds.x * tileBounds.width) / 100),
+    y: round(tileBounds.y + (bounds.y * tileBounds.height) / 100),
+    width: round((bounds.width * tileBounds.width) / 100),
+    height: round((bounds.height * tileBounds.height) / 100),
+  };
+}
+
+module.exports = {
+  planTiles,
+  tileImage,
+  describeTiles,
+  mapTileBounds,
+};
@@ -0,0 +1,105 @@
+/**
+ * Image Transcoding
+ *
+ * Converts formats the vision APIs don't accept (see ./sniff) into ones they
+ * do, before the image is stored or queued. Photo formats (HEIC, HEIF, AVIF)
+ * become JPEG unless they have transparency; everything else becomes PNG.
+ * EXIF orientation is applied on the way, since the output has no metadata
+ * to carry it.
+ *
+ * HEIC decoding needs a libvips built with HEVC support; sharp's prebuilt
+ * binaries only decode AVIF. canDecode() tells which applies here.
+ */
+
+const sharp = require('sharp');
+const { decodeBmp, BmpDecodeError } = require('./bmp');
+
+const PHOTO_FORMATS = ['heic', 'heif', 'avif'];
+
+const JPEG_QUALITY = 90;
+
+// Render SVGs at twice the CSS pixel size so text stays legible
+const SVG_DENSITY = 144;
+
+// Decoded pixel ceiling, so a tiny SVG or TIFF can't claim gigabytes
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Thrown when an image can't be converted. `unsupported` means this server
+ * can't decode the format at all, as opposed to a damaged file.
+ */
+class TranscodeError extends Error {
+  constructor(message, { unsupported = false } = {}) {
+    super(message);
+    this.name = 'TranscodeError';
+    this.unsupported = unsupported;
+  }
+}
+
+/**
+ * Whether this build can decode a format
+ * @param {string} format - Format name from sniffImage
+ * @returns {boolean}
+ */
+function canDecode(format) {
+  if (format === 'bmp') return true;
+  if (format === 'heic') {
+    return sharp.format.heif.input.fileSuffix.includes('.heic');
+  }
+  const loader = PHOTO_FORMATS.includes(format) ? 'heif' : format;
+  return !!sharp.format[loader]?.input?.buffer;
+}
+
+/**
+ * Open an image in sharp, decoding BMPs ourselves
+ */
+function openImage(buffer, format) {
+  if (format === 'bmp') {
+    const { data, width, height, channels } = decodeBmp(buffer);
+    return sharp(data, { raw: { width, height, channels }, limitInputPixels: MAX_INPUT_PIXELS });
+  }
+  return sharp(buffer, {
+    limitInputPixels: MAX_INPUT_PIXELS,
+    ...(format === 'svg' ? { density: SVG_DENSITY } : {}),
+  });
+}
+
+/**
+ * Convert an image to JPEG or PNG
+ * @param {Buffer} buffer
+ * @param {string} format - Format name from sniffImage
+ * @returns {Promise<{buffer: Buffer, mediaType: string, width: number, height: number}>}
+ * @throws {TranscodeError}
+ */
+async function transcodeImage(buffer, format) {
+  if (!canDecode(format)) {
+    throw new TranscodeError(`${format.toUpperCase()} images can't be decoded on this server`, { unsupported: true });
+  }
+
+  try {
+    const image = openImage(buffer, format);
+    const { hasAlpha } = await image.metadata();
+    const toJpeg = PHOTO_FORMATS.includes(format) && !hasAlpha;
+
+    const pipeline = image.rotate();
+    const { data, info } = await (toJpeg ? pipeline.jpeg({ quality: JPEG_QUALITY }) : pipeline.png())
+      .toBuffer({ resolveWithObject: true });
+
+    console.log(`[Transcode] ${format} -> ${info.format} (${info.width}x${info.height}, ${(data.length / 1024).toFixed(0)}KB)`);
+    return {
+      buffer: data,
+      mediaType: toJpeg ? 'image/jpeg' : 'image/png',
+      width: info.width,
+      height: info.height,
+    };
+  } catch (error) {
+    if (error instanceof BmpDecodeError) throw new TranscodeError(error.message);
+    throw new TranscodeError(`Could not convert ${format.toUpperCase()} image: ${error.message.split('\n')[0]}`);
+  }
+}
+
+module.exports = {
+  TranscodeError,
+  canDecode,
+  transcodeImage,
+};
@@ -0,0 +1,208 @@
+/**
+ * Video Decoding
+ *
+ * MP4 and MOV screen recordings are read with the ffmpeg binary bundled by
+ * @ffmpeg-installer/ffmpeg, so nothing needs installing on the host. ffmpeg
+ * only sees files in a private temp directory, removed when it's done.
+ *
+ * - probeVideo(): duration, size and the container metadata present
+ * - stripVideo(): remux without metadata or audio (nothing is re-encoded)
+ * - readVideoSignatures(): tiny greyscale thumbnails at a fixed rate, for
+ *   spotting scene changes (see ./frames)
+ * - readVideoFrame(): one full-size frame as PNG
+ *
+ * Frames are decoded upright: ffmpeg applies the recording's rotation.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('@ffmpeg-installer/ffmpeg');
+
+// Longest any one ffmpeg run may take
+const FFMPEG_TIMEOUT_MS = 30000;
+
+// Most output ffmpeg may write to us (thumbnails, one PNG frame)
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// Container metadata keys by what they reveal, as in ./metadata
+const METADATA_KINDS = [
+  [/location|iso6709/i, 'gps'],
+  [/make|model/i, 'device'],
+  [/software|encoder/i, 'software'],
+  [/creation_?time|creationdate|date/i, 'timestamps'],
+  [/author|artist|copyright|owner/i, 'owner'],
+];
+
+// Structural keys every file has; not worth reporting
+const STRUCTURAL_KEYS = ['major_brand', 'minor_version', 'compatible_brands', 'handler_name', 'vendor_id', 'language', 'rotate'];
+
+/**
+ * Thrown when ffmpeg can't read a video
+ */
+class VideoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VideoError';
+  }
+}
+
+/**
+ * Run ffmpeg on a video held in memory
+ * @param {Buffer} buffer - The video
+ * @param {Function} args - (inputPath) => ffmpeg arguments
+ * @param {Object} options
+ * @param {boolean} options.allowFailure - Resolve with stderr even if ffmpeg exits non-zero
+ * @returns {Promise<{stdout: Buffer, stderr: string}>}
+ */
+async function runFfmpeg(buffer, args, { allowFailure = false } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-'));
+  const input = path.join(dir, 'input');
+  try {
+    await fs.writeFile(input, buffer);
+    return await new Promise((resolve, reject) => {
+      execFile(ffmpeg.path, ['-hide_banner', '-nostdin', ...args(input)], {
+        encoding: 'buffer',
+        maxBuffer: MAX_OUTPUT_BYTES,
+        timeout: FFMPEG_TIMEOUT_MS,
+      }, (error, stdout, stderr) => {
+        const log = stderr.toString();
+        if (error && !allowFailure) {
+          const reason = error.killed ? `timed out after ${FFMPEG_TIMEOUT_MS}ms` : log.trim().split('\n').pop();
+          return reject(new VideoError(`ffmpeg failed: ${reason}`));
+        }
+        resolve({ stdout, stderr: log });
+      });
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read a video's duration, size and metadata
+ * @param {Buffer} buffer
+ * @returns {Promise<{duration: number, width: number, height: number, rotate: number, metadata: string[]}>}
+ *   metadata as in ./metadata: ['metadata', 'gps', 'device', ...], or empty
+ * @throws {VideoError} If there's no readable video stream
+ */
+async function probeVideo(buffer) {
+  // With no output ffmpeg exits with an error after describing the input
+  const { stderr } = await runFfmpeg(buffer, (input) => ['-i', input], { allowFailure: true });
+
+  const duration = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  const stream = stderr.match(/Stream #\d+:\d+.*?: Video: .*?(\d{2,5})x(\d{2,5})/);
+  if (!duration || !stream) {
+    throw new VideoError('No readable video stream');
+  }
+
+  const rotate = Number(stderr.match(/^\s+rotate\s+:\s+(-?\d+)/m)?.[1] || 0);
+
+  // "key : value" lines, indented under each "Metadata:" heading
+  const kinds = new Set();
+  let blockIndent = null;
+  for (const line of stderr.split('\n')) {
+    const indent = line.search(/\S/);
+    if (/^\s+Metadata:\s*$/.test(line)) {
+      blockIndent = indent;
+      continue;
+    }
+    if (blockIndent === null || indent <= blockIndent) {
+      blockIndent = null;
+      continue;
+    }
+    const name = line.match(/^\s+([\w.-]+)\s*:/)?.[1].toLowerCase();
+    if (!name || STRUCTURAL_KEYS.includes(name)) continue;
+    const match = METADATA_KINDS.find(([pattern]) => pattern.test(name));
+    if (match) kinds.add(match[1]);
+  }
+
+  return {
+    duration: Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]),
+    width: Number(stream[1]),
+    height: Number(stream[2]),
+    rotate,
+    metadata: kinds.size > 0 ? ['metadata', ...kinds] : [],
+  };
+}
+
+/**
+ * Remux a video with only its first video stream and no metadata; the
+ * rotation is kept so it still plays upright
+ * @param {Buffer} buffer
+ * @param {string} mediaType - 'video/mp4' or 'video/quicktime'
+ * @param {number} rotate - From probeVideo()
+ * @returns {Promise<Buffer>}
+ */
+async function stripVideo(buffer, mediaType, rotate = 0) {
+  const format = mediaType === 'video/quicktime' ? 'mov' : 'mp4';
+  const { stdout } = await runFfmpeg(buffer, (input) => [
+    '-i', input,
+    '-map', '0:v:0',
+    '-c', 'copy',
+    '-map_metadata', '-1',
+    '-map_chapters', '-1',
+    '-fflags', '+bitexact',
+    ...(rotate ? ['-metadata:s:v:0', `rotate=${rotate}`] : []),
+    // Fragmented, so the moov box can be written to a pipe
+    '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+    '-f', format,
+    'pipe:1',
+  ]);
+  return stdout;
+}
+
+/**
+ * Decode a video at a fixed rate into tiny greyscale thumbnails
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {number} options.fps - Thumbnails per second
+ * @param {number} options.size - Thumbnail width and height
+ * @returns {Promise<Uint8Array[]>} One size*size array per thumbnail, in order
+ */
+async function readVideoSignatures(buffer, { fps, size }) {
+  const { stdout } = await runFfmpeg(buffer, (input) => [
+    '-i', input,
+    '-an',
+    '-vf', `fps=${fps},scale=${size}:${size},format=gray`,
+    '-f', 'rawvideo',
+    'pipe:1',
+  ]);
+  const frameBytes = size * size;
+  const signatures = [];
+  for (let offset = 0; offset + frameBytes <= stdout.length; offset += frameBytes) {
+    signatures.push(stdout.subarray(offset, offset + frameBytes));
+  }
+  return signatures;
+}
+
+/**
+ * Decode the frame shown at a time
+ * @param {Buffer} buffer
+ * @param {number} seconds
+ * @returns {Promise<Buffer>} PNG
+ */
+async function readVideoFrame(buffer, seconds) {
+  const { stdout } = await runFfmpeg(buffer, (input) => [
+    '-i', input,
+    '-ss', seconds.toFixed(3),
+    '-an',
+    '-frames:v', '1',
+    '-f', 'image2pipe',
+    '-vcodec', 'png',
+    'pipe:1',
+  ]);
+  if (stdout.length === 0) {
+    throw new VideoError(`No frame at ${seconds.toFixed(2)}s`);
+  }
+  return stdout;
+}
+
+module.exports = {
+  VideoError,
+  probeVideo,
+  stripVideo,
+  readVideoSignatures,
+  readVideoFrame,
+};
@@ -4,114 +4,133 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const multer = require('multer');
-const Anthropic = require('@anthropic-ai/sdk').default;
-const sharp = require('sharp');
-const { GeminiAdapter } = require('./llm/gemini');
+const { LLMSelectionError, LLMUnavailableError, readModelSelection, getRouteAdapter, getRouteImageProfile, describeBreakers } = require('./llm');
+const { ConcurrencyError } = require('./storage');
+const { storage, JOB_TYPES, InvalidCursorError } = require('./jobs/store');
+const { getBlobStore, hashBuffer } = require('./blobs');
+const {
+  ImageInputError,
+  MAX_IMAGE_BYTES,
+  ingestImage,
+  readImageOptions,
+  fromBuffer,
+  fromFields,
+} = require('./images/ingest');
+const { detectMediaType } = require('./images/sniff');
+const { prepareImage } = require('./images/prepare');
+const { tileImage, describeTiles } = require('./images/tiles');
+const { sampleFrames, describeFrames } = require('./images/frames');
+const { OCR_ENABLED, readTextLayer, describeText } = require('./images/ocr');
+const { JobWorker } = require('./jobs/worker');
+const { WebhookDispatcher, parseCallback, createWebhook, describeWebhook } = require('./jobs/webhooks');
+const { BatchScheduler, summarizeBatch, batchToCsv, waitingTtl, batchTtl } = require('./jobs/batch');
+const {
+  JOB_STATUS,
+  GIUE_STATUS,
+  TERMINAL_STATUSES,
+  PROGRESS_STEPS,
+  InvalidTransitionError,
+  enterStatus,
+  statusMessage,
+  buildTimeline,
+} = require('./jobs/state');
+const { tailJob } = require('./jobs/tail');
+const { openEventStream, getLastEventId } = require('./jobs/sse');
+const { lookupResult, storeResult, purgeResults, getCacheStats } = require('./jobs/cache');
+const { ScanError, MAX_IMAGES: SCAN_MAX_IMAGES, readScanOptions, createScan, openScan } = require('./jobs/scans');
 
 const app = express();
 
-// In-memory job storage (fallback when Redis is not configured)
-// For production, configure UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN
-const jobStore = new Map();
-
-// Job status constants with clear progression
-const JOB_STATUS = {
-  QUEUED: 'queued',           // Image uploaded, waiting to start
-  PROCESSING: 'processing',   // Job started, preparing request
-  WAITING_LLM: 'waiting_llm', // Waiting for LLM to start responding
-  STREAMING: 'streaming',     // LLM is streaming tokens
-  COMPLETED: 'completed',     // Analysis complete
-  FAILED: 'failed',           // Error occurred
+// Image payloads live in the blob store (see api/blobs/index.js);
+// job and scan records only keep the content hash
+const storeImage = async (imageData, mediaType) => {
+  const buffer = Buffer.isBuffer(imageData) ? imageData : Buffer.from(imageData, 'base64');
+  const blob = await getBlobStore().put(buffer, { contentType: mediaType });
+  return { imageHash: blob.hash, mediaType: blob.contentType, imageSize: blob.size };
 };
 
-// Progress messages for each status
-const PROGRESS_MESSAGES = {
-  [JOB_STATUS.QUEUED]: 'Image uploaded, waiting to process...',
-  [JOB_STATUS.PROCESSING]: 'Starting AI analysis...',
-  [JOB_STATUS.WAITING_LLM]: 'Waiting for Claude AI response...',
-  [JOB_STATUS.STREAMING]: 'Claude is analyzing your image...',
-  [JOB_STATUS.COMPLETED]: 'Analysis complete!',
-  [JOB_STATUS.FAILED]: 'Analysis failed',
+// Plain fields of a request: its JSON or form body and query string (a raw
+// image body leaves only the query)
+const requestFields = (req) => ({
+  ...req.query,
+  ...(req.body && !Buffer.isBuffer(req.body) && typeof req.body === 'object' ? req.body : {}),
+});
+
+// New analysis job record for an ingested image (see api/images/ingest.js).
+// The image is stored as-is; the worker fits it to the provider's image
+// profile lazily (see api/images/prepare.js). selection is the provider
+// and model the request picked, if any (see api/llm/index.js).
+const buildAnalysisJob = async (jobId, image, question, selection = {}) => ({
+  id: jobId,
+  ...enterStatus({}, JOB_STATUS.QUEUED),
+  createdAt: new Date().toISOString(),
+  ...(await storeImage(image.buffer, image.mediaType)),
+  ...(image.originalType ? { originalMediaType: image.originalType } : {}),
+  privacy: image.privacy,
+  phash: image.phash,
+  question,
+  ...selection,
+  result: null,
+  streamedText: '',
+  error: null,
+  // Slow lazy compression (or frame sampling) ahead
+  needsCompression: image.mediaType.startsWith('video/') || image.size > getRouteImageProfile('analysis', selection).maxBytes,
+  originalSize: image.size,
+});
+
+// Load a record's image as base64 (for LLM requests), or null if it's gone
+const loadImage = async (record) => {
+  if (!record?.imageHash) return null;
+  const buffer = await getBlobStore().get(record.imageHash);
+  return buffer ? buffer.toString('base64') : null;
 };
 
-// Redis client (lazy loaded)
-let redis = null;
-const getRedis = async () => {
-  if (redis) return redis;
-  
-  if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
-    const { Redis } = require('@upstash/redis');
-    redis = new Redis({
-      url: process.env.UPSTASH_REDIS_REST_URL,
-      token: process.env.UPSTASH_REDIS_REST_TOKEN,
-    });
-    return redis;
+// Load the images to send for a job: its key frames if it's a recording
+// (see api/images/frames.js), its tiles if it was tiled (see
+// api/images/tiles.js), otherwise its image. Null if any are gone.
+const loadImages = async (job) => {
+  const parts = job.imageFrames || job.imageTiles;
+  if (!parts) {
+    const imageData = await loadImage(job);
+    return imageData ? [{ imageData, mediaType: job.mediaType }] : null;
   }
-  
-  return null;
+  const images = await Promise.all(parts.map(async ({ imageHash, ...part }) => {
+    const imageData = await loadImage({ imageHash });
+    return imageData ? { imageData, ...part } : null;
+  }));
+  return images.every(Boolean) ? images : null;
 };
 
-// Storage abstraction
-const storage = {
-  async setJob(jobId, data, ttl = 3600) {
-    const redis = await getRedis();
-    if (redis) {
-      await redis.setex(`job:${jobId}`, ttl, JSON.stringify(data));
-    } else {
-      jobStore.set(jobId, data);
-    }
-  },
-  
-  async getJob(jobId) {
-    const redis = await getRedis();
-    if (redis) {
-      const data = await redis.get(`job:${jobId}`);
-      return data ? (typeof data === 'string' ? JSON.parse(data) : data) : null;
-    } else {
-      return jobStore.get(jobId) || null;
-    }
-  },
-  
-  async updateJob(jobId, updates) {
-    const job = await this.getJob(jobId);
-    if (job) {
-      const updated = { ...job, ...updates };
-      await this.setJob(jobId, updated);
-      return updated;
-    }
+// Text layer of an ingested image (see api/images/ocr.js), or null when OCR
+// is off, the image is a recording, or it couldn't be read. OCR failing
+// never fails the request: the model can still read the image itself.
+const readImageText = async (image) => {
+  if (!OCR_ENABLED || image.mediaType.startsWith('video/')) return null;
+  try {
+    return await readTextLayer(image.buffer);
+  } catch (error) {
+    console.warn('[OCR] Text layer failed:', error.message);
     return null;
-  },
+  }
 };
 
-// Configure multer for memory storage
+// Whether a job's text layer is still to be read
+const needsText = (job) => OCR_ENABLED && job.ocr === undefined && !!job.imageHash && !job.mediaType.startsWith('video/');
+
+// Configure multer for memory storage. Files aren't filtered by their
+// declared type; the ingestion pipeline (api/images/ingest.js) reads the
+// format from the bytes.
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 20 * 1024 * 1024, // 20MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
+    fileSize: MAX_IMAGE_BYTES,
   },
 });
 
-// Initialize Anthropic client
-const getAnthropicClient = () => {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-  }
-  return new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
-};
-
 // Middleware
 app.use(express.json({ limit: '20mb' }));
 app.use(express.urlencoded({ extended: true, limit: '20mb' }));
-app.use(express.raw({ type: 'image/*', limit: '20mb' }));
+app.use(express.raw({ type: ['image/*', 'video/mp4', 'video/quicktime'], limit: '20mb' }));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '..', 'public')));
@@ -130,19 +149,29 @@ app.get('/scan', (req, res) => {
 
 // ============================================
 // Scan API - POST image, get code, view with scanning animation
+// (codes, passcodes and one-time views: see api/jobs/scans.js)
 // ============================================
 
-// Generate short code (6 chars)
-function generateShortCode() {
-  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars[Math.floor(Math.random() * chars.length)];
+// Store a scan's images as blobs and put them behind a new code
+const storeScan = async (images, scanOptions) => {
+  const stored = [];
+  for (const image of images) {
+    stored.push({ ...(await storeImage(image.buffer, image.mediaType)), privacy: image.privacy });
   }
-  return code;
-}
+  const scan = await createScan(stored, scanOptions);
+  return {
+    success: true,
+    code: scan.code,
+    url: scan.url,
+    expiresAt: scan.expiresAt,
+    once: scanOptions.once,
+    passcodeProtected: !!scanOptions.passcode,
+    imageCount: images.length,
+    privacy: images[0].privacy,
+    images: images.map(({ mediaType, size, privacy }) => ({ mediaType, size, privacy })),
+  };
+};
 
-// POST /api/scan - Upload image, get code
 // Simple test endpoint for debugging
 app.post('/api/test', (req, res) => {
   console.log('[TEST] Headers:', req.headers);
@@ -157,84 +186,88 @@ app.post('/api/test', (req, res) => {
   });
 });
 
-app.post('/api/scan', upload.single('image'), async (req, res) => {
+// POST /api/scan - Upload one or more images, get a code.
+// Options (JSON/form fields or query): ttl, once, passcode
+app.post('/api/scan', upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: SCAN_MAX_IMAGES },
+]), async (req, res, next) => {
   console.log('[SCAN] Request received');
   console.log('[SCAN] Content-Type:', req.headers['content-type']);
   
   try {
-    let base64Data = null;
-    let mimeType = 'image/jpeg';
-    
-    // Method 1: File upload (multipart/form-data) - for iOS Shortcuts
-    if (req.file) {
-      console.log('[SCAN] File upload, size:', req.file.size);
-      base64Data = req.file.buffer.toString('base64');
-      mimeType = req.file.mimetype;
-    }
-    // Method 2: JSON body with image field
-    else if (req.body?.image) {
-      const image = req.body.image;
-      console.log('[SCAN] JSON body, image length:', image.length);
-      
-      if (image.startsWith('data:')) {
-        const matches = image.match(/^data:([^;]+);base64,(.+)$/);
-        if (matches) {
-          mimeType = matches[1];
-          base64Data = matches[2];
-        } else {
-          base64Data = image;
-        }
-      } else {
-        // Raw base64 without data URL prefix
-        base64Data = image;
-        mimeType = req.body.mediaType || 'image/jpeg';
+    const body = req.body && !Buffer.isBuffer(req.body) ? req.body : {};
+    const scanOptions = readScanOptions({ ...req.query, ...body });
+
+    // Several images as multipart files or a JSON images array (entries as
+    // for /api/batch); otherwise one multipart file (iOS Shortcuts), JSON
+    // image/imageUrl, or a raw image body
+    const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+    const entries = files.length > 0 ? files : body.images;
+    let images;
+    if (Array.isArray(entries)) {
+      if (entries.length === 0) {
+        throw new ImageInputError('NO_IMAGE', 'images is empty');
       }
+      if (entries.length > SCAN_MAX_IMAGES) {
+        throw new ScanError('TOO_MANY_IMAGES', `A scan holds up to ${SCAN_MAX_IMAGES} images`);
+      }
+      const imageOptions = readImageOptions({ ...req.query, ...body });
+      images = [];
+      for (const [index, entry] of entries.entries()) {
+        images.push(await ingestBatchImage(entry, index, imageOptions));
+      }
+    } else {
+      images = [await ingestImage(req)];
     }
-    // Method 3: Raw image body
-    else if (Buffer.isBuffer(req.body)) {
-      console.log('[SCAN] Raw buffer, size:', req.body.length);
-      base64Data = req.body.toString('base64');
-      mimeType = req.headers['content-type']?.split(';')[0] || 'image/jpeg';
-    }
-    
-    if (!base64Data) {
-      return res.status(400).json({ error: 'No image provided' });
-    }
-    
-    const code = generateShortCode();
-    console.log('[SCAN] Generated code:', code);
+    console.log(`[SCAN] ${images.length} image(s), size:`, images.reduce((total, image) => total + image.size, 0));
     
-    await storage.setJob(`scan:${code}`, {
-      imageData: base64Data,
-      mediaType: mimeType,
-      createdAt: new Date().toISOString(),
-    }, 600);
-    
-    res.json({
-      success: true,
-      code,
-      url: `https://thinx.fun/s/${code}`,
-    });
+    const scan = await storeScan(images, scanOptions);
+    console.log('[SCAN] Code:', scan.code);
+    res.json(scan);
   } catch (error) {
+    if (error instanceof ImageInputError || error instanceof ScanError) return next(error);
     console.error('[SCAN] Error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/scan/:code - Get image data
-app.get('/api/scan/:code', async (req, res) => {
-  const { code } = req.params;
-  const data = await storage.getJob(`scan:${code}`);
-  
-  if (!data) {
-    return res.status(404).json({ error: 'Image not found or expired' });
+// GET /api/scan/:code - Get image data. Passcode-protected scans need an
+// X-Scan-Passcode header; one-time scans are gone after this succeeds.
+app.get('/api/scan/:code', async (req, res, next) => {
+  try {
+    const { scan, loaded: images } = await openScan(req.params.code, {
+      passcode: req.get('x-scan-passcode'),
+      load: async ({ images: stored }) => {
+        const loaded = await Promise.all(stored.map(async (image) => {
+          const imageData = await loadImage(image);
+          return imageData ? { imageData, mediaType: image.mediaType } : null;
+        }));
+        if (!loaded.every(Boolean)) {
+          throw new ScanError('NOT_FOUND', 'The images behind this code have expired');
+        }
+        return loaded;
+      },
+    });
+    
+    res.json({
+      // The first image, as single-image clients expect
+      imageData: images[0].imageData,
+      mediaType: images[0].mediaType,
+      dataUrl: `data:${images[0].mediaType};base64,${images[0].imageData}`,
+      images: images.map(({ imageData, mediaType }) => ({
+        mediaType,
+        dataUrl: `data:${mediaType};base64,${imageData}`,
+      })),
+      createdAt: scan.createdAt,
+      expiresAt: scan.expiresAt,
+      once: scan.once,
+    });
+  } catch (error) {
+    if (error instanceof ScanError) return next(error);
+    console.error('[SCAN] View error:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  res.json({
-    imageData: data.imageData,
-    mediaType: data.mediaType,
-    dataUrl: `data:${data.mediaType};base64,${data.imageData}`,
-  });
 });
 
 // GET /s/:code - View scan page with code
@@ -242,50 +275,32 @@ app.get('/s/:code', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'scan-view.html'));
 });
 
-// GET /api/scan?img=base64 - Simple GET endpoint for iOS Shortcuts
-app.get('/api/scan', async (req, res) => {
+// GET /api/scan?img=base64 - Simple GET endpoint for iOS Shortcuts.
+// Takes ?ttl= and ?once=; passcodes only by POST, to keep them out of URLs
+app.get('/api/scan', async (req, res, next) => {
   console.log('[SCAN-GET] Request received');
   
   try {
-    const img = req.query.img || req.query.image;
-    
-    if (!img) {
-      return res.status(400).json({ error: 'No image. Use ?img=base64data' });
+    if (!req.query.img && !req.query.image) {
+      throw new ImageInputError('NO_IMAGE', 'No image. Use ?img=base64data');
     }
-    
-    // Decode if URL encoded
-    let base64Data = decodeURIComponent(img);
-    let mimeType = 'image/jpeg';
-    
-    // Handle data URL format
-    if (base64Data.startsWith('data:')) {
-      const matches = base64Data.match(/^data:([^;]+);base64,(.+)$/);
-      if (matches) {
-        mimeType = matches[1];
-        base64Data = matches[2];
-      }
+    if (req.query.passcode !== undefined) {
+      throw new ScanError('INVALID_OPTION', 'Send passcodes with POST /api/scan, not in the URL');
     }
+    const scanOptions = readScanOptions({ ttl: req.query.ttl, once: req.query.once });
+    const image = await ingestImage(req, { query: true });
     
-    const code = generateShortCode();
-    console.log('[SCAN-GET] Code:', code, 'size:', base64Data.length);
-    
-    await storage.setJob(`scan:${code}`, {
-      imageData: base64Data,
-      mediaType: mimeType,
-      createdAt: new Date().toISOString(),
-    }, 600);
+    const scan = await storeScan([image], scanOptions);
+    console.log('[SCAN-GET] Code:', scan.code, 'size:', image.size);
     
     // Return redirect URL or JSON based on Accept header
     if (req.headers.accept?.includes('text/html')) {
-      return res.redirect(`/s/${code}`);
+      return res.redirect(`/s/${scan.code}`);
     }
     
-    res.json({
-      success: true,
-      code,
-      url: `https://thinx.fun/s/${code}`,
-    });
+    res.json(scan);
   } catch (error) {
+    if (error instanceof ImageInputError || error instanceof ScanError) return next(error);
     console.error('[SCAN-GET] Error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -304,7 +319,7 @@ app.get('/v1', (req, res) => {
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), llmCircuits: describeBreakers() });
 });
 
 // ============================================
@@ -385,47 +400,21 @@ const extractJsonPayload = (text) => {
   return tryParse(withoutControlChars);
 };
 
-const normalizeImagePayload = ({ image, mediaType }) => {
-  if (!image || typeof image !== 'string') {
-    throw new Error('No image provided');
-  }
-
-  let base64Data = image.trim();
-  let mimeType = mediaType || 'image/png';
-
-  if (base64Data.startsWith('data:')) {
-    const matches = base64Data.match(/^data:([^;]+);base64,(.+)$/);
-    if (!matches) {
-      throw new Error('Invalid data URL format');
+app.post('/api/hub/analyze', upload.single('image'), async (req, res, next) => {
+  try {
+    const adapter = getRouteAdapter('hub', readModelSelection(requestFields(req)));
+    const image = await ingestImage(req);
+    const question = req.body?.question;
+
+    const ocr = await readImageText(image);
+    const cacheRequest = { variant: 'hub', question, provider: adapter.providerName, model: adapter.model, redact: image.privacy.redact };
+    const cachedImage = cacheImage(image, ocr);
+    const cached = await lookupResult(cachedImage, cacheRequest);
+    if (cached) {
+      return res.json({ success: true, ...cached.result, cached: true, imagePrep: null, privacy: image.privacy });
     }
-    mimeType = matches[1];
-    base64Data = matches[2];
-  }
-
-  base64Data = base64Data.replace(/\s/g, '');
-  if (!/^[A-Za-z0-9+/]+=*$/.test(base64Data)) {
-    throw new Error('Invalid base64 image data');
-  }
-
-  const buffer = Buffer.from(base64Data, 'base64');
-  if (buffer.length > 20 * 1024 * 1024) {
-    throw new Error('Image too large (max 20MB)');
-  }
 
-  const detectedType = detectMediaType(buffer);
-  if (detectedType) {
-    mimeType = detectedType;
-  }
-
-  return { imageData: base64Data, mediaType: mimeType };
-};
-
-app.post('/api/hub/analyze', async (req, res) => {
-  try {
-    const { image, question, mediaType } = req.body || {};
-    const normalized = normalizeImagePayload({ image, mediaType });
-    const adapter = new GeminiAdapter();
-    const prompt = buildHubPrompt(question);
+    const prompt = ocr?.text ? `${describeText(ocr)}\n\n${buildHubPrompt(question)}` : buildHubPrompt(question);
     const responseFormat = {
       type: 'object',
       properties: {
@@ -494,14 +483,19 @@ app.post('/api/hub/analyze', async (req, res) => {
       required: ['toolCalls'],
     };
 
+    const prepared = await prepareImage(image.buffer, image.mediaType, adapter.imageProfile);
     const result = await adapter.analyzeImage({
-      imageData: normalized.imageData,
-      mediaType: normalized.mediaType,
+      imageData: prepared.buffer.toString('base64'),
+      mediaType: prepared.mediaType,
       prompt,
       responseFormat,
     });
 
-    const parsed = extractJsonPayload(result.text);
+    const parsed = result.structured || extractJsonPayload(result.text);
+    // A fallback's answer isn't cached under the asked-for provider's key
+    if (Array.isArray(parsed?.toolCalls) && !result.fallback) {
+      await storeResult(cachedImage, cacheRequest, { toolCalls: parsed.toolCalls, provider: result.provider || adapter.providerName, model: result.model, usage: result.usage });
+    }
     const toolCalls = Array.isArray(parsed?.toolCalls)
       ? parsed.toolCalls
       : [
@@ -509,7 +503,7 @@ app.post('/api/hub/analyze', async (req, res) => {
             tool: 'render_hero',
             args: {
               title: 'Analysis incomplete',
-              subtitle: 'Gemini response could not be parsed',
+              subtitle: 'The model response could not be parsed',
               badge: 'Fallback',
               icon: '⚠️',
               hero_image: null,
@@ -534,10 +528,16 @@ app.post('/api/hub/analyze', async (req, res) => {
     res.json({
       success: true,
       toolCalls,
+      provider: result.provider || adapter.providerName,
       model: result.model,
       usage: result.usage,
+      ...(result.failures ? { providerFailures: result.failures } : {}),
+      imagePrep: prepared.params,
+      privacy: image.privacy,
+      ocr,
     });
   } catch (error) {
+    if (error instanceof ImageInputError || error instanceof LLMSelectionError || error instanceof LLMUnavailableError) return next(error);
     console.error('Hub analyze error:', error);
     res.status(500).json({
       error: 'Analysis failed',
@@ -590,68 +590,22 @@ app.get('/api/hub/sample', (req, res) => {
 // ============================================
 const { streamCanvasGeneration } = require('./generators/canvas-generator');
 
-// GIUE job status constants
-const GIUE_STATUS = {
-  QUEUED: 'queued',
-  ANALYZING: 'analyzing',
-  GENERATING: 'generating',
-  COMPLETED: 'completed',
-  FAILED: 'failed',
-};
-
 // Canvas page route
 app.get('/canvas', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'canvas.html'));
 });
 
 // Generate canvas from screenshot
-app.post('/api/generate', upload.single('image'), async (req, res) => {
+app.post('/api/generate', upload.single('image'), async (req, res, next) => {
   console.log('[GIUE] /api/generate called');
   try {
-    let imageData = null;
-    let mediaType = null;
-
-    // Check if this is a JSON request with base64 image
-    if (req.is('application/json') || (req.body && req.body.image && typeof req.body.image === 'string')) {
-      const body = req.body;
-      
-      if (!body.image) {
-        return res.status(400).json({ error: 'No image provided', message: 'Please provide an image in base64 format' });
-      }
-
-      let base64Data = body.image;
-      
-      if (base64Data.startsWith('data:')) {
-        const matches = base64Data.match(/^data:([^;]+);base64,(.+)$/);
-        if (matches) {
-          mediaType = matches[1];
-          base64Data = matches[2];
-        } else {
-          return res.status(400).json({ error: 'Invalid image format', message: 'Could not parse data URL' });
-        }
-      } else {
-        mediaType = body.mediaType || body.media_type || 'image/png';
-      }
-
-      imageData = base64Data;
-
-    } else if (req.file) {
-      imageData = req.file.buffer.toString('base64');
-      mediaType = req.file.mimetype;
-    } else {
-      return res.status(400).json({ 
-        error: 'No image uploaded',
-        message: 'Please provide an image either as multipart form-data or JSON with base64 encoded image'
-      });
-    }
+    const selection = readModelSelection(requestFields(req));
+    const image = await ingestImage(req, { video: true });
 
-    // Validate media type
-    const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    if (!validTypes.includes(mediaType)) {
-      return res.status(400).json({ 
-        error: 'Invalid image type',
-        message: `Supported formats: JPEG, PNG, GIF, WebP. Got: ${mediaType}`
-      });
+    // Optional completion callback
+    const callback = parseCallback(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: 'Invalid callback', message: callback.error });
     }
 
     // Generate unique job ID
@@ -661,18 +615,21 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
     const job = {
       id: jobId,
       type: 'giue',
-      status: GIUE_STATUS.QUEUED,
-      progress: 0,
-      progressMessage: 'Image uploaded, waiting to process...',
+      ...enterStatus({ type: 'giue' }, GIUE_STATUS.QUEUED),
       createdAt: new Date().toISOString(),
-      imageData: imageData,
-      mediaType: mediaType,
+      ...(await storeImage(image.buffer, image.mediaType)),
+      ...(image.originalType ? { originalMediaType: image.originalType } : {}),
+      privacy: image.privacy,
+      phash: image.phash,
+      ...selection,
       result: null,
       error: null,
+      ...(callback.webhook ? { webhook: callback.webhook } : {}),
     };
 
-    // Store job
+    // Store job and queue it for the worker
     await storage.setJob(jobId, job, 3600);
+    await storage.enqueueJob(jobId);
 
     // Return immediately with job info
     console.log('[GIUE] Job created:', jobId);
@@ -686,6 +643,7 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ImageInputError || error instanceof LLMSelectionError) return next(error);
     console.error('GIUE upload error:', error);
     res.status(500).json({
       error: 'Upload failed',
@@ -694,150 +652,137 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
   }
 });
 
-// Stream canvas generation via SSE - Simple approach: let Claude generate the HTML
+/**
+ * Worker handler for GIUE jobs: stream the model's HTML into the job record
+ */
+async function runCanvasJob(job, { update, appendText, flush, signal }) {
+  job = await update(enterStatus(job, GIUE_STATUS.GENERATING));
+
+  const adapter = getRouteAdapter('canvas', { provider: job.provider, model: job.model });
+
+  if (needsText(job)) {
+    await update({ progressMessage: 'Reading text in the image...' });
+    job = await readJobText(job, update);
+  }
+
+  // Images already rendered, or near-duplicates that read the same, reuse their canvas (see api/jobs/cache.js)
+  const cacheRequest = { variant: 'canvas', provider: adapter.providerName, model: adapter.model, redact: job.privacy?.redact || [] };
+  const cachedImage = jobCacheImage(job);
+  const cached = job.retryOf ? null : await lookupResult(cachedImage, cacheRequest);
+  if (cached) {
+    appendText(cached.result.html);
+    await flush();
+    await update(enterStatus(job, GIUE_STATUS.COMPLETED, {
+      result: { ...cached.result, cached: true },
+      cacheHit: { jobId: cached.jobId, distance: cached.distance, cachedAt: cached.createdAt },
+      completedAt: new Date().toISOString(),
+    }));
+    return;
+  }
+
+  if (!job.imagePrep && job.imageHash) {
+    job = await prepareJobImage(job, update, adapter.imageProfile);
+  }
+
+  const images = await loadImages(job);
+  if (!images) {
+    throw new Error('Image not found or expired');
+  }
+
+  let fullHtml = '';
+  let failure = null;
+  let answer = null;
+  const startTime = Date.now();
+
+  await streamCanvasGeneration({
+    images,
+    text: job.ocr,
+    provider: job.provider,
+    model: job.model,
+    signal,
+    onToken: (token) => {
+      fullHtml += token;
+      appendText(token);
+    },
+    onComplete: (html, answeredBy) => {
+      answer = answeredBy || null;
+      console.log(`[GIUE] Job ${job.id} generated ${fullHtml.length} chars in ${Date.now() - startTime}ms`);
+    },
+    onRetry: ({ provider, nextProvider }) => {
+      update({
+        progressMessage: nextProvider === provider
+          ? `${provider} is busy, retrying...`
+          : `${provider} is unavailable, asking ${nextProvider}...`,
+      }).catch(() => {});
+    },
+    onError: (error) => {
+      failure = error;
+    },
+  });
+
+  // Cancelled or lease lost: the worker takes it from here
+  if (signal.aborted) throw signal.reason;
+
+  if (failure) {
+    console.error('[GIUE] Stream error:', failure.message);
+    await update(enterStatus(job, GIUE_STATUS.FAILED, { error: failure.message }));
+    return;
+  }
+
+  await flush();
+  const result = {
+    html: fullHtml,
+    provider: answer?.provider || adapter.providerName,
+    model: answer?.model || adapter.model,
+    ...(answer?.failures.length ? { providerFailures: answer.failures } : {}),
+  };
+  await update(enterStatus(job, GIUE_STATUS.COMPLETED, {
+    result,
+    completedAt: new Date().toISOString(),
+  }));
+  if (!answer?.fallback) {
+    await storeResult(cachedImage, cacheRequest, result, { jobId: job.id });
+  }
+}
+
+// Stream canvas generation via SSE - tails the job while the worker generates it.
+// Every event carries its log id; reconnecting with Last-Event-ID resumes after it.
 app.get('/api/job/:jobId/canvas', async (req, res) => {
   const { jobId } = req.params;
   console.log('[GIUE] /api/job/:jobId/canvas called for:', jobId);
   
-  // Set SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.setHeader('Transfer-Encoding', 'chunked');
-  res.flushHeaders();
-
-  let streamEnded = false;
-  const endStream = () => {
-    if (streamEnded) return;
-    streamEnded = true;
-    if (!res.writableEnded && !res.destroyed) {
-      res.end();
-    }
-  };
-
-  const sendEvent = (event, data) => {
-    if (streamEnded || res.closed || res.destroyed || res.writableEnded) {
-      console.log(`[GIUE] Skipping ${event} event - stream already closed`);
-      return;
-    }
-    try {
-      res.write(`event: ${event}\n`);
-      res.write(`data: ${JSON.stringify(data)}\n\n`);
-      if (res.flush) res.flush();
-    } catch (err) {
-      console.error(`[GIUE] Error sending ${event} event:`, err.message);
-      endStream();
-    }
-  };
-
-  res.on('close', () => {
-    streamEnded = true;
-  });
+  const stream = openEventStream(res, { tag: 'GIUE' });
 
   try {
-    let job = await storage.getJob(jobId);
+    const job = await storage.getJob(jobId);
     
     if (!job) {
-      sendEvent('error', { message: 'Job not found' });
-      endStream();
-      return;
-    }
-
-    // If job is already completed, send the cached result
-    if (job.status === GIUE_STATUS.COMPLETED && job.result?.html) {
-      sendEvent('html', { chunk: job.result.html, final: true });
-      sendEvent('complete', {});
-      endStream();
-      return;
-    }
-
-    // If job failed, send error
-    if (job.status === GIUE_STATUS.FAILED) {
-      sendEvent('error', { message: job.error || 'Canvas generation failed' });
-      endStream();
+      stream.send('error', { message: 'Job not found' });
       return;
     }
 
-    // Send initial status
-    sendEvent('status', { status: 'generating', progress: 10, message: 'Generating visual interface...' });
-    console.log('[GIUE] Sent initial status event');
+    // Make sure someone is working on the job, even without a worker loop (e.g. on Vercel)
+    jobWorker.runJob(jobId);
 
-    let fullHtml = '';
-    let tokenCount = 0;
-    const startTime = Date.now();
-
-    // Stream HTML generation directly from Claude
-    console.log('[GIUE] Starting streamCanvasGeneration...');
-    await streamCanvasGeneration({
-      imageData: job.imageData,
-      mediaType: job.mediaType,
-      onToken: (token) => {
-        if (!streamEnded) {
-          tokenCount++;
-          fullHtml += token;
-          if (tokenCount === 1) {
-            console.log('[GIUE] First token received!');
-          }
-          if (tokenCount % 100 === 0) {
-            console.log(`[GIUE] Received ${tokenCount} tokens, ${fullHtml.length} chars`);
-          }
-          sendEvent('html', { chunk: token, final: false });
-        }
-      },
-      onComplete: (text) => {
-        const duration = Date.now() - startTime;
-        console.log(`[GIUE] Stream complete! Total tokens: ${tokenCount}, Duration: ${duration}ms`);
-        console.log(`[GIUE] Final HTML length: ${fullHtml.length} chars`);
-
-        if (streamEnded) return;
-
-        // Cache the result, then send complete + end the stream
-        Promise.resolve(
-          storage.updateJob(jobId, {
-            status: GIUE_STATUS.COMPLETED,
-            progress: 100,
-            result: { html: fullHtml },
-            completedAt: new Date().toISOString(),
-            imageData: null, // Clear to save memory
-          })
-        )
-          .then(() => {
-            if (streamEnded) return;
-            console.log('[GIUE] Job updated, sending complete event');
-            sendEvent('complete', {});
-            endStream();
-          })
-          .catch((error) => {
-            console.error('[GIUE] Error updating job:', error.message);
-            if (!streamEnded) {
-              sendEvent('error', { message: error.message });
-              endStream();
-            }
-          });
-      },
-      onError: async (error) => {
-        console.error('[GIUE] Stream error:', error.message);
-        console.error('[GIUE] Error stack:', error.stack);
-        
-        if (!streamEnded) {
-          await storage.updateJob(jobId, {
-            status: GIUE_STATUS.FAILED,
-            error: error.message,
-          });
-          sendEvent('error', { message: error.message });
-          endStream();
+    // Replay the job's log after whatever the client already has
+    const tail = tailJob(jobId, {
+      afterId: getLastEventId(req),
+      onEvent: ({ id, event, data }) => {
+        if (event === 'token') {
+          stream.send('html', { chunk: data.text, final: false }, id);
+        } else {
+          stream.send(event, data, id);
         }
       },
     });
 
+    stream.onClose(tail.stop);
+    await tail.finished;
   } catch (error) {
     console.error('GIUE stream error:', error);
-    if (!streamEnded) {
-      sendEvent('error', { message: error.message || 'An error occurred' });
-      endStream();
-    }
+    stream.send('error', { message: error.message || 'An error occurred' });
+  } finally {
+    stream.end();
   }
 });
 
@@ -894,116 +839,37 @@ Be factual, helpful, and highlight anything the user should be cautious about (m
 // 2. JSON with base64 encoded image (for Apple Shortcuts)
 // Returns immediately with jobId before processing starts
 // ============================================
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+app.post('/api/upload', upload.single('image'), async (req, res, next) => {
   try {
-    let imageData = null;
-    let mediaType = null;
-    let question = '';
-
-    // Check if this is a JSON request with base64 image
-    if (req.is('application/json') || (req.body && req.body.image && typeof req.body.image === 'string')) {
-      // JSON body with base64 image
-      const body = req.body;
-      
-      if (!body.image) {
-        return res.status(400).json({ error: 'No image provided', message: 'Please provide an image in base64 format' });
-      }
-
-      // Handle base64 data - might include data URL prefix
-      let base64Data = body.image;
-      
-      // Extract media type and data from data URL if present
-      if (base64Data.startsWith('data:')) {
-        const matches = base64Data.match(/^data:([^;]+);base64,(.+)$/);
-        if (matches) {
-          mediaType = matches[1];
-          base64Data = matches[2];
-        } else {
-          return res.status(400).json({ error: 'Invalid image format', message: 'Could not parse data URL' });
-        }
-      } else {
-        // Raw base64, assume PNG or detect from magic bytes
-        mediaType = body.mediaType || body.media_type || 'image/png';
-      }
-
-      // Validate base64 format
-      if (!/^[A-Za-z0-9+/]+=*$/.test(base64Data)) {
-        return res.status(400).json({ error: 'Invalid base64', message: 'Image data is not valid base64 encoding' });
-      }
-
-      // Decode and validate
-      try {
-        const buffer = Buffer.from(base64Data, 'base64');
-        if (buffer.length < 8) {
-          return res.status(400).json({ error: 'Invalid image', message: 'Image data is too small to be a valid image' });
-        }
-        
-        // Detect media type from magic bytes
-        const detectedType = detectMediaType(buffer);
-        if (detectedType) {
-          mediaType = detectedType;
-        } else if (!body.mediaType && !body.media_type) {
-          // No valid image magic bytes and no media type specified
-          return res.status(400).json({ error: 'Invalid image', message: 'Could not detect image format. Please provide mediaType.' });
-        }
-        
-        imageData = base64Data;
-      } catch (e) {
-        return res.status(400).json({ error: 'Invalid base64', message: 'Could not decode base64 image data' });
-      }
-
-      question = body.question || body.prompt || '';
-
-    } else if (req.file) {
-      // Traditional multipart file upload
-      imageData = req.file.buffer.toString('base64');
-      mediaType = req.file.mimetype;
-      question = req.body.question || '';
-
-    } else {
-      return res.status(400).json({ 
-        error: 'No image uploaded',
-        message: 'Please provide an image either as multipart form-data or JSON with base64 encoded image'
-      });
-    }
+    const selection = readModelSelection(requestFields(req));
 
-    // Validate media type
-    const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    if (!validTypes.includes(mediaType)) {
-      return res.status(400).json({ 
-        error: 'Invalid image type',
-        message: `Supported formats: JPEG, PNG, GIF, WebP. Got: ${mediaType}`
-      });
-    }
+    // Multipart (traditional file upload), JSON base64 / data URL / imageUrl
+    // (Apple Shortcuts), or a raw image body
+    const image = await ingestImage(req, { video: true });
+    const question = req.body?.question || req.body?.prompt || '';
 
     // DON'T compress during upload - this blocks the response and causes timeouts on Vercel
     // Compression will happen lazily when the stream endpoint is called
-    // Just validate the image size here
-    const originalSize = Buffer.from(imageData, 'base64').length;
-    console.log(`Upload received: ${(originalSize / 1024 / 1024).toFixed(2)}MB image`);
+    console.log(`Upload received: ${(image.size / 1024 / 1024).toFixed(2)}MB image (${image.source})`);
+
+    // Optional completion callback
+    const callback = parseCallback(req.body);
+    if (callback.error) {
+      return res.status(400).json({ error: 'Invalid callback', message: callback.error });
+    }
 
     // Generate unique job ID
     const jobId = crypto.randomUUID();
 
     // Create job record with RAW image data (compression happens later)
     const job = {
-      id: jobId,
-      status: JOB_STATUS.QUEUED,
-      progress: 0,
-      progressMessage: PROGRESS_MESSAGES[JOB_STATUS.QUEUED],
-      createdAt: new Date().toISOString(),
-      imageData: imageData,  // Store raw, compress later
-      mediaType: mediaType,
-      question: question,
-      result: null,
-      streamedText: '',
-      error: null,
-      needsCompression: originalSize > 4.5 * 1024 * 1024, // Flag for lazy compression
-      originalSize: originalSize,
+      ...(await buildAnalysisJob(jobId, image, question, selection)),
+      ...(callback.webhook ? { webhook: callback.webhook } : {}),
     };
 
-    // Store job (in Redis or memory)
+    // Store job and queue it for the worker
     await storage.setJob(jobId, job, 3600); // 1 hour TTL
+    await storage.enqueueJob(jobId);
 
     // Return immediately with job info
     res.json({
@@ -1017,6 +883,7 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ImageInputError || error instanceof LLMSelectionError) return next(error);
     console.error('Upload error:', error);
     res.status(500).json({
       error: 'Upload failed',
@@ -1025,480 +892,734 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
   }
 });
 
-// Helper to detect image type from buffer magic bytes
-function detectMediaType(buffer) {
-  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
-    return 'image/jpeg';
-  }
-  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
-    return 'image/png';
-  }
-  if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) {
-    return 'image/gif';
-  }
-  if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46) {
-    return 'image/webp';
-  }
-  return null;
-}
-
 // ============================================
-// Image compression for Claude API
-// Claude has a 5MB limit, so we compress images that exceed 4.5MB
+// Batch analysis: many images in one request, run a few at a time
 // ============================================
-const MAX_IMAGE_SIZE = 4.5 * 1024 * 1024; // 4.5MB to stay safely under 5MB limit
-const MAX_DIMENSION = 4096; // Max width or height for initial resize
-
-/**
- * Compress an image to fit within Claude API's size limit
- * @param {Buffer} imageBuffer - Original image buffer
- * @param {string} mediaType - Original media type (image/jpeg, image/png, etc.)
- * @returns {Promise<{buffer: Buffer, mediaType: string, wasCompressed: boolean}>}
- */
-async function compressImageForAPI(imageBuffer, mediaType) {
-  const originalSize = imageBuffer.length;
-  
-  // If already under limit, return as-is
-  if (originalSize <= MAX_IMAGE_SIZE) {
-    return {
-      buffer: imageBuffer,
-      mediaType: mediaType,
-      wasCompressed: false,
-      originalSize,
-      finalSize: originalSize,
-    };
+const BATCH_MAX_IMAGES = parseInt(process.env.BATCH_MAX_IMAGES, 10) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const BATCH_MAX_CONCURRENCY = 10;
+
+// Queues each batch's next job as earlier ones finish (see api/jobs/batch.js)
+const batchScheduler = new BatchScheduler();
+batchScheduler.start();
+
+// Read one image of a batch: a multipart file, or a JSON entry that's a
+// base64 string / data URL or { image | imageUrl, mediaType, question, name }.
+// options are the batch's keepMetadata / redact (see readImageOptions)
+const ingestBatchImage = async (entry, index, options) => {
+  try {
+    if (Buffer.isBuffer(entry.buffer)) {
+      return await fromBuffer(entry.buffer, { source: 'multipart', declaredType: entry.mimetype, name: entry.originalname }, options);
+    }
+    return await fromFields(typeof entry === 'string' ? { image: entry } : entry || {}, options);
+  } catch (error) {
+    if (!(error instanceof ImageInputError)) throw error;
+    throw new ImageInputError(error.code, `images[${index}]: ${error.message}`);
   }
+};
 
-  console.log(`Image size ${(originalSize / 1024 / 1024).toFixed(2)}MB exceeds limit, compressing...`);
-
-  let sharpInstance = sharp(imageBuffer);
-  const metadata = await sharpInstance.metadata();
-  
-  // Start with the original dimensions
-  let targetWidth = metadata.width;
-  let targetHeight = metadata.height;
-  
-  // If image is very large, start by resizing down
-  if (targetWidth > MAX_DIMENSION || targetHeight > MAX_DIMENSION) {
-    const scale = Math.min(MAX_DIMENSION / targetWidth, MAX_DIMENSION / targetHeight);
-    targetWidth = Math.round(targetWidth * scale);
-    targetHeight = Math.round(targetHeight * scale);
+// Per-image questions: a JSON array, or repeated `questions` form fields
+const parseBatchQuestions = (value) => {
+  if (value === undefined) return { questions: [] };
+  let questions = value;
+  if (typeof value === 'string') {
+    try {
+      questions = JSON.parse(value);
+    } catch {
+      questions = [value];
+    }
   }
+  if (!Array.isArray(questions) || !questions.every((question) => typeof question === 'string' || question === null)) {
+    return { error: 'questions must be an array of strings' };
+  }
+  return { questions };
+};
 
-  // Progressive compression strategy:
-  // 1. Try high quality JPEG first (works well for photos/screenshots)
-  // 2. Reduce quality progressively
-  // 3. Reduce dimensions if quality reduction isn't enough
-
-  const qualityLevels = [85, 75, 65, 55, 45];
-  const scaleLevels = [1.0, 0.85, 0.7, 0.55, 0.4];
+// Create a batch. Images come as multipart `images` files or a JSON `images`
+// array; `question` applies to every image unless overridden per image
+// (JSON entry `question`, or the same position in `questions`).
+app.post('/api/batch', upload.array('images', BATCH_MAX_IMAGES), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    let entries;
 
-  for (const scale of scaleLevels) {
-    const width = Math.round(targetWidth * scale);
-    const height = Math.round(targetHeight * scale);
-    
-    for (const quality of qualityLevels) {
-      sharpInstance = sharp(imageBuffer)
-        .resize(width, height, {
-          fit: 'inside',
-          withoutEnlargement: true,
-        });
+    if (req.files && req.files.length > 0) {
+      entries = req.files;
+    } else if (Array.isArray(body.images)) {
+      entries = body.images;
+    } else {
+      return res.status(400).json({
+        error: 'No images uploaded',
+        message: 'Please provide images either as multipart form-data (images) or a JSON images array',
+      });
+    }
 
-      // Convert to JPEG for best compression (unless it's a GIF with animation)
-      // JPEG works well for screenshots and photos
-      let outputBuffer;
-      let outputMediaType;
-
-      if (mediaType === 'image/gif') {
-        // For GIFs, try WebP first (supports animation), fallback to JPEG
-        try {
-          outputBuffer = await sharpInstance
-            .webp({ quality: quality })
-            .toBuffer();
-          outputMediaType = 'image/webp';
-        } catch {
-          // If WebP fails (e.g., animated GIF issues), convert to JPEG
-          outputBuffer = await sharpInstance
-            .jpeg({ quality: quality, mozjpeg: true })
-            .toBuffer();
-          outputMediaType = 'image/jpeg';
-        }
-      } else if (mediaType === 'image/png') {
-        // For PNGs, check if it has transparency
-        // If it does, use WebP. Otherwise, JPEG compresses better.
-        if (metadata.hasAlpha) {
-          outputBuffer = await sharpInstance
-            .webp({ quality: quality })
-            .toBuffer();
-          outputMediaType = 'image/webp';
-        } else {
-          outputBuffer = await sharpInstance
-            .jpeg({ quality: quality, mozjpeg: true })
-            .toBuffer();
-          outputMediaType = 'image/jpeg';
-        }
-      } else {
-        // For JPEG and WebP, output as JPEG for consistent compression
-        outputBuffer = await sharpInstance
-          .jpeg({ quality: quality, mozjpeg: true })
-          .toBuffer();
-        outputMediaType = 'image/jpeg';
-      }
+    if (entries.length === 0 || entries.length > BATCH_MAX_IMAGES) {
+      return res.status(400).json({ error: 'Invalid batch size', message: `A batch takes 1 to ${BATCH_MAX_IMAGES} images` });
+    }
 
-      if (outputBuffer.length <= MAX_IMAGE_SIZE) {
-        console.log(`Compressed: ${(originalSize / 1024 / 1024).toFixed(2)}MB -> ${(outputBuffer.length / 1024 / 1024).toFixed(2)}MB (${width}x${height}, quality ${quality})`);
-        return {
-          buffer: outputBuffer,
-          mediaType: outputMediaType,
-          wasCompressed: true,
-          originalSize,
-          finalSize: outputBuffer.length,
-          finalDimensions: { width, height },
-          quality,
-        };
-      }
+    const { questions, error: questionsError } = parseBatchQuestions(body.questions);
+    if (questionsError || questions.length > entries.length) {
+      return res.status(400).json({ error: 'Invalid questions', message: questionsError || 'More questions than images' });
+    }
+    if (body.question !== undefined && typeof body.question !== 'string') {
+      return res.status(400).json({ error: 'Invalid question', message: 'question must be a string' });
+    }
+    const badQuestion = entries.findIndex((entry) => entry?.question !== undefined && typeof entry.question !== 'string');
+    if (badQuestion !== -1) {
+      return res.status(400).json({ error: 'Invalid question', message: `images[${badQuestion}]: question must be a string` });
     }
-  }
 
-  // Last resort: aggressive compression
-  console.log('Using aggressive compression as last resort');
-  const finalBuffer = await sharp(imageBuffer)
-    .resize(1920, 1920, { fit: 'inside', withoutEnlargement: true })
-    .jpeg({ quality: 35, mozjpeg: true })
-    .toBuffer();
+    const concurrency = body.concurrency === undefined ? BATCH_CONCURRENCY : Number(body.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BATCH_MAX_CONCURRENCY) {
+      return res.status(400).json({ error: 'Invalid concurrency', message: `concurrency must be 1 to ${BATCH_MAX_CONCURRENCY}` });
+    }
 
-  console.log(`Aggressively compressed: ${(originalSize / 1024 / 1024).toFixed(2)}MB -> ${(finalBuffer.length / 1024 / 1024).toFixed(2)}MB`);
-  
-  return {
-    buffer: finalBuffer,
-    mediaType: 'image/jpeg',
-    wasCompressed: true,
-    originalSize,
-    finalSize: finalBuffer.length,
-  };
-}
+    // One provider and model for the whole batch
+    const selection = readModelSelection({ ...req.query, ...body });
 
-// ============================================
-// Server-Sent Events streaming endpoint
-// Connects to Claude API and streams tokens
-// ============================================
-app.get('/api/job/:jobId/stream', async (req, res) => {
-  const { jobId } = req.params;
-  
-  // Set SSE headers - including headers to prevent Vercel/nginx buffering
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx/Vercel buffering
-  res.setHeader('Transfer-Encoding', 'chunked');
-  res.flushHeaders();
-
-  // Helper to send SSE events with immediate flush
-  const sendEvent = (event, data) => {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-    // Force flush for Vercel
-    if (res.flush) res.flush();
-  };
+    // Check every image before creating any job
+    const imageOptions = readImageOptions({ ...req.query, ...body });
+    const images = [];
+    for (const [index, entry] of entries.entries()) {
+      images.push(await ingestBatchImage(entry, index, { ...imageOptions, video: true }));
+    }
 
-  // Keep-alive interval to prevent connection timeout
-  let keepAliveInterval = null;
-  const startKeepAlive = () => {
-    // Send a comment every 15 seconds to keep connection alive
-    keepAliveInterval = setInterval(() => {
-      res.write(': keep-alive\n\n');
-      if (res.flush) res.flush();
-    }, 15000);
-  };
-  
-  const stopKeepAlive = () => {
-    if (keepAliveInterval) {
-      clearInterval(keepAliveInterval);
-      keepAliveInterval = null;
+    const batchId = crypto.randomUUID();
+    const jobs = [];
+
+    // Jobs are created now but queued by the scheduler, a few at a time
+    for (const [index, image] of images.entries()) {
+      const jobId = crypto.randomUUID();
+      const question = entries[index]?.question ?? questions[index] ?? body.question ?? '';
+      const job = {
+        ...(await buildAnalysisJob(jobId, image, question, selection)),
+        batchId,
+        batchIndex: index,
+      };
+      await storage.setJob(jobId, job, waitingTtl(index, concurrency));
+      jobs.push({ jobId, name: image.name });
     }
-  };
 
-  // Store original image data before processing clears it
-  let originalImageData = null;
-  let originalMediaType = null;
+    await storage.setBatch(batchId, {
+      id: batchId,
+      createdAt: new Date().toISOString(),
+      concurrency,
+      jobs,
+      started: [],
+    }, batchTtl(jobs.length, concurrency));
+    await batchScheduler.fill(batchId);
 
-  try {
-    // IMMEDIATELY send a connected event so client knows we're alive
-    sendEvent('connected', { 
-      message: 'Connected to server',
-      timestamp: new Date().toISOString() 
+    console.log(`[Batch] Created batch ${batchId} with ${jobs.length} job(s)`);
+    res.json({
+      success: true,
+      batchId,
+      total: jobs.length,
+      concurrency,
+      statusUrl: `/api/batch/${batchId}`,
+      exportUrl: `/api/batch/${batchId}/export`,
+      jobs: jobs.map(({ jobId, name }, index) => ({
+        index,
+        name,
+        jobId,
+        statusUrl: `/api/job/${jobId}/status`,
+        streamUrl: `/api/job/${jobId}/stream`,
+      })),
     });
-    
-    // Start keep-alive pings
-    startKeepAlive();
+  } catch (error) {
+    if (error instanceof ImageInputError || error instanceof LLMSelectionError) return next(error);
+    console.error('Batch error:', error);
+    res.status(500).json({
+      error: 'Batch failed',
+      message: error.message || 'An unexpected error occurred',
+    });
+  }
+});
 
-    // Get job from storage
-    let job = await storage.getJob(jobId);
-    
-    if (!job) {
-      stopKeepAlive();
-      sendEvent('error', { message: 'Job not found' });
-      res.end();
-      return;
-    }
+// Load a batch with its jobs and aggregate them, or null if the batch is gone
+const loadBatchSummary = async (batchId) => {
+  // Top up first, in case the process that was scheduling it went away
+  await batchScheduler.fill(batchId);
+  const batch = await storage.getBatch(batchId);
+  if (!batch) return null;
+  const jobs = await Promise.all(batch.jobs.map(({ jobId }) => storage.getJob(jobId)));
+  return summarizeBatch(batch, jobs);
+};
 
-    // LAZY COMPRESSION: If the image needs compression, do it now (not during upload)
-    // But FIRST send a status update so the user knows what's happening
-    if (job.needsCompression && job.imageData) {
-      const sizeMB = (job.originalSize / 1024 / 1024).toFixed(1);
-      console.log(`Lazy compression starting for job ${jobId}: ${sizeMB}MB`);
-      
-      // Tell the client we're compressing - this is why it takes time!
-      sendEvent('status', {
-        status: 'compressing',
-        progress: 5,
-        message: `Optimizing image (${sizeMB}MB) for analysis...`,
-      });
-      
-      try {
-        const imageBuffer = Buffer.from(job.imageData, 'base64');
-        const compressionResult = await compressImageForAPI(imageBuffer, job.mediaType);
-        
-        if (compressionResult.wasCompressed) {
-          job.imageData = compressionResult.buffer.toString('base64');
-          job.mediaType = compressionResult.mediaType;
-          const finalSizeMB = (compressionResult.finalSize / 1024 / 1024).toFixed(1);
-          console.log(`Lazy compression complete: ${sizeMB}MB -> ${finalSizeMB}MB`);
-          
-          // Update job in storage with compressed data
-          await storage.updateJob(jobId, {
-            imageData: job.imageData,
-            mediaType: job.mediaType,
-            needsCompression: false,
-          });
-          
-          // Notify client compression is done
-          sendEvent('status', {
-            status: 'compressed',
-            progress: 15,
-            message: `Image optimized (${sizeMB}MB → ${finalSizeMB}MB)`,
-          });
-        }
-      } catch (compressionError) {
-        console.error('Lazy compression error:', compressionError);
-        stopKeepAlive();
-        sendEvent('error', { message: 'Failed to process image. It may be too large or corrupted.' });
-        await storage.updateJob(jobId, {
-          status: JOB_STATUS.FAILED,
-          error: 'Image compression failed: ' + compressionError.message,
-        });
-        res.end();
-        return;
-      }
+// Aggregate progress, per-job status and the results finished so far
+app.get('/api/batch/:batchId', async (req, res) => {
+  try {
+    const summary = await loadBatchSummary(req.params.batchId);
+    if (!summary) {
+      return res.status(404).json({ error: 'Batch not found', message: 'The requested batch does not exist or has expired.' });
     }
+    res.json(summary);
+  } catch (error) {
+    console.error('Batch status error:', error);
+    res.status(500).json({ error: 'Batch status failed', message: error.message });
+  }
+});
 
-    // Store image data before any processing
-    originalImageData = job.imageData;
-    originalMediaType = job.mediaType;
+// Download every job's result as one file: ?format=json (default) or csv
+app.get('/api/batch/:batchId/export', async (req, res) => {
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'Invalid format', message: 'format must be json or csv' });
+  }
 
-    // If job is already completed, send the result with image
-    if (job.status === JOB_STATUS.COMPLETED) {
-      stopKeepAlive();
-      // Send init with image first (might be null if cleared, client should handle)
-      sendEvent('init', {
-        jobId: job.id,
-        status: job.status,
-        imageData: originalImageData,
-        mediaType: originalMediaType,
-        question: job.question,
-      });
-      sendEvent('complete', {
-        analysis: job.result?.analysis || job.streamedText,
-        model: job.result?.model,
-      });
-      res.end();
-      return;
+  try {
+    const summary = await loadBatchSummary(req.params.batchId);
+    if (!summary) {
+      return res.status(404).json({ error: 'Batch not found', message: 'The requested batch does not exist or has expired.' });
     }
 
-    // If job failed, send error with image
-    if (job.status === JOB_STATUS.FAILED) {
-      stopKeepAlive();
-      sendEvent('init', {
-        jobId: job.id,
-        status: job.status,
-        imageData: originalImageData,
-        mediaType: originalMediaType,
-        question: job.question,
-      });
-      sendEvent('error', { message: job.error || 'Analysis failed' });
-      res.end();
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${summary.batchId}.${format}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(batchToCsv(summary));
+    } else {
+      res.json(summary);
+    }
+  } catch (error) {
+    console.error('Batch export error:', error);
+    res.status(500).json({ error: 'Batch export failed', message: error.message });
+  }
+});
+
+// ============================================
+// Image preparation
+// Images are fitted to the answering provider's image profile (size,
+// dimensions, format) in the worker, not during upload
+// ============================================
+
+// What identifies an image to the result cache (see api/jobs/cache.js): its
+// perceptual hash, the SHA-256 of the uploaded bytes and its text layer.
+// Jobs keep their upload's blob hash until the image is prepared.
+const cacheImage = (image, ocr) => ({ phash: image.phash, contentHash: hashBuffer(image.buffer), text: ocr?.text });
+const jobCacheImage = (job) => ({ phash: job.phash, contentHash: sourceImageOf(job).imageHash, text: job.ocr?.text });
+
+// The image a job was created with, before it was fitted to a profile
+const sourceImageOf = (job) => job.sourceImage || {
+  imageHash: job.imageHash,
+  mediaType: job.mediaType,
+  imageSize: job.imageSize,
+};
+
+// What an analysis answer depends on besides the image (see api/jobs/cache.js);
+// analysis jobs and /api/analyze share the prompt, so they share entries
+const analysisCacheRequest = ({ question, privacy }, adapter) => ({
+  variant: 'analysis',
+  question: question || '',
+  provider: adapter.providerName,
+  model: adapter.model,
+  redact: privacy?.redact || [],
+});
+
+/**
+ * Read a job's text layer into `ocr` (null if there's none to be had).
+ * Runs before the image is fitted to a profile, on the full-size original.
+ * @param {Object} job
+ * @param {Function} update - The worker's update()
+ * @returns {Promise<Object>} The updated job
+ */
+async function readJobText(job, update) {
+  const buffer = await getBlobStore().get(job.imageHash);
+  if (!buffer) {
+    throw new Error('Image not found or expired');
+  }
+  return update({ ocr: await readImageText({ buffer, mediaType: job.mediaType }) });
+}
+
+/**
+ * Fit a job's image to a provider's profile, pointing the job at the
+ * prepared copy (the upload stays in `sourceImage`) and recording what was
+ * chosen as `imagePrep`. Videos and animations are sampled into
+ * `imageFrames`, and long screenshots are cut into `imageTiles`; the job
+ * then keeps its original.
+ * @param {Object} job
+ * @param {Function} update - The worker's update()
+ * @param {Object} profile - See LLMAdapter.imageProfile
+ * @returns {Promise<Object>} The updated job
+ */
+async function prepareJobImage(job, update, profile) {
+  const imageBuffer = await getBlobStore().get(job.imageHash);
+  if (!imageBuffer) {
+    throw new Error('Image not found or expired');
+  }
+
+  const sampled = await sampleFrames(imageBuffer, job.mediaType, profile);
+  if (sampled) {
+    const imageFrames = [];
+    for (const frame of sampled.frames) {
+      const { imageHash, mediaType } = await storeImage(frame.buffer, frame.mediaType);
+      imageFrames.push({ imageHash, mediaType, timestamp: frame.timestamp });
+    }
+    return update({ imageFrames, imagePrep: sampled.params });
+  }
+
+  const tiled = await tileImage(imageBuffer, job.mediaType, profile);
+  if (tiled) {
+    const imageTiles = [];
+    for (const tile of tiled.tiles) {
+      const { imageHash, mediaType } = await storeImage(tile.buffer, tile.mediaType);
+      imageTiles.push({ imageHash, mediaType, bounds: tile.bounds });
+    }
+    return update({ imageTiles, imagePrep: tiled.params });
+  }
+
+  const prepared = await prepareImage(imageBuffer, job.mediaType, profile);
+  if (!prepared.changed) {
+    return update({ imagePrep: prepared.params });
+  }
+  return update({
+    ...await storeImage(prepared.buffer, prepared.mediaType),
+    sourceImage: sourceImageOf(job),
+    imagePrep: prepared.params,
+  });
+}
+
+// ============================================
+// Background analysis handler (run by the job worker)
+// Compresses if needed, then streams the model's answer into the job record
+// ============================================
+async function runAnalysisJob(job, { update, appendText, flush, signal }) {
+  const jobId = job.id;
+  let waitingInterval = null;
+
+  try {
+    const adapter = getRouteAdapter('analysis', { provider: job.provider, model: job.model });
+
+    // Read the text locally first, so the prompt can quote it (and the cache compare it)
+    if (needsText(job)) {
+      job = await update(enterStatus(job, JOB_STATUS.PROCESSING, {
+        progress: PROGRESS_STEPS.READING_TEXT,
+        progressMessage: 'Reading text in the image...',
+      }));
+      job = await readJobText(job, update);
+    }
+
+    // The same image, or a near-duplicate that reads the same, already answered
+    // with the same question and model gets that answer. Retries always ask the model again.
+    const cacheRequest = analysisCacheRequest(job, adapter);
+    const cachedImage = jobCacheImage(job);
+    const cached = job.retryOf ? null : await lookupResult(cachedImage, cacheRequest);
+    if (cached) {
+      job = await update(enterStatus(job, JOB_STATUS.PROCESSING));
+      appendText(cached.result.analysis);
+      await flush();
+      await update(enterStatus(job, JOB_STATUS.COMPLETED, {
+        streamedText: cached.result.analysis,
+        result: { ...cached.result, cached: true },
+        cacheHit: { jobId: cached.jobId, distance: cached.distance, cachedAt: cached.createdAt },
+        completedAt: new Date().toISOString(),
+      }));
       return;
     }
 
-    // Send initial status with image - always include image data
-    sendEvent('init', {
-      jobId: job.id,
-      status: job.status,
-      progress: job.progress || 0,
-      progressMessage: job.progressMessage || PROGRESS_MESSAGES[job.status],
-      imageData: originalImageData,
-      mediaType: originalMediaType,
-      question: job.question,
-    });
+    // LAZY PREPARATION: fit the image to the provider's profile now (not during upload).
+    // Retries start again from the upload, since their provider may want another size.
+    if (!job.imagePrep && job.imageHash) {
+      const sizeMB = (job.originalSize / 1024 / 1024).toFixed(1);
 
-    // Update job status to processing
-    job = await storage.updateJob(jobId, {
-      status: JOB_STATUS.PROCESSING,
-      progress: 10,
-      progressMessage: PROGRESS_MESSAGES[JOB_STATUS.PROCESSING],
-    });
+      // Tell the client we're compressing - this is why it takes time!
+      if (job.needsCompression) {
+        console.log(`Lazy compression starting for job ${jobId}: ${sizeMB}MB`);
+        await update(enterStatus(job, JOB_STATUS.PROCESSING, {
+          progress: PROGRESS_STEPS.COMPRESSING,
+          progressMessage: job.mediaType.startsWith('video/')
+            ? `Sampling key frames from video (${sizeMB}MB)...`
+            : `Optimizing image (${sizeMB}MB) for analysis...`,
+        }));
+      }
 
-    sendEvent('status', {
-      status: JOB_STATUS.PROCESSING,
-      progress: 10,
-      message: PROGRESS_MESSAGES[JOB_STATUS.PROCESSING],
-    });
+      try {
+        job = await prepareJobImage(job, update, adapter.imageProfile);
+      } catch (compressionError) {
+        console.error('Lazy compression error:', compressionError);
+        await update(enterStatus(job, JOB_STATUS.FAILED, {
+          progressMessage: 'Failed to process image. It may be too large or corrupted.',
+          error: 'Image compression failed: ' + compressionError.message,
+        }));
+        return;
+      }
 
-    // Get Anthropic client
-    const anthropic = getAnthropicClient();
+      if (job.needsCompression) {
+        const finalSizeMB = (job.imagePrep.bytes / 1024 / 1024).toFixed(1);
+        console.log(`Lazy compression complete: ${sizeMB}MB -> ${finalSizeMB}MB`);
+        job = await update({
+          needsCompression: false,
+          progress: PROGRESS_STEPS.COMPRESSED,
+          progressMessage: job.imageFrames
+            ? `Sampled ${job.imageFrames.length} key frame${job.imageFrames.length === 1 ? '' : 's'} (${finalSizeMB}MB)`
+            : `Image optimized (${sizeMB}MB → ${finalSizeMB}MB)`,
+        });
+      }
+    }
 
-    // Update to waiting for LLM
-    sendEvent('status', {
-      status: JOB_STATUS.WAITING_LLM,
-      progress: 30,
-      message: 'Connecting to Claude AI...',
-    });
+    job = await update(enterStatus(job, JOB_STATUS.PROCESSING));
 
-    await storage.updateJob(jobId, {
-      status: JOB_STATUS.WAITING_LLM,
-      progress: 30,
-      progressMessage: PROGRESS_MESSAGES[JOB_STATUS.WAITING_LLM],
-    });
+    const images = await loadImages(job);
+    if (!images) {
+      throw new Error('Image not found or expired');
+    }
+
+    // Update to waiting for LLM
+    const waiting = enterStatus(job, JOB_STATUS.WAITING_LLM);
+    await update(waiting);
 
     // Build prompt
-    const analysisPrompt = buildAnalysisPrompt(job.question);
+    let analysisPrompt = buildAnalysisPrompt(job.question);
+    if (job.ocr?.text) {
+      analysisPrompt = `${describeText(job.ocr)}\n\n${analysisPrompt}`;
+    }
+    if (job.imageFrames) {
+      analysisPrompt = `${describeFrames(job.imageFrames, job.imagePrep.duration)}\n\n${analysisPrompt}`;
+    } else if (job.imageTiles) {
+      analysisPrompt = `${describeTiles(job.imageTiles)}\n\n${analysisPrompt}`;
+    }
 
     let fullText = '';
+    let usage = null;
+    let answer = null;
     let firstTokenReceived = false;
     
-    // Send periodic progress updates while waiting for Claude
+    // Record periodic progress while waiting for the model
     // This helps the user know the connection is alive
-    let waitingProgress = 30;
-    const waitingInterval = setInterval(() => {
-      if (!firstTokenReceived && waitingProgress < 45) {
+    let waitingProgress = waiting.progress;
+    let waitingMessage = 'Waiting for the AI to respond...';
+    waitingInterval = setInterval(() => {
+      if (!firstTokenReceived && waitingProgress < PROGRESS_STEPS.WAITING_MAX) {
         waitingProgress += 3;
-        sendEvent('status', {
-          status: JOB_STATUS.WAITING_LLM,
+        update({
           progress: waitingProgress,
-          message: 'Waiting for Claude AI to respond...',
-        });
+          progressMessage: waitingMessage,
+        }).catch(() => {});
       }
     }, 2000);
 
-    // Use Claude streaming API
-    const stream = anthropic.messages.stream({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: originalMediaType,
-                data: originalImageData,
-              },
-            },
-            {
-              type: 'text',
-              text: analysisPrompt,
-            },
-          ],
-        },
-      ],
-    });
-
-    // Stream tokens to client
-    stream.on('text', async (text) => {
-      // On first token, update status to streaming
-      if (!firstTokenReceived) {
-        firstTokenReceived = true;
-        // Clear the waiting progress interval
-        clearInterval(waitingInterval);
+    // Stream the answer, persisting tokens as they arrive. Tiles and frames
+    // are numbered by the adapter so the prompt can refer to them.
+    await adapter.streamImageAnalysis({
+      images,
+      prompt: analysisPrompt,
+      signal,
+      onToken: (text) => {
+        // On first token, update status to streaming
+        if (!firstTokenReceived) {
+          firstTokenReceived = true;
+          // Clear the waiting progress interval
+          clearInterval(waitingInterval);
+          
+          update(enterStatus(job, JOB_STATUS.STREAMING)).catch(() => {});
+        }
         
-        sendEvent('status', {
-          status: JOB_STATUS.STREAMING,
-          progress: 50,
-          message: 'Claude is analyzing your image...',
-        });
-        await storage.updateJob(jobId, {
-          status: JOB_STATUS.STREAMING,
-          progress: 50,
-          progressMessage: PROGRESS_MESSAGES[JOB_STATUS.STREAMING],
-        });
-      }
-      
-      fullText += text;
-      sendEvent('token', { text });
+        fullText += text;
+        appendText(text);
+      },
+      onComplete: (text, finalUsage, answeredBy) => {
+        usage = finalUsage;
+        answer = answeredBy || null;
+      },
+      onRetry: ({ provider, nextProvider }) => {
+        waitingMessage = nextProvider === provider
+          ? `${provider} is busy, retrying...`
+          : `${provider} is unavailable, asking ${nextProvider}...`;
+        update({ progressMessage: waitingMessage }).catch(() => {});
+      },
     });
-
-    // Wait for stream to complete
-    const finalMessage = await stream.finalMessage();
-    
-    // Clean up intervals
     clearInterval(waitingInterval);
-    stopKeepAlive();
+    await flush();
 
     // Update job as completed - keep image data for a while longer
-    await storage.updateJob(jobId, {
-      status: JOB_STATUS.COMPLETED,
-      progress: 100,
-      progressMessage: PROGRESS_MESSAGES[JOB_STATUS.COMPLETED],
+    const result = {
+      analysis: fullText,
+      provider: answer?.provider || adapter.providerName,
+      model: answer?.model || adapter.model,
+      usage,
+      ...(answer?.failures.length ? { providerFailures: answer.failures } : {}),
+    };
+    await update(enterStatus(job, JOB_STATUS.COMPLETED, {
       streamedText: fullText,
-      result: {
-        analysis: fullText,
-        model: finalMessage.model,
-        usage: finalMessage.usage,
-      },
+      result,
       // Keep image data for completed jobs so UI can display it
       // It will be cleared by TTL eventually
       completedAt: new Date().toISOString(),
+    }));
+    if (!answer?.fallback) {
+      await storeResult(cachedImage, cacheRequest, result, { jobId });
+    }
+  } catch (error) {
+    clearInterval(waitingInterval);
+
+    // Cancelled, or lease lost to another worker: don't touch the job
+    if (signal.aborted) throw error;
+
+    console.error('Analysis error:', error);
+    await update(enterStatus(job, JOB_STATUS.FAILED, {
+      error: error.message || 'An error occurred during analysis',
+    }));
+  }
+}
+
+const jobWorker = new JobWorker({
+  handlers: {
+    analysis: runAnalysisJob,
+    giue: runCanvasJob,
+  },
+});
+
+// Sends job callbacks (see api/jobs/webhooks.js) for jobs that finish in this
+// process, whether the background worker or a stream endpoint ran them
+const webhookDispatcher = new WebhookDispatcher();
+webhookDispatcher.start();
+
+// ============================================
+// Server-Sent Events streaming endpoint
+// Tails the job while the worker runs the analysis. Every event carries its
+// log id; reconnecting with Last-Event-ID replays only what was missed.
+// ============================================
+app.get('/api/job/:jobId/stream', async (req, res) => {
+  const { jobId } = req.params;
+  
+  const stream = openEventStream(res);
+
+  try {
+    // IMMEDIATELY send a connected event so client knows we're alive
+    stream.send('connected', { 
+      message: 'Connected to server',
+      timestamp: new Date().toISOString() 
     });
 
-    // Send completion event
-    sendEvent('complete', {
-      analysis: fullText,
-      model: finalMessage.model,
-      usage: finalMessage.usage,
+    // Get job from storage
+    const job = await storage.getJob(jobId);
+    
+    if (!job) {
+      stream.send('error', { message: 'Job not found' });
+      return;
+    }
+
+    // Send initial status with image URL (the client loads the image itself)
+    stream.send('init', {
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress || 0,
+      progressMessage: job.progressMessage || statusMessage(job),
+      imageUrl: job.imageHash ? `/api/job/${job.id}/image` : null,
+      textUrl: job.ocr ? `/api/job/${job.id}/text` : null,
+      mediaType: job.mediaType,
+      question: job.question,
     });
 
+    // Make sure someone is working on the job, even without a worker loop (e.g. on Vercel)
+    jobWorker.runJob(jobId);
+
+    // Replay the job's log after whatever the client already has
+    const tail = tailJob(jobId, {
+      afterId: getLastEventId(req),
+      onEvent: async ({ id, event, data }) => {
+        if (event === 'complete') {
+          const current = await storage.getJob(jobId);
+          stream.send('complete', {
+            analysis: current?.result?.analysis || current?.streamedText,
+            model: current?.result?.model,
+            usage: current?.result?.usage,
+          }, id);
+        } else {
+          stream.send(event, data, id);
+        }
+      },
+    });
+
+    stream.onClose(tail.stop);
+    await tail.finished;
   } catch (error) {
     console.error('Stream error:', error);
-    
-    // Clean up all intervals
-    stopKeepAlive();
-    // waitingInterval may not be defined if error occurred before it was created
-    // but clearInterval(undefined) is a safe no-op in JavaScript
-    if (typeof waitingInterval !== 'undefined') {
-      clearInterval(waitingInterval);
+    stream.send('error', {
+      message: error.message || 'An error occurred during analysis',
+    });
+  } finally {
+    stream.end();
+  }
+});
+
+// ============================================
+// Cancel & retry
+// Cancelling aborts the in-flight model stream; retrying creates a new
+// linked attempt that carries the history of the ones before it
+// ============================================
+
+// Summary of a finished attempt, kept in the history of later attempts
+const summarizeAttempt = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  provider: job.result?.provider || job.provider || null,
+  model: job.result?.model || job.model || null,
+  question: job.question || null,
+  error: job.error || null,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt || job.cancelledAt || null,
+});
+
+app.post('/api/job/:jobId/cancel', async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    let finishedStatus = null;
+    const job = await storage.mutateJob(jobId, (current) => {
+      finishedStatus = TERMINAL_STATUSES.includes(current.status) ? current.status : null;
+      if (finishedStatus) return null;
+      return enterStatus(current, JOB_STATUS.CANCELLED, { cancelledAt: new Date().toISOString() });
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired.',
+      });
     }
-    
-    // Update job as failed but keep image data
-    try {
-      await storage.updateJob(jobId, {
-        status: JOB_STATUS.FAILED,
-        progress: 0,
-        progressMessage: PROGRESS_MESSAGES[JOB_STATUS.FAILED],
-        error: error.message,
+
+    if (finishedStatus) {
+      return res.status(409).json({
+        error: 'Job already finished',
+        message: `The job is already ${finishedStatus}.`,
+        status: finishedStatus,
       });
-    } catch (updateError) {
-      console.error('Failed to update job status:', updateError);
     }
 
-    sendEvent('error', {
-      message: error.message || 'An error occurred during analysis',
+    // Abort right away if the job runs here; other workers notice on their next heartbeat
+    jobWorker.cancel(jobId);
+    await storage.dequeueJob(jobId);
+
+    console.log(`Job ${jobId} cancelled`);
+    res.json({ success: true, jobId, status: job.status });
+  } catch (error) {
+    if (error instanceof ConcurrencyError || error instanceof InvalidTransitionError) return next(error);
+    console.error('Cancel error:', error);
+    res.status(500).json({
+      error: 'Cancel failed',
+      message: error.message || 'An unexpected error occurred',
+    });
+  }
+});
+
+app.post('/api/job/:jobId/retry', async (req, res, next) => {
+  const { jobId } = req.params;
+  const { provider, model, question } = req.body || {};
+
+  if (question !== undefined && typeof question !== 'string') {
+    return res.status(400).json({ error: 'Invalid question', message: 'question must be a string' });
+  }
+
+  try {
+    const selection = readModelSelection({ provider, model });
+    const job = await storage.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired.',
+      });
+    }
+
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        error: 'Job still running',
+        message: 'Cancel the job or wait for it to finish before retrying.',
+        status: job.status,
+      });
+    }
+
+    if (job.retriedBy) {
+      return res.status(409).json({
+        error: 'Job already retried',
+        message: 'Retry the latest attempt instead.',
+        retryJobId: job.retriedBy,
+      });
+    }
+
+    // Start from the upload, not the copy prepared for the last provider
+    const source = sourceImageOf(job);
+    if (!source.imageHash || !await getBlobStore().head(source.imageHash)) {
+      return res.status(410).json({
+        error: 'Image expired',
+        message: 'The image for this job is no longer available. Please upload it again.',
+      });
+    }
+
+    const retryId = crypto.randomUUID();
+    const isCanvas = job.type === 'giue';
+
+    // Link the original first, so two retries of the same attempt can't both go through
+    let linked = false;
+    await storage.mutateJob(jobId, (current) => {
+      linked = !current.retriedBy;
+      return linked ? { retriedBy: retryId } : null;
+    });
+    if (!linked) {
+      return res.status(409).json({
+        error: 'Job already retried',
+        message: 'Retry the latest attempt instead.',
+      });
+    }
+
+    const attempts = [...(job.attempts || []), summarizeAttempt(job)];
+    // A new provider starts from its own default model unless one is given
+    const retryProvider = selection.provider || job.provider;
+    const retryModel = selection.model
+      || (!selection.provider || selection.provider === job.provider ? job.model : undefined);
+    const retry = {
+      id: retryId,
+      ...(isCanvas ? { type: 'giue' } : {}),
+      ...enterStatus(job, JOB_STATUS.QUEUED),
+      createdAt: new Date().toISOString(),
+      ...source,
+      ...(job.originalMediaType ? { originalMediaType: job.originalMediaType } : {}),
+      ...(job.privacy ? { privacy: job.privacy } : {}),
+      ...(job.phash ? { phash: job.phash } : {}),
+      // Read from the original, which the retry may no longer have
+      ...(job.ocr !== undefined ? { ocr: job.ocr } : {}),
+      ...(isCanvas ? {} : {
+        question: question !== undefined ? question : (job.question || ''),
+        streamedText: '',
+        needsCompression: source.mediaType.startsWith('video/')
+          || source.imageSize > getRouteImageProfile('analysis', { provider: retryProvider, model: retryModel }).maxBytes,
+        originalSize: job.originalSize,
+      }),
+      ...(retryProvider ? { provider: retryProvider } : {}),
+      ...(retryModel ? { model: retryModel } : {}),
+      result: null,
+      error: null,
+      retryOf: job.id,
+      attempt: attempts.length + 1,
+      attempts,
+      // The new attempt reports to the same callback
+      ...(job.webhook ? { webhook: createWebhook(job.webhook.url, job.webhook.secret) } : {}),
+    };
+
+    await storage.setJob(retryId, retry, 3600);
+    await storage.enqueueJob(retryId);
+
+    console.log(`Job ${jobId} retried as ${retryId} (attempt ${retry.attempt})`);
+    res.json({
+      success: true,
+      jobId: retryId,
+      retryOf: job.id,
+      attempt: retry.attempt,
+      status: retry.status,
+      ...(isCanvas
+        ? { canvasUrl: `/canvas?job=${retryId}`, streamUrl: `/api/job/${retryId}/canvas` }
+        : {
+            statusUrl: `/api/job/${retryId}/status`,
+            streamUrl: `/api/job/${retryId}/stream`,
+            viewUrl: `/${retryId}`,
+          }),
+    });
+  } catch (error) {
+    if (error instanceof ConcurrencyError || error instanceof LLMSelectionError) return next(error);
+    console.error('Retry error:', error);
+    res.status(500).json({
+      error: 'Retry failed',
+      message: error.message || 'An unexpected error occurred',
     });
-  } finally {
-    stopKeepAlive(); // Ensure keep-alive is always stopped
-    res.end();
   }
 });
 
@@ -1507,137 +1628,276 @@ app.get('/api/job/:jobId/stream', async (req, res) => {
 // ============================================
 app.get('/api/job/:jobId/status', async (req, res) => {
   const { jobId } = req.params;
-  const job = await storage.getJob(jobId);
 
-  if (!job) {
-    return res.status(404).json({
-      error: 'Job not found',
-      message: 'The requested job does not exist or has expired.',
-    });
-  }
+  try {
+    const job = await storage.getJob(jobId);
 
-  // Return job status (without image data by default for bandwidth)
-  const includeImage = req.query.includeImage === 'true';
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired.',
+      });
+    }
+
+    // Return job status (without image data by default for bandwidth)
+    const includeImage = req.query.includeImage === 'true';
   
-  const response = {
-    id: job.id,
-    status: job.status,
-    progress: job.progress || 0,
-    progressMessage: job.progressMessage || PROGRESS_MESSAGES[job.status] || 'Processing...',
-    createdAt: job.createdAt,
-    completedAt: job.completedAt || null,
-    question: job.question || null,
-    result: job.result,
-    error: job.error,
-    hasImage: !!job.imageData,
-    mediaType: job.mediaType,
-  };
+    const response = {
+      id: job.id,
+      status: job.status,
+      progress: job.progress || 0,
+      progressMessage: job.progressMessage || statusMessage(job) || 'Processing...',
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || null,
+      question: job.question || null,
+      result: job.result,
+      error: job.error,
+      hasImage: !!job.imageHash,
+      imageUrl: job.imageHash ? `/api/job/${job.id}/image` : null,
+      mediaType: job.mediaType,
+      originalMediaType: job.originalMediaType || null,
+      imagePrep: job.imagePrep || null,
+      textUrl: job.ocr ? `/api/job/${job.id}/text` : null,
+      privacy: job.privacy || null,
+      cacheHit: job.cacheHit || null,
+      provider: job.provider || null,
+      model: job.model || null,
+      cancelledAt: job.cancelledAt || null,
+      attempt: job.attempt || 1,
+      retryOf: job.retryOf || null,
+      retriedBy: job.retriedBy || null,
+      attempts: job.attempts || [],
+      batchId: job.batchId || null,
+      webhook: describeWebhook(job.webhook),
+    };
+
+    // Include image data if requested (prefer imageUrl, which streams the binary)
+    if (includeImage && job.imageHash) {
+      response.imageData = await loadImage(job);
+    }
 
-  // Include image data if requested
-  if (includeImage && job.imageData) {
-    response.imageData = job.imageData;
+    res.json(response);
+  } catch (error) {
+    console.error('Status error:', error);
+    res.status(500).json({
+      error: 'Status failed',
+      message: error.message || 'An unexpected error occurred',
+    });
   }
+});
 
-  res.json(response);
+// Event timeline: every logged event with its timestamp, plus the statuses
+// the job went through and how long each took. Token events are left out
+// unless ?tokens=true, since there's one per streamed chunk.
+app.get('/api/job/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await storage.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired.',
+      });
+    }
+
+    const events = await storage.getJobEvents(jobId) || [];
+    const includeTokens = req.query.tokens === 'true';
+    const tokenEvents = events.filter((event) => event.event === 'token').length;
+
+    res.json({
+      jobId,
+      type: job.type || 'analysis',
+      status: job.status,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || job.cancelledAt || null,
+      timeline: buildTimeline(events),
+      events: includeTokens ? events : events.filter((event) => event.event !== 'token'),
+      tokenEvents,
+    });
+  } catch (error) {
+    console.error('Events error:', error);
+    res.status(500).json({
+      error: 'Events failed',
+      message: error.message || 'An unexpected error occurred',
+    });
+  }
 });
 
 // Get job image (for displaying in UI)
+// Streams the binary with its content type, a hash-based ETag and Range support
 app.get('/api/job/:jobId/image', async (req, res) => {
   const { jobId } = req.params;
-  const job = await storage.getJob(jobId);
 
-  if (!job || !job.imageData) {
-    return res.status(404).json({
-      error: 'Image not found',
-      message: 'The image for this job is not available.',
+  try {
+    const job = await storage.getJob(jobId);
+    const blob = job?.imageHash ? await getBlobStore().head(job.imageHash) : null;
+
+    if (!blob) {
+      return res.status(404).json({
+        error: 'Image not found',
+        message: 'The image for this job is not available.',
+      });
+    }
+
+    const etag = `"${blob.hash}"`;
+    res.setHeader('Content-Type', blob.contentType);
+    res.setHeader('ETag', etag);
+    res.setHeader('Accept-Ranges', 'bytes');
+    // The job may point at a different blob after compression, so always revalidate
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    // Honor Range only for a single range, and only if If-Range still matches
+    let range = null;
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === etag)) {
+      const ranges = req.range(blob.size);
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${blob.size}`);
+        return res.status(416).end();
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    const stream = await getBlobStore().createReadStream(blob.hash, range || {});
+    if (!stream) {
+      return res.status(404).json({
+        error: 'Image not found',
+        message: 'The image for this job is not available.',
+      });
+    }
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${blob.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', blob.size);
+    }
+
+    stream.on('error', (error) => {
+      console.error('Image stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Image fetch error:', error);
+    res.status(500).json({
+      error: 'Image fetch failed',
+      message: error.message,
     });
   }
+});
 
-  // Return image as base64 data URL
-  res.json({
-    imageData: job.imageData,
-    mediaType: job.mediaType,
-    dataUrl: `data:${job.mediaType};base64,${job.imageData}`,
-  });
+// Text layer read from the job's image (see api/images/ocr.js): lines and
+// words with pixel boxes, or just the text with ?format=text
+app.get('/api/job/:jobId/text', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await storage.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'The requested job does not exist or has expired.',
+      });
+    }
+
+    if (!job.ocr) {
+      return res.status(404).json({
+        error: 'Text not available',
+        message: needsText(job) && !TERMINAL_STATUSES.includes(job.status)
+          ? 'The text in this image has not been read yet.'
+          : 'No text could be read from this image.',
+      });
+    }
+
+    if (req.query.format === 'text') {
+      res.type('text/plain');
+      return res.send(job.ocr.text);
+    }
+    res.json({ jobId: job.id, ...job.ocr });
+  } catch (error) {
+    console.error('Text fetch error:', error);
+    res.status(500).json({
+      error: 'Text fetch failed',
+      message: error.message,
+    });
+  }
 });
 
 // Legacy analyze endpoint (synchronous, for backward compatibility)
-app.post('/api/analyze', upload.single('image'), async (req, res) => {
+app.post('/api/analyze', upload.single('image'), async (req, res, next) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image uploaded' });
+    const adapter = getRouteAdapter('analysis', readModelSelection(requestFields(req)));
+    const image = await ingestImage(req);
+    const userQuestion = req.body?.question || '';
+
+    const ocr = await readImageText(image);
+    const cacheRequest = analysisCacheRequest({ question: userQuestion, privacy: image.privacy }, adapter);
+    const cachedImage = cacheImage(image, ocr);
+    const cached = await lookupResult(cachedImage, cacheRequest);
+    if (cached) {
+      return res.json({ success: true, ...cached.result, cached: true, imagePrep: null, privacy: image.privacy });
     }
 
-    const anthropic = getAnthropicClient();
-    const userQuestion = req.body.question || '';
-    const analysisPrompt = buildAnalysisPrompt(userQuestion);
-
-    // Compress image if needed
-    let imageBuffer = req.file.buffer;
-    let mediaType = req.file.mimetype;
+    const analysisPrompt = ocr?.text ? `${describeText(ocr)}\n\n${buildAnalysisPrompt(userQuestion)}` : buildAnalysisPrompt(userQuestion);
 
+    // Fit the image to the provider's profile
+    let prepared;
     try {
-      const compressionResult = await compressImageForAPI(imageBuffer, mediaType);
-      if (compressionResult.wasCompressed) {
-        imageBuffer = compressionResult.buffer;
-        mediaType = compressionResult.mediaType;
-        console.log(`Legacy analyze: Image compressed ${(compressionResult.originalSize / 1024 / 1024).toFixed(2)}MB -> ${(compressionResult.finalSize / 1024 / 1024).toFixed(2)}MB`);
-      }
+      prepared = await prepareImage(image.buffer, image.mediaType, adapter.imageProfile);
     } catch (compressionError) {
       console.error('Compression error in legacy analyze:', compressionError);
       // Continue with original if compression fails and size is acceptable
-      if (imageBuffer.length > 5 * 1024 * 1024) {
+      if (image.size > adapter.imageProfile.maxBytes) {
         return res.status(400).json({
           error: 'Image too large',
-          message: `Image is ${(imageBuffer.length / 1024 / 1024).toFixed(1)}MB. Maximum supported size is 5MB.`
+          message: `Image is ${(image.size / 1024 / 1024).toFixed(1)}MB and could not be compressed: ${compressionError.message}`,
         });
       }
+      prepared = { buffer: image.buffer, mediaType: image.mediaType, params: null };
     }
 
-    const base64Image = imageBuffer.toString('base64');
-
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: mediaType,
-                data: base64Image,
-              },
-            },
-            {
-              type: 'text',
-              text: analysisPrompt,
-            },
-          ],
-        },
-      ],
+    const response = await adapter.analyzeImage({
+      imageData: prepared.buffer.toString('base64'),
+      mediaType: prepared.mediaType,
+      prompt: analysisPrompt,
     });
 
-    const analysisText = response.content
-      .filter((block) => block.type === 'text')
-      .map((block) => block.text)
-      .join('\n');
+    const result = {
+      analysis: response.text,
+      provider: response.provider || adapter.providerName,
+      model: response.model,
+      usage: response.usage,
+      ...(response.failures ? { providerFailures: response.failures } : {}),
+    };
+    if (!response.fallback) {
+      await storeResult(cachedImage, cacheRequest, result);
+    }
 
     res.json({
       success: true,
-      analysis: analysisText,
-      model: response.model,
-      usage: response.usage,
+      ...result,
+      imagePrep: prepared.params,
+      privacy: image.privacy,
+      ocr,
     });
   } catch (error) {
+    if (error instanceof ImageInputError || error instanceof LLMSelectionError || error instanceof LLMUnavailableError) return next(error);
     console.error('Analysis error:', error);
     
-    if (error.message.includes('ANTHROPIC_API_KEY')) {
+    if (/_API_KEY/.test(error.message)) {
       return res.status(500).json({
         error: 'API configuration error',
-        message: 'The Claude API key is not configured.',
+        message: 'The API key of the selected provider is not configured.',
       });
     }
 
@@ -1648,33 +1908,294 @@ app.post('/api/analyze', upload.single('image'), async (req, res) => {
   }
 });
 
-// List all jobs (for debugging)
+// ============================================
+// Job listing & admin
+// ============================================
+
+const MAX_PAGE_SIZE = 100;
+
+// Parse a date filter given as an ISO string or epoch milliseconds
+const parseDateFilter = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Turn listing query parameters into searchJobs options
+ * @returns {{options?: Object, error?: string}}
+ */
+const parseJobSearch = (params) => {
+  const { status, type, from, to, q, cursor, limit } = params;
+
+  if (type !== undefined && !JOB_TYPES.includes(type)) {
+    return { error: `type must be one of: ${JOB_TYPES.join(', ')}` };
+  }
+
+  const fromTime = parseDateFilter(from);
+  const toTime = parseDateFilter(to);
+  if (fromTime === null || toTime === null) {
+    return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  }
+
+  const pageSize = limit === undefined ? 20 : parseInt(limit, 10);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    options: {
+      type,
+      statuses: status ? String(status).split(',').filter(Boolean) : undefined,
+      from: fromTime,
+      to: toTime,
+      query: q ? String(q) : undefined,
+      cursor: cursor ? String(cursor) : undefined,
+      limit: pageSize,
+    },
+  };
+};
+
+// Run a search from request parameters, answering 400 on bad input
+const searchJobsFor = async (params, res) => {
+  const { options, error } = parseJobSearch(params);
+  if (error) {
+    res.status(400).json({ error: 'Invalid filter', message: error });
+    return null;
+  }
+
+  try {
+    return await storage.searchJobs(options);
+  } catch (searchError) {
+    if (searchError instanceof InvalidCursorError) {
+      res.status(400).json({ error: 'Invalid cursor', message: 'Pass nextCursor from the previous page unchanged.' });
+      return null;
+    }
+    throw searchError;
+  }
+};
+
+// List jobs, newest first
+// Filters: status (comma-separated), type (analysis|giue), from/to (creation date), q (question text)
+// Paginate with limit and the returned nextCursor
 app.get('/api/jobs', async (req, res) => {
-  // Only works with in-memory storage
-  const jobs = Array.from(jobStore.values()).map((job) => ({
-    id: job.id,
-    status: job.status,
-    progress: job.progress,
-    createdAt: job.createdAt,
-    completedAt: job.completedAt || null,
-  }));
-  res.json({ jobs, count: jobs.length });
+  try {
+    const page = await searchJobsFor(req.query, res);
+    if (!page) return;
+
+    const jobs = page.jobs.map((job) => ({
+      id: job.id,
+      type: job.type || 'analysis',
+      status: job.status,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || null,
+    }));
+    res.json({ jobs, count: jobs.length, nextCursor: page.nextCursor });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Listing failed', message: error.message });
+  }
+});
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`, and are off when ADMIN_TOKEN is unset
+const requireAdmin = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: 'Not found', message: 'The admin API is disabled.' });
+  }
+
+  const [scheme, provided] = (req.headers.authorization || '').split(' ');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided || '');
+  if (scheme !== 'Bearer' || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'A valid admin token is required.' });
+  }
+  next();
+};
+
+// Most jobs a single bulk-expire call touches
+const MAX_BULK_EXPIRE = 1000;
+
+// Search with full job records
+app.get('/api/admin/jobs', requireAdmin, async (req, res) => {
+  try {
+    const page = await searchJobsFor(req.query, res);
+    if (!page) return;
+    const jobs = page.jobs.map((job) => ({ ...job, webhook: describeWebhook(job.webhook) }));
+    res.json({ jobs, count: jobs.length, nextCursor: page.nextCursor });
+  } catch (error) {
+    console.error('[Admin] Search error:', error);
+    res.status(500).json({ error: 'Search failed', message: error.message });
+  }
+});
+
+// Inspect a job: the record, its event log and its image blob
+app.get('/api/admin/jobs/:jobId', requireAdmin, async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const job = await storage.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found', message: 'The requested job does not exist or has expired.' });
+    }
+
+    res.json({
+      job: { ...job, webhook: describeWebhook(job.webhook) },
+      events: await storage.getJobEvents(jobId) || [],
+      image: job.imageHash ? await getBlobStore().head(job.imageHash) : null,
+    });
+  } catch (error) {
+    console.error('[Admin] Inspect error:', error);
+    res.status(500).json({ error: 'Inspect failed', message: error.message });
+  }
+});
+
+// Delete a job, its event log and its index entries (the image blob may be shared, so it stays)
+app.delete('/api/admin/jobs/:jobId', requireAdmin, async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    jobWorker.cancel(jobId);
+    const deleted = await storage.deleteJob(jobId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Job not found', message: 'The requested job does not exist or has expired.' });
+    }
+
+    console.log(`[Admin] Deleted job ${jobId}`);
+    res.json({ success: true, jobId, deleted: true });
+  } catch (error) {
+    console.error('[Admin] Delete error:', error);
+    res.status(500).json({ error: 'Delete failed', message: error.message });
+  }
+});
+
+// Set a new TTL on jobs picked by id (`jobIds`) or by the listing filters
+// Body: { jobIds?, status?, type?, from?, to?, q?, ttl = 60 }
+app.post('/api/admin/jobs/expire', requireAdmin, async (req, res) => {
+  const { jobIds, ttl = 60, ...filters } = req.body || {};
+
+  if (!Number.isInteger(ttl) || ttl < 1) {
+    return res.status(400).json({ error: 'Invalid ttl', message: 'ttl must be a whole number of seconds (at least 1)' });
+  }
+  if (jobIds !== undefined && (!Array.isArray(jobIds) || jobIds.length > MAX_BULK_EXPIRE)) {
+    return res.status(400).json({ error: 'Invalid jobIds', message: `jobIds must be an array of at most ${MAX_BULK_EXPIRE} ids` });
+  }
+
+  try {
+    let targets = jobIds;
+    let truncated = false;
+
+    if (!targets) {
+      if (!['status', 'type', 'from', 'to', 'q'].some((key) => filters[key] !== undefined)) {
+        return res.status(400).json({ error: 'No filter', message: 'Pass jobIds or at least one filter' });
+      }
+
+      targets = [];
+      let cursor;
+      do {
+        const page = await searchJobsFor({ ...filters, cursor, limit: MAX_PAGE_SIZE }, res);
+        if (!page) return;
+        targets.push(...page.jobs.map((job) => job.id));
+        cursor = page.nextCursor;
+      } while (cursor && targets.length < MAX_BULK_EXPIRE);
+
+      truncated = targets.length > MAX_BULK_EXPIRE || !!cursor;
+      targets = targets.slice(0, MAX_BULK_EXPIRE);
+    }
+
+    const expired = [];
+    for (const jobId of targets) {
+      if (await storage.expireJob(String(jobId), ttl)) {
+        expired.push(jobId);
+      }
+    }
+
+    console.log(`[Admin] Expired ${expired.length} jobs (ttl ${ttl}s)`);
+    res.json({ success: true, ttl, count: expired.length, jobIds: expired, truncated });
+  } catch (error) {
+    console.error('[Admin] Bulk expire error:', error);
+    res.status(500).json({ error: 'Expire failed', message: error.message });
+  }
+});
+
+// Result cache counters and size (see api/jobs/cache.js)
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    console.error('[Admin] Cache stats error:', error);
+    res.status(500).json({ error: 'Cache stats failed', message: error.message });
+  }
+});
+
+// Drop cached results: all of them, or those for an image (`phash`, or the
+// image of `jobId`) and its near-duplicates, optionally of one `variant`
+// Body: { phash?, jobId?, variant? }
+app.post('/api/admin/cache/purge', requireAdmin, async (req, res) => {
+  const { jobId, variant } = req.body || {};
+  let { phash } = req.body || {};
+
+  if (phash !== undefined && !/^[0-9a-f]{16}$/.test(phash)) {
+    return res.status(400).json({ error: 'Invalid phash', message: 'phash must be 16 lowercase hex digits' });
+  }
+  if (variant !== undefined && !['analysis', 'canvas', 'hub'].includes(variant)) {
+    return res.status(400).json({ error: 'Invalid variant', message: 'variant must be analysis, canvas or hub' });
+  }
+
+  try {
+    if (jobId !== undefined) {
+      const job = await storage.getJob(String(jobId));
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found', message: 'The requested job does not exist or has expired.' });
+      }
+      if (!job.phash) {
+        return res.status(400).json({ error: 'No image hash', message: 'This job has no perceptual hash to purge by.' });
+      }
+      phash = job.phash;
+    }
+
+    const purged = await purgeResults({ phash, variant });
+    console.log(`[Admin] Purged ${purged} cached result(s)`);
+    res.json({ success: true, purged, phash: phash || null, variant: variant || null });
+  } catch (error) {
+    console.error('[Admin] Cache purge error:', error);
+    res.status(500).json({ error: 'Purge failed', message: error.message });
+  }
 });
 
 // Error handling middleware for multer
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
+      return res.status(413).json({
         error: 'File too large',
-        message: 'Maximum file size is 20MB',
+        message: `Maximum image size is ${MAX_IMAGE_BYTES / 1024 / 1024}MB`,
+        code: 'IMAGE_TOO_LARGE',
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        error: 'Unexpected file',
+        message: `Unexpected file field "${error.field}", or too many files (a batch takes up to ${BATCH_MAX_IMAGES} images, a scan up to ${SCAN_MAX_IMAGES})`,
       });
     }
   }
-  if (error.message === 'Only image files are allowed') {
-    return res.status(400).json({
-      error: 'Invalid file type',
-      message: 'Please upload an image file (JPEG, PNG, GIF, WebP)',
+  if (error instanceof ConcurrencyError) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'The job was modified by another request. Please retry.',
+    });
+  }
+  if (error instanceof InvalidTransitionError) {
+    return res.status(409).json({
+      error: 'Invalid transition',
+      message: `The job can't go from ${error.from} to ${error.to}.`,
+    });
+  }
+  if (error instanceof ImageInputError || error instanceof ScanError || error instanceof LLMSelectionError || error instanceof LLMUnavailableError) {
+    return res.status(error.status).json({
+      error: error.title,
+      message: error.message,
+      code: error.code,
     });
   }
   next(error);
@@ -1711,6 +2232,11 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
+
+  // Process queued jobs in the background (set JOB_WORKER=false to leave it to other instances)
+  if (process.env.JOB_WORKER !== 'false') {
+    jobWorker.start();
+  }
 }
 
 // Export for Vercel
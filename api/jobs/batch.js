@@ -0,0 +1,196 @@
+/**
+ * Job Batches
+ *
+ * A batch is a parent record over ordinary jobs submitted together
+ * (POST /api/batch). Its jobs are created up front but only `concurrency`
+ * of them are queued at a time; the scheduler queues the next one whenever
+ * a job in the batch finishes.
+ *
+ * Batch record: { id, createdAt, concurrency, jobs: [{ jobId, name }], started: [jobId] }
+ *
+ * Like the webhook dispatcher, the scheduler reacts to this process's job
+ * writes. Reading a batch tops it up too (see fill()), so a batch whose
+ * process went away still moves on the next time someone looks at it.
+ *
+ * A job waiting its turn is kept an hour for every wave of `concurrency`
+ * jobs up to and including its own (see waitingTtl), and gets the usual
+ * hour from when it's queued. The batch outlives its last job.
+ */
+
+const { storage, jobEvents } = require('./store');
+const { isTerminal } = require('./state');
+
+// How long a job is kept once it's queued, as for jobs outside a batch
+const JOB_TTL = 3600;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['index', 'name', 'jobId', 'status', 'question', 'model', 'analysis', 'error', 'createdAt', 'completedAt'];
+
+class BatchScheduler {
+  constructor() {
+    this.onChange = (jobId, job) => {
+      if (job?.batchId && isTerminal(job.status)) {
+        this.fill(job.batchId).catch((error) => {
+          console.error(`[Batch] Failed to schedule batch ${job.batchId}:`, error.message);
+        });
+      }
+    };
+  }
+
+  /**
+   * Start queueing batch jobs as others finish
+   */
+  start() {
+    jobEvents.on('change', this.onChange);
+  }
+
+  /**
+   * Stop watching job writes
+   */
+  stop() {
+    jobEvents.off('change', this.onChange);
+  }
+
+  /**
+   * Queue a batch's next jobs, up to its concurrency
+   * @param {string} batchId
+   * @returns {Promise<string[]>} Ids of the jobs queued by this call
+   */
+  async fill(batchId) {
+    const batch = await storage.getBatch(batchId);
+    if (!batch || batch.started.length === batch.jobs.length) return [];
+
+    const startedJobs = await Promise.all(batch.started.map((jobId) => storage.getJob(jobId)));
+    const running = startedJobs.filter((job) => job && !isTerminal(job.status)).length;
+
+    let next = [];
+    await storage.mutateBatch(batchId, (current) => {
+      // Jobs someone else started since our read take slots too
+      const slots = current.concurrency - running - (current.started.length - batch.started.length);
+      next = current.jobs
+        .map(({ jobId }) => jobId)
+        .filter((jobId) => !current.started.includes(jobId))
+        .slice(0, Math.max(slots, 0));
+      return next.length > 0 ? { started: [...current.started, ...next] } : null;
+    });
+
+    const queued = [];
+    for (const jobId of next) {
+      // A job that expired while it waited is left for summarizeBatch to report
+      if (!await storage.expireJob(jobId, JOB_TTL)) continue;
+      await storage.enqueueJob(jobId, JOB_TTL);
+      queued.push(jobId);
+    }
+    if (queued.length > 0) {
+      console.log(`[Batch] Queued ${queued.length} job(s) for batch ${batchId}`);
+    }
+
+    // Expired jobs took no slot: start the ones after them instead
+    if (queued.length < next.length) {
+      return [...queued, ...await this.fill(batchId)];
+    }
+    return queued;
+  }
+}
+
+/**
+ * Time to live for a batch job before it's queued: an hour for each wave
+ * of `concurrency` jobs up to and including its own
+ * @param {number} index - The job's position in the batch
+ * @param {number} concurrency
+ * @returns {number} Seconds
+ */
+function waitingTtl(index, concurrency) {
+  return JOB_TTL * (Math.floor(index / concurrency) + 1);
+}
+
+/**
+ * Time to live for a batch record: an hour past its last job's
+ * @param {number} total - Jobs in the batch
+ * @param {number} concurrency
+ * @returns {number} Seconds
+ */
+function batchTtl(total, concurrency) {
+  return waitingTtl(Math.max(total - 1, 0), concurrency) + JOB_TTL;
+}
+
+/**
+ * Aggregate a batch's jobs into one progress report
+ * @param {Object} batch - Batch record
+ * @param {Array<Object|null>} jobs - The batch's jobs, in batch order (null if expired)
+ * @returns {Object}
+ */
+function summarizeBatch(batch, jobs) {
+  const items = batch.jobs.map(({ jobId, name }, index) => {
+    const job = jobs[index];
+    return {
+      index,
+      name: name || null,
+      jobId,
+      status: job ? job.status : 'expired',
+      progress: job ? (isTerminal(job.status) ? 100 : job.progress || 0) : 100,
+      question: job?.question || null,
+      model: job?.result?.model || job?.model || null,
+      analysis: job?.result?.analysis ?? null,
+      error: job ? job.error || null : 'Job expired',
+      createdAt: job?.createdAt || null,
+      completedAt: job?.completedAt || job?.cancelledAt || null,
+    };
+  });
+
+  const counts = {};
+  for (const item of items) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+
+  const finished = items.filter((item) => item.status === 'expired' || isTerminal(item.status));
+  const completed = counts.completed || 0;
+  let status = 'running';
+  if (finished.length === items.length) {
+    if (completed === items.length) status = 'completed';
+    else if (completed === 0) status = 'failed';
+    else status = 'partial';
+  }
+
+  const completedTimes = finished.map((item) => item.completedAt).filter(Boolean).sort();
+  return {
+    batchId: batch.id,
+    status,
+    createdAt: batch.createdAt,
+    completedAt: status === 'running' ? null : completedTimes[completedTimes.length - 1] || null,
+    concurrency: batch.concurrency,
+    total: items.length,
+    finished: finished.length,
+    counts,
+    progress: items.length > 0
+      ? Math.round(items.reduce((sum, item) => sum + item.progress, 0) / items.length)
+      : 100,
+    jobs: items,
+  };
+}
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a batch summary's jobs as CSV, one row per job
+ * @param {Object} summary - From summarizeBatch
+ * @returns {string}
+ */
+function batchToCsv(summary) {
+  const rows = summary.jobs.map((item) => CSV_COLUMNS.map((column) => csvCell(item[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  BatchScheduler,
+  waitingTtl,
+  batchTtl,
+  summarizeBatch,
+  batchToCsv,
+};
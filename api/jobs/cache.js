@@ -0,0 +1,296 @@
+/**
+ * Analysis Result Cache
+ *
+ * The same viral screenshot gets sent over and over. Completed results are
+ * cached under the image's perceptual hash (see api/images/phash.js) plus
+ * everything else that shapes the answer: the prompt variant ('analysis',
+ * 'canvas', 'hub'), the question, the model and what was redacted from the
+ * image (a redacted upload must never get an answer read from an unredacted
+ * one). A later request that matches on the rest is answered from the cache
+ * when its image is the same file (same SHA-256), or hashes within
+ * RESULT_CACHE_DISTANCE bits of a cached one and has the same text layer
+ * (see api/images/ocr.js). A hash alone is never trusted: different
+ * screenshots with little on them hash a bit apart. Images too plain to
+ * hash usefully (see isInformativeHash) aren't cached at all.
+ *
+ * Entries: `rcache:entry:<phash>:<key>` = { phash, key, contentHash,
+ * textDigest, variant, question, model, result, jobId, createdAt, hits },
+ * expiring after RESULT_CACHE_TTL.
+ * Near-duplicates are found through sorted indexes on each 16-bit band of
+ * the hash: two hashes at most 3 bits apart share at least one band exactly.
+ * Index entries for expired results are dropped when a lookup runs into them.
+ *
+ * Hit/miss counters live in `rcache:stats`. The cache is best-effort:
+ * lookups and stores log storage errors instead of failing the request.
+ *
+ * Set RESULT_CACHE=false to turn it off.
+ */
+
+const crypto = require('crypto');
+const { getDriver, ConcurrencyError } = require('../storage');
+const { hammingDistance, isInformativeHash } = require('../images/phash');
+
+const CACHE_ENABLED = process.env.RESULT_CACHE !== 'false';
+
+// Seconds a cached result is served for
+const CACHE_TTL = parseInt(process.env.RESULT_CACHE_TTL, 10) || 24 * 60 * 60;
+
+// Most bits a near-duplicate's hash may differ by; the band lookup only
+// guarantees finding matches up to 3, so that's also the ceiling
+const configuredDistance = parseInt(process.env.RESULT_CACHE_DISTANCE, 10);
+const MAX_DISTANCE = Number.isNaN(configuredDistance) ? 3 : Math.min(Math.max(configuredDistance, 0), 3);
+
+// 64-bit hashes split into four 16-bit bands
+const BAND_COUNT = 4;
+const BAND_DIGITS = 4;
+
+// Shortest text layer that can vouch for a near-duplicate
+const MIN_TEXT_CHARS = 20;
+
+// Newest entries read per band on lookup
+const BAND_SCAN_LIMIT = 50;
+
+const ENTRY_PREFIX = 'rcache:entry:';
+const STATS_KEY = 'rcache:stats';
+
+// Counters reset if nothing touches them for this long
+const STATS_TTL = 30 * 24 * 60 * 60;
+
+const entryKey = (phash, key) => `${ENTRY_PREFIX}${phash}:${key}`;
+const bandIndex = (band, digits) => `rcache:band:${band}:${digits}`;
+
+const bandsOf = (phash) => Array.from({ length: BAND_COUNT }, (_, band) => (
+  bandIndex(band, phash.slice(band * BAND_DIGITS, (band + 1) * BAND_DIGITS))
+));
+
+/**
+ * Digest of what shapes an answer besides the image
+ * @param {Object} request
+ * @param {string} request.variant - Prompt variant, e.g. 'analysis'
+ * @param {string} request.question - The user's question, if any
+ * @param {string} request.provider - Provider that answers
+ * @param {string} request.model - Model that answers
+ * @param {string[]} request.redact - Redactions applied to the image (see api/images/redact.js)
+ * @returns {string}
+ */
+function cacheKey({ variant, question, provider, model, redact = [] }) {
+  const normalized = (question || '').trim().replace(/\s+/g, ' ');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([variant, normalized, provider || '', model || '', [...redact].sort()]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Digest of an image's text layer, or null if there's too little text to
+ * tell two images apart by
+ * @param {string} text
+ * @returns {string|null}
+ */
+function textDigest(text) {
+  const normalized = (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (normalized.length < MIN_TEXT_CHARS) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+}
+
+// Whether an image is worth looking up or storing
+const isCacheable = (image) => CACHE_ENABLED && !!image?.phash && !!image.contentHash && isInformativeHash(image.phash);
+
+/**
+ * Add to the hit/miss counters
+ * @param {Object} counts - e.g. { hits: 1, nearHits: 1 }
+ */
+async function count(counts) {
+  const driver = getDriver();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const stats = await driver.get(STATS_KEY);
+    if (!stats) {
+      await driver.set(STATS_KEY, { since: new Date().toISOString(), ...counts }, STATS_TTL);
+      return;
+    }
+    const updates = {};
+    for (const [name, value] of Object.entries(counts)) {
+      updates[name] = (stats[name] || 0) + value;
+    }
+    try {
+      await driver.update(STATS_KEY, updates, { expectedVersion: stats.version });
+      return;
+    } catch (error) {
+      if (!(error instanceof ConcurrencyError)) throw error;
+    }
+  }
+}
+
+// Counters are best-effort: losing one never fails a request
+const countQuietly = (counts) => {
+  count(counts).catch((error) => {
+    console.error('[Cache] Failed to update stats:', error.message);
+  });
+};
+
+/**
+ * Find a cached result for an image and request
+ * @param {Object} image
+ * @param {string} image.phash - Its perceptual hash
+ * @param {string} image.contentHash - SHA-256 of its bytes
+ * @param {string} image.text - Its text layer, if it was read
+ * @param {Object} request - { variant, question, provider, model, redact }, see cacheKey()
+ * @returns {Promise<{result: Object, jobId: string|null, distance: number, createdAt: string}|null>}
+ */
+async function lookupResult(image, request) {
+  if (!isCacheable(image)) return null;
+  try {
+    return await findResult(image, request);
+  } catch (error) {
+    console.error('[Cache] Lookup failed:', error.message);
+    return null;
+  }
+}
+
+async function findResult({ phash, contentHash, text }, request) {
+  const driver = getDriver();
+  const key = cacheKey(request);
+  const digest = textDigest(text);
+
+  // Cached images with the same request, closest first
+  const candidates = [];
+  const seen = new Set();
+  for (const band of bandsOf(phash)) {
+    const entries = await driver.indexRange(band, { limit: BAND_SCAN_LIMIT });
+    for (const { member } of entries) {
+      if (seen.has(member)) continue;
+      seen.add(member);
+      const [candidate, candidateKey] = member.split(':');
+      if (candidateKey !== key) continue;
+      const distance = hammingDistance(phash, candidate);
+      if (distance <= MAX_DISTANCE) {
+        candidates.push({ member, phash: candidate, distance });
+      }
+    }
+  }
+  candidates.sort((a, b) => a.distance - b.distance);
+
+  // The first that's the same file, or reads the same
+  for (const candidate of candidates) {
+    const entry = await driver.get(entryKey(candidate.phash, key));
+    if (!entry) {
+      await Promise.all(bandsOf(candidate.phash).map((band) => driver.indexRemove(band, [candidate.member])));
+      continue;
+    }
+    const exact = entry.contentHash === contentHash;
+    if (!exact && !(digest && entry.textDigest === digest)) continue;
+
+    driver.update(entryKey(candidate.phash, key), { hits: (entry.hits || 0) + 1 }).catch(() => {});
+    countQuietly(exact ? { hits: 1 } : { hits: 1, nearHits: 1 });
+    console.log(`[Cache] ${request.variant} ${exact ? 'hit' : 'near hit'} for ${phash} (distance ${candidate.distance}, from ${entry.jobId || 'request'})`);
+
+    return { result: entry.result, jobId: entry.jobId || null, distance: candidate.distance, createdAt: entry.createdAt };
+  }
+
+  countQuietly({ misses: 1 });
+  return null;
+}
+
+/**
+ * Cache a completed result
+ * @param {Object} image - { phash, contentHash, text }, see lookupResult()
+ * @param {Object} request - { variant, question, provider, model, redact }, see cacheKey()
+ * @param {Object} result - What to serve on a hit
+ * @param {Object} source
+ * @param {string} source.jobId - Job that produced it, if any
+ * @returns {Promise<void>}
+ */
+async function storeResult(image, request, result, { jobId = null } = {}) {
+  if (!isCacheable(image)) return;
+  try {
+    await saveResult(image, request, result, jobId);
+  } catch (error) {
+    console.error('[Cache] Store failed:', error.message);
+  }
+}
+
+async function saveResult({ phash, contentHash, text }, request, result, jobId) {
+  const driver = getDriver();
+  const key = cacheKey(request);
+  const now = Date.now();
+
+  await driver.set(entryKey(phash, key), {
+    phash,
+    key,
+    contentHash,
+    textDigest: textDigest(text),
+    variant: request.variant,
+    question: request.question || '',
+    model: request.model || null,
+    result,
+    jobId,
+    createdAt: new Date(now).toISOString(),
+    hits: 0,
+  }, CACHE_TTL);
+
+  for (const band of bandsOf(phash)) {
+    await driver.indexAdd(band, `${phash}:${key}`, now);
+    await driver.indexTrim(band, now - CACHE_TTL * 1000);
+  }
+  countQuietly({ stores: 1 });
+}
+
+/**
+ * Remove cached results
+ * @param {Object} filters
+ * @param {string} filters.phash - Only results for this image and its near-duplicates
+ * @param {string} filters.variant - Only this prompt variant
+ * @returns {Promise<number>} Entries removed
+ */
+async function purgeResults({ phash, variant } = {}) {
+  const driver = getDriver();
+  const keys = await driver.list(ENTRY_PREFIX);
+
+  let purged = 0;
+  for (const fullKey of keys) {
+    const [entryHash, key] = fullKey.slice(ENTRY_PREFIX.length).split(':');
+    if (phash && hammingDistance(phash, entryHash) > MAX_DISTANCE) continue;
+    if (variant) {
+      const entry = await driver.get(fullKey);
+      if (!entry || entry.variant !== variant) continue;
+    }
+    await driver.delete(fullKey);
+    await Promise.all(bandsOf(entryHash).map((band) => driver.indexRemove(band, [`${entryHash}:${key}`])));
+    purged++;
+  }
+
+  if (purged > 0) countQuietly({ purged });
+  console.log(`[Cache] Purged ${purged} result(s)`);
+  return purged;
+}
+
+/**
+ * Cache counters and size
+ * @returns {Promise<Object>} { enabled, ttl, maxDistance, entries, hits, nearHits, misses, hitRate, stores, purged, since }
+ */
+async function getCacheStats() {
+  const driver = getDriver();
+  const stats = await driver.get(STATS_KEY) || {};
+  const hits = stats.hits || 0;
+  const misses = stats.misses || 0;
+  return {
+    enabled: CACHE_ENABLED,
+    ttl: CACHE_TTL,
+    maxDistance: MAX_DISTANCE,
+    entries: (await driver.list(ENTRY_PREFIX)).length,
+    hits,
+    nearHits: stats.nearHits || 0,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+    stores: stats.stores || 0,
+    purged: stats.purged || 0,
+    since: stats.since || null,
+  };
+}
+
+module.exports = {
+  lookupResult,
+  storeResult,
+  purgeResults,
+  getCacheStats,
+};
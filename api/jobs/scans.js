@@ -0,0 +1,266 @@
+/**
+ * Scan Codes
+ *
+ * A scan is one or more uploaded images behind a short code, viewed at
+ * `<PUBLIC_BASE_URL>/s/<code>`. Codes are drawn from a CSPRNG and claimed
+ * with the storage driver's atomic create(), so two uploads can never end
+ * up sharing (or overwriting) a code; a collision just draws again, with
+ * the code one character longer every second try.
+ *
+ * Records live at `scan:<code>` = { images: [{ imageHash, mediaType,
+ * imageSize, privacy }], createdAt, expiresAt, once, passcode,
+ * failedAttempts } and expire after their TTL (SCAN_TTL, or what the
+ * upload asked for up to SCAN_MAX_TTL). The images themselves are blobs,
+ * so no scan may outlive BLOB_TTL.
+ *
+ * Options:
+ * - passcode: viewers must send it (X-Scan-Passcode). Stored as a salted
+ *   scrypt hash; SCAN_MAX_PASSCODE_ATTEMPTS wrong guesses delete the scan.
+ * - once: the scan is deleted by the first successful view, after its
+ *   images were loaded. Of two viewers racing for it, only the one whose
+ *   delete lands gets the images.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getDriver, ConcurrencyError } = require('../storage');
+const { getBlobStore } = require('../blobs');
+
+const scrypt = promisify(crypto.scrypt);
+
+const CODE_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const configuredLength = parseInt(process.env.SCAN_CODE_LENGTH, 10);
+const CODE_LENGTH = Number.isNaN(configuredLength) ? 6 : Math.min(Math.max(configuredLength, 4), 32);
+
+// Draws before giving up on finding a free code
+const MAX_ALLOCATION_ATTEMPTS = 6;
+
+// Seconds a scan lives unless the upload asks otherwise, and the most it may
+// ask for; both are capped at the blob TTL when read (see ttlLimit)
+const DEFAULT_TTL = parseInt(process.env.SCAN_TTL, 10) || 600;
+const MAX_TTL = Math.max(parseInt(process.env.SCAN_MAX_TTL, 10) || 3600, DEFAULT_TTL);
+const MIN_TTL = 60;
+
+const MAX_IMAGES = parseInt(process.env.SCAN_MAX_IMAGES, 10) || 10;
+
+const MAX_PASSCODE_ATTEMPTS = parseInt(process.env.SCAN_MAX_PASSCODE_ATTEMPTS, 10) || 5;
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 128;
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'https://thinx.fun').replace(/\/+$/, '');
+
+const scanKey = (code) => `scan:${code}`;
+
+const ERROR_TYPES = {
+  INVALID_OPTION: { status: 400, title: 'Invalid scan option' },
+  TOO_MANY_IMAGES: { status: 400, title: 'Too many images' },
+  PASSCODE_REQUIRED: { status: 401, title: 'Passcode required' },
+  INVALID_PASSCODE: { status: 403, title: 'Invalid passcode' },
+  NOT_FOUND: { status: 404, title: 'Image not found or expired' },
+  NO_CODE_AVAILABLE: { status: 503, title: 'No scan code available' },
+};
+
+/**
+ * Thrown when a scan can't be created or opened
+ */
+class ScanError extends Error {
+  /**
+   * @param {string} code - One of ERROR_TYPES
+   * @param {string} message - What was wrong, for the client
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ScanError';
+    this.code = code;
+    this.status = ERROR_TYPES[code].status;
+    this.title = ERROR_TYPES[code].title;
+  }
+}
+
+/**
+ * Draw a random code
+ * @param {number} length
+ * @returns {string}
+ */
+function randomCode(length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Whether a string could be a scan code, so junk never reaches storage
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isValidCode(code) {
+  return typeof code === 'string' && /^[a-z0-9]{4,40}$/.test(code);
+}
+
+/**
+ * Public URL a scan is viewed at
+ * @param {string} code
+ * @returns {string}
+ */
+function scanUrl(code) {
+  return `${PUBLIC_BASE_URL}/s/${code}`;
+}
+
+/**
+ * Longest a scan may live: SCAN_MAX_TTL, but never past its images' blobs
+ * @returns {number} Seconds
+ */
+function ttlLimit() {
+  return Math.min(MAX_TTL, getBlobStore().ttl);
+}
+
+/**
+ * Read the scan options an upload set, as JSON fields, form fields or query parameters
+ * @param {Object} fields - { ttl, once, passcode }
+ * @returns {{ttl: number, once: boolean, passcode: string|null}}
+ * @throws {ScanError} INVALID_OPTION
+ */
+function readScanOptions(fields = {}) {
+  const { ttl, once, passcode } = fields;
+
+  const maxTtl = ttlLimit();
+  let seconds = Math.min(DEFAULT_TTL, maxTtl);
+  if (ttl !== undefined && ttl !== '') {
+    seconds = Number(ttl);
+    if (!Number.isInteger(seconds) || seconds < MIN_TTL || seconds > maxTtl) {
+      throw new ScanError('INVALID_OPTION', `ttl must be a whole number of seconds from ${MIN_TTL} to ${maxTtl}`);
+    }
+  }
+
+  if (![undefined, '', true, false, 'true', 'false'].includes(once)) {
+    throw new ScanError('INVALID_OPTION', 'once must be true or false');
+  }
+
+  if (passcode !== undefined && passcode !== '') {
+    if (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH || passcode.length > MAX_PASSCODE_LENGTH) {
+      throw new ScanError('INVALID_OPTION', `passcode must be ${MIN_PASSCODE_LENGTH} to ${MAX_PASSCODE_LENGTH} characters`);
+    }
+  }
+
+  return { ttl: seconds, once: once === true || once === 'true', passcode: passcode || null };
+}
+
+/**
+ * Salted scrypt hash of a passcode
+ * @param {string} passcode
+ * @param {string} salt - hex; a new one is drawn when omitted
+ * @returns {Promise<{salt: string, hash: string}>}
+ */
+async function hashPasscode(passcode, salt = crypto.randomBytes(16).toString('hex')) {
+  const derived = await scrypt(passcode, Buffer.from(salt, 'hex'), 32);
+  return { salt, hash: derived.toString('hex') };
+}
+
+/**
+ * Store images under a new code
+ * @param {Array<{imageHash: string, mediaType: string, imageSize: number, privacy: Object}>} images - Already stored blobs
+ * @param {Object} options - See readScanOptions
+ * @returns {Promise<{code: string, url: string, expiresAt: string}>}
+ * @throws {ScanError} TOO_MANY_IMAGES, NO_CODE_AVAILABLE
+ */
+async function createScan(images, { ttl = DEFAULT_TTL, once = false, passcode = null } = {}) {
+  if (images.length > MAX_IMAGES) {
+    throw new ScanError('TOO_MANY_IMAGES', `A scan holds up to ${MAX_IMAGES} images`);
+  }
+  ttl = Math.min(ttl, ttlLimit());
+
+  const now = Date.now();
+  const record = {
+    images,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl * 1000).toISOString(),
+    once,
+    passcode: passcode ? await hashPasscode(passcode) : null,
+    failedAttempts: 0,
+  };
+
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const code = randomCode(CODE_LENGTH + Math.floor(attempt / 2));
+    if (await getDriver().create(scanKey(code), record, ttl)) {
+      return { code, url: scanUrl(code), expiresAt: record.expiresAt };
+    }
+    console.warn(`[Scan] Code collision on ${code} (attempt ${attempt + 1})`);
+  }
+  throw new ScanError('NO_CODE_AVAILABLE', 'Could not allocate a scan code, please retry');
+}
+
+/**
+ * Count a wrong passcode, deleting the scan once it has had too many
+ * @returns {Promise<number>} Attempts left
+ */
+async function recordFailedAttempt(code) {
+  const driver = getDriver();
+  for (;;) {
+    const scan = await driver.get(scanKey(code));
+    if (!scan) return 0;
+    const failedAttempts = (scan.failedAttempts || 0) + 1;
+    if (failedAttempts >= MAX_PASSCODE_ATTEMPTS) {
+      await driver.delete(scanKey(code));
+      console.warn(`[Scan] ${code} deleted after ${failedAttempts} wrong passcodes`);
+      return 0;
+    }
+    try {
+      // Conditional, so parallel guesses can't share one increment
+      await driver.update(scanKey(code), { failedAttempts }, { expectedVersion: scan.version });
+      return MAX_PASSCODE_ATTEMPTS - failedAttempts;
+    } catch (error) {
+      if (!(error instanceof ConcurrencyError)) throw error;
+    }
+  }
+}
+
+/**
+ * Open a scan for viewing: check its passcode, load what the viewer gets,
+ * and only then use the scan up if it's one-time, so a load that fails
+ * leaves it for another try
+ * @param {string} code
+ * @param {Object} options
+ * @param {string} options.passcode - What the viewer sent, if anything
+ * @param {Function} options.load - Called with the scan record; its result is returned
+ * @returns {Promise<{scan: Object, loaded: *}>} The scan record and what load returned
+ * @throws {ScanError} NOT_FOUND, PASSCODE_REQUIRED, INVALID_PASSCODE
+ */
+async function openScan(code, { passcode, load = async () => null } = {}) {
+  const driver = getDriver();
+  const scan = isValidCode(code) ? await driver.get(scanKey(code)) : null;
+  if (!scan) {
+    throw new ScanError('NOT_FOUND', 'This code is unknown, expired or already viewed');
+  }
+
+  if (scan.passcode) {
+    if (!passcode) {
+      throw new ScanError('PASSCODE_REQUIRED', 'This scan is protected by a passcode');
+    }
+    const { hash } = await hashPasscode(String(passcode), scan.passcode.salt);
+    if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(scan.passcode.hash, 'hex'))) {
+      const left = await recordFailedAttempt(code);
+      throw new ScanError(left > 0 ? 'INVALID_PASSCODE' : 'NOT_FOUND', left > 0
+        ? `Wrong passcode, ${left} attempt${left === 1 ? '' : 's'} left`
+        : 'Too many wrong passcodes; the scan has been deleted');
+    }
+  }
+
+  const loaded = await load(scan);
+
+  if (scan.once && !(await driver.delete(scanKey(code)))) {
+    throw new ScanError('NOT_FOUND', 'This code is unknown, expired or already viewed');
+  }
+  return { scan, loaded };
+}
+
+module.exports = {
+  ScanError,
+  MAX_IMAGES,
+  scanUrl,
+  readScanOptions,
+  createScan,
+  openScan,
+};
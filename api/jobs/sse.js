@@ -0,0 +1,92 @@
+/**
+ * Server-Sent Events helper for job stream endpoints
+ *
+ * Events replayed from a job's log carry their log id, so browsers send it
+ * back as Last-Event-ID when EventSource reconnects.
+ */
+
+// How long EventSource waits before reconnecting
+const RECONNECT_MS = 2000;
+
+/**
+ * Read the id of the last event a reconnecting client saw.
+ * EventSource sends the Last-Event-ID header; clients that reconnect by hand
+ * can pass ?lastEventId= instead.
+ * @param {Object} req - Express request
+ * @returns {number} 0 if the client is starting fresh
+ */
+function getLastEventId(req) {
+  const value = req.headers['last-event-id'] || req.query.lastEventId;
+  const id = parseInt(value, 10);
+  return Number.isFinite(id) && id > 0 ? id : 0;
+}
+
+/**
+ * Open an SSE response with anti-buffering headers and keep-alive pings
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.tag - Log prefix
+ * @param {number} options.keepAliveMs - Interval between keep-alive comments
+ * @returns {{send: Function, onClose: Function, end: Function}} send(event, data, id?)
+ */
+function openEventStream(res, { tag = 'SSE', keepAliveMs = 15000 } = {}) {
+  // Headers to prevent Vercel/nginx buffering
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('Transfer-Encoding', 'chunked');
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  let closed = false;
+  const closeHandlers = [];
+
+  const isWritable = () => !closed && !res.writableEnded && !res.destroyed;
+
+  // Send a comment periodically to keep the connection alive
+  const keepAlive = setInterval(() => {
+    if (!isWritable()) return;
+    res.write(': keep-alive\n\n');
+    if (res.flush) res.flush();
+  }, keepAliveMs);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepAlive);
+    closeHandlers.forEach((handler) => handler());
+  });
+
+  return {
+    send(event, data, id) {
+      if (!isWritable()) {
+        console.log(`[${tag}] Skipping ${event} event - stream already closed`);
+        return;
+      }
+      try {
+        if (id !== undefined) res.write(`id: ${id}\n`);
+        res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+        // Force flush for Vercel
+        if (res.flush) res.flush();
+      } catch (err) {
+        console.error(`[${tag}] Error sending ${event} event:`, err.message);
+        this.end();
+      }
+    },
+
+    onClose(handler) {
+      closeHandlers.push(handler);
+    },
+
+    end() {
+      clearInterval(keepAlive);
+      if (!res.writableEnded && !res.destroyed) {
+        res.end();
+      }
+    },
+  };
+}
+
+module.exports = { openEventStream, getLastEventId };
@@ -0,0 +1,195 @@
+/**
+ * Job State Machine
+ *
+ * The analysis and GIUE lifecycles as explicit state machines: which status
+ * may follow which, and the progress and message each status starts at.
+ * storage.mutateJob checks every status change against these, so a job
+ * can't slip from `completed` back to `processing`.
+ *
+ * Beyond each status's listed successors, any unfinished job may:
+ * - stay in its status (progress-only updates)
+ * - fail or be cancelled
+ * - go back to `queued` when a new worker takes over from a dead one
+ */
+
+// Analysis job statuses, in order of progression
+const JOB_STATUS = {
+  QUEUED: 'queued',           // Image uploaded, waiting to start
+  PROCESSING: 'processing',   // Job started, preparing request
+  WAITING_LLM: 'waiting_llm', // Waiting for LLM to start responding
+  STREAMING: 'streaming',     // LLM is streaming tokens
+  COMPLETED: 'completed',     // Analysis complete
+  FAILED: 'failed',           // Error occurred
+  CANCELLED: 'cancelled',     // Stopped by the user
+};
+
+// GIUE job statuses
+const GIUE_STATUS = {
+  QUEUED: 'queued',
+  ANALYZING: 'analyzing',
+  GENERATING: 'generating',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Both lifecycles end in these
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Progress checkpoints that fall between statuses
+const PROGRESS_STEPS = {
+  READING_TEXT: 3,  // Analysis: local OCR started
+  COMPRESSING: 5,   // Analysis: lazy compression started
+  COMPRESSED: 15,   // Analysis: lazy compression done
+  WAITING_MAX: 45,  // Analysis: ceiling for the "still waiting" ramp before the first token
+};
+
+// Per status: starting progress (omitted = keep the current one), default message, successors
+const LIFECYCLES = {
+  analysis: {
+    [JOB_STATUS.QUEUED]: { progress: 0, message: 'Image uploaded, waiting to process...', next: [JOB_STATUS.PROCESSING] },
+    // A cached answer (see ./cache) completes without asking the model
+    [JOB_STATUS.PROCESSING]: { progress: 10, message: 'Starting AI analysis...', next: [JOB_STATUS.WAITING_LLM, JOB_STATUS.COMPLETED] },
+    // An empty answer goes straight to completed without streaming
+    [JOB_STATUS.WAITING_LLM]: { progress: 30, message: 'Waiting for the AI to respond...', next: [JOB_STATUS.STREAMING, JOB_STATUS.COMPLETED] },
+    [JOB_STATUS.STREAMING]: { progress: 50, message: 'Analyzing your image...', next: [JOB_STATUS.COMPLETED] },
+    [JOB_STATUS.COMPLETED]: { progress: 100, message: 'Analysis complete!', next: [] },
+    [JOB_STATUS.FAILED]: { progress: 0, message: 'Analysis failed', next: [] },
+    [JOB_STATUS.CANCELLED]: { message: 'Analysis cancelled', next: [] },
+  },
+  giue: {
+    [GIUE_STATUS.QUEUED]: { progress: 0, message: 'Image uploaded, waiting to process...', next: [GIUE_STATUS.ANALYZING, GIUE_STATUS.GENERATING] },
+    [GIUE_STATUS.ANALYZING]: { progress: 5, message: 'Analyzing screenshot...', next: [GIUE_STATUS.GENERATING] },
+    [GIUE_STATUS.GENERATING]: { progress: 10, message: 'Generating visual interface...', next: [GIUE_STATUS.COMPLETED] },
+    [GIUE_STATUS.COMPLETED]: { progress: 100, message: 'Canvas ready!', next: [] },
+    [GIUE_STATUS.FAILED]: { progress: 0, message: 'Generation failed', next: [] },
+    [GIUE_STATUS.CANCELLED]: { message: 'Generation cancelled', next: [] },
+  },
+};
+
+// Targets every unfinished status may move to
+const ALWAYS_ALLOWED = ['queued', 'failed', 'cancelled'];
+
+/**
+ * Thrown when a write would move a job to a status its lifecycle doesn't allow
+ */
+class InvalidTransitionError extends Error {
+  constructor(jobId, from, to) {
+    super(`Job ${jobId} can't go from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.jobId = jobId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Get the lifecycle a job follows
+ * @param {Object} job
+ * @returns {Object}
+ */
+function lifecycleFor(job) {
+  return LIFECYCLES[job.type || 'analysis'] || LIFECYCLES.analysis;
+}
+
+/**
+ * Whether a status ends its job
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Whether a job may move from its current status to another
+ * @param {Object} job
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(job, to) {
+  const lifecycle = lifecycleFor(job);
+  const from = job.status;
+
+  if (!lifecycle[to] || isTerminal(from)) return false;
+  if (to === from || ALWAYS_ALLOWED.includes(to)) return true;
+  return !!lifecycle[from]?.next.includes(to);
+}
+
+/**
+ * Throw unless a job may move to a status
+ * @param {Object} job
+ * @param {string} to
+ * @throws {InvalidTransitionError}
+ */
+function assertTransition(job, to) {
+  if (!canTransition(job, to)) {
+    throw new InvalidTransitionError(job.id, job.status, to);
+  }
+}
+
+/**
+ * Build the fields for moving a job into a status, with that status's
+ * default progress and message
+ * @param {Object} job - The job (only its type is used)
+ * @param {string} status
+ * @param {Object} overrides - Extra fields, or replacements for the defaults
+ * @returns {Object}
+ */
+function enterStatus(job, status, overrides = {}) {
+  const state = lifecycleFor(job)[status] || {};
+  return {
+    status,
+    ...(state.progress !== undefined ? { progress: state.progress } : {}),
+    progressMessage: state.message,
+    ...overrides,
+  };
+}
+
+/**
+ * Default message for a job's current status
+ * @param {Object} job
+ * @returns {string|undefined}
+ */
+function statusMessage(job) {
+  return lifecycleFor(job)[job.status]?.message;
+}
+
+/**
+ * Summarize a job's event log as the statuses it went through and how
+ * long it spent in each (progress-only updates don't start a new entry)
+ * @param {Object[]} events - Logged events, with `at` timestamps
+ * @returns {Array<{status: string, enteredAt: string, leftAt: string|null, durationMs: number|null}>}
+ */
+function buildTimeline(events) {
+  const timeline = [];
+  for (const { event, data, at } of events) {
+    if (event !== 'status' || !at) continue;
+
+    const current = timeline[timeline.length - 1];
+    if (current?.status === data.status) continue;
+    if (current) {
+      current.leftAt = at;
+      current.durationMs = Date.parse(at) - Date.parse(current.enteredAt);
+    }
+    timeline.push({ status: data.status, enteredAt: at, leftAt: null, durationMs: null });
+  }
+  return timeline;
+}
+
+module.exports = {
+  JOB_STATUS,
+  GIUE_STATUS,
+  TERMINAL_STATUSES,
+  PROGRESS_STEPS,
+  LIFECYCLES,
+  InvalidTransitionError,
+  lifecycleFor,
+  isTerminal,
+  canTransition,
+  assertTransition,
+  enterStatus,
+  statusMessage,
+  buildTimeline,
+};
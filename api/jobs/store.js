@@ -0,0 +1,399 @@
+/**
+ * Job Store
+ *
+ * Job-level storage API on top of the configured storage driver
+ * (see api/storage/index.js), plus a process-local change feed so
+ * stream endpoints can react to writes without waiting for their next poll.
+ *
+ * Each job also has a numbered, timestamped event log (`events:<jobId>`,
+ * an append-only driver log) that stream endpoints replay from, so a client that reconnects with
+ * Last-Event-ID picks up exactly where it left off. Status changes are
+ * logged here automatically; the worker appends streamed tokens.
+ *
+ * Jobs are also listed in sorted indexes by creation time (all jobs, and
+ * one per job type) so they can be paged and searched on any driver
+ * without scanning the keyspace. Entries for jobs that have expired are
+ * dropped when a search runs into them.
+ */
+
+const { EventEmitter } = require('events');
+const { getDriver, ConcurrencyError } = require('../storage');
+const { assertTransition } = require('./state');
+
+// Emits `change` with (jobId, job) after every write made by this process
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const notify = (jobId, job) => {
+  jobEvents.emit('change', jobId, job);
+};
+
+// Sorted indexes of job ids, scored by creation time
+const JOB_INDEX = 'jobs';
+const JOB_TYPES = ['analysis', 'giue'];
+const typeIndex = (type) => `jobs:type:${type}`;
+const ALL_JOB_INDEXES = [JOB_INDEX, ...JOB_TYPES.map(typeIndex)];
+
+// Jobs live for an hour; index entries older than this are trimmed on write
+const INDEX_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on index entries one search page may read
+const SEARCH_SCAN_LIMIT = 1000;
+const SEARCH_BATCH_SIZE = 100;
+
+/**
+ * Thrown when a search cursor can't be decoded
+ */
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+    this.code = 'INVALID_CURSOR';
+  }
+}
+
+// Cursors point just past the last entry read: the score it had and how many
+// entries with exactly that score have been consumed
+const encodeCursor = ({ max, skip }) => Buffer.from(JSON.stringify([max, skip])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [max, skip] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isFinite(max) && Number.isInteger(skip) && skip >= 0) {
+      return { max, skip };
+    }
+  } catch {
+    // Fall through
+  }
+  throw new InvalidCursorError();
+};
+
+/**
+ * Check a job against search filters
+ */
+const matchesSearch = (job, { statuses, query }) => {
+  if (statuses && !statuses.includes(job.status)) return false;
+  if (query) {
+    const needle = query.toLowerCase();
+    const haystack = `${job.id} ${job.question || ''}`.toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+  return true;
+};
+
+// Events that end a job's stream
+const FINAL_EVENTS = ['complete', 'error', 'cancelled'];
+
+/**
+ * Build the log events implied by a write to a job
+ * @param {Object} fields - Fields that were written
+ * @param {Object} job - The job after the write
+ * @returns {Array<{event: string, data: Object}>}
+ */
+const statusEventsFor = (fields, job) => {
+  if (!('status' in fields || 'progress' in fields || 'progressMessage' in fields)) {
+    return [];
+  }
+
+  const events = [{
+    event: 'status',
+    data: { status: job.status, progress: job.progress || 0, message: job.progressMessage },
+  }];
+  if (fields.status === 'completed') {
+    events.push({ event: 'complete', data: {} });
+  } else if (fields.status === 'failed') {
+    events.push({ event: 'error', data: { message: job.error || 'Job failed' } });
+  } else if (fields.status === 'cancelled') {
+    events.push({ event: 'cancelled', data: { message: job.progressMessage || 'Job cancelled' } });
+  }
+  return events;
+};
+
+/**
+ * Write fields to a job and log the events they imply. Doesn't check
+ * status transitions: callers do that first.
+ */
+const writeJob = async (jobId, updates, options) => {
+  const updated = await getDriver().update(`job:${jobId}`, updates, options);
+  if (updated) {
+    const events = statusEventsFor(updates, updated);
+    if (events.length > 0) {
+      await storage.appendJobEvents(jobId, events);
+    }
+    notify(jobId, updated);
+  }
+  return updated;
+};
+
+const storage = {
+  async setJob(jobId, data, ttl = 3600) {
+    await getDriver().set(`job:${jobId}`, data, ttl);
+    await this.indexJob(jobId, data);
+    if (data.webhook) {
+      await this.markWebhook(jobId, ttl);
+    }
+    const events = statusEventsFor(data, data);
+    if (events.length > 0) {
+      // A new job starts a new log, which expires with it
+      await getDriver().delete(`events:${jobId}`);
+      await this.appendJobEvents(jobId, events, ttl);
+    }
+    notify(jobId, data);
+  },
+  
+  async getJob(jobId) {
+    return getDriver().get(`job:${jobId}`);
+  },
+  
+  // Field-level merge that keeps the job's original expiry.
+  // Pass { expectedVersion: job.version } to fail with ConcurrencyError if
+  // someone else wrote the job since it was read.
+  // Throws InvalidTransitionError if the update changes status illegally.
+  async updateJob(jobId, updates, options = {}) {
+    // Status changes are checked against the current status (see ./state),
+    // which takes a consistent read, so they go through mutateJob
+    if ('status' in updates && options.expectedVersion === undefined) {
+      return this.mutateJob(jobId, () => updates);
+    }
+
+    if ('status' in updates) {
+      // Check the version the caller read; the write below only lands if
+      // it is still the current one
+      const job = await this.getJob(jobId);
+      if (!job) return null;
+      if (job.version !== options.expectedVersion) {
+        throw new ConcurrencyError(`job:${jobId}`, options.expectedVersion, job.version);
+      }
+      assertTransition(job, updates.status);
+    }
+    return writeJob(jobId, updates, options);
+  },
+
+  // Read-modify-write with optimistic concurrency: mutator(job) returns the
+  // fields to update (or null to leave the job alone) and is re-run on conflict.
+  // Throws InvalidTransitionError if the update changes status illegally.
+  async mutateJob(jobId, mutator, { retries = 5 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const job = await this.getJob(jobId);
+      if (!job) return null;
+
+      const updates = mutator(job);
+      if (!updates) return job;
+      if ('status' in updates) {
+        assertTransition(job, updates.status);
+      }
+
+      try {
+        return await writeJob(jobId, updates, { expectedVersion: job.version });
+      } catch (error) {
+        if (!(error instanceof ConcurrencyError) || attempt >= retries) throw error;
+        console.log(`[Storage] Version conflict on job ${jobId}, retrying (${attempt + 1}/${retries})`);
+      }
+    }
+  },
+
+  async deleteJob(jobId) {
+    await getDriver().delete(`events:${jobId}`);
+    await getDriver().delete(`queue:${jobId}`);
+    await getDriver().delete(`webhook:${jobId}`);
+    for (const index of ALL_JOB_INDEXES) {
+      await getDriver().indexRemove(index, [jobId]);
+    }
+    return getDriver().delete(`job:${jobId}`);
+  },
+
+  /**
+   * Add a job to the listing indexes and trim entries past retention
+   * @param {string} jobId
+   * @param {Object} job
+   */
+  async indexJob(jobId, job) {
+    const score = Date.parse(job.createdAt) || Date.now();
+    const cutoff = Date.now() - INDEX_RETENTION_MS;
+    for (const index of [JOB_INDEX, typeIndex(job.type || 'analysis')]) {
+      await getDriver().indexAdd(index, jobId, score);
+      await getDriver().indexTrim(index, cutoff);
+    }
+  },
+
+  /**
+   * Page through jobs newest-first. Pages can come back short when many
+   * entries don't match; keep following nextCursor until it's null.
+   * @param {Object} options
+   * @param {string} options.type - 'analysis' or 'giue'
+   * @param {string[]} options.statuses - Only jobs in one of these statuses
+   * @param {number} options.from - Earliest creation time (ms)
+   * @param {number} options.to - Latest creation time (ms)
+   * @param {string} options.query - Text to find in the job id or question (case-insensitive)
+   * @param {string} options.cursor - nextCursor from the previous page (pass the same filters again)
+   * @param {number} options.limit - Maximum jobs to return
+   * @returns {Promise<{jobs: Object[], nextCursor: string|null}>}
+   * @throws {InvalidCursorError} If the cursor can't be decoded
+   */
+  async searchJobs({ type, statuses, from, to, query, cursor, limit = 20 } = {}) {
+    const index = type ? typeIndex(type) : JOB_INDEX;
+    const min = from ?? -Infinity;
+    let position = cursor ? decodeCursor(cursor) : { max: to ?? Number.MAX_SAFE_INTEGER, skip: 0 };
+    const jobs = [];
+    let scanned = 0;
+    let exhausted = false;
+
+    while (jobs.length < limit && scanned < SEARCH_SCAN_LIMIT) {
+      const batch = await getDriver().indexRange(index, {
+        min,
+        max: position.max,
+        offset: position.skip,
+        limit: SEARCH_BATCH_SIZE,
+      });
+      const records = await Promise.all(batch.map(({ member }) => this.getJob(member)));
+
+      // Drop entries for expired jobs before the next read, so offsets stay true
+      const stale = batch.filter((entry, i) => !records[i]).map(({ member }) => member);
+      if (stale.length > 0) {
+        for (const name of ALL_JOB_INDEXES) {
+          await getDriver().indexRemove(name, stale);
+        }
+      }
+
+      let consumed = 0;
+      for (let i = 0; i < batch.length && jobs.length < limit; i++) {
+        consumed++;
+        const record = records[i];
+        if (!record) continue;
+
+        const { score } = batch[i];
+        position = score === position.max
+          ? { max: score, skip: position.skip + 1 }
+          : { max: score, skip: 1 };
+        if (matchesSearch(record, { statuses, query })) {
+          jobs.push(record);
+        }
+      }
+      scanned += consumed;
+
+      if (batch.length < SEARCH_BATCH_SIZE && consumed === batch.length) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    return {
+      jobs,
+      nextCursor: exhausted ? null : encodeCursor(position),
+    };
+  },
+
+  /**
+   * Append events to a job's log, numbering them after the last one.
+   * A missing log (it expired, or predates event logging) is started
+   * again with the job's remaining TTL unless a ttl is passed.
+   * @param {string} jobId
+   * @param {Array<{event: string, data: Object}>} events
+   * @param {number} ttl - Time to live for a log this creates, in seconds
+   * @returns {Promise<Object[]>} The appended events with their ids and timestamps
+   */
+  async appendJobEvents(jobId, events, ttl) {
+    const key = `events:${jobId}`;
+    const at = new Date().toISOString();
+    const entries = events.map((event) => ({ at, ...event }));
+
+    let length = await getDriver().logAppend(key, entries, ttl);
+    if (length === null) {
+      const jobTtl = await getDriver().ttl(`job:${jobId}`);
+      // Nothing to log against once the job itself is gone
+      if (jobTtl === null) return [];
+      length = await getDriver().logAppend(key, entries, jobTtl);
+    }
+
+    jobEvents.emit('change', jobId);
+    const firstId = length - entries.length + 1;
+    return entries.map((entry, i) => ({ id: firstId + i, ...entry }));
+  },
+
+  /**
+   * Read a job's logged events after a given id. Ids are positions in the
+   * log, counting from 1.
+   * @param {string} jobId
+   * @param {number} afterId - Last event id the reader has seen
+   * @returns {Promise<Object[]|null>} Events, or null if the job has no log
+   */
+  async getJobEvents(jobId, afterId = 0) {
+    const entries = await getDriver().logRead(`events:${jobId}`, afterId);
+    return entries && entries.map((entry, i) => ({ id: afterId + i + 1, ...entry }));
+  },
+
+  async expireJob(jobId, ttl) {
+    await getDriver().expire(`events:${jobId}`, ttl);
+    return getDriver().expire(`job:${jobId}`, ttl);
+  },
+
+  // Batches group jobs submitted together; the jobs themselves are ordinary
+  // jobs with a batchId (see ./batch)
+  async setBatch(batchId, data, ttl = 3600) {
+    await getDriver().set(`batch:${batchId}`, data, ttl);
+  },
+
+  async getBatch(batchId) {
+    return getDriver().get(`batch:${batchId}`);
+  },
+
+  // Same contract as mutateJob
+  async mutateBatch(batchId, mutator, { retries = 5 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const batch = await this.getBatch(batchId);
+      if (!batch) return null;
+
+      const updates = mutator(batch);
+      if (!updates) return batch;
+
+      try {
+        return await getDriver().update(`batch:${batchId}`, updates, { expectedVersion: batch.version });
+      } catch (error) {
+        if (!(error instanceof ConcurrencyError) || attempt >= retries) throw error;
+      }
+    }
+  },
+
+  // Queue markers are tiny records next to the job, so workers can find
+  // pending work by listing keys without loading every job
+  async enqueueJob(jobId, ttl = 3600) {
+    await getDriver().set(`queue:${jobId}`, { jobId, enqueuedAt: new Date().toISOString() }, ttl);
+    jobEvents.emit('enqueue', jobId);
+  },
+
+  async isQueued(jobId) {
+    return (await getDriver().get(`queue:${jobId}`)) !== null;
+  },
+
+  async dequeueJob(jobId) {
+    return getDriver().delete(`queue:${jobId}`);
+  },
+
+  async listQueuedJobIds() {
+    const keys = await getDriver().list('queue:');
+    return keys.map((key) => key.slice('queue:'.length));
+  },
+
+  // Webhook markers list jobs whose callback hasn't been settled yet, so a
+  // dispatcher can finish deliveries another process left behind
+  async markWebhook(jobId, ttl = 3600) {
+    await getDriver().set(`webhook:${jobId}`, { jobId }, ttl);
+  },
+
+  async unmarkWebhook(jobId) {
+    return getDriver().delete(`webhook:${jobId}`);
+  },
+
+  async listWebhookJobIds() {
+    const keys = await getDriver().list('webhook:');
+    return keys.map((key) => key.slice('webhook:'.length));
+  },
+};
+
+module.exports = {
+  storage,
+  jobEvents,
+  FINAL_EVENTS,
+  JOB_TYPES,
+  InvalidCursorError,
+};
@@ -0,0 +1,97 @@
+/**
+ * Job Tailing
+ *
+ * Follows a job's event log for stream endpoints. Re-reads the log when
+ * this process writes it (via jobEvents) and on a poll interval, so
+ * progress made by a worker in another process still shows up.
+ */
+
+const { storage, jobEvents, FINAL_EVENTS } = require('./store');
+
+/**
+ * Call onEvent for each logged event after `afterId`, in order, until the
+ * job's stream ends (complete/error) or stop() is called
+ * @param {string} jobId
+ * @param {Object} options
+ * @param {number} options.afterId - Last event id the client has already seen
+ * @param {Function} options.onEvent - Called with { id, event, data }
+ * @param {number} options.pollMs - Poll interval for cross-process updates
+ * @returns {{finished: Promise<void>, stop: Function}}
+ */
+function tailJob(jobId, { afterId = 0, onEvent, pollMs = 500 }) {
+  let cursor = afterId;
+  let stopped = false;
+  let reading = false;
+  let pending = false;
+  let firstRead = true;
+  let resolveFinished;
+  const finished = new Promise((resolve) => { resolveFinished = resolve; });
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(timer);
+    jobEvents.off('change', onJobChange);
+    resolveFinished();
+  };
+
+  const check = async () => {
+    if (stopped) return;
+    if (reading) {
+      pending = true;
+      return;
+    }
+
+    reading = true;
+    try {
+      const events = await storage.getJobEvents(jobId, cursor);
+      if (stopped) return;
+
+      if (!events) {
+        // No log: either the job is gone or it hasn't been written yet
+        if (!await storage.getJob(jobId)) {
+          onEvent({ event: 'error', data: { message: 'Job not found' } });
+          stop();
+        }
+        return;
+      }
+
+      if (firstRead && events.length === 0 && cursor > 0) {
+        // Resuming at the very end of a finished stream: repeat the final
+        // event so the client closes instead of waiting forever
+        const last = (await storage.getJobEvents(jobId, cursor - 1))[0];
+        if (last && FINAL_EVENTS.includes(last.event)) events.push(last);
+      }
+      firstRead = false;
+
+      for (const event of events) {
+        cursor = event.id;
+        await onEvent(event);
+        if (stopped || FINAL_EVENTS.includes(event.event)) {
+          stop();
+          return;
+        }
+      }
+    } catch (error) {
+      console.error(`[Tail] Failed to read events for job ${jobId}:`, error.message);
+    } finally {
+      reading = false;
+      if (pending && !stopped) {
+        pending = false;
+        check();
+      }
+    }
+  };
+
+  const onJobChange = (changedId) => {
+    if (changedId === jobId) check();
+  };
+
+  const timer = setInterval(check, pollMs);
+  jobEvents.on('change', onJobChange);
+  check();
+
+  return { finished, stop };
+}
+
+module.exports = { tailJob };
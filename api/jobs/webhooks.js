@@ -0,0 +1,401 @@
+/**
+ * Job Webhooks
+ *
+ * Jobs created with a `callbackUrl` get a POST with their result when they
+ * complete or fail, for callers that can't hold a stream open. With a
+ * `callbackSecret` the payload is signed:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Failed deliveries (network errors, timeouts, 408/429/5xx) are retried
+ * with exponential backoff; every attempt is recorded on job.webhook.
+ *
+ * Callback URLs come from clients, so they're held to the same address
+ * rules as remote image fetches (see api/images/fetch.js): private,
+ * loopback, link-local and reserved addresses are refused when the job is
+ * created and again on every connection. Set WEBHOOK_ALLOW_PRIVATE=true (or
+ * to a list of addresses) for receivers on a local network.
+ *
+ * The dispatcher watches this process's job writes (see jobEvents in
+ * ./store), so it runs wherever the worker that finishes the job runs.
+ * Each attempt is claimed with a compare-and-set and a short lease, so it's
+ * sent once even if several dispatchers see the same write. Jobs with a
+ * callback carry a `webhook:<jobId>` marker until it's settled, and every
+ * WEBHOOK_SWEEP_MS the dispatcher picks up deliveries that are due: retries
+ * whose process went away, and attempts whose lease ran out mid-send.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { storage, jobEvents } = require('./store');
+const { FetchError, parseAllowPrivate, createGuardedLookup, checkHost } = require('../images/fetch');
+
+// Statuses that trigger a callback
+const WEBHOOK_STATUSES = ['completed', 'failed'];
+
+const MAX_URL_LENGTH = 2048;
+const MAX_SECRET_LENGTH = 256;
+
+// Ceiling for the backoff between attempts
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// How long past the request timeout an attempt's claim outlives a crash
+const CLAIM_MARGIN_MS = 30 * 1000;
+
+const ALLOW_PRIVATE = parseAllowPrivate(process.env.WEBHOOK_ALLOW_PRIVATE);
+const guardedLookup = createGuardedLookup(ALLOW_PRIVATE);
+
+/**
+ * Validate the callback fields of a job request
+ * @param {Object} body - Request body ({ callbackUrl, callbackSecret })
+ * @returns {{webhook: Object|null, error: string|null}} webhook is null when no callback was asked for
+ */
+function parseCallback(body = {}) {
+  const { callbackUrl, callbackSecret } = body;
+
+  if (callbackUrl === undefined || callbackUrl === '') {
+    if (callbackSecret !== undefined && callbackSecret !== '') {
+      return { webhook: null, error: 'callbackSecret requires a callbackUrl' };
+    }
+    return { webhook: null, error: null };
+  }
+
+  if (typeof callbackUrl !== 'string' || callbackUrl.length > MAX_URL_LENGTH) {
+    return { webhook: null, error: `callbackUrl must be a URL of at most ${MAX_URL_LENGTH} characters` };
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    return { webhook: null, error: 'callbackUrl is not a valid URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { webhook: null, error: 'callbackUrl must use http or https' };
+  }
+  try {
+    checkHost(url, ALLOW_PRIVATE);
+  } catch (error) {
+    if (!(error instanceof FetchError)) throw error;
+    return { webhook: null, error: `callbackUrl must be public: ${error.message}` };
+  }
+
+  if (callbackSecret !== undefined && (typeof callbackSecret !== 'string' || callbackSecret.length > MAX_SECRET_LENGTH)) {
+    return { webhook: null, error: `callbackSecret must be a string of at most ${MAX_SECRET_LENGTH} characters` };
+  }
+
+  return { webhook: createWebhook(url.toString(), callbackSecret || null), error: null };
+}
+
+/**
+ * Fresh delivery state for a job
+ * @param {string} url
+ * @param {string|null} secret
+ * @returns {Object}
+ */
+function createWebhook(url, secret) {
+  return {
+    url,
+    secret,
+    state: 'pending', // pending -> delivering -> delivered | failed
+    attempts: [],
+    nextAttemptAt: null,
+    claimedUntil: null,
+    deliveredAt: null,
+  };
+}
+
+/**
+ * Delivery state as shown to clients (without the secret)
+ * @param {Object} webhook
+ * @returns {Object|null}
+ */
+function describeWebhook(webhook) {
+  if (!webhook) return null;
+  const { secret, claimedUntil, ...rest } = webhook;
+  return { ...rest, signed: !!secret };
+}
+
+/**
+ * Sign a payload the way receivers are told to verify it
+ * @param {string} secret
+ * @param {string} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex digest
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * The body POSTed for a finished job
+ * @param {Object} job
+ * @returns {Object}
+ */
+function buildPayload(job) {
+  const type = job.type || 'analysis';
+  return {
+    event: `job.${job.status}`,
+    jobId: job.id,
+    type,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+    ...(type === 'analysis' ? { question: job.question || null } : {}),
+    model: job.model || null,
+    attempt: job.attempt || 1,
+    retryOf: job.retryOf || null,
+    result: job.result || null,
+    error: job.error || null,
+  };
+}
+
+/**
+ * Whether a finished job's callback can be attempted now: it hasn't been
+ * tried, or its next retry is due and no attempt holds a live claim
+ * @param {Object} job
+ * @param {number} now - Epoch milliseconds
+ * @returns {boolean}
+ */
+function isDue(job, now = Date.now()) {
+  const { webhook } = job;
+  if (!webhook || !WEBHOOK_STATUSES.includes(job.status)) return false;
+  if (webhook.state === 'pending') return true;
+  if (webhook.state !== 'delivering') return false;
+  if (webhook.claimedUntil && Date.parse(webhook.claimedUntil) > now) return false;
+  return !webhook.nextAttemptAt || Date.parse(webhook.nextAttemptAt) <= now;
+}
+
+class WebhookDispatcher {
+  constructor({ maxAttempts, retryBaseMs, timeoutMs, sweepMs } = {}) {
+    this.maxAttempts = maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseMs = retryBaseMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+    this.timeoutMs = timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.sweepMs = sweepMs || parseInt(process.env.WEBHOOK_SWEEP_MS, 10) || 15000;
+    this.delivering = new Set();
+    this.timer = null;
+    this.sweeping = false;
+    this.onChange = (jobId, job) => {
+      if (job?.webhook?.state === 'pending' && WEBHOOK_STATUSES.includes(job.status)) {
+        this.deliverQuietly(jobId);
+      }
+    };
+  }
+
+  /**
+   * Start watching for finished jobs, and sweeping for deliveries left behind
+   */
+  start() {
+    jobEvents.on('change', this.onChange);
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sweep(), this.sweepMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop watching. Deliveries in progress carry on.
+   */
+  stop() {
+    jobEvents.off('change', this.onChange);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliver in the background, logging failures
+   * @param {string} jobId
+   */
+  deliverQuietly(jobId) {
+    this.deliver(jobId).catch((error) => {
+      console.error(`[Webhook] Delivery for job ${jobId} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Send every callback that's due, and drop the markers of settled ones
+   */
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+    try {
+      for (const jobId of await storage.listWebhookJobIds()) {
+        if (this.delivering.has(jobId)) continue;
+        const job = await storage.getJob(jobId);
+        if (!job?.webhook || ['delivered', 'failed'].includes(job.webhook.state)) {
+          await storage.unmarkWebhook(jobId);
+        } else if (isDue(job)) {
+          this.deliverQuietly(jobId);
+        }
+      }
+    } catch (error) {
+      console.error('[Webhook] Sweep error:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Delay before the attempt after `attempt`
+   * @param {number} attempt - 1-based number of the attempt that just failed
+   * @returns {number}
+   */
+  retryDelay(attempt) {
+    return Math.min(this.retryBaseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Claim a finished job's callback and make its next attempt. A retry is
+   * scheduled in this process if the attempt failed, and left to the sweep
+   * if the process goes away first.
+   * @param {string} jobId
+   */
+  async deliver(jobId) {
+    if (this.delivering.has(jobId)) return;
+    this.delivering.add(jobId);
+
+    try {
+      let claimed = false;
+      const job = await storage.mutateJob(jobId, (current) => {
+        claimed = isDue(current);
+        return claimed ? {
+          webhook: {
+            ...current.webhook,
+            state: 'delivering',
+            claimedUntil: new Date(Date.now() + this.timeoutMs + CLAIM_MARGIN_MS).toISOString(),
+          },
+        } : null;
+      });
+      if (!claimed) return;
+
+      const attempt = job.webhook.attempts.length + 1;
+      const outcome = await this.send(job, attempt);
+      const done = outcome.ok || !outcome.retryable || attempt >= this.maxAttempts;
+      const delay = done ? 0 : this.retryDelay(attempt);
+
+      const updated = await storage.mutateJob(jobId, (current) => (current.webhook ? {
+        webhook: {
+          ...current.webhook,
+          state: outcome.ok ? 'delivered' : (done ? 'failed' : 'delivering'),
+          attempts: [...current.webhook.attempts, outcome.record],
+          nextAttemptAt: done ? null : new Date(Date.now() + delay).toISOString(),
+          claimedUntil: null,
+          deliveredAt: outcome.ok ? outcome.record.at : null,
+        },
+      } : null));
+
+      if (outcome.ok) {
+        console.log(`[Webhook] Delivered job ${jobId} (attempt ${attempt})`);
+      } else {
+        console.warn(`[Webhook] Attempt ${attempt} for job ${jobId} failed: ${outcome.record.error}`);
+      }
+
+      // Settled, or the job expired or was deleted meanwhile
+      if (done || !updated) {
+        await storage.unmarkWebhook(jobId);
+        return;
+      }
+      setTimeout(() => this.deliverQuietly(jobId), delay).unref();
+    } finally {
+      this.delivering.delete(jobId);
+    }
+  }
+
+  /**
+   * POST a job's payload once
+   * @param {Object} job
+   * @param {number} attempt
+   * @returns {Promise<{ok: boolean, retryable: boolean, record: Object}>}
+   */
+  async send(job, attempt) {
+    const { url, secret } = job.webhook;
+    const payload = buildPayload(job);
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'thinx-webhooks/1.0',
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Delivery': `${job.id}:${attempt}`,
+      'X-Webhook-Timestamp': timestamp,
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+    }
+
+    const at = new Date().toISOString();
+    const startTime = Date.now();
+    try {
+      const statusCode = await this.post(new URL(url), headers, body);
+      const ok = statusCode >= 200 && statusCode < 300;
+      return {
+        ok,
+        retryable: statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode),
+        record: {
+          attempt,
+          at,
+          statusCode,
+          durationMs: Date.now() - startTime,
+          error: ok ? null : `HTTP ${statusCode}`,
+        },
+      };
+    } catch (error) {
+      const blocked = error instanceof FetchError;
+      const timedOut = error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError';
+      return {
+        ok: false,
+        // The receiver's address won't become public by itself
+        retryable: !blocked,
+        record: {
+          attempt,
+          at,
+          statusCode: null,
+          durationMs: Date.now() - startTime,
+          error: timedOut ? `Timed out after ${this.timeoutMs}ms` : error.message,
+        },
+      };
+    }
+  }
+
+  /**
+   * POST a body without following redirects, connecting only to allowed
+   * addresses (see api/images/fetch.js)
+   * @param {URL} url
+   * @param {Object} headers
+   * @param {string} body
+   * @returns {Promise<number>} The response status
+   * @throws {FetchError} If the receiver's address is blocked
+   */
+  post(url, headers, body) {
+    checkHost(url, ALLOW_PRIVATE);
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_STATUSES,
+  parseCallback,
+  createWebhook,
+  describeWebhook,
+  signPayload,
+  buildPayload,
+};
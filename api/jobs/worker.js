@@ -0,0 +1,325 @@
+/**
+ * Job Worker
+ *
+ * Picks up queued jobs and runs each one exactly once. A worker claims a job
+ * by writing a lease (owner + expiry) with a compare-and-set, keeps the lease
+ * alive with heartbeats while the handler runs, and releases it when done.
+ * If a worker dies mid-job its lease expires and another worker takes over,
+ * logging a `restart` event: the new run streams its text from the start.
+ *
+ * Cancelling a job (status 'cancelled') aborts its handler: immediately if
+ * this process is running it (see cancel()), otherwise at the owning
+ * worker's next heartbeat or write.
+ *
+ * Handlers are keyed by job type ('analysis' for jobs without a type) and
+ * called as handler(job, context), where context offers:
+ * - update(updates): write fields to the job (refused once the lease is lost
+ *   or the job is cancelled)
+ * - appendText(text): append to the job's event log as `token` events,
+ *   flushed in batches (handlers write the full text when they finish)
+ * - flush(): persist any buffered text now
+ * - signal: AbortSignal that fires if the lease is lost or the job is cancelled
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { storage, jobEvents } = require('./store');
+const { TERMINAL_STATUSES, enterStatus } = require('./state');
+
+// Give up on jobs that keep taking workers down with them
+const MAX_RUNS = 3;
+
+// How often buffered tokens are written to storage
+const TEXT_FLUSH_MS = 250;
+
+class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lease lost for job ${jobId}`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobWorker {
+  constructor({ handlers, concurrency, leaseMs, pollMs } = {}) {
+    this.id = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.handlers = handlers || {};
+    this.concurrency = concurrency || parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 2;
+    this.leaseMs = leaseMs || parseInt(process.env.JOB_LEASE_MS, 10) || 30000;
+    this.pollMs = pollMs || parseInt(process.env.JOB_POLL_MS, 10) || 1000;
+    this.active = new Map();
+    this.controllers = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.onEnqueue = () => this.poll();
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollMs);
+    jobEvents.on('enqueue', this.onEnqueue);
+    console.log(`[Worker] ${this.id} started (concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  /**
+   * Stop polling. Jobs already running are left to finish.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    jobEvents.off('enqueue', this.onEnqueue);
+  }
+
+  /**
+   * Claim as many queued jobs as there are free slots
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const jobIds = await storage.listQueuedJobIds();
+      for (const jobId of jobIds) {
+        if (this.active.size >= this.concurrency) break;
+        await this.runJob(jobId, { queued: true });
+      }
+    } catch (error) {
+      console.error('[Worker] Poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Claim a job and start running it in the background.
+   * Safe to call for any job at any time: it's a no-op if the job is
+   * finished, hasn't been released to run yet (see isReleased), another
+   * worker holds a live lease on it, or this worker has no free slot.
+   * @param {string} jobId
+   * @param {Object} options
+   * @param {boolean} options.queued - The job is known to have a queue marker
+   * @returns {Promise<boolean>} Whether this worker is running the job
+   */
+  async runJob(jobId, { queued = false } = {}) {
+    if (this.active.has(jobId)) return true;
+    if (this.active.size >= this.concurrency) return false;
+
+    // Hold the slot while the job is checked and claimed
+    this.active.set(jobId, null);
+    let job = null;
+    try {
+      if (queued || await this.isReleased(jobId)) {
+        job = await this.claim(jobId);
+      }
+    } catch (error) {
+      console.error(`[Worker] Failed to claim job ${jobId}:`, error.message);
+    }
+    if (!job) {
+      this.active.delete(jobId);
+      return false;
+    }
+
+    const run = this.execute(job).finally(() => this.active.delete(jobId));
+    this.active.set(jobId, run);
+    return true;
+  }
+
+  /**
+   * Whether a job may run: it has a queue marker, or its batch's scheduler
+   * has started it. A batch's other jobs wait for their turn, however
+   * often their streams are opened.
+   * @param {string} jobId
+   * @returns {Promise<boolean>}
+   */
+  async isReleased(jobId) {
+    if (await storage.isQueued(jobId)) return true;
+
+    const job = await storage.getJob(jobId);
+    if (!job?.batchId) return false;
+    const batch = await storage.getBatch(job.batchId);
+    return Boolean(batch?.started.includes(jobId));
+  }
+
+  /**
+   * Abort a job's handler if this worker is running it. The caller is
+   * responsible for marking the job cancelled in storage.
+   * @param {string} jobId
+   * @returns {boolean} Whether a running handler was aborted
+   */
+  cancel(jobId) {
+    const controller = this.controllers.get(jobId);
+    if (!controller) return false;
+    controller.abort(new JobCancelledError(jobId));
+    return true;
+  }
+
+  /**
+   * Take the lease on a job if it's runnable
+   * @returns {Promise<Object|null>} The claimed job, or null
+   */
+  async claim(jobId) {
+    let claimed = false;
+    const job = await storage.mutateJob(jobId, (current) => {
+      claimed = false;
+      if (TERMINAL_STATUSES.includes(current.status)) return null;
+      if (current.lease && current.lease.expiresAt > Date.now()) return null;
+
+      claimed = true;
+      const runCount = (current.runCount || 0) + 1;
+      if (runCount > MAX_RUNS) {
+        return enterStatus(current, 'failed', { error: 'Job was abandoned by too many workers', lease: null });
+      }
+      return {
+        // Taking over from a dead worker: the handler starts from the top again
+        ...(current.status !== 'queued' ? enterStatus(current, 'queued') : {}),
+        lease: { owner: this.id, expiresAt: Date.now() + this.leaseMs },
+        runCount,
+      };
+    });
+
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      await storage.dequeueJob(jobId);
+      return null;
+    }
+    if (!claimed) return null;
+
+    if (job.runCount > 1) {
+      // Text streamed by the dead worker's run is in the log ahead of this
+      // one's; readers drop what they have when they reach this event
+      await storage.appendJobEvents(jobId, [{ event: 'restart', data: { run: job.runCount } }]);
+    }
+    return job;
+  }
+
+  /**
+   * Run a claimed job's handler with heartbeats, then release the lease
+   */
+  async execute(job) {
+    const jobId = job.id;
+    const controller = new AbortController();
+    this.controllers.set(jobId, controller);
+    let leaseLost = false;
+    const cancelled = () => controller.signal.reason instanceof JobCancelledError;
+
+    const heartbeat = setInterval(async () => {
+      try {
+        const current = await storage.mutateJob(jobId, (latest) => (
+          latest.lease?.owner === this.id
+            ? { lease: { owner: this.id, expiresAt: Date.now() + this.leaseMs } }
+            : null
+        ));
+        if (current?.status === 'cancelled') {
+          controller.abort(new JobCancelledError(jobId));
+        } else if (current?.lease?.owner !== this.id) {
+          leaseLost = true;
+          controller.abort(new LeaseLostError(jobId));
+        }
+      } catch (error) {
+        console.error(`[Worker] Heartbeat failed for job ${jobId}:`, error.message);
+      }
+    }, Math.floor(this.leaseMs / 3));
+
+    // Token buffering so every token isn't a storage write
+    let bufferedText = '';
+    let flushTimer = null;
+
+    const update = async (updates) => {
+      if (leaseLost) throw new LeaseLostError(jobId);
+      if (cancelled()) throw controller.signal.reason;
+
+      // Never write over a cancellation made elsewhere
+      let wasCancelled = false;
+      const updated = await storage.mutateJob(jobId, (current) => {
+        wasCancelled = current.status === 'cancelled';
+        return wasCancelled ? null : updates;
+      });
+      if (wasCancelled) {
+        controller.abort(new JobCancelledError(jobId));
+        throw controller.signal.reason;
+      }
+      return updated;
+    };
+
+    // Flushes are chained so a timer flush and an explicit one never log the same chunk
+    let flushing = Promise.resolve();
+    const flush = () => {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      flushing = flushing.catch(() => {}).then(async () => {
+        if (!bufferedText) return;
+        if (leaseLost) throw new LeaseLostError(jobId);
+        if (cancelled()) throw controller.signal.reason;
+
+        // Only the new text is appended; the log is never rewritten
+        const text = bufferedText;
+        await storage.appendJobEvents(jobId, [{ event: 'token', data: { text } }]);
+        bufferedText = bufferedText.slice(text.length);
+      });
+      return flushing;
+    };
+
+    const context = {
+      signal: controller.signal,
+      update,
+      flush,
+      appendText(text) {
+        bufferedText += text;
+        if (!flushTimer) {
+          flushTimer = setTimeout(() => {
+            flush().catch((error) => {
+              if (!controller.signal.aborted) {
+                console.error(`[Worker] Flush failed for job ${jobId}:`, error.message);
+              }
+            });
+          }, TEXT_FLUSH_MS);
+        }
+      },
+    };
+
+    const type = job.type || 'analysis';
+    console.log(`[Worker] Running ${type} job ${jobId} (run ${job.runCount})`);
+
+    try {
+      const handler = this.handlers[type];
+      if (!handler) {
+        throw new Error(`No handler for job type: ${type}`);
+      }
+      await handler(job, context);
+      await flush();
+    } catch (error) {
+      if (error instanceof LeaseLostError || leaseLost) {
+        console.warn(`[Worker] Lost lease on job ${jobId}, abandoning`);
+        return;
+      }
+      if (error instanceof JobCancelledError || cancelled()) {
+        console.log(`[Worker] Job ${jobId} cancelled`);
+      } else {
+        console.error(`[Worker] Job ${jobId} failed:`, error.message);
+        // Safety net: handlers normally record their own failures
+        await storage.mutateJob(jobId, (current) => (
+          TERMINAL_STATUSES.includes(current.status) ? null : enterStatus(current, 'failed', { error: error.message })
+        )).catch(() => {});
+      }
+    } finally {
+      clearInterval(heartbeat);
+      clearTimeout(flushTimer);
+      this.controllers.delete(jobId);
+    }
+
+    await storage.mutateJob(jobId, (current) => (
+      current.lease?.owner === this.id ? { lease: null } : null
+    )).catch((error) => console.error(`[Worker] Failed to release job ${jobId}:`, error.message));
+    await storage.dequeueJob(jobId);
+  }
+}
+
+module.exports = { JobWorker, LeaseLostError, JobCancelledError, TERMINAL_STATUSES };
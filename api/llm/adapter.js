@@ -6,6 +6,31 @@
  */
 
 class LLMAdapter {
+  /**
+   * Limits and costs of the images this provider takes (see
+   * api/images/prepare.js). Subclasses override it with their provider's numbers.
+   * @type {{
+   *   name: string,
+   *   maxBytes: number,
+   *   maxRequestBytes: number,
+   *   maxLongEdge: number,
+   *   maxPixels: number|null,
+   *   preferredFormat: string,
+   *   acceptedTypes: string[],
+   *   estimateTokens: (width: number, height: number) => number|null,
+   * }}
+   */
+  static imageProfile = {
+    name: 'default',
+    maxBytes: 5 * 1024 * 1024,
+    maxRequestBytes: 15 * 1024 * 1024,
+    maxLongEdge: 2048,
+    maxPixels: null,
+    preferredFormat: 'jpeg',
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    estimateTokens: () => null,
+  };
+
   constructor(config = {}) {
     if (new.target === LLMAdapter) {
       throw new Error('LLMAdapter is an abstract class and cannot be instantiated directly');
@@ -21,16 +46,27 @@ class LLMAdapter {
     throw new Error('providerName must be implemented');
   }
 
+  /**
+   * This adapter's image profile
+   * @returns {Object} See LLMAdapter.imageProfile
+   */
+  get imageProfile() {
+    return this.constructor.imageProfile;
+  }
+
   /**
    * Analyze an image with a prompt
    * @param {Object} options
    * @param {string} options.imageData - Base64 encoded image data
    * @param {string} options.mediaType - MIME type (image/jpeg, image/png, etc.)
+   * @param {Array<{imageData: string, mediaType: string}>} options.images - Several images
+   *   sent together in order (e.g. screenshot tiles), instead of imageData/mediaType
    * @param {string} options.prompt - Analysis prompt
    * @param {Object} options.responseFormat - Optional JSON schema for structured output
+   * @param {AbortSignal} options.signal - Optional signal to abort the request
    * @returns {Promise<{text: string, structured?: Object, usage?: Object}>}
    */
-  async analyzeImage({ imageData, mediaType, prompt, responseFormat }) {
+  async analyzeImage({ imageData, mediaType, images, prompt, responseFormat, signal }) {
     throw new Error('analyzeImage must be implemented');
   }
 
@@ -40,9 +76,10 @@ class LLMAdapter {
    * @param {string} options.prompt - The prompt
    * @param {string} options.systemPrompt - Optional system prompt
    * @param {Object} options.context - Optional context object
+   * @param {AbortSignal} options.signal - Optional signal to abort the request
    * @returns {Promise<{text: string, usage?: Object}>}
    */
-  async generateText({ prompt, systemPrompt, context }) {
+  async generateText({ prompt, systemPrompt, context, signal }) {
     throw new Error('generateText must be implemented');
   }
 
@@ -55,9 +92,10 @@ class LLMAdapter {
    * @param {Function} options.onToken - Callback for each token: (token: string) => void
    * @param {Function} options.onComplete - Callback when complete: (fullText: string, usage: Object) => void
    * @param {Function} options.onError - Callback for errors: (error: Error) => void
+   * @param {AbortSignal} options.signal - Optional signal to abort the stream
    * @returns {Promise<void>}
    */
-  async streamText({ prompt, systemPrompt, context, onToken, onComplete, onError }) {
+  async streamText({ prompt, systemPrompt, context, onToken, onComplete, onError, signal }) {
     throw new Error('streamText must be implemented');
   }
 
@@ -66,16 +104,44 @@ class LLMAdapter {
    * @param {Object} options
    * @param {string} options.imageData - Base64 encoded image data
    * @param {string} options.mediaType - MIME type
+   * @param {Array<{imageData: string, mediaType: string}>} options.images - Several images, as for analyzeImage
    * @param {string} options.prompt - Analysis prompt
    * @param {Function} options.onToken - Callback for each token
    * @param {Function} options.onComplete - Callback when complete
    * @param {Function} options.onError - Callback for errors
+   * @param {AbortSignal} options.signal - Optional signal to abort the stream
    * @returns {Promise<void>}
    */
-  async streamImageAnalysis({ imageData, mediaType, prompt, onToken, onComplete, onError }) {
+  async streamImageAnalysis({ imageData, mediaType, images, prompt, onToken, onComplete, onError, signal }) {
     throw new Error('streamImageAnalysis must be implemented');
   }
 
+  /**
+   * The images an analyze call was given, as a list
+   * @param {Object} options - analyzeImage/streamImageAnalysis options
+   * @returns {Array<{imageData: string, mediaType: string}>}
+   */
+  listImages({ imageData, mediaType, images }) {
+    return images?.length ? images : [{ imageData, mediaType }];
+  }
+
+  /**
+   * Parse a structured (JSON) answer, from inside a markdown code block if
+   * the model wrapped it in one
+   * @param {string} text - The model's answer
+   * @returns {Object|null} null if it isn't valid JSON
+   */
+  parseStructured(text) {
+    try {
+      const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, text];
+      const jsonStr = jsonMatch[1] || text;
+      return JSON.parse(jsonStr.trim());
+    } catch (e) {
+      console.warn('Failed to parse structured response:', e.message);
+      return null;
+    }
+  }
+
   /**
    * Check if the adapter supports vision/image analysis
    * @returns {boolean}
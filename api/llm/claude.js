@@ -7,8 +7,23 @@
 
 const Anthropic = require('@anthropic-ai/sdk').default;
 const { LLMAdapter } = require('./adapter');
+const { formatTimestamp } = require('../images/frames');
 
 class ClaudeAdapter extends LLMAdapter {
+  // The 5MB image and 32MB request limits apply to the base64 payload, so
+  // 3.75MB and 24MB of files. Claude scales anything past 1568px on the long
+  // edge or ~1.15 megapixels down itself, so sending more only costs upload time.
+  static imageProfile = {
+    name: 'claude',
+    maxBytes: 3.75 * 1024 * 1024,
+    maxRequestBytes: 24 * 1024 * 1024,
+    maxLongEdge: 1568,
+    maxPixels: 1.15 * 1000 * 1000,
+    preferredFormat: 'jpeg',
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    estimateTokens: (width, height) => Math.ceil((width * height) / 750),
+  };
+
   constructor(config = {}) {
     super(config);
     
@@ -17,7 +32,8 @@ class ClaudeAdapter extends LLMAdapter {
       throw new Error('ANTHROPIC_API_KEY is required for ClaudeAdapter');
     }
     
-    this.client = new Anthropic({ apiKey: this.apiKey });
+    // Retries happen around the adapter, where they can fall back (see ./resilient.js)
+    this.client = new Anthropic({ apiKey: this.apiKey, maxRetries: config.maxRetries ?? 0 });
     this.model = config.model || 'claude-sonnet-4-20250514';
     this.maxTokens = config.maxTokens || 4096;
   }
@@ -38,22 +54,37 @@ class ClaudeAdapter extends LLMAdapter {
     return true;
   }
 
+  /**
+   * Image content blocks for a request, numbered when there are several
+   * (with their time, for frames of a recording)
+   */
+  imageBlocks(options) {
+    const images = this.listImages(options);
+    return images.flatMap((image, index) => [
+      ...(images.length > 1 ? [{
+        type: 'text',
+        text: image.timestamp !== undefined ? `Image ${index + 1} (${formatTimestamp(image.timestamp)}):` : `Image ${index + 1}:`,
+      }] : []),
+      {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: image.mediaType,
+          data: image.imageData,
+        },
+      },
+    ]);
+  }
+
   /**
    * Analyze an image with a prompt
    */
-  async analyzeImage({ imageData, mediaType, prompt, responseFormat }) {
+  async analyzeImage({ imageData, mediaType, images, prompt, responseFormat, signal }) {
     const messages = [
       {
         role: 'user',
         content: [
-          {
-            type: 'image',
-            source: {
-              type: 'base64',
-              media_type: mediaType,
-              data: imageData,
-            },
-          },
+          ...this.imageBlocks({ imageData, mediaType, images }),
           {
             type: 'text',
             text: responseFormat 
@@ -68,28 +99,16 @@ class ClaudeAdapter extends LLMAdapter {
       model: this.model,
       max_tokens: this.maxTokens,
       messages,
-    });
+    }, { signal });
 
     const text = response.content
       .filter((block) => block.type === 'text')
       .map((block) => block.text)
       .join('\n');
 
-    let structured = null;
-    if (responseFormat) {
-      try {
-        // Extract JSON from the response (handle markdown code blocks)
-        const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, text];
-        const jsonStr = jsonMatch[1] || text;
-        structured = JSON.parse(jsonStr.trim());
-      } catch (e) {
-        console.warn('Failed to parse structured response:', e.message);
-      }
-    }
-
     return {
       text,
-      structured,
+      structured: responseFormat ? this.parseStructured(text) : null,
       usage: response.usage,
       model: response.model,
     };
@@ -98,7 +117,7 @@ class ClaudeAdapter extends LLMAdapter {
   /**
    * Generate text from a prompt
    */
-  async generateText({ prompt, systemPrompt, context }) {
+  async generateText({ prompt, systemPrompt, context, signal }) {
     const messages = [
       {
         role: 'user',
@@ -118,7 +137,7 @@ class ClaudeAdapter extends LLMAdapter {
       requestOptions.system = systemPrompt;
     }
 
-    const response = await this.client.messages.create(requestOptions);
+    const response = await this.client.messages.create(requestOptions, { signal });
 
     const text = response.content
       .filter((block) => block.type === 'text')
@@ -135,7 +154,7 @@ class ClaudeAdapter extends LLMAdapter {
   /**
    * Stream text generation with token callbacks
    */
-  async streamText({ prompt, systemPrompt, context, onToken, onComplete, onError }) {
+  async streamText({ prompt, systemPrompt, context, onToken, onComplete, onError, signal }) {
     try {
       const messages = [
         {
@@ -156,7 +175,7 @@ class ClaudeAdapter extends LLMAdapter {
         requestOptions.system = systemPrompt;
       }
 
-      const stream = this.client.messages.stream(requestOptions);
+      const stream = this.client.messages.stream(requestOptions, { signal });
       let fullText = '';
 
       stream.on('text', (text) => {
@@ -181,10 +200,14 @@ class ClaudeAdapter extends LLMAdapter {
   /**
    * Stream image analysis with token callbacks
    */
-  async streamImageAnalysis({ imageData, mediaType, prompt, onToken, onComplete, onError }) {
+  async streamImageAnalysis({ imageData, mediaType, images, prompt, onToken, onComplete, onError, signal }) {
     console.log('[ClaudeAdapter] streamImageAnalysis called');
-    console.log('[ClaudeAdapter] Image data length:', imageData ? `${imageData.length} chars` : 'null');
-    console.log('[ClaudeAdapter] Media type:', mediaType);
+    if (images?.length) {
+      console.log('[ClaudeAdapter] Images:', images.length);
+    } else {
+      console.log('[ClaudeAdapter] Image data length:', imageData ? `${imageData.length} chars` : 'null');
+      console.log('[ClaudeAdapter] Media type:', mediaType);
+    }
     console.log('[ClaudeAdapter] Prompt length:', prompt ? `${prompt.length} chars` : 'null');
     
     try {
@@ -192,14 +215,7 @@ class ClaudeAdapter extends LLMAdapter {
         {
           role: 'user',
           content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: mediaType,
-                data: imageData,
-              },
-            },
+            ...this.imageBlocks({ imageData, mediaType, images }),
             {
               type: 'text',
               text: prompt,
@@ -213,7 +229,7 @@ class ClaudeAdapter extends LLMAdapter {
         model: this.model,
         max_tokens: this.maxTokens,
         messages,
-      });
+      }, { signal });
 
       let fullText = '';
       let tokenCount = 0;
@@ -0,0 +1,44 @@
+/**
+ * Server-Sent Event Reader
+ *
+ * Reads the `data` of each event in a streamed HTTP response, as sent by
+ * the streaming endpoints of HTTP-based providers (Gemini's
+ * streamGenerateContent, OpenAI-style chat completions). Events may arrive
+ * split across chunks; multi-line data is joined with newlines.
+ */
+
+/**
+ * The data of one raw event, or null if it has none (e.g. a comment)
+ * @param {string} event - Lines of one event
+ * @returns {string|null}
+ */
+function eventData(event) {
+  const lines = event.split(/\r?\n/).filter((line) => line.startsWith('data:'));
+  if (lines.length === 0) return null;
+  return lines.map((line) => line.slice(5).replace(/^ /, '')).join('\n');
+}
+
+/**
+ * Read each event's data from a response body
+ * @param {ReadableStream|AsyncIterable<Uint8Array>} body - fetch() response body
+ * @yields {string}
+ */
+async function* readEventData(body) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const events = buffered.split(/\r?\n\r?\n/);
+    buffered = events.pop();
+    for (const event of events) {
+      const data = eventData(event);
+      if (data !== null) yield data;
+    }
+  }
+
+  const data = eventData(buffered + decoder.decode());
+  if (data !== null) yield data;
+}
+
+module.exports = { readEventData };
@@ -2,12 +2,33 @@
  * Gemini LLM Adapter
  *
  * Implementation of LLMAdapter for Google's Gemini models.
- * Supports vision analysis via the Generative Language API.
+ * Supports vision, text generation, structured output and streaming via
+ * the Generative Language API (streamGenerateContent as server-sent events).
  */
 
 const { LLMAdapter } = require('./adapter');
+const { formatTimestamp } = require('../images/frames');
+const { readEventData } = require('./events');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
 
 class GeminiAdapter extends LLMAdapter {
+  // Inline images share the 20MB request limit with the prompt, base64
+  // included. Images up to 384px on both sides cost 258 tokens; larger ones
+  // are cut into 768px tiles at 258 tokens each. No GIF support.
+  static imageProfile = {
+    name: 'gemini',
+    maxBytes: 14 * 1024 * 1024,
+    maxRequestBytes: 14 * 1024 * 1024,
+    maxLongEdge: 3072,
+    maxPixels: null,
+    preferredFormat: 'webp',
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    estimateTokens: (width, height) => (width <= 384 && height <= 384
+      ? 258
+      : Math.ceil(width / 768) * Math.ceil(height / 768) * 258),
+  };
+
   constructor(config = {}) {
     super(config);
 
@@ -17,9 +38,9 @@ class GeminiAdapter extends LLMAdapter {
     }
 
     this.model = config.model || 'gemini-2.5-flash';
-    this.maxTokens = config.maxTokens || 2048;
-    this.endpoint = config.endpoint
-      || `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+    // 2.5 models spend part of this on thinking before they answer
+    this.maxTokens = config.maxTokens || 8192;
+    this.baseUrl = (config.baseUrl || process.env.GEMINI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
   }
 
   get providerName() {
@@ -35,29 +56,39 @@ class GeminiAdapter extends LLMAdapter {
   }
 
   supportsStreaming() {
-    return false;
-  }
-
-  async analyzeImage({ imageData, mediaType, prompt, responseFormat }) {
-    const promptText = responseFormat
-      ? `${prompt}\n\nRespond with valid JSON matching this schema:\n${JSON.stringify(responseFormat, null, 2)}`
-      : prompt;
-
-    const body = {
-      contents: [
-        {
-          role: 'user',
-          parts: [
-            { text: promptText },
-            {
-              inlineData: {
-                mimeType: mediaType,
-                data: imageData,
-              },
-            },
-          ],
+    return true;
+  }
+
+  /**
+   * Image parts for a request, numbered when there are several
+   * (with their time, for frames of a recording)
+   */
+  imageParts(options) {
+    const images = this.listImages(options);
+    return images.flatMap((image, index) => [
+      ...(images.length > 1 ? [{
+        text: image.timestamp !== undefined ? `Image ${index + 1} (${formatTimestamp(image.timestamp)}):` : `Image ${index + 1}:`,
+      }] : []),
+      {
+        inlineData: {
+          mimeType: image.mediaType,
+          data: image.imageData,
         },
-      ],
+      },
+    ]);
+  }
+
+  /**
+   * generateContent request body for one user turn
+   * @param {Array<Object>} parts - Content parts of the turn
+   * @param {Object} options
+   * @param {string} options.systemPrompt - Optional system instruction
+   * @param {Object} options.responseFormat - Optional JSON schema the answer must follow
+   */
+  buildRequest(parts, { systemPrompt, responseFormat } = {}) {
+    return {
+      ...(systemPrompt ? { systemInstruction: { parts: [{ text: systemPrompt }] } } : {}),
+      contents: [{ role: 'user', parts }],
       generationConfig: {
         temperature: 0.2,
         maxOutputTokens: this.maxTokens,
@@ -69,30 +100,206 @@ class GeminiAdapter extends LLMAdapter {
           : {}),
       },
     };
+  }
+
+  /**
+   * Text parts of a prompt, with its context object in front
+   */
+  textParts({ prompt, context }) {
+    return [{
+      text: context
+        ? `Context:\n${JSON.stringify(context, null, 2)}\n\n${prompt}`
+        : prompt,
+    }];
+  }
 
-    const response = await fetch(this.endpoint, {
+  /**
+   * POST a request to one of the model's methods
+   * @param {string} method - generateContent or streamGenerateContent
+   * @param {Object} body - See buildRequest
+   * @param {AbortSignal} signal
+   * @returns {Promise<Response>} An ok response
+   * @throws {Error} With the API's message if the request failed
+   */
+  async request(method, body, signal) {
+    const query = method === 'streamGenerateContent' ? '?alt=sse' : '';
+    const response = await fetch(`${this.baseUrl}/models/${this.model}:${method}${query}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey,
+      },
       body: JSON.stringify(body),
+      signal,
     });
 
-    const payload = await response.json().catch(() => ({}));
     if (!response.ok) {
-      const message = payload.error?.message || `Gemini API error (${response.status})`;
-      throw new Error(message);
+      const payload = await response.json().catch(() => ({}));
+      const error = new Error(payload.error?.message || `Gemini API error (${response.status})`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
     }
+    return response;
+  }
 
-    const text = (payload.candidates?.[0]?.content?.parts || [])
+  /**
+   * Answer text of a (possibly partial) response, without thoughts
+   * @param {Object} payload - A GenerateContentResponse
+   * @returns {string}
+   */
+  responseText(payload) {
+    return (payload.candidates?.[0]?.content?.parts || [])
+      .filter((part) => !part.thought)
       .map((part) => part.text || '')
-      .join('')
-      .trim();
+      .join('');
+  }
+
+  /**
+   * Throw if Gemini refused the prompt or cut the answer off for safety,
+   * rather than passing on an empty answer
+   * @param {Object} payload - The final GenerateContentResponse
+   * @param {string} text - The answer so far
+   */
+  checkBlocked(payload, text) {
+    const blockReason = payload.promptFeedback?.blockReason;
+    const finishReason = payload.candidates?.[0]?.finishReason;
+    if (blockReason) {
+      throw new Error(`Gemini blocked the prompt (${blockReason})`);
+    }
+    if (!text && ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'].includes(finishReason)) {
+      throw new Error(`Gemini blocked the response (${finishReason})`);
+    }
+  }
+
+  /**
+   * Usage metadata in the shape the rest of the app stores
+   * @param {Object} usageMetadata
+   * @returns {{input_tokens: number, output_tokens: number}|null}
+   */
+  normalizeUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    return {
+      input_tokens: usageMetadata.promptTokenCount || 0,
+      output_tokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+    };
+  }
+
+  /**
+   * Run one request to completion
+   * @returns {Promise<{text: string, usage: Object, model: string}>}
+   */
+  async generate(body, signal) {
+    const response = await this.request('generateContent', body, signal);
+    const payload = await response.json();
+
+    const text = this.responseText(payload).trim();
+    this.checkBlocked(payload, text);
+    return {
+      text,
+      usage: this.normalizeUsage(payload.usageMetadata),
+      model: payload.modelVersion || this.model,
+    };
+  }
+
+  /**
+   * Stream one request, calling onToken with each piece of the answer
+   * @returns {Promise<{text: string, usage: Object}>}
+   */
+  async stream(body, { onToken, signal }) {
+    const response = await this.request('streamGenerateContent', body, signal);
+
+    let fullText = '';
+    let last = {};
+    for await (const data of readEventData(response.body)) {
+      const payload = JSON.parse(data);
+      if (payload.error) {
+        throw new Error(payload.error.message || 'Gemini stream error');
+      }
+      last = { ...payload, usageMetadata: payload.usageMetadata || last.usageMetadata };
+      const text = this.responseText(payload);
+      if (text) {
+        fullText += text;
+        if (onToken) onToken(text);
+      }
+    }
+    this.checkBlocked(last, fullText);
+    return { text: fullText, usage: this.normalizeUsage(last.usageMetadata) };
+  }
 
+  /**
+   * Analyze an image with a prompt
+   */
+  async analyzeImage({ imageData, mediaType, images, prompt, responseFormat, signal }) {
+    // The schema goes in generationConfig, which holds Gemini to it
+    const body = this.buildRequest([
+      ...this.imageParts({ imageData, mediaType, images }),
+      { text: prompt },
+    ], { responseFormat });
+
+    const { text, usage, model } = await this.generate(body, signal);
     return {
       text,
-      usage: payload.usageMetadata,
-      model: this.model,
+      structured: responseFormat ? this.parseStructured(text) : null,
+      usage,
+      model,
     };
   }
+
+  /**
+   * Generate text from a prompt
+   */
+  async generateText({ prompt, systemPrompt, context, signal }) {
+    return this.generate(this.buildRequest(this.textParts({ prompt, context }), { systemPrompt }), signal);
+  }
+
+  /**
+   * Stream text generation with token callbacks
+   */
+  async streamText({ prompt, systemPrompt, context, onToken, onComplete, onError, signal }) {
+    try {
+      const body = this.buildRequest(this.textParts({ prompt, context }), { systemPrompt });
+      const { text, usage } = await this.stream(body, { onToken, signal });
+      if (onComplete) {
+        onComplete(text, usage);
+      }
+    } catch (error) {
+      if (onError) {
+        onError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Stream image analysis with token callbacks
+   */
+  async streamImageAnalysis({ imageData, mediaType, images, prompt, onToken, onComplete, onError, signal }) {
+    const count = this.listImages({ imageData, mediaType, images }).length;
+    console.log(`[GeminiAdapter] streamImageAnalysis: ${count} image${count === 1 ? '' : 's'}, prompt ${prompt.length} chars`);
+    const startTime = Date.now();
+
+    try {
+      const body = this.buildRequest([
+        ...this.imageParts({ imageData, mediaType, images }),
+        { text: prompt },
+      ]);
+      const { text, usage } = await this.stream(body, { onToken, signal });
+
+      console.log(`[GeminiAdapter] Stream complete: ${text.length} chars in ${Date.now() - startTime}ms`);
+      if (onComplete) {
+        onComplete(text, usage);
+      }
+    } catch (error) {
+      console.error('[GeminiAdapter] streamImageAnalysis error:', error.message);
+      if (onError) {
+        onError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
 }
 
 module.exports = { GeminiAdapter };
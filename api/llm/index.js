@@ -3,25 +3,76 @@
  * 
  * Creates and manages LLM adapter instances.
  * Supports multiple providers with a unified interface.
+ *
+ * Every model call goes through a route: the part of the app making it
+ * (analysis, canvas, hub, vision, research). Each route has a default
+ * provider, which deployments override with <ROUTE>_LLM_PROVIDER and
+ * <ROUTE>_LLM_MODEL (e.g. HUB_LLM_MODEL), and requests may pick their own
+ * provider and model (see readModelSelection). Calls are retried, and fall
+ * back along <ROUTE>_LLM_FALLBACK, as set by <ROUTE>_LLM_RETRIES (see
+ * ./resilient.js). With LLM_MOCK set, the
+ * `mock` provider stands in for whichever provider a route picks (see ./mock.js).
  */
 
 const { LLMAdapter } = require('./adapter');
 const { ClaudeAdapter } = require('./claude');
+const { GeminiAdapter } = require('./gemini');
+const { OpenAIAdapter } = require('./openai');
+const { PerplexityAdapter } = require('./perplexity');
+const { MockAdapter, MOCK_MODE } = require('./mock');
+const { ResilientAdapter, LLMUnavailableError, DEFAULT_RETRIES, combineProfiles, describeBreakers } = require('./resilient');
 
 // Registry of available providers
 const providers = {
   claude: ClaudeAdapter,
-  // Future providers:
-  // openai: OpenAIAdapter,
-  // perplexity: PerplexityAdapter,
+  gemini: GeminiAdapter,
+  openai: OpenAIAdapter, // also local servers, with OPENAI_BASE_URL
+  perplexity: PerplexityAdapter,
 };
 
+// Default provider of each route
+const ROUTE_PROVIDERS = {
+  analysis: 'claude', // analysis jobs and /api/analyze
+  canvas: 'claude',   // canvas (GIUE) jobs
+  hub: 'gemini',      // /api/hub/analyze
+  vision: 'claude',   // hotspot analysis (api/generators/vision-analyzer.js)
+  research: 'claude', // hotspot deep dives
+};
+
+// Routes that send images, and so need a vision-capable provider
+const VISION_ROUTES = ['analysis', 'canvas', 'hub', 'vision'];
+
+// Model ids are passed straight to the provider, so keep them to plain ids
+const MODEL_NAME_REGEX = /^[\w.:@\/-]{1,100}$/;
+
+const ERROR_TYPES = {
+  INVALID_PROVIDER: { status: 400, title: 'Invalid provider' },
+  INVALID_MODEL: { status: 400, title: 'Invalid model' },
+};
+
+/**
+ * Thrown when a request picks a provider or model that can't be used
+ */
+class LLMSelectionError extends Error {
+  /**
+   * @param {string} code - One of ERROR_TYPES
+   * @param {string} message - What was wrong, for the client
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'LLMSelectionError';
+    this.code = code;
+    this.status = ERROR_TYPES[code].status;
+    this.title = ERROR_TYPES[code].title;
+  }
+}
+
 // Singleton instances cache
 const instances = new Map();
 
 /**
  * Create or retrieve an LLM adapter instance
- * @param {string} provider - Provider name ('claude', 'openai', 'perplexity')
+ * @param {string} provider - Provider name ('claude', 'gemini', 'openai', 'perplexity')
  * @param {Object} config - Provider-specific configuration
  * @returns {LLMAdapter}
  */
@@ -54,31 +105,157 @@ function getDefaultAdapter(config = {}) {
 }
 
 /**
- * Get a vision-capable adapter
+ * Read the provider and model a request picked, as JSON fields, form fields
+ * or query parameters
+ * @param {Object} fields - { provider, model }
+ * @returns {{provider?: string, model?: string}} Only what was given
+ * @throws {LLMSelectionError} INVALID_PROVIDER, INVALID_MODEL
+ */
+function readModelSelection(fields = {}) {
+  const { provider, model } = fields;
+
+  if (provider !== undefined && provider !== '' && (typeof provider !== 'string' || !providers[provider])) {
+    throw new LLMSelectionError('INVALID_PROVIDER', `provider must be one of: ${listProviders().join(', ')}`);
+  }
+  if (model !== undefined && model !== '' && (typeof model !== 'string' || !MODEL_NAME_REGEX.test(model))) {
+    throw new LLMSelectionError('INVALID_MODEL', 'model must be a model id string');
+  }
+
+  return {
+    ...(provider ? { provider } : {}),
+    ...(model ? { model } : {}),
+  };
+}
+
+/**
+ * The provider and model a route uses for a selection
+ * @param {string} route - One of ROUTE_PROVIDERS
+ * @param {Object} selection - { provider, model } picked by the request, if any
+ * @returns {{provider: string, model?: string}} model is left out for the provider's default
+ */
+function resolveRoute(route, { provider, model } = {}) {
+  if (!ROUTE_PROVIDERS[route]) {
+    throw new Error(`Unknown LLM route: ${route}`);
+  }
+  const prefix = route.toUpperCase();
+  const routeProvider = process.env[`${prefix}_LLM_PROVIDER`] || ROUTE_PROVIDERS[route];
+  const selected = provider || routeProvider;
+
+  // A route's configured model is for its configured provider only
+  const routeModel = selected === routeProvider ? process.env[`${prefix}_LLM_MODEL`] : undefined;
+  const selectedModel = model || routeModel;
+  return { provider: selected, ...(selectedModel ? { model: selectedModel } : {}) };
+}
+
+/**
+ * Providers a route falls back to, from <ROUTE>_LLM_FALLBACK: a comma-separated
+ * list of `provider` or `provider:model` (e.g. `gemini,openai:llava:13b`)
+ * @param {string} route - One of ROUTE_PROVIDERS
+ * @returns {Array<{provider: string, model?: string}>}
+ */
+function routeFallbacks(route) {
+  const fallbacks = [];
+  for (const item of (process.env[`${route.toUpperCase()}_LLM_FALLBACK`] || '').split(',')) {
+    const [provider, ...model] = item.trim().split(':');
+    if (!provider) continue;
+    if (!providers[provider]) {
+      console.warn(`[LLM] Ignoring unknown fallback provider ${provider} for ${route}`);
+      continue;
+    }
+    fallbacks.push({ provider, ...(model.length ? { model: model.join(':') } : {}) });
+  }
+  return fallbacks;
+}
+
+/**
+ * The providers a route asks for a selection, in order: the selected one,
+ * then the route's fallbacks
+ * @param {string} route - One of ROUTE_PROVIDERS
+ * @param {Object} selection - { provider, model } picked by the request, if any
+ * @returns {Array<{provider: string, model?: string}>}
+ */
+function resolveChain(route, selection = {}) {
+  const primary = resolveRoute(route, selection);
+  return [primary, ...routeFallbacks(route).filter((fallback) => fallback.provider !== primary.provider)];
+}
+
+/**
+ * Retries per provider on a route (<ROUTE>_LLM_RETRIES, else LLM_RETRIES)
+ * @param {string} route
+ * @returns {number}
+ */
+function routeRetries(route) {
+  const retries = parseInt(process.env[`${route.toUpperCase()}_LLM_RETRIES`], 10);
+  return Number.isNaN(retries) ? DEFAULT_RETRIES : Math.max(retries, 0);
+}
+
+/**
+ * Get the adapter a route uses: the selected provider's, wrapped in the
+ * route's retries and fallbacks
+ * @param {string} route - One of ROUTE_PROVIDERS
+ * @param {Object} config - { provider, model } picked by the request, plus any
+ *   other adapter configuration
+ * @returns {LLMAdapter}
+ * @throws {LLMSelectionError} INVALID_PROVIDER if the route sends images and
+ *   the provider can't take them
+ */
+function getRouteAdapter(route, { provider, model, ...config } = {}) {
+  const chain = resolveChain(route, { provider, model });
+
+  const createAdapter = (entry) => {
+    const modelConfig = entry.model ? { model: entry.model } : {};
+    const adapter = MOCK_MODE && entry.provider !== 'mock'
+      ? getAdapter('mock', { ...config, provider: entry.provider, ...modelConfig })
+      : getAdapter(entry.provider, { ...config, ...modelConfig });
+
+    if (VISION_ROUTES.includes(route) && !adapter.supportsVision()) {
+      throw new LLMSelectionError('INVALID_PROVIDER', `Provider ${entry.provider} does not support images`);
+    }
+    return adapter;
+  };
+
+  const primary = createAdapter(chain[0]);
+  const retries = routeRetries(route);
+  if (chain.length === 1 && retries === 0) return primary;
+
+  return new ResilientAdapter({
+    route,
+    chain,
+    primary,
+    createAdapter,
+    imageProfile: combineProfiles([primary.imageProfile, ...chain.slice(1).map((entry) => getImageProfile(entry.provider))]),
+    retries,
+  });
+}
+
+/**
+ * Image profile a route fits images to (the strictest of its chain),
+ * without creating an adapter
+ * @param {string} route - One of ROUTE_PROVIDERS
+ * @param {Object} selection - { provider, model } picked by the request, if any
+ * @returns {Object} See LLMAdapter.imageProfile
+ */
+function getRouteImageProfile(route, selection = {}) {
+  return combineProfiles(resolveChain(route, selection).map((entry) => getImageProfile(entry.provider)));
+}
+
+/**
+ * Get a vision-capable adapter (the `vision` route)
  * @param {Object} config - Optional configuration
  * @returns {LLMAdapter}
  */
 function getVisionAdapter(config = {}) {
-  // For MVP, Claude is our vision adapter
-  const visionProvider = process.env.VISION_LLM_PROVIDER || 'claude';
-  const adapter = getAdapter(visionProvider, config);
-  
-  if (!adapter.supportsVision()) {
-    throw new Error(`Provider ${visionProvider} does not support vision`);
-  }
-  
-  return adapter;
+  return getRouteAdapter('vision', config);
 }
 
 /**
- * Get a research/deep-dive adapter
- * For MVP, falls back to Claude. Future: Perplexity
+ * Get a research/deep-dive adapter (the `research` route)
+ * Claude unless RESEARCH_LLM_PROVIDER says otherwise (e.g. perplexity)
  * @param {Object} config - Optional configuration
  * @returns {LLMAdapter}
  */
 function getResearchAdapter(config = {}) {
-  const researchProvider = process.env.RESEARCH_LLM_PROVIDER || 'claude';
-  return getAdapter(researchProvider, config);
+  return getRouteAdapter('research', config);
 }
 
 /**
@@ -93,6 +270,19 @@ function registerProvider(name, AdapterClass) {
   providers[name] = AdapterClass;
 }
 
+/**
+ * Image profile of a provider, without creating an adapter
+ * @param {string} provider - Provider name
+ * @returns {Object} See LLMAdapter.imageProfile
+ */
+function getImageProfile(provider) {
+  const AdapterClass = providers[provider];
+  if (!AdapterClass) {
+    throw new Error(`Unknown LLM provider: ${provider}. Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return AdapterClass.imageProfile;
+}
+
 /**
  * List available providers
  * @returns {string[]}
@@ -108,14 +298,32 @@ function clearCache() {
   instances.clear();
 }
 
+// Offline tests and demos: record or replay every route's calls
+if (MOCK_MODE) {
+  registerProvider('mock', MockAdapter);
+  console.log(`[LLM] Mock provider in ${MOCK_MODE} mode`);
+}
+
 module.exports = {
   LLMAdapter,
   ClaudeAdapter,
+  GeminiAdapter,
+  OpenAIAdapter,
+  PerplexityAdapter,
+  MockAdapter,
+  LLMSelectionError,
+  LLMUnavailableError,
+  describeBreakers,
   getAdapter,
   getDefaultAdapter,
+  readModelSelection,
+  resolveRoute,
+  getRouteAdapter,
+  getRouteImageProfile,
   getVisionAdapter,
   getResearchAdapter,
   registerProvider,
+  getImageProfile,
   listProviders,
   clearCache,
 };
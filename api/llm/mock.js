@@ -0,0 +1,298 @@
+/**
+ * Mock LLM Adapter
+ *
+ * Replays recorded answers so the app runs without provider keys or a
+ * network, for tests and demos. Set LLM_MOCK and every route's calls go
+ * through this adapter, standing in for the provider the route would use:
+ *
+ * - LLM_MOCK=record: calls that provider for real and saves each answer
+ *   (text, streamed tokens with their timing, structured JSON, or the error)
+ *   as a fixture file in LLM_FIXTURES_DIR (default: fixtures/llm)
+ * - LLM_MOCK=replay: answers from those files only; a call without a
+ *   fixture fails, naming the file it looked for
+ *
+ * Fixtures are keyed by the call (method, provider, model, prompt, system
+ * prompt, context, schema) and a SHA-256 of each image sent, so a replay
+ * only matches the exact request that was recorded. Streams are replayed at
+ * their recorded pace, scaled by LLM_MOCK_SPEED (0 replays instantly).
+ *
+ * Fixture file: { key, method, request: { provider, model, promptPreview,
+ * imageHashes }, response: { text, structured, usage, model } | null,
+ * tokens: [{ text, delay }] | null, error: { message, status } | null,
+ * recordedAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LLMAdapter } = require('./adapter');
+
+const MOCK_MODES = ['record', 'replay'];
+const MOCK_MODE = MOCK_MODES.includes(process.env.LLM_MOCK) ? process.env.LLM_MOCK : null;
+
+if (process.env.LLM_MOCK && !MOCK_MODE) {
+  console.warn(`[MockLLM] Ignoring LLM_MOCK=${process.env.LLM_MOCK} (use ${MOCK_MODES.join(' or ')})`);
+}
+
+const FIXTURES_DIR = path.resolve(process.env.LLM_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'llm'));
+
+const configuredSpeed = parseFloat(process.env.LLM_MOCK_SPEED);
+const REPLAY_SPEED = Number.isNaN(configuredSpeed) || configuredSpeed < 0 ? 1 : configuredSpeed;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Wait, unless aborted first
+ */
+function pause(ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  if (ms <= 0) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+class MockAdapter extends LLMAdapter {
+  /**
+   * @param {Object} config
+   * @param {string} config.provider - The provider this adapter stands in for
+   * @param {string} config.model - Its model, if one was picked
+   * @param {string} config.mode - record or replay (default: LLM_MOCK, else replay)
+   * @param {string} config.dir - Fixture directory (default: LLM_FIXTURES_DIR)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.provider = config.provider || null;
+    this.model = config.model || 'mock';
+    this.mode = config.mode || MOCK_MODE || 'replay';
+    this.dir = config.dir ? path.resolve(config.dir) : FIXTURES_DIR;
+    if (this.mode === 'record' && !this.provider) {
+      throw new Error('MockAdapter needs a provider to record from');
+    }
+  }
+
+  get providerName() {
+    return 'mock';
+  }
+
+  /**
+   * The stood-in provider's profile, so recorded and replayed calls send the same image
+   */
+  get imageProfile() {
+    if (!this.provider) return this.constructor.imageProfile;
+    // Required here: ./index registers this adapter
+    return require('./index').getImageProfile(this.provider);
+  }
+
+  supportsVision() {
+    return true;
+  }
+
+  supportsStructuredOutput() {
+    return true;
+  }
+
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * The real adapter calls are recorded from
+   * @returns {LLMAdapter}
+   */
+  target() {
+    const { getAdapter } = require('./index');
+    return getAdapter(this.provider, this.config.model ? { model: this.config.model } : {});
+  }
+
+  /**
+   * Fixture key and summary of a call
+   * @param {string} method - The LLMAdapter method called
+   * @param {Object} options - Its options
+   * @returns {{key: string, file: string, request: Object}}
+   */
+  describeCall(method, options) {
+    const { prompt, systemPrompt, context, responseFormat } = options;
+    const imageHashes = 'imageData' in options || options.images
+      ? this.listImages(options).map((image) => sha256(`${image.mediaType}:${image.imageData}`))
+      : [];
+
+    const key = sha256(JSON.stringify({
+      method,
+      provider: this.provider,
+      model: this.config.model || null,
+      prompt: prompt || '',
+      systemPrompt: systemPrompt || null,
+      context: context || null,
+      responseFormat: responseFormat || null,
+      images: imageHashes,
+    })).slice(0, 32);
+
+    return {
+      key,
+      file: path.join(this.dir, `${method}-${key}.json`),
+      request: {
+        provider: this.provider,
+        model: this.config.model || null,
+        promptPreview: (prompt || '').slice(0, 200),
+        imageHashes,
+      },
+    };
+  }
+
+  /**
+   * Read a call's fixture
+   * @throws {Error} If it hasn't been recorded
+   */
+  async loadFixture(method, options) {
+    const { key, file } = this.describeCall(method, options);
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`No LLM fixture for ${method} (${key}): record ${file} with LLM_MOCK=record`);
+    }
+  }
+
+  /**
+   * Write a call's fixture (temp file + rename, so a replay never reads half of one)
+   */
+  async saveFixture(method, options, { response = null, tokens = null, error = null }) {
+    const { key, file, request } = this.describeCall(method, options);
+    const fixture = {
+      key,
+      method,
+      request,
+      response,
+      tokens,
+      error: error ? { message: error.message, ...(error.status ? { status: error.status } : {}) } : null,
+      recordedAt: new Date().toISOString(),
+    };
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tmp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, `${JSON.stringify(fixture, null, 2)}\n`);
+    await fs.promises.rename(tmp, file);
+    console.log(`[MockLLM] Recorded ${method} from ${this.provider} (${key})`);
+  }
+
+  /**
+   * The error a fixture recorded, rebuilt
+   */
+  fixtureError(fixture) {
+    const error = new Error(fixture.error.message);
+    if (fixture.error.status) error.status = fixture.error.status;
+    return error;
+  }
+
+  /**
+   * A one-shot call: recorded from the target, or replayed
+   */
+  async call(method, options) {
+    if (this.mode === 'record') {
+      const target = this.target();
+      let response;
+      try {
+        response = await target[method](options);
+      } catch (error) {
+        if (!options.signal?.aborted) await this.saveFixture(method, options, { error });
+        throw error;
+      }
+      await this.saveFixture(method, options, { response });
+      return response;
+    }
+
+    const fixture = await this.loadFixture(method, options);
+    if (fixture.error) throw this.fixtureError(fixture);
+    const response = { ...fixture.response };
+    if (method === 'analyzeImage' && options.responseFormat && !response.structured) {
+      response.structured = this.parseStructured(response.text);
+    }
+    return response;
+  }
+
+  /**
+   * A streamed call: recorded from the target, or replayed token by token
+   */
+  async callStream(method, options) {
+    const { onToken, onComplete, onError, signal } = options;
+
+    try {
+      if (this.mode === 'record') {
+        const tokens = [];
+        let last = Date.now();
+        let usage = null;
+        let failure = null;
+        await this.target()[method]({
+          ...options,
+          onToken: (text) => {
+            const now = Date.now();
+            tokens.push({ text, delay: now - last });
+            last = now;
+            if (onToken) onToken(text);
+          },
+          onComplete: (text, finalUsage) => {
+            usage = finalUsage;
+          },
+          onError: (error) => {
+            failure = error;
+          },
+        });
+        // A cancelled stream isn't a complete recording
+        if (signal?.aborted) throw signal.reason;
+
+        const text = tokens.map((token) => token.text).join('');
+        await this.saveFixture(method, options, {
+          tokens,
+          ...(failure ? { error: failure } : { response: { text, usage, model: this.config.model || null } }),
+        });
+        if (failure) throw failure;
+        if (onComplete) onComplete(text, usage);
+        return;
+      }
+
+      const fixture = await this.loadFixture(method, options);
+      let text = '';
+      for (const token of fixture.tokens || []) {
+        await pause(token.delay * REPLAY_SPEED, signal);
+        text += token.text;
+        if (onToken) onToken(token.text);
+      }
+      if (fixture.error) throw this.fixtureError(fixture);
+      if (onComplete) onComplete(text, fixture.response?.usage || null);
+    } catch (error) {
+      if (onError) {
+        onError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  async analyzeImage(options) {
+    return this.call('analyzeImage', options);
+  }
+
+  async generateText(options) {
+    return this.call('generateText', options);
+  }
+
+  async streamText(options) {
+    return this.callStream('streamText', options);
+  }
+
+  async streamImageAnalysis(options) {
+    return this.callStream('streamImageAnalysis', options);
+  }
+}
+
+module.exports = { MockAdapter, MOCK_MODE };
@@ -0,0 +1,328 @@
+/**
+ * OpenAI-Compatible LLM Adapter
+ *
+ * Implementation of LLMAdapter for the OpenAI Chat Completions wire format,
+ * which OpenAI itself, Perplexity (see ./perplexity.js) and local servers
+ * such as llama.cpp, vLLM and Ollama all speak. Point OPENAI_BASE_URL at a
+ * local server (e.g. http://localhost:11434/v1 for Ollama) to use it; no
+ * API key is needed then. Supports vision, text generation, JSON-schema
+ * output and streaming (server-sent events).
+ */
+
+const { LLMAdapter } = require('./adapter');
+const { formatTimestamp } = require('../images/frames');
+const { readEventData } = require('./events');
+
+class OpenAIAdapter extends LLMAdapter {
+  // Images are fitted into 2048×2048, then their short side to 768px, and
+  // cost 85 tokens plus 170 per 512px tile. Requests take up to 50MB, base64 included.
+  static imageProfile = {
+    name: 'openai',
+    maxBytes: 15 * 1024 * 1024,
+    maxRequestBytes: 36 * 1024 * 1024,
+    maxLongEdge: 2048,
+    maxPixels: 768 * 2048,
+    preferredFormat: 'jpeg',
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    estimateTokens: (width, height) => 85 + Math.ceil(width / 512) * Math.ceil(height / 512) * 170,
+  };
+
+  // Settings read from <envPrefix>_API_KEY, _BASE_URL, _MODEL, _VISION and _STREAM_USAGE
+  static envPrefix = 'OPENAI';
+  static defaultBaseUrl = 'https://api.openai.com/v1';
+  static defaultModel = 'gpt-4o';
+
+  constructor(config = {}) {
+    super(config);
+
+    const { envPrefix, defaultBaseUrl, defaultModel } = this.constructor;
+    this.apiKey = config.apiKey || process.env[`${envPrefix}_API_KEY`];
+    this.baseUrl = (config.baseUrl || process.env[`${envPrefix}_BASE_URL`] || defaultBaseUrl).replace(/\/+$/, '');
+    // Local servers usually take no key
+    if (!this.apiKey && this.baseUrl === defaultBaseUrl) {
+      throw new Error(`${envPrefix}_API_KEY is required for ${this.constructor.name}`);
+    }
+
+    this.model = config.model || process.env[`${envPrefix}_MODEL`] || defaultModel;
+    this.maxTokens = config.maxTokens || 4096;
+    // Text-only local models can't take images
+    this.vision = config.vision ?? process.env[`${envPrefix}_VISION`] !== 'false';
+    // OpenAI's newer models only take max_completion_tokens; other servers only know max_tokens
+    this.maxTokensParam = this.baseUrl === OpenAIAdapter.defaultBaseUrl ? 'max_completion_tokens' : 'max_tokens';
+    // Only OpenAI is known to take stream_options; some local servers refuse unknown fields
+    const streamUsage = process.env[`${envPrefix}_STREAM_USAGE`];
+    this.streamUsage = config.streamUsage ?? (streamUsage
+      ? streamUsage === 'true'
+      : this.baseUrl === OpenAIAdapter.defaultBaseUrl);
+  }
+
+  get providerName() {
+    return 'openai';
+  }
+
+  supportsVision() {
+    return this.vision;
+  }
+
+  supportsStructuredOutput() {
+    return true;
+  }
+
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * Image content parts for a message, numbered when there are several
+   * (with their time, for frames of a recording)
+   */
+  imageParts(options) {
+    const images = this.listImages(options);
+    return images.flatMap((image, index) => [
+      ...(images.length > 1 ? [{
+        type: 'text',
+        text: image.timestamp !== undefined ? `Image ${index + 1} (${formatTimestamp(image.timestamp)}):` : `Image ${index + 1}:`,
+      }] : []),
+      {
+        type: 'image_url',
+        image_url: { url: `data:${image.mediaType};base64,${image.imageData}` },
+      },
+    ]);
+  }
+
+  /**
+   * Messages for a text prompt, with its context object in front
+   */
+  textMessages({ prompt, systemPrompt, context }) {
+    return [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      {
+        role: 'user',
+        content: context
+          ? `Context:\n${JSON.stringify(context, null, 2)}\n\n${prompt}`
+          : prompt,
+      },
+    ];
+  }
+
+  /**
+   * Messages for an image prompt
+   */
+  imageMessages({ imageData, mediaType, images, prompt }) {
+    return [{
+      role: 'user',
+      content: [
+        ...this.imageParts({ imageData, mediaType, images }),
+        { type: 'text', text: prompt },
+      ],
+    }];
+  }
+
+  /**
+   * POST a chat completion
+   * @param {Array<Object>} messages
+   * @param {Object} options
+   * @param {Object} options.responseFormat - Optional JSON schema the answer must follow
+   * @param {boolean} options.stream - Ask for server-sent events
+   * @param {AbortSignal} options.signal
+   * @returns {Promise<Response>} An ok response
+   * @throws {Error} With the API's message if the request failed
+   */
+  async request(messages, { responseFormat, stream = false, signal } = {}) {
+    const body = {
+      model: this.model,
+      messages,
+      [this.maxTokensParam]: this.maxTokens,
+      ...(responseFormat
+        ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema: responseFormat } } }
+        : {}),
+      ...(stream ? { stream: true } : {}),
+      ...(stream && this.streamUsage ? { stream_options: { include_usage: true } } : {}),
+    };
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      const message = payload.error?.message || (typeof payload.error === 'string' ? payload.error : null);
+      const error = new Error(message || `${this.constructor.name} API error (${response.status})`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Text of a message or delta's content, which some servers send as parts
+   * @param {string|Array|null} content
+   * @returns {string}
+   */
+  contentText(content) {
+    if (Array.isArray(content)) {
+      return content.map((part) => part.text || '').join('');
+    }
+    return content || '';
+  }
+
+  /**
+   * Throw if the model refused, or the answer was filtered away,
+   * rather than passing on an empty answer
+   * @param {Object} choice - The final choice (message or accumulated delta)
+   * @param {string} text - The answer
+   */
+  checkRefused({ refusal, finishReason }, text) {
+    if (refusal) {
+      throw new Error(`The model refused: ${refusal}`);
+    }
+    if (!text && finishReason === 'content_filter') {
+      throw new Error('The answer was blocked by the content filter');
+    }
+  }
+
+  /**
+   * Usage in the shape the rest of the app stores
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   * @returns {{input_tokens: number, output_tokens: number}|null}
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    return {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0,
+    };
+  }
+
+  /**
+   * Run one completion
+   * @returns {Promise<{text: string, usage: Object, model: string, citations?: string[]}>}
+   */
+  async complete(messages, { responseFormat, signal } = {}) {
+    const response = await this.request(messages, { responseFormat, signal });
+    const payload = await response.json();
+
+    const choice = payload.choices?.[0] || {};
+    const text = this.contentText(choice.message?.content).trim();
+    this.checkRefused({ refusal: choice.message?.refusal, finishReason: choice.finish_reason }, text);
+    return {
+      text,
+      usage: this.normalizeUsage(payload.usage),
+      model: payload.model || this.model,
+      // Perplexity's sources
+      ...(payload.citations ? { citations: payload.citations } : {}),
+    };
+  }
+
+  /**
+   * Stream one completion, calling onToken with each piece of the answer
+   * @returns {Promise<{text: string, usage: Object}>}
+   */
+  async stream(messages, { onToken, signal }) {
+    const response = await this.request(messages, { stream: true, signal });
+
+    let fullText = '';
+    let usage = null;
+    let refusal = '';
+    let finishReason = null;
+    for await (const data of readEventData(response.body)) {
+      if (data === '[DONE]') break;
+      const payload = JSON.parse(data);
+      if (payload.error) {
+        throw new Error(payload.error.message || `${this.constructor.name} stream error`);
+      }
+      if (payload.usage) usage = payload.usage;
+
+      const choice = payload.choices?.[0];
+      if (!choice) continue;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+      if (choice.delta?.refusal) refusal += choice.delta.refusal;
+      const text = this.contentText(choice.delta?.content);
+      if (text) {
+        fullText += text;
+        if (onToken) onToken(text);
+      }
+    }
+    this.checkRefused({ refusal, finishReason }, fullText);
+    return { text: fullText, usage: this.normalizeUsage(usage) };
+  }
+
+  /**
+   * Analyze an image with a prompt
+   */
+  async analyzeImage({ imageData, mediaType, images, prompt, responseFormat, signal }) {
+    const { text, usage, model } = await this.complete(
+      this.imageMessages({ imageData, mediaType, images, prompt }),
+      { responseFormat, signal },
+    );
+    return {
+      text,
+      structured: responseFormat ? this.parseStructured(text) : null,
+      usage,
+      model,
+    };
+  }
+
+  /**
+   * Generate text from a prompt
+   */
+  async generateText({ prompt, systemPrompt, context, signal }) {
+    return this.complete(this.textMessages({ prompt, systemPrompt, context }), { signal });
+  }
+
+  /**
+   * Stream text generation with token callbacks
+   */
+  async streamText({ prompt, systemPrompt, context, onToken, onComplete, onError, signal }) {
+    try {
+      const { text, usage } = await this.stream(this.textMessages({ prompt, systemPrompt, context }), { onToken, signal });
+      if (onComplete) {
+        onComplete(text, usage);
+      }
+    } catch (error) {
+      if (onError) {
+        onError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Stream image analysis with token callbacks
+   */
+  async streamImageAnalysis({ imageData, mediaType, images, prompt, onToken, onComplete, onError, signal }) {
+    const tag = `[${this.constructor.name}]`;
+    const count = this.listImages({ imageData, mediaType, images }).length;
+    console.log(`${tag} streamImageAnalysis: ${count} image${count === 1 ? '' : 's'}, prompt ${prompt.length} chars, ${this.baseUrl}`);
+    const startTime = Date.now();
+
+    try {
+      const { text, usage } = await this.stream(
+        this.imageMessages({ imageData, mediaType, images, prompt }),
+        { onToken, signal },
+      );
+
+      console.log(`${tag} Stream complete: ${text.length} chars in ${Date.now() - startTime}ms`);
+      if (onComplete) {
+        onComplete(text, usage);
+      }
+    } catch (error) {
+      console.error(`${tag} streamImageAnalysis error:`, error.message);
+      if (onError) {
+        onError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { OpenAIAdapter };
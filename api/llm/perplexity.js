@@ -0,0 +1,24 @@
+/**
+ * Perplexity LLM Adapter
+ *
+ * Perplexity's Sonar models answer with live web search behind them, over
+ * the OpenAI Chat Completions format (see ./openai.js). Answers from
+ * generateText carry the `citations` they searched. Configured with
+ * PERPLEXITY_API_KEY, and optionally PERPLEXITY_BASE_URL / _MODEL / _VISION.
+ */
+
+const { OpenAIAdapter } = require('./openai');
+
+class PerplexityAdapter extends OpenAIAdapter {
+  static imageProfile = { ...OpenAIAdapter.imageProfile, name: 'perplexity' };
+
+  static envPrefix = 'PERPLEXITY';
+  static defaultBaseUrl = 'https://api.perplexity.ai';
+  static defaultModel = 'sonar';
+
+  get providerName() {
+    return 'perplexity';
+  }
+}
+
+module.exports = { PerplexityAdapter };
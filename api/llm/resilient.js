@@ -0,0 +1,491 @@
+/**
+ * Resilient LLM Adapter
+ *
+ * Wraps a route's provider in retries, a fallback chain and per-provider
+ * circuit breakers, so an overloaded or rate-limited provider doesn't fail
+ * the request outright:
+ *
+ * - Retries: errors a provider may not repeat (429, 5xx, 529 overloaded,
+ *   dropped connections) are retried with exponential backoff and full
+ *   jitter, honouring Retry-After, up to the route's retry count.
+ * - Fallbacks: when a provider fails for good, the next one in the route's
+ *   chain is asked (<ROUTE>_LLM_FALLBACK, e.g. `gemini,openai:llava:13b`).
+ * - Circuit breakers: a provider that failed LLM_BREAKER_THRESHOLD times in
+ *   a row is skipped for LLM_BREAKER_COOLDOWN_MS, then given one trial call
+ *   at a time until one succeeds (closed again) or fails (another cooldown).
+ *   Failures that are the provider's fault count, retryable or not (e.g. a
+ *   bad API key); a request the provider rejects as invalid doesn't.
+ *
+ * A stream is only retried before its first token; once text has reached
+ * the caller, a failure is passed on. Answers say which provider gave them:
+ * analyzeImage/generateText results carry `provider`, and stream onComplete
+ * gets a third argument, { provider, model, failures }. Both carry
+ * `fallback: true` when a provider after the first one answered.
+ */
+
+const { LLMAdapter } = require('./adapter');
+
+// Statuses worth asking the same provider again for (529 = Anthropic overloaded)
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network failures from fetch (undici) and the Anthropic SDK
+const RETRYABLE_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Statuses that won't pass on retry but say the provider can't serve us (bad key, no access)
+const PROVIDER_FAULT_STATUSES = [401, 403];
+
+const configuredRetries = parseInt(process.env.LLM_RETRIES, 10);
+const DEFAULT_RETRIES = Number.isNaN(configuredRetries) ? 2 : Math.max(configuredRetries, 0);
+const RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 1000;
+const RETRY_MAX_MS = parseInt(process.env.LLM_RETRY_MAX_MS, 10) || 15000;
+
+const BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS, 10) || 60000;
+
+/**
+ * Thrown when no provider in a route's chain could answer
+ */
+class LLMUnavailableError extends Error {
+  /**
+   * @param {string} route
+   * @param {Array<{provider: string, message: string, status?: number}>} failures - Every failed attempt, in order
+   */
+  constructor(route, failures) {
+    const tried = [...new Set(failures.map((failure) => failure.provider))];
+    const last = failures[failures.length - 1];
+    super(`The AI provider${tried.length === 1 ? ' is' : 's are'} unavailable right now (${tried.join(', ')}). Please retry in a minute.`
+      + (last ? ` Last error: ${last.message}` : ''));
+    this.name = 'LLMUnavailableError';
+    this.code = 'LLM_UNAVAILABLE';
+    this.status = 503;
+    this.title = 'AI provider unavailable';
+    this.route = route;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Whether an error may go away if the same request is sent again
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  if (error.error?.error?.type === 'overloaded_error') return true;
+  if (RETRYABLE_ERROR_NAMES.includes(error.name)) return true;
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_ERROR_CODES.includes(code) || (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+/**
+ * Whether an error counts against the provider's circuit breaker: anything
+ * retryable, plus failures no request could get past (bad credentials)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isProviderFault(error) {
+  return isRetryable(error) || PROVIDER_FAULT_STATUSES.includes(error.status);
+}
+
+/**
+ * The provider's own message for an error (the Anthropic SDK prefixes the
+ * status and raw JSON body to its messages)
+ * @param {Error} error
+ * @returns {string}
+ */
+function errorMessage(error) {
+  return error.error?.error?.message || error.message;
+}
+
+/**
+ * Milliseconds the provider asked us to wait, from a Retry-After header
+ * @param {Error} error - With `headers` (Anthropic SDK) or `retryAfter` (seconds)
+ * @returns {number|null}
+ */
+function retryAfterMs(error) {
+  const value = error.retryAfter ?? error.headers?.get?.('retry-after') ?? error.headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Delay before a retry: full jitter over an exponentially growing window,
+ * unless the provider said how long to wait
+ * @param {number} attempt - Retries made so far
+ * @param {Error} error
+ * @returns {number}
+ */
+function backoffDelay(attempt, error) {
+  const requested = retryAfterMs(error);
+  if (requested !== null) return Math.min(requested, RETRY_MAX_MS);
+  return Math.round(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt));
+}
+
+/**
+ * Wait, unless aborted first
+ */
+function pause(ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Consecutive-failure circuit breaker for one provider (in this process).
+ * Calls take a ticket from acquire() and hand it back with their outcome.
+ */
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.failures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * closed (calls go through), open (skipped) or half-open (cooled down; one trial call decides)
+   * @returns {string}
+   */
+  get state() {
+    if (this.failures < BREAKER_THRESHOLD) return 'closed';
+    return Date.now() < this.openUntil ? 'open' : 'half-open';
+  }
+
+  /**
+   * Whether a call would be let through now (without taking a ticket)
+   * @returns {boolean}
+   */
+  canAttempt() {
+    const state = this.state;
+    return state === 'closed' || (state === 'half-open' && !this.trialInFlight);
+  }
+
+  /**
+   * Let a call through: always when closed, never when open, and only one
+   * trial at a time when half-open
+   * @returns {{trial: boolean}|null} A ticket, or null if the call must not be made
+   */
+  acquire() {
+    if (!this.canAttempt()) return null;
+    const trial = this.state === 'half-open';
+    if (trial) this.trialInFlight = true;
+    return { trial };
+  }
+
+  /**
+   * Give a ticket back without an outcome (the call was abandoned)
+   * @param {{trial: boolean}} ticket
+   */
+  release(ticket) {
+    if (ticket.trial) this.trialInFlight = false;
+  }
+
+  recordSuccess(ticket) {
+    this.release(ticket);
+    if (this.failures >= BREAKER_THRESHOLD) {
+      console.log(`[LLM] Circuit for ${this.name} closed`);
+    }
+    this.failures = 0;
+    this.openUntil = 0;
+  }
+
+  recordFailure(ticket) {
+    this.release(ticket);
+    this.failures++;
+    // Opens once on reaching the threshold, and again after each failed
+    // trial; calls that were already under way when it opened don't extend it
+    if (ticket.trial || this.failures === BREAKER_THRESHOLD) {
+      this.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+      console.warn(`[LLM] Circuit for ${this.name} open for ${BREAKER_COOLDOWN_MS}ms after ${this.failures} failures`);
+    }
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * The breaker of a provider
+ * @param {string} provider
+ * @returns {CircuitBreaker}
+ */
+function getBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, new CircuitBreaker(provider));
+  }
+  return breakers.get(provider);
+}
+
+/**
+ * State of every provider's breaker, for health checks
+ * @returns {Object<string, {state: string, failures: number, openUntil: string|null}>}
+ */
+function describeBreakers() {
+  const states = {};
+  for (const [provider, breaker] of breakers) {
+    states[provider] = {
+      state: breaker.state,
+      failures: breaker.failures,
+      openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+    };
+  }
+  return states;
+}
+
+/**
+ * The strictest of several image profiles, so one prepared image suits
+ * every provider in a chain
+ * @param {Array<Object>} profiles - See LLMAdapter.imageProfile; the first is the primary's
+ * @returns {Object}
+ */
+function combineProfiles(profiles) {
+  const [primary, ...others] = profiles;
+  if (others.length === 0) return primary;
+
+  const min = (values) => Math.min(...values);
+  const pixelLimits = profiles.map((profile) => profile.maxPixels).filter(Boolean);
+  const acceptedTypes = primary.acceptedTypes.filter((type) => others.every((profile) => profile.acceptedTypes.includes(type)));
+  const preferred = profiles.find((profile) => acceptedTypes.includes(`image/${profile.preferredFormat}`));
+  return {
+    ...primary,
+    maxBytes: min(profiles.map((profile) => profile.maxBytes)),
+    maxRequestBytes: min(profiles.map((profile) => profile.maxRequestBytes)),
+    maxLongEdge: min(profiles.map((profile) => profile.maxLongEdge)),
+    maxPixels: pixelLimits.length ? min(pixelLimits) : null,
+    preferredFormat: preferred ? preferred.preferredFormat : 'jpeg',
+    acceptedTypes,
+  };
+}
+
+class ResilientAdapter extends LLMAdapter {
+  /**
+   * @param {Object} config
+   * @param {string} config.route - For logs and errors
+   * @param {Array<{provider: string, model?: string}>} config.chain - Providers in the order they're asked
+   * @param {LLMAdapter} config.primary - The first provider's adapter, already created
+   * @param {Function} config.createAdapter - (entry) => LLMAdapter, for the fallbacks when they're needed
+   * @param {Object} config.imageProfile - See combineProfiles
+   * @param {number} config.retries - Retries per provider
+   */
+  constructor({ route, chain, primary, createAdapter, imageProfile, retries = DEFAULT_RETRIES }) {
+    super({ route });
+    this.route = route;
+    this.chain = chain;
+    this.primary = primary;
+    this.createAdapter = createAdapter;
+    // Chain position -> adapter, so each fallback is only created once
+    this.adapters = new Map([[0, primary]]);
+    this.profile = imageProfile || primary.imageProfile;
+    this.retries = retries;
+    this.model = primary.model;
+  }
+
+  get providerName() {
+    return this.primary.providerName;
+  }
+
+  get imageProfile() {
+    return this.profile;
+  }
+
+  supportsVision() {
+    return this.primary.supportsVision();
+  }
+
+  supportsStructuredOutput() {
+    return this.primary.supportsStructuredOutput();
+  }
+
+  supportsStreaming() {
+    return this.primary.supportsStreaming();
+  }
+
+  /**
+   * The adapter for a position in the chain, created on first use
+   * @param {number} index
+   * @returns {LLMAdapter}
+   */
+  adapterAt(index) {
+    if (!this.adapters.has(index)) {
+      this.adapters.set(index, this.createAdapter(this.chain[index]));
+    }
+    return this.adapters.get(index);
+  }
+
+  /**
+   * Ask each provider in turn, retrying the retryable failures
+   * @param {Function} call - (adapter, markStarted) => Promise; markStarted() once output has reached the caller
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
+   * @param {Function} options.onRetry - Optional ({ provider, nextProvider, attempt, delayMs, error }) => void
+   *   before each retry or fallback
+   * @returns {Promise<{adapter: LLMAdapter, result: any, failures: Array}>}
+   * @throws {LLMUnavailableError} If every provider failed, one of them for
+   *   a reason that may pass (otherwise the first provider's own error)
+   */
+  async run(call, { signal, onRetry }) {
+    const failures = [];
+    let firstError = null;
+
+    for (const [index, entry] of this.chain.entries()) {
+      const nextProvider = this.chain[index + 1]?.provider || null;
+      const breaker = getBreaker(entry.provider);
+
+      for (let attempt = 0; ; attempt++) {
+        const ticket = breaker.acquire();
+        if (!ticket) {
+          failures.push({ provider: entry.provider, message: 'Circuit open after repeated failures', retryable: true });
+          break;
+        }
+
+        let adapter;
+        try {
+          adapter = this.adapterAt(index);
+        } catch (error) {
+          // e.g. no API key for a fallback
+          breaker.recordFailure(ticket);
+          failures.push({ provider: entry.provider, message: error.message, retryable: false });
+          firstError = firstError || error;
+          break;
+        }
+
+        let started = false;
+        try {
+          const result = await call(adapter, () => {
+            started = true;
+          });
+          breaker.recordSuccess(ticket);
+          if (failures.length) {
+            console.log(`[LLM] ${this.route}: answered by ${entry.provider} after ${failures.length} failed attempt${failures.length === 1 ? '' : 's'}`);
+          }
+          return { adapter, result, failures };
+        } catch (error) {
+          if (signal?.aborted || started) {
+            breaker.release(ticket);
+            throw error;
+          }
+
+          const retryable = isRetryable(error);
+          if (isProviderFault(error)) {
+            breaker.recordFailure(ticket);
+          } else {
+            // The request was at fault; the provider answered
+            breaker.recordSuccess(ticket);
+          }
+          failures.push({
+            provider: entry.provider,
+            model: adapter.model,
+            message: errorMessage(error),
+            ...(error.status ? { status: error.status } : {}),
+            retryable,
+          });
+          firstError = firstError || error;
+
+          const retry = retryable && attempt < this.retries && breaker.canAttempt();
+          if (!retry && !nextProvider) break;
+          const delayMs = retry ? backoffDelay(attempt, error) : 0;
+          console.warn(`[LLM] ${this.route}: ${entry.provider} failed (${error.status || error.name}: ${errorMessage(error)}); `
+            + (retry ? `retry ${attempt + 1}/${this.retries} in ${delayMs}ms` : `falling back to ${nextProvider}`));
+          if (onRetry) onRetry({ provider: entry.provider, nextProvider: retry ? entry.provider : nextProvider, attempt: attempt + 1, delayMs, error });
+          if (!retry) break;
+          await pause(delayMs, signal);
+        }
+      }
+    }
+
+    // Nothing was down, the request itself failed (e.g. a 400): say so
+    if (firstError && !failures.some((failure) => failure.retryable)) throw firstError;
+    throw new LLMUnavailableError(this.route, failures);
+  }
+
+  /**
+   * A one-shot method, with `provider` (and `failures` and `fallback`, if any) added to its result
+   */
+  async callOnce(method, options) {
+    const { adapter, result, failures } = await this.run(
+      (target) => target[method](options),
+      { signal: options.signal, onRetry: options.onRetry },
+    );
+    return {
+      ...result,
+      provider: adapter.providerName,
+      model: result.model || adapter.model,
+      ...(failures.length ? { failures } : {}),
+      ...(adapter !== this.primary ? { fallback: true } : {}),
+    };
+  }
+
+  /**
+   * A streamed method, with the answering provider passed to onComplete
+   */
+  async callStream(method, options) {
+    const { onToken, onComplete, onError, signal, onRetry } = options;
+    try {
+      let completed = null;
+      const { adapter, failures } = await this.run((target, markStarted) => target[method]({
+        ...options,
+        onToken: (token) => {
+          markStarted();
+          if (onToken) onToken(token);
+        },
+        onComplete: (text, usage) => {
+          completed = { text, usage };
+        },
+        // Thrown instead, so run() sees it
+        onError: undefined,
+      }), { signal, onRetry });
+
+      if (onComplete) {
+        onComplete(completed?.text || '', completed?.usage || null, {
+          provider: adapter.providerName,
+          model: adapter.model,
+          failures,
+          ...(adapter !== this.primary ? { fallback: true } : {}),
+        });
+      }
+    } catch (error) {
+      if (onError) {
+        onError(error);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  async analyzeImage(options) {
+    return this.callOnce('analyzeImage', options);
+  }
+
+  async generateText(options) {
+    return this.callOnce('generateText', options);
+  }
+
+  async streamText(options) {
+    return this.callStream('streamText', options);
+  }
+
+  async streamImageAnalysis(options) {
+    return this.callStream('streamImageAnalysis', options);
+  }
+}
+
+module.exports = {
+  ResilientAdapter,
+  LLMUnavailableError,
+  DEFAULT_RETRIES,
+  isRetryable,
+  combineProfiles,
+  describeBreakers,
+};
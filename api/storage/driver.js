@@ -0,0 +1,204 @@
+/**
+ * Storage Driver Interface
+ *
+ * Abstract base class for job storage backends.
+ * Values are plain JSON-serializable objects, TTLs are in seconds.
+ * Wherever a TTL is taken, 0 (or none) means the value never expires;
+ * every driver treats it that way, including expire().
+ *
+ * Every stored value carries a `version` number that drivers bump on each
+ * write. `update` merges fields atomically and can be made conditional on
+ * the version the caller last read (optimistic concurrency).
+ *
+ * Drivers also keep sorted indexes: named sets of members ordered by a
+ * numeric score (e.g. job ids by creation time), read newest-first.
+ * Index entries don't expire; callers remove or trim them.
+ *
+ * Logs are append-only lists of JSON entries (e.g. a job's events), so a
+ * writer adds entries without reading or rewriting the ones before it.
+ * They live under ordinary keys: delete, expire and ttl apply to them too.
+ */
+
+/**
+ * Thrown when a conditional update finds a newer version than expected.
+ * Callers should re-read the value and retry.
+ */
+class ConcurrencyError extends Error {
+  constructor(key, expectedVersion, actualVersion) {
+    super(`Version conflict on ${key}: expected ${expectedVersion}, found ${actualVersion}`);
+    this.name = 'ConcurrencyError';
+    this.code = 'VERSION_CONFLICT';
+    this.key = key;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+class StorageDriver {
+  constructor(config = {}) {
+    if (new.target === StorageDriver) {
+      throw new Error('StorageDriver is an abstract class and cannot be instantiated directly');
+    }
+    this.config = config;
+  }
+
+  /**
+   * Get the driver name
+   * @returns {string}
+   */
+  get driverName() {
+    throw new Error('driverName must be implemented');
+  }
+
+  /**
+   * Read a value
+   * @param {string} key
+   * @returns {Promise<Object|null>} The stored value, or null if missing/expired
+   */
+  async get(key) {
+    throw new Error('get must be implemented');
+  }
+
+  /**
+   * Write a value, replacing any existing one and bumping its version
+   * @param {string} key
+   * @param {Object} value
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    throw new Error('set must be implemented');
+  }
+
+  /**
+   * Write a value only if the key doesn't hold one yet; the check and the
+   * write are atomic, so of several callers racing for a key one wins
+   * @param {string} key
+   * @param {Object} value
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean>} Whether the value was written
+   */
+  async create(key, value, ttl) {
+    throw new Error('create must be implemented');
+  }
+
+  /**
+   * Atomically merge fields into an existing value, keeping its expiry
+   * @param {string} key
+   * @param {Object} updates - Top-level fields to overwrite
+   * @param {Object} options
+   * @param {number} options.expectedVersion - Only apply if the stored version matches
+   * @returns {Promise<Object|null>} The updated value, or null if missing
+   * @throws {ConcurrencyError} If expectedVersion doesn't match
+   */
+  async update(key, updates, { expectedVersion } = {}) {
+    throw new Error('update must be implemented');
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key
+   * @returns {Promise<boolean>} Whether a value was deleted
+   */
+  async delete(key) {
+    throw new Error('delete must be implemented');
+  }
+
+  /**
+   * List keys that start with a prefix
+   * @param {string} prefix
+   * @returns {Promise<string[]>}
+   */
+  async list(prefix) {
+    throw new Error('list must be implemented');
+  }
+
+  /**
+   * Reset the expiry of an existing value
+   * @param {string} key
+   * @param {number} ttl - Time to live in seconds (0 = never expire, not delete)
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async expire(key, ttl) {
+    throw new Error('expire must be implemented');
+  }
+
+  /**
+   * Seconds until a value expires
+   * @param {string} key
+   * @returns {Promise<number|null>} Seconds left, 0 if it never expires, or null if missing
+   */
+  async ttl(key) {
+    throw new Error('ttl must be implemented');
+  }
+
+  /**
+   * Atomically append entries to a log, so concurrent writers never lose
+   * each other's entries. An existing log keeps its expiry.
+   * @param {string} key
+   * @param {Object[]} entries - At least one entry
+   * @param {number} ttl - Time to live in seconds for a log this creates.
+   *   Without one, nothing is written if the log is missing
+   * @returns {Promise<number|null>} The log's length afterwards, or null if it was missing
+   */
+  async logAppend(key, entries, ttl) {
+    throw new Error('logAppend must be implemented');
+  }
+
+  /**
+   * Read a log's entries from a position on
+   * @param {string} key
+   * @param {number} start - Entries to skip from the start of the log
+   * @returns {Promise<Object[]|null>} The entries, or null if the log is missing
+   */
+  async logRead(key, start = 0) {
+    throw new Error('logRead must be implemented');
+  }
+
+  /**
+   * Add a member to a sorted index, or move it to a new score
+   * @param {string} index - Index name
+   * @param {string} member
+   * @param {number} score
+   * @returns {Promise<void>}
+   */
+  async indexAdd(index, member, score) {
+    throw new Error('indexAdd must be implemented');
+  }
+
+  /**
+   * Remove members from a sorted index
+   * @param {string} index - Index name
+   * @param {string[]} members
+   * @returns {Promise<void>}
+   */
+  async indexRemove(index, members) {
+    throw new Error('indexRemove must be implemented');
+  }
+
+  /**
+   * Read a sorted index from the highest score down
+   * @param {string} index - Index name
+   * @param {Object} options
+   * @param {number} options.min - Lowest score to include (default: no limit)
+   * @param {number} options.max - Highest score to include (default: no limit)
+   * @param {number} options.offset - Entries to skip from the top of the range
+   * @param {number} options.limit - Maximum entries to return
+   * @returns {Promise<Array<{member: string, score: number}>>}
+   */
+  async indexRange(index, { min, max, offset, limit } = {}) {
+    throw new Error('indexRange must be implemented');
+  }
+
+  /**
+   * Remove every entry scored below a threshold
+   * @param {string} index - Index name
+   * @param {number} score - Entries with a lower score are removed
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async indexTrim(index, score) {
+    throw new Error('indexTrim must be implemented');
+  }
+}
+
+module.exports = { StorageDriver, ConcurrencyError };
@@ -0,0 +1,273 @@
+/**
+ * File Storage Driver
+ *
+ * Stores each value as a JSON file on local disk so jobs survive restarts
+ * on self-hosted instances without Redis. Expiry is checked on read.
+ * Writes take a per-key lock file so concurrent updates (even from
+ * several processes sharing the directory) can't interleave.
+ * Directory comes from config.dir or STORAGE_DIR (default: .data/storage).
+ * Sorted indexes are one file each (`index:<name>`), a member -> score map.
+ * Logs keep their length and expiry in the key's file and their entries
+ * in a JSON-lines file next to it, which appends add to without rewriting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StorageDriver, ConcurrencyError } = require('./driver');
+const { sortIndexEntries } = require('./memory');
+
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+
+class FileDriver extends StorageDriver {
+  constructor(config = {}) {
+    super(config);
+
+    this.dir = path.resolve(config.dir || process.env.STORAGE_DIR || path.join(process.cwd(), '.data', 'storage'));
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  get driverName() {
+    return 'file';
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  logPath(key) {
+    return `${this.filePath(key)}.log`;
+  }
+
+  /**
+   * Read the raw { value, expiresAt } entry, removing it if it has expired
+   */
+  async readEntry(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Write an entry atomically (temp file + rename) so readers never see partial JSON
+   */
+  async writeEntry(key, entry) {
+    const target = this.filePath(key);
+    const tmp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(entry));
+    await fs.promises.rename(tmp, target);
+  }
+
+  /**
+   * Run fn while holding the key's lock file
+   */
+  async withLock(key, fn) {
+    const lockPath = `${this.filePath(key)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await (await fs.promises.open(lockPath, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // Break locks left behind by a crashed process
+        const stat = await fs.promises.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.promises.unlink(lockPath).catch(() => {});
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for storage lock on ${key}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10 + Math.random() * 20));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.promises.unlink(lockPath).catch(() => {});
+    }
+  }
+
+  async get(key) {
+    const entry = await this.readEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttl) {
+    await this.withLock(key, async () => {
+      const current = await this.readEntry(key);
+      await this.writeEntry(key, {
+        value: { ...value, version: (current?.value.version || 0) + 1 },
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+      });
+    });
+  }
+
+  async create(key, value, ttl) {
+    return this.withLock(key, async () => {
+      if (await this.readEntry(key)) return false;
+      await this.writeEntry(key, {
+        value: { ...value, version: 1 },
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+      });
+      return true;
+    });
+  }
+
+  async update(key, updates, { expectedVersion } = {}) {
+    return this.withLock(key, async () => {
+      const entry = await this.readEntry(key);
+      if (!entry) return null;
+
+      const currentVersion = entry.value.version || 0;
+      if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+        throw new ConcurrencyError(key, expectedVersion, currentVersion);
+      }
+
+      entry.value = { ...entry.value, ...updates, version: currentVersion + 1 };
+      await this.writeEntry(key, entry);
+      return entry.value;
+    });
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.logPath(key)).catch(() => {});
+    try {
+      await fs.promises.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const files = await fs.promises.readdir(this.dir);
+    const keys = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const key = decodeURIComponent(file.slice(0, -'.json'.length));
+      if (key.startsWith(prefix) && await this.readEntry(key)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async expire(key, ttl) {
+    return this.withLock(key, async () => {
+      const entry = await this.readEntry(key);
+      if (!entry) return false;
+
+      entry.expiresAt = ttl ? Date.now() + ttl * 1000 : null;
+      await this.writeEntry(key, entry);
+      return true;
+    });
+  }
+
+  async ttl(key) {
+    const entry = await this.readEntry(key);
+    if (!entry) return null;
+    return entry.expiresAt ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+  }
+
+  async logAppend(key, entries, ttl) {
+    return this.withLock(key, async () => {
+      const lines = entries.map((logEntry) => `${JSON.stringify(logEntry)}\n`).join('');
+      let entry = await this.readEntry(key);
+      if (entry) {
+        await fs.promises.appendFile(this.logPath(key), lines);
+      } else {
+        if (ttl === undefined) return null;
+        entry = { value: { length: 0 }, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+        // Overwrites whatever a crashed writer left behind
+        await fs.promises.writeFile(this.logPath(key), lines);
+      }
+
+      entry.value.length += entries.length;
+      await this.writeEntry(key, entry);
+      return entry.value.length;
+    });
+  }
+
+  async logRead(key, start = 0) {
+    if (!await this.readEntry(key)) return null;
+
+    let text;
+    try {
+      text = await fs.promises.readFile(this.logPath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    // Drop the empty string after the last newline, or a line still being appended
+    const lines = text.split('\n').slice(0, -1);
+    return lines.slice(start).map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Read-modify-write an index's member -> score map under its lock
+   */
+  async modifyIndex(index, fn) {
+    const key = `index:${index}`;
+    return this.withLock(key, async () => {
+      const entry = await this.readEntry(key);
+      const members = entry ? entry.value.members : {};
+      const result = fn(members);
+      await this.writeEntry(key, { value: { members }, expiresAt: null });
+      return result;
+    });
+  }
+
+  async indexAdd(index, member, score) {
+    await this.modifyIndex(index, (members) => {
+      members[member] = score;
+    });
+  }
+
+  async indexRemove(index, members) {
+    await this.modifyIndex(index, (current) => {
+      for (const member of members) {
+        delete current[member];
+      }
+    });
+  }
+
+  async indexRange(index, { min = -Infinity, max = Infinity, offset = 0, limit = 100 } = {}) {
+    const entry = await this.readEntry(`index:${index}`);
+    if (!entry) return [];
+
+    const entries = new Map(Object.entries(entry.value.members));
+    return sortIndexEntries(entries, min, max).slice(offset, offset + limit);
+  }
+
+  async indexTrim(index, score) {
+    return this.modifyIndex(index, (members) => {
+      let removed = 0;
+      for (const [member, memberScore] of Object.entries(members)) {
+        if (memberScore < score) {
+          delete members[member];
+          removed++;
+        }
+      }
+      return removed;
+    });
+  }
+}
+
+module.exports = { FileDriver };
@@ -0,0 +1,110 @@
+/**
+ * Storage Driver Factory
+ *
+ * Creates the job storage backend selected by configuration.
+ * STORAGE_DRIVER picks a driver explicitly ('memory', 'upstash', 'redis', 'file');
+ * otherwise Upstash is used when its credentials are set, then REDIS_URL,
+ * then the in-memory driver.
+ */
+
+const { StorageDriver, ConcurrencyError } = require('./driver');
+const { MemoryDriver } = require('./memory');
+const { UpstashDriver } = require('./upstash');
+const { RedisDriver } = require('./redis');
+const { FileDriver } = require('./file');
+
+// Registry of available drivers
+const drivers = {
+  memory: MemoryDriver,
+  upstash: UpstashDriver,
+  redis: RedisDriver,
+  file: FileDriver,
+};
+
+// Active driver (lazy loaded)
+let activeDriver = null;
+
+/**
+ * Resolve the configured driver name
+ * @returns {string}
+ */
+function resolveDriverName() {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+  if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+    return 'upstash';
+  }
+  if (process.env.REDIS_URL) {
+    return 'redis';
+  }
+  return 'memory';
+}
+
+/**
+ * Create a new driver instance
+ * @param {string} name - Driver name ('memory', 'upstash', 'redis', 'file')
+ * @param {Object} config - Driver-specific configuration
+ * @returns {StorageDriver}
+ */
+function createDriver(name, config = {}) {
+  const DriverClass = drivers[name];
+  if (!DriverClass) {
+    throw new Error(`Unknown storage driver: ${name}. Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return new DriverClass(config);
+}
+
+/**
+ * Get the configured driver, creating it on first use
+ * @returns {StorageDriver}
+ */
+function getDriver() {
+  if (!activeDriver) {
+    activeDriver = createDriver(resolveDriverName());
+    console.log(`[Storage] Using ${activeDriver.driverName} driver`);
+  }
+  return activeDriver;
+}
+
+/**
+ * Replace the active driver (useful for testing)
+ * @param {StorageDriver|null} driver
+ */
+function setDriver(driver) {
+  activeDriver = driver;
+}
+
+/**
+ * Register a new driver
+ * @param {string} name - Driver name
+ * @param {typeof StorageDriver} DriverClass - Driver class
+ */
+function registerDriver(name, DriverClass) {
+  if (!(DriverClass.prototype instanceof StorageDriver)) {
+    throw new Error('DriverClass must extend StorageDriver');
+  }
+  drivers[name] = DriverClass;
+}
+
+/**
+ * List available drivers
+ * @returns {string[]}
+ */
+function listDrivers() {
+  return Object.keys(drivers);
+}
+
+module.exports = {
+  StorageDriver,
+  ConcurrencyError,
+  MemoryDriver,
+  UpstashDriver,
+  RedisDriver,
+  FileDriver,
+  createDriver,
+  getDriver,
+  setDriver,
+  registerDriver,
+  listDrivers,
+};
@@ -0,0 +1,163 @@
+/**
+ * In-Memory Storage Driver
+ *
+ * Process-local Map storage. Everything is lost on restart, so this is
+ * meant for local development and tests.
+ */
+
+const { StorageDriver, ConcurrencyError } = require('./driver');
+
+class MemoryDriver extends StorageDriver {
+  constructor(config = {}) {
+    super(config);
+    this.entries = new Map();
+    this.indexes = new Map();
+  }
+
+  get driverName() {
+    return 'memory';
+  }
+
+  /**
+   * Return the live entry for a key, dropping it if it has expired
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    // Shallow copy so callers can't mutate the stored record in place
+    return entry ? { ...entry.value } : null;
+  }
+
+  async set(key, value, ttl) {
+    const current = this.getEntry(key);
+    this.entries.set(key, {
+      value: { ...value, version: (current?.value.version || 0) + 1 },
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+    });
+  }
+
+  async create(key, value, ttl) {
+    if (this.getEntry(key)) return false;
+    this.entries.set(key, {
+      value: { ...value, version: 1 },
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+    });
+    return true;
+  }
+
+  async update(key, updates, { expectedVersion } = {}) {
+    const entry = this.getEntry(key);
+    if (!entry) return null;
+
+    // Single-threaded, so there is no await between the check and the write
+    const currentVersion = entry.value.version || 0;
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+      throw new ConcurrencyError(key, expectedVersion, currentVersion);
+    }
+
+    entry.value = { ...entry.value, ...updates, version: currentVersion + 1 };
+    return { ...entry.value };
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix) && this.getEntry(key)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async expire(key, ttl) {
+    const entry = this.getEntry(key);
+    if (!entry) return false;
+
+    entry.expiresAt = ttl ? Date.now() + ttl * 1000 : null;
+    return true;
+  }
+
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return null;
+    return entry.expiresAt ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+  }
+
+  async logAppend(key, entries, ttl) {
+    let entry = this.getEntry(key);
+    if (!entry) {
+      if (ttl === undefined) return null;
+      entry = { log: [], expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      this.entries.set(key, entry);
+    }
+    entry.log.push(...entries.map((logEntry) => ({ ...logEntry })));
+    return entry.log.length;
+  }
+
+  async logRead(key, start = 0) {
+    const entry = this.getEntry(key);
+    return entry ? entry.log.slice(start).map((logEntry) => ({ ...logEntry })) : null;
+  }
+
+  async indexAdd(index, member, score) {
+    if (!this.indexes.has(index)) {
+      this.indexes.set(index, new Map());
+    }
+    this.indexes.get(index).set(member, score);
+  }
+
+  async indexRemove(index, members) {
+    const entries = this.indexes.get(index);
+    if (!entries) return;
+    for (const member of members) {
+      entries.delete(member);
+    }
+  }
+
+  async indexRange(index, { min = -Infinity, max = Infinity, offset = 0, limit = 100 } = {}) {
+    const entries = this.indexes.get(index);
+    if (!entries) return [];
+
+    return sortIndexEntries(entries, min, max).slice(offset, offset + limit);
+  }
+
+  async indexTrim(index, score) {
+    const entries = this.indexes.get(index);
+    if (!entries) return 0;
+
+    let removed = 0;
+    for (const [member, memberScore] of Array.from(entries)) {
+      if (memberScore < score) {
+        entries.delete(member);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Filter a member -> score map to a score range, highest score first
+ * (ties broken by member, descending, to match Redis)
+ */
+function sortIndexEntries(entries, min, max) {
+  return Array.from(entries, ([member, score]) => ({ member, score }))
+    .filter(({ score }) => score >= min && score <= max)
+    .sort((a, b) => (b.score - a.score) || (a.member < b.member ? 1 : a.member > b.member ? -1 : 0));
+}
+
+module.exports = { MemoryDriver, sortIndexEntries };
@@ -0,0 +1,191 @@
+/**
+ * Redis Hash Encoding
+ *
+ * Shared by the Upstash and Redis drivers. Each value is stored as a hash
+ * with one JSON-encoded field per top-level property, so an update only
+ * rewrites the fields it touches and HSET leaves the key's TTL alone.
+ * Writes run as Lua scripts so the version check and the write are atomic.
+ * Sorted indexes are plain sorted sets under `index:<name>`, and logs are
+ * lists of JSON-encoded entries.
+ */
+
+// KEYS[1] = key, ARGV[1] = ttl seconds (0 = none), ARGV[2..] = field/value pairs
+const SET_SCRIPT = `
+local version = tonumber(redis.call('HGET', KEYS[1], 'version') or '0') + 1
+redis.call('DEL', KEYS[1])
+for i = 2, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+redis.call('HSET', KEYS[1], 'version', version)
+local ttl = tonumber(ARGV[1])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[1], ttl)
+end
+return version
+`;
+
+// KEYS[1] = key, ARGV[1] = ttl seconds (0 = none), ARGV[2..] = field/value pairs
+// Returns 1 if the value was written, 0 if the key already existed
+const CREATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+for i = 2, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+redis.call('HSET', KEYS[1], 'version', 1)
+local ttl = tonumber(ARGV[1])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[1], ttl)
+end
+return 1
+`;
+
+// KEYS[1] = key, ARGV[1] = expected version ('' = unconditional), ARGV[2..] = field/value pairs
+// Returns { status, version, hgetall } where status is 'ok', 'missing' or 'conflict'
+const UPDATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return { 'missing', 0, {} }
+end
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if ARGV[1] ~= '' and tonumber(ARGV[1]) ~= current then
+  return { 'conflict', current, {} }
+end
+for i = 2, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+local version = redis.call('HINCRBY', KEYS[1], 'version', 1)
+return { 'ok', version, redis.call('HGETALL', KEYS[1]) }
+`;
+
+// KEYS[1] = key, ARGV[1] = ttl seconds (0 = none)
+// Returns 1 if the key existed, 0 if not. Plain EXPIRE with 0 would delete
+// the key, unlike a 0 ttl everywhere else
+const EXPIRE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+local ttl = tonumber(ARGV[1])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[1], ttl)
+else
+  redis.call('PERSIST', KEYS[1])
+end
+return 1
+`;
+
+// KEYS[1] = key, ARGV[1] = ttl seconds for a new log ('' = don't create, 0 = none),
+// ARGV[2..] = JSON-encoded entries
+// Returns the log's length, or -1 if it was missing and not created
+const LOG_APPEND_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('RPUSH', KEYS[1], unpack(ARGV, 2))
+end
+if ARGV[1] == '' then
+  return -1
+end
+local length = redis.call('RPUSH', KEYS[1], unpack(ARGV, 2))
+local ttl = tonumber(ARGV[1])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[1], ttl)
+end
+return length
+`;
+
+/**
+ * Build LOG_APPEND_SCRIPT arguments
+ * @param {Object[]} entries
+ * @param {number} [ttl]
+ * @returns {string[]}
+ */
+function encodeLogAppend(entries, ttl) {
+  return [ttl === undefined ? '' : String(ttl || 0), ...entries.map((entry) => JSON.stringify(entry))];
+}
+
+/**
+ * Convert a TTL reply (-2 missing, -1 no expiry) to the driver's convention
+ * @param {number} reply
+ * @returns {number|null}
+ */
+function decodeTtl(reply) {
+  if (reply === -2) return null;
+  return reply === -1 ? 0 : reply;
+}
+
+/**
+ * Flatten an object into [field, json, field, json, ...] script arguments
+ * @param {Object} value
+ * @returns {string[]}
+ */
+function encodeFields(value) {
+  const args = [];
+  for (const [field, fieldValue] of Object.entries(value)) {
+    // version is owned by the scripts; undefined has no JSON form
+    if (field === 'version' || fieldValue === undefined) continue;
+    args.push(field, JSON.stringify(fieldValue));
+  }
+  return args;
+}
+
+/**
+ * Rebuild an object from HGETALL output (object or flat array)
+ * @param {Object|string[]|null} hash
+ * @returns {Object|null}
+ */
+function decodeFields(hash) {
+  if (!hash) return null;
+
+  let pairs = [];
+  if (Array.isArray(hash)) {
+    for (let i = 0; i < hash.length; i += 2) {
+      pairs.push([hash[i], hash[i + 1]]);
+    }
+  } else {
+    pairs = Object.entries(hash);
+  }
+  if (pairs.length === 0) return null;
+
+  const value = {};
+  for (const [field, json] of pairs) {
+    value[field] = JSON.parse(json);
+  }
+  return value;
+}
+
+/**
+ * Format a score bound for ZRANGE-style commands (Infinity -> +inf/-inf)
+ * @param {number} score
+ * @returns {string}
+ */
+function scoreBound(score) {
+  if (score === Infinity) return '+inf';
+  if (score === -Infinity) return '-inf';
+  return String(score);
+}
+
+/**
+ * Pair up a WITHSCORES reply ([member, score, member, score, ...])
+ * @param {Array} reply
+ * @returns {Array<{member: string, score: number}>}
+ */
+function decodeScoredMembers(reply) {
+  const entries = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    entries.push({ member: String(reply[i]), score: Number(reply[i + 1]) });
+  }
+  return entries;
+}
+
+module.exports = {
+  SET_SCRIPT,
+  CREATE_SCRIPT,
+  UPDATE_SCRIPT,
+  EXPIRE_SCRIPT,
+  LOG_APPEND_SCRIPT,
+  encodeFields,
+  encodeLogAppend,
+  decodeTtl,
+  decodeFields,
+  scoreBound,
+  decodeScoredMembers,
+};
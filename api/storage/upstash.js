@@ -0,0 +1,126 @@
+/**
+ * Upstash Storage Driver
+ *
+ * Stores values in Upstash Redis over its REST API.
+ * Requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN.
+ */
+
+const { StorageDriver, ConcurrencyError } = require('./driver');
+const {
+  SET_SCRIPT,
+  CREATE_SCRIPT,
+  UPDATE_SCRIPT,
+  EXPIRE_SCRIPT,
+  LOG_APPEND_SCRIPT,
+  encodeFields,
+  encodeLogAppend,
+  decodeTtl,
+  decodeFields,
+  scoreBound,
+  decodeScoredMembers,
+} = require('./redis-scripts');
+
+class UpstashDriver extends StorageDriver {
+  constructor(config = {}) {
+    super(config);
+
+    const url = config.url || process.env.UPSTASH_REDIS_REST_URL;
+    const token = config.token || process.env.UPSTASH_REDIS_REST_TOKEN;
+    if (!url || !token) {
+      throw new Error('UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are required for UpstashDriver');
+    }
+
+    // Lazy require so the package is only loaded when this driver is used
+    const { Redis } = require('@upstash/redis');
+    // Values are JSON-encoded per hash field, so skip the client's own deserialization
+    this.client = new Redis({ url, token, automaticDeserialization: false });
+  }
+
+  get driverName() {
+    return 'upstash';
+  }
+
+  async get(key) {
+    return decodeFields(await this.client.hgetall(key));
+  }
+
+  async set(key, value, ttl) {
+    await this.client.eval(SET_SCRIPT, [key], [String(ttl || 0), ...encodeFields(value)]);
+  }
+
+  async create(key, value, ttl) {
+    return Number(await this.client.eval(CREATE_SCRIPT, [key], [String(ttl || 0), ...encodeFields(value)])) === 1;
+  }
+
+  async update(key, updates, { expectedVersion } = {}) {
+    const expected = expectedVersion === undefined ? '' : String(expectedVersion);
+    const [status, version, hash] = await this.client.eval(UPDATE_SCRIPT, [key], [expected, ...encodeFields(updates)]);
+
+    if (status === 'missing') return null;
+    if (status === 'conflict') {
+      throw new ConcurrencyError(key, expectedVersion, version);
+    }
+    return decodeFields(hash);
+  }
+
+  async delete(key) {
+    return (await this.client.del(key)) > 0;
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    let cursor = 0;
+    do {
+      const [next, batch] = await this.client.scan(cursor, { match: `${prefix}*`, count: 500 });
+      keys.push(...batch);
+      cursor = Number(next);
+    } while (cursor !== 0);
+    return keys;
+  }
+
+  async expire(key, ttl) {
+    return Number(await this.client.eval(EXPIRE_SCRIPT, [key], [String(ttl || 0)])) === 1;
+  }
+
+  async ttl(key) {
+    return decodeTtl(Number(await this.client.ttl(key)));
+  }
+
+  async logAppend(key, entries, ttl) {
+    const length = Number(await this.client.eval(LOG_APPEND_SCRIPT, [key], encodeLogAppend(entries, ttl)));
+    return length === -1 ? null : length;
+  }
+
+  async logRead(key, start = 0) {
+    const entries = await this.client.lrange(key, start, -1);
+    if (entries.length === 0 && !await this.client.exists(key)) return null;
+    return entries.map((entry) => JSON.parse(entry));
+  }
+
+  async indexAdd(index, member, score) {
+    await this.client.zadd(`index:${index}`, { score, member });
+  }
+
+  async indexRemove(index, members) {
+    if (members.length === 0) return;
+    await this.client.zrem(`index:${index}`, ...members);
+  }
+
+  async indexRange(index, { min = -Infinity, max = Infinity, offset = 0, limit = 100 } = {}) {
+    // With rev, ZRANGE ... BYSCORE takes the bounds as max, min
+    const reply = await this.client.zrange(`index:${index}`, scoreBound(max), scoreBound(min), {
+      byScore: true,
+      rev: true,
+      offset,
+      count: limit,
+      withScores: true,
+    });
+    return decodeScoredMembers(reply);
+  }
+
+  async indexTrim(index, score) {
+    return this.client.zremrangebyscore(`index:${index}`, '-inf', `(${score}`);
+  }
+}
+
+module.exports = { UpstashDriver };
@@ -0,0 +1,111 @@
+/**
+ * The disk blob driver (api/blobs/disk.js) in a temporary directory:
+ * metadata, byte ranges, and blobs expiring by their sidecar.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiskBlobDriver } = require('../../api/blobs/disk');
+const { hashBuffer } = require('../../api/blobs/driver');
+
+const BYTES = Buffer.from('0123456789abcdef');
+
+let dir;
+let blobs;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'));
+  blobs = new DiskBlobDriver({ dir, ttl: 60 });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const blobPath = (hash) => path.join(dir, hash.slice(0, 2), hash);
+
+// Move a blob's expiry into the past
+const expire = (hash) => {
+  const sidecarPath = `${blobPath(hash)}.json`;
+  const sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+  fs.writeFileSync(sidecarPath, JSON.stringify({ ...sidecar, expiresAt: Date.now() - 1 }));
+};
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+test('stores bytes under their hash with a sidecar', async () => {
+  const storedAt = Date.now();
+  const meta = await blobs.put(BYTES, { contentType: 'image/png' });
+  const hash = hashBuffer(BYTES);
+
+  assert.deepEqual(meta, { hash, size: BYTES.length, contentType: 'image/png' });
+  assert.deepEqual(await blobs.head(hash), meta);
+  assert.deepEqual(await blobs.get(hash), BYTES);
+
+  const sidecar = JSON.parse(fs.readFileSync(`${blobPath(hash)}.json`, 'utf8'));
+  assert.ok(sidecar.expiresAt >= storedAt + 60 * 1000);
+  assert.ok(sidecar.expiresAt <= Date.now() + 60 * 1000);
+});
+
+test('streams an inclusive byte range', async () => {
+  const { hash } = await blobs.put(BYTES, { contentType: 'image/png' });
+  assert.equal((await read(await blobs.createReadStream(hash, { start: 2, end: 5 }))).toString(), '2345');
+  assert.equal((await read(await blobs.createReadStream(hash, { start: 10 }))).toString(), 'abcdef');
+});
+
+test('reads missing and malformed hashes as missing', async () => {
+  const missing = hashBuffer(Buffer.from('never stored'));
+  assert.equal(await blobs.head(missing), null);
+  assert.equal(await blobs.createReadStream(missing), null);
+  assert.equal(await blobs.delete(missing), false);
+  assert.equal(await blobs.head('../../etc/passwd'), null);
+});
+
+test('removes a blob once its sidecar says it has expired', async () => {
+  const { hash } = await blobs.put(Buffer.from('expiring'), { contentType: 'image/jpeg' });
+  expire(hash);
+
+  assert.equal(await blobs.head(hash), null);
+  assert.equal(await blobs.createReadStream(hash), null);
+  assert.equal(fs.existsSync(blobPath(hash)), false);
+  assert.equal(fs.existsSync(`${blobPath(hash)}.json`), false);
+});
+
+test('storing the same bytes again restarts the expiry', async () => {
+  const bytes = Buffer.from('stored twice');
+  const { hash } = await blobs.put(bytes, { contentType: 'image/png' });
+  const sidecarPath = `${blobPath(hash)}.json`;
+  const sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+  fs.writeFileSync(sidecarPath, JSON.stringify({ ...sidecar, expiresAt: Date.now() + 1000 }));
+
+  await blobs.put(bytes, { contentType: 'image/png' });
+  assert.ok(JSON.parse(fs.readFileSync(sidecarPath, 'utf8')).expiresAt > Date.now() + 30 * 1000);
+});
+
+test('counts sidecars without an expiry from when they were written', async () => {
+  const { hash, size } = await blobs.put(Buffer.from('old sidecar'), { contentType: 'image/png' });
+  const sidecarPath = `${blobPath(hash)}.json`;
+  fs.writeFileSync(sidecarPath, JSON.stringify({ hash, size, contentType: 'image/png' }));
+  assert.ok(await blobs.head(hash));
+
+  const written = new Date(Date.now() - 61 * 1000);
+  fs.utimesSync(sidecarPath, written, written);
+  assert.equal(await blobs.head(hash), null);
+});
+
+test('sweep removes expired blobs and keeps the rest', async () => {
+  const kept = await blobs.put(Buffer.from('kept'), { contentType: 'image/png' });
+  const swept = await blobs.put(Buffer.from('swept'), { contentType: 'image/png' });
+  expire(swept.hash);
+
+  assert.equal(await blobs.sweep(), 1);
+  assert.equal(fs.existsSync(blobPath(swept.hash)), false);
+  assert.equal(fs.existsSync(`${blobPath(swept.hash)}.json`), false);
+  assert.deepEqual(await blobs.head(kept.hash), kept);
+  assert.equal(await blobs.sweep(), 0);
+});
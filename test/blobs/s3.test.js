@@ -0,0 +1,236 @@
+/**
+ * The S3 blob driver (api/blobs/s3.js) against a local stand-in for S3
+ * that checks every request's Signature V4 the way S3 does, keeps objects
+ * in memory and serves byte ranges.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { S3BlobDriver } = require('../../api/blobs/s3');
+const { hashBuffer } = require('../../api/blobs/driver');
+
+const CREDENTIALS = { accessKeyId: 'AKIDLOCAL', secretAccessKey: 'local-secret' };
+const REGION = 'eu-west-1';
+const BUCKET = 'thinx-test';
+const BYTES = Buffer.from('0123456789abcdef');
+
+let server;
+let blobs;
+// Objects by path, with their bytes, type and Last-Modified time
+const objects = new Map();
+// Every request the stand-in got
+const requests = [];
+// Status the stand-in answers every request with, when set
+let outage = null;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Check a request's Signature V4 from the headers it was sent with
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+function checkSignature(req, body) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'malformed authorization header';
+  const [, accessKeyId, dateStamp, region, signedHeaders, signature] = match;
+  if (accessKeyId !== CREDENTIALS.accessKeyId) return 'unknown access key';
+  if (region !== REGION) return 'wrong region';
+
+  const amzDate = req.headers['x-amz-date'];
+  if (!amzDate?.startsWith(dateStamp)) return 'x-amz-date does not match the credential scope';
+  if (Math.abs(Date.now() - Date.parse(amzDate.replace(/(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/, '$1-$2-$3T$4:$5:$6Z'))) > 15 * 60 * 1000) {
+    return 'request time too skewed';
+  }
+  if (req.headers['x-amz-content-sha256'] !== sha256(body)) return 'x-amz-content-sha256 does not match the body';
+
+  const names = signedHeaders.split(';');
+  for (const required of ['host', 'x-amz-content-sha256', 'x-amz-date']) {
+    if (!names.includes(required)) return `${required} is not signed`;
+  }
+  const url = new URL(req.url, 'http://stand-in');
+  const canonicalRequest = [
+    req.method,
+    url.pathname,
+    url.searchParams.toString(),
+    names.map((name) => `${name}:${req.headers[name].trim()}\n`).join(''),
+    signedHeaders,
+    req.headers['x-amz-content-sha256'],
+  ].join('\n');
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    `${dateStamp}/${region}/s3/aws4_request`,
+    sha256(canonicalRequest),
+  ].join('\n');
+  const key = ['s3', 'aws4_request'].reduce(
+    (current, part) => hmac(current, part),
+    hmac(hmac(`AWS4${CREDENTIALS.secretAccessKey}`, dateStamp), region),
+  );
+  const expected = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+  return expected === signature ? null : 'signature does not match';
+}
+
+function handle(req, res, body) {
+  const problem = checkSignature(req, body);
+  if (problem) {
+    res.writeHead(403, { 'Content-Type': 'application/xml' });
+    return res.end(`<Error><Code>SignatureDoesNotMatch</Code><Message>${problem}</Message></Error>`);
+  }
+  if (outage) {
+    res.writeHead(outage);
+    return res.end();
+  }
+
+  const object = objects.get(req.url);
+  if (req.method === 'PUT') {
+    objects.set(req.url, { body, contentType: req.headers['content-type'], modifiedAt: new Date() });
+    res.writeHead(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+    return res.end();
+  }
+  if (req.method === 'DELETE') {
+    objects.delete(req.url);
+    res.writeHead(204);
+    return res.end();
+  }
+  if (!object) {
+    res.writeHead(404, { 'Content-Type': 'application/xml' });
+    return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+  }
+
+  const headers = {
+    'Content-Type': object.contentType,
+    'Last-Modified': object.modifiedAt.toUTCString(),
+    'Accept-Ranges': 'bytes',
+  };
+  const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+  if (range) {
+    const start = Number(range[1]);
+    const end = range[2] ? Math.min(Number(range[2]), object.body.length - 1) : object.body.length - 1;
+    const slice = object.body.subarray(start, end + 1);
+    res.writeHead(206, { ...headers, 'Content-Length': slice.length, 'Content-Range': `bytes ${start}-${end}/${object.body.length}` });
+    return res.end(req.method === 'HEAD' ? undefined : slice);
+  }
+  res.writeHead(200, { ...headers, 'Content-Length': object.body.length });
+  res.end(req.method === 'HEAD' ? undefined : object.body);
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handle(req, res, body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  blobs = new S3BlobDriver({
+    ...CREDENTIALS,
+    bucket: BUCKET,
+    region: REGION,
+    endpoint: `http://127.0.0.1:${server.address().port}/`,
+    ttl: 60,
+  });
+});
+
+after(() => server.close());
+
+const objectPath = (hash) => `/${BUCKET}/images/${hash}`;
+
+const lastRequest = (method) => requests.filter((request) => request.method === method).pop();
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Wait for the background delete of an expired object
+const deleted = async (hash) => {
+  for (let i = 0; i < 100 && objects.has(objectPath(hash)); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return !objects.has(objectPath(hash));
+};
+
+test('puts and reads objects with signed requests', async () => {
+  const hash = hashBuffer(BYTES);
+  assert.deepEqual(await blobs.put(BYTES, { contentType: 'image/png' }), { hash, size: BYTES.length, contentType: 'image/png' });
+
+  const put = lastRequest('PUT');
+  assert.equal(put.url, objectPath(hash));
+  assert.equal(put.headers['content-type'], 'image/png');
+  assert.equal(put.headers['x-amz-content-sha256'], sha256(BYTES));
+  assert.match(put.headers.authorization, /SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date,/);
+  assert.deepEqual(objects.get(objectPath(hash)).body, BYTES);
+
+  assert.deepEqual(await blobs.head(hash), { hash, size: BYTES.length, contentType: 'image/png' });
+  assert.deepEqual(await blobs.get(hash), BYTES);
+  // Reads sign the empty body
+  assert.equal(lastRequest('GET').headers['x-amz-content-sha256'], sha256(''));
+});
+
+test('is refused with the wrong secret', async () => {
+  const impostor = new S3BlobDriver({ ...CREDENTIALS, secretAccessKey: 'wrong', bucket: BUCKET, region: REGION, endpoint: blobs.endpoint });
+  await assert.rejects(impostor.put(Buffer.from('nope'), { contentType: 'image/png' }), /S3 PUT failed \(403\): .*signature does not match/);
+});
+
+test('passes byte ranges through to S3', async () => {
+  const { hash } = await blobs.put(BYTES, { contentType: 'image/png' });
+
+  assert.equal((await read(await blobs.createReadStream(hash, { start: 2, end: 5 }))).toString(), '2345');
+  assert.equal(lastRequest('GET').headers.range, 'bytes=2-5');
+  assert.equal((await read(await blobs.createReadStream(hash, { start: 10 }))).toString(), 'abcdef');
+  assert.equal(lastRequest('GET').headers.range, 'bytes=10-');
+  await read(await blobs.createReadStream(hash));
+  assert.equal(lastRequest('GET').headers.range, undefined);
+});
+
+test('reads a 404 as missing', async () => {
+  const missing = hashBuffer(Buffer.from('never stored'));
+  assert.equal(await blobs.head(missing), null);
+  assert.equal(await blobs.createReadStream(missing), null);
+  assert.equal(await blobs.delete(missing), false);
+  assert.equal(await blobs.head('not-a-hash'), null);
+});
+
+test('throws when S3 fails', async () => {
+  const { hash } = await blobs.put(BYTES, { contentType: 'image/png' });
+  outage = 503;
+  try {
+    await assert.rejects(blobs.head(hash), /S3 HEAD failed \(503\)/);
+    await assert.rejects(blobs.createReadStream(hash), /S3 GET failed \(503\)/);
+    await assert.rejects(blobs.put(BYTES, { contentType: 'image/png' }), /S3 PUT failed \(503\)/);
+  } finally {
+    outage = null;
+  }
+});
+
+test('expires objects by Last-Modified and deletes them', async () => {
+  const { hash } = await blobs.put(Buffer.from('expiring'), { contentType: 'image/jpeg' });
+  objects.get(objectPath(hash)).modifiedAt = new Date(Date.now() - 61 * 1000);
+
+  assert.equal(await blobs.head(hash), null);
+  assert.equal(await deleted(hash), true);
+  assert.equal(lastRequest('DELETE').url, objectPath(hash));
+
+  const { hash: other } = await blobs.put(Buffer.from('expiring too'), { contentType: 'image/jpeg' });
+  objects.get(objectPath(other)).modifiedAt = new Date(Date.now() - 61 * 1000);
+  assert.equal(await blobs.createReadStream(other), null);
+  assert.equal(await deleted(other), true);
+});
+
+test('storing the same bytes again restarts the expiry', async () => {
+  const bytes = Buffer.from('stored twice');
+  const { hash } = await blobs.put(bytes, { contentType: 'image/png' });
+  objects.get(objectPath(hash)).modifiedAt = new Date(Date.now() - 61 * 1000);
+
+  await blobs.put(bytes, { contentType: 'image/png' });
+  assert.ok(await blobs.head(hash));
+});
@@ -0,0 +1,145 @@
+/**
+ * Remote image fetching (api/images/fetch.js) against a local fixture server.
+ * The server's own address is the only private one allowed, so every other
+ * private target stays blocked the way it is in production.
+ */
+
+process.env.IMAGE_FETCH_ALLOW_PRIVATE = '127.0.0.1';
+process.env.IMAGE_FETCH_TIMEOUT_MS = '500';
+process.env.IMAGE_FETCH_MAX_REDIRECTS = '2';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { fetchImage, FetchError, createGuardedLookup } = require('../../api/images/fetch');
+
+// Smallest valid PNG: 1x1, transparent
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64',
+);
+const MAX_BYTES = 1024;
+
+let server;
+let base;
+
+const routes = {
+  '/image.png': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(PNG);
+  },
+  '/page.html': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end('<html></html>');
+  },
+  '/declared-large.png': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': MAX_BYTES * 4 });
+    res.end(Buffer.alloc(MAX_BYTES * 4));
+  },
+  // No Content-Length: only counting the body catches it
+  '/chunked-large.png': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.write(Buffer.alloc(MAX_BYTES));
+    res.end(Buffer.alloc(MAX_BYTES));
+  },
+  '/slow.png': () => {
+    // Never answers
+  },
+  '/to-metadata': (req, res) => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+  },
+  '/to-loopback': (req, res) => {
+    res.writeHead(302, { Location: `http://127.0.0.2:${server.address().port}/image.png` });
+    res.end();
+  },
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    // /hops/<n> redirects n more times before the image
+    const hops = req.url.match(/^\/hops\/(\d+)$/);
+    if (hops) {
+      const left = Number(hops[1]);
+      res.writeHead(302, { Location: left > 1 ? `/hops/${left - 1}` : '/image.png' });
+      return res.end();
+    }
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    route(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof FetchError, `expected a FetchError, got ${error}`);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('downloads an image', async () => {
+  const image = await fetchImage(`${base}/image.png`, { maxBytes: MAX_BYTES });
+  assert.deepEqual(image.buffer, PNG);
+  assert.equal(image.contentType, 'image/png');
+  assert.equal(image.redirects, 0);
+});
+
+test('follows redirects up to the limit', async () => {
+  const image = await fetchImage(`${base}/hops/2`, { maxBytes: MAX_BYTES });
+  assert.deepEqual(image.buffer, PNG);
+  assert.equal(image.redirects, 2);
+  assert.equal(image.url, `${base}/image.png`);
+});
+
+test('refuses more redirects than the limit', async () => {
+  await rejectsWith(fetchImage(`${base}/hops/3`, { maxBytes: MAX_BYTES }), 'TOO_MANY_REDIRECTS');
+});
+
+test('refuses private and reserved addresses', async () => {
+  await rejectsWith(fetchImage('http://169.254.169.254/latest/meta-data/', { maxBytes: MAX_BYTES }), 'BLOCKED');
+  await rejectsWith(fetchImage('http://10.0.0.1/image.png', { maxBytes: MAX_BYTES }), 'BLOCKED');
+  await rejectsWith(fetchImage('http://[::1]/image.png', { maxBytes: MAX_BYTES }), 'BLOCKED');
+  // NAT64 forms of 169.254.169.254 and 127.0.0.1
+  await rejectsWith(fetchImage('http://[64:ff9b::a9fe:a9fe]/latest/meta-data/', { maxBytes: MAX_BYTES }), 'BLOCKED');
+  await rejectsWith(fetchImage('http://[64:ff9b::127.0.0.1]/image.png', { maxBytes: MAX_BYTES }), 'BLOCKED');
+  await rejectsWith(fetchImage('http://[64:ff9b:1::a00:1]/image.png', { maxBytes: MAX_BYTES }), 'BLOCKED');
+  await rejectsWith(fetchImage(`http://127.0.0.2:${server.address().port}/image.png`, { maxBytes: MAX_BYTES }), 'BLOCKED');
+});
+
+test('refuses redirects to private addresses', async () => {
+  await rejectsWith(fetchImage(`${base}/to-metadata`, { maxBytes: MAX_BYTES }), 'BLOCKED');
+  await rejectsWith(fetchImage(`${base}/to-loopback`, { maxBytes: MAX_BYTES }), 'BLOCKED');
+});
+
+test('checks the address a host name resolves to', async () => {
+  const lookup = createGuardedLookup([]);
+  const error = await new Promise((resolve) => lookup('localhost', {}, resolve));
+  assert.ok(error instanceof FetchError);
+  assert.equal(error.code, 'BLOCKED');
+});
+
+test('refuses responses that are not images', async () => {
+  await rejectsWith(fetchImage(`${base}/page.html`, { maxBytes: MAX_BYTES }), 'NOT_AN_IMAGE');
+});
+
+test('refuses bodies over the size cap', async () => {
+  await rejectsWith(fetchImage(`${base}/declared-large.png`, { maxBytes: MAX_BYTES }), 'TOO_LARGE');
+  await rejectsWith(fetchImage(`${base}/chunked-large.png`, { maxBytes: MAX_BYTES }), 'TOO_LARGE');
+});
+
+test('gives up when the server does not answer in time', async () => {
+  await rejectsWith(fetchImage(`${base}/slow.png`, { maxBytes: MAX_BYTES }), 'TIMEOUT');
+});
+
+test('reports HTTP errors', async () => {
+  await rejectsWith(fetchImage(`${base}/missing.png`, { maxBytes: MAX_BYTES }), 'HTTP_ERROR');
+});
@@ -0,0 +1,117 @@
+/**
+ * Serving a job's image (GET /api/job/:jobId/image in api/index.js) from
+ * the disk blob store: revalidation by ETag and byte ranges.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const blobDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-route-'));
+process.env.STORAGE_DRIVER = 'memory';
+process.env.BLOB_DRIVER = 'disk';
+process.env.BLOB_DIR = blobDir;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../api');
+const { storage } = require('../api/jobs/store');
+const { getBlobStore } = require('../api/blobs');
+
+// Smallest valid PNG: 1x1, transparent
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64',
+);
+const JOB_ID = 'image-route-job';
+
+let server;
+let imageUrl;
+let etag;
+
+before(async () => {
+  const { hash } = await getBlobStore().put(PNG, { contentType: 'image/png' });
+  etag = `"${hash}"`;
+  await storage.setJob(JOB_ID, {
+    id: JOB_ID,
+    status: 'completed',
+    progress: 100,
+    imageHash: hash,
+    mediaType: 'image/png',
+    createdAt: new Date().toISOString(),
+  });
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  imageUrl = `http://127.0.0.1:${server.address().port}/api/job/${JOB_ID}/image`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(blobDir, { recursive: true, force: true });
+});
+
+const bytes = async (response) => Buffer.from(await response.arrayBuffer());
+
+test('serves the whole image with its hash as the ETag', async () => {
+  const response = await fetch(imageUrl);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/png');
+  assert.equal(response.headers.get('etag'), etag);
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.equal(response.headers.get('cache-control'), 'private, no-cache');
+  assert.equal(response.headers.get('content-length'), String(PNG.length));
+  assert.deepEqual(await bytes(response), PNG);
+});
+
+test('answers 304 when the client has the same image', async () => {
+  const response = await fetch(imageUrl, { headers: { 'If-None-Match': etag } });
+  assert.equal(response.status, 304);
+  assert.equal(response.headers.get('etag'), etag);
+  assert.equal((await bytes(response)).length, 0);
+
+  const changed = await fetch(imageUrl, { headers: { 'If-None-Match': '"something-else"' } });
+  assert.equal(changed.status, 200);
+  assert.deepEqual(await bytes(changed), PNG);
+});
+
+test('serves a single byte range as 206', async () => {
+  const response = await fetch(imageUrl, { headers: { Range: 'bytes=0-7' } });
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), `bytes 0-7/${PNG.length}`);
+  assert.equal(response.headers.get('content-length'), '8');
+  assert.deepEqual(await bytes(response), PNG.subarray(0, 8));
+
+  const suffix = await fetch(imageUrl, { headers: { Range: 'bytes=-4' } });
+  assert.equal(suffix.status, 206);
+  assert.equal(suffix.headers.get('content-range'), `bytes ${PNG.length - 4}-${PNG.length - 1}/${PNG.length}`);
+  assert.deepEqual(await bytes(suffix), PNG.subarray(-4));
+});
+
+test('honours a range only while If-Range still matches', async () => {
+  const current = await fetch(imageUrl, { headers: { Range: 'bytes=0-7', 'If-Range': etag } });
+  assert.equal(current.status, 206);
+  await bytes(current);
+
+  const stale = await fetch(imageUrl, { headers: { Range: 'bytes=0-7', 'If-Range': '"an-older-image"' } });
+  assert.equal(stale.status, 200);
+  assert.deepEqual(await bytes(stale), PNG);
+});
+
+test('answers 416 for a range past the end', async () => {
+  const response = await fetch(imageUrl, { headers: { Range: `bytes=${PNG.length + 10}-` } });
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get('content-range'), `bytes */${PNG.length}`);
+});
+
+test('serves multiple ranges as the whole image', async () => {
+  const response = await fetch(imageUrl, { headers: { Range: 'bytes=0-1,4-5' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await bytes(response), PNG);
+});
+
+test('answers 404 for an unknown job', async () => {
+  const response = await fetch(imageUrl.replace(JOB_ID, 'no-such-job'));
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error, 'Image not found');
+});
@@ -0,0 +1,169 @@
+/**
+ * Job callbacks (api/jobs/webhooks.js) delivered to a local receiver.
+ * The receiver's own address is the only private one allowed, so every
+ * other private target stays blocked the way it is in production.
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.WEBHOOK_ALLOW_PRIVATE = '127.0.0.1';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { storage } = require('../../api/jobs/store');
+const { enterStatus } = require('../../api/jobs/state');
+const { WebhookDispatcher, parseCallback, createWebhook, signPayload } = require('../../api/jobs/webhooks');
+
+const SECRET = 'receiver-secret';
+const RETRY_BASE_MS = 50;
+
+let server;
+let base;
+let dispatcher;
+// Requests the receiver got, by path
+const received = {};
+// Status codes each path answers with, in order (the last one repeats)
+const answers = {
+  '/ok': [204],
+  '/flaky': [503, 502, 200],
+  '/down': [500],
+  '/rejects': [400],
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const requests = received[req.url] || (received[req.url] = []);
+      requests.push({ at: Date.now(), headers: req.headers, body: Buffer.concat(chunks).toString() });
+      const codes = answers[req.url] || [404];
+      res.writeHead(codes[Math.min(requests.length, codes.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  dispatcher = new WebhookDispatcher({ maxAttempts: 3, retryBaseMs: RETRY_BASE_MS, timeoutMs: 1000 });
+  dispatcher.start();
+});
+
+after(() => {
+  dispatcher.stop();
+  server.close();
+});
+
+let nextJob = 0;
+
+// Create a running job with a callback to `path`, then finish it
+const finishJob = async (path, status, fields, secret = SECRET) => {
+  const jobId = `webhook-${++nextJob}`;
+  await storage.setJob(jobId, {
+    id: jobId,
+    status: 'streaming',
+    progress: 50,
+    question: 'What is this?',
+    createdAt: new Date().toISOString(),
+    webhook: createWebhook(`${base}${path}`, secret),
+  });
+  await storage.mutateJob(jobId, (job) => enterStatus(job, status, fields));
+  return jobId;
+};
+
+// Wait for a job's callback to be delivered or given up on
+const settled = async (jobId) => {
+  for (let i = 0; i < 200; i++) {
+    const job = await storage.getJob(jobId);
+    if (['delivered', 'failed'].includes(job.webhook.state)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Callback for ${jobId} never settled`);
+};
+
+// Check a request's signature the way receivers are told to
+const verify = ({ headers, body }) => {
+  const [scheme, digest] = headers['x-webhook-signature'].split('=');
+  assert.equal(scheme, 'sha256');
+  assert.equal(digest, signPayload(SECRET, headers['x-webhook-timestamp'], body));
+  assert.ok(Math.abs(Date.now() / 1000 - Number(headers['x-webhook-timestamp'])) < 60);
+};
+
+test('refuses callback URLs on other private addresses', () => {
+  assert.equal(parseCallback({ callbackUrl: `${base}/ok` }).error, null);
+  assert.match(parseCallback({ callbackUrl: 'http://127.0.0.2/ok' }).error, /must be public/);
+  assert.match(parseCallback({ callbackUrl: 'http://169.254.169.254/latest' }).error, /must be public/);
+});
+
+test('posts a signed payload for a completed job', async () => {
+  const result = { analysis: 'A cat.', provider: 'claude', model: 'claude-sonnet-4-20250514' };
+  const jobId = await finishJob('/ok', 'completed', { result, completedAt: new Date().toISOString() });
+  const job = await settled(jobId);
+
+  const [request] = received['/ok'];
+  verify(request);
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-webhook-event'], 'job.completed');
+  assert.equal(request.headers['x-webhook-delivery'], `${jobId}:1`);
+
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.event, 'job.completed');
+  assert.equal(payload.jobId, jobId);
+  assert.equal(payload.status, 'completed');
+  assert.equal(payload.question, 'What is this?');
+  assert.deepEqual(payload.result, result);
+  assert.equal(payload.error, null);
+
+  assert.equal(job.webhook.state, 'delivered');
+  assert.equal(job.webhook.attempts.length, 1);
+  assert.equal(job.webhook.attempts[0].statusCode, 204);
+  assert.equal(job.webhook.deliveredAt, job.webhook.attempts[0].at);
+});
+
+test('posts the error for a failed job, unsigned without a secret', async () => {
+  const jobId = await finishJob('/rejects', 'failed', { error: 'Model unavailable' }, null);
+  const job = await settled(jobId);
+
+  const [request] = received['/rejects'];
+  assert.equal(request.headers['x-webhook-signature'], undefined);
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.event, 'job.failed');
+  assert.equal(payload.status, 'failed');
+  assert.equal(payload.error, 'Model unavailable');
+  assert.equal(payload.result, null);
+
+  // A 4xx isn't retried
+  assert.equal(job.webhook.state, 'failed');
+  assert.deepEqual(job.webhook.attempts.map((attempt) => attempt.statusCode), [400]);
+});
+
+test('retries a 5xx with backoff until it is delivered', async () => {
+  const jobId = await finishJob('/flaky', 'completed', { result: { analysis: 'A dog.' } });
+  const job = await settled(jobId);
+
+  const requests = received['/flaky'];
+  assert.equal(requests.length, 3);
+  requests.forEach(verify);
+  assert.deepEqual(requests.map((request) => request.headers['x-webhook-delivery']), [1, 2, 3].map((n) => `${jobId}:${n}`));
+  // Same payload every time
+  assert.equal(new Set(requests.map((request) => request.body)).size, 1);
+  // Backoff: the base delay, then twice that
+  assert.ok(requests[1].at - requests[0].at >= RETRY_BASE_MS);
+  assert.ok(requests[2].at - requests[1].at >= RETRY_BASE_MS * 2);
+
+  assert.equal(job.webhook.state, 'delivered');
+  assert.deepEqual(job.webhook.attempts.map((attempt) => attempt.attempt), [1, 2, 3]);
+  assert.deepEqual(job.webhook.attempts.map((attempt) => attempt.statusCode), [503, 502, 200]);
+  assert.deepEqual(job.webhook.attempts.map((attempt) => attempt.error), ['HTTP 503', 'HTTP 502', null]);
+  assert.equal(job.webhook.nextAttemptAt, null);
+});
+
+test('gives up after the last attempt', async () => {
+  const jobId = await finishJob('/down', 'completed', { result: { analysis: 'A bird.' } });
+  const job = await settled(jobId);
+
+  assert.equal(received['/down'].length, 3);
+  assert.equal(job.webhook.state, 'failed');
+  assert.deepEqual(job.webhook.attempts.map((attempt) => attempt.statusCode), [500, 500, 500]);
+  assert.equal(job.webhook.deliveredAt, null);
+});
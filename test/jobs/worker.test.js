@@ -0,0 +1,88 @@
+/**
+ * Taking a job over from a dead worker (api/jobs/worker.js) in the middle
+ * of its stream, on the in-memory storage driver.
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage } = require('../../api/jobs/store');
+const { enterStatus } = require('../../api/jobs/state');
+const { JobWorker } = require('../../api/jobs/worker');
+
+// Replay a log the way the job page does
+const pageText = (events, shown = '') => events.reduce((text, { event, data }) => {
+  if (event === 'restart') return '';
+  return event === 'token' ? text + data.text : text;
+}, shown);
+
+test('a worker taking over mid-stream logs a restart, so its text replaces the old run\'s', async () => {
+  const jobId = 'worker-takeover';
+  await storage.setJob(jobId, {
+    id: jobId,
+    status: 'queued',
+    progress: 0,
+    createdAt: new Date().toISOString(),
+  });
+
+  let streamedHalf;
+  const halfway = new Promise((resolve) => { streamedHalf = resolve; });
+  const first = new JobWorker({
+    leaseMs: 300,
+    handlers: {
+      async analysis(job, { update, appendText, flush, signal }) {
+        await update(enterStatus(job, 'processing'));
+        await update(enterStatus(job, 'waiting_llm'));
+        await update(enterStatus(job, 'streaming'));
+        appendText('The first ');
+        appendText('answer, ');
+        await flush();
+        streamedHalf();
+        // Hangs mid-stream until the lease is gone
+        await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+      },
+    },
+  });
+  const second = new JobWorker({
+    leaseMs: 300,
+    handlers: {
+      async analysis(job, { update, appendText, flush }) {
+        await update(enterStatus(job, 'processing'));
+        await update(enterStatus(job, 'waiting_llm'));
+        await update(enterStatus(job, 'streaming'));
+        appendText('The whole ');
+        appendText('answer.');
+        await flush();
+        await update(enterStatus(job, 'completed', { streamedText: 'The whole answer.' }));
+      },
+    },
+  });
+
+  assert.equal(await first.runJob(jobId, { queued: true }), true);
+  const firstRun = first.active.get(jobId);
+  await halfway;
+
+  // The first worker dies: its lease is gone, so the next heartbeat abandons the run
+  await storage.mutateJob(jobId, () => ({ lease: { owner: 'dead-worker', expiresAt: 0 } }));
+  assert.equal(await second.runJob(jobId, { queued: true }), true);
+  await Promise.all([firstRun, second.active.get(jobId)]);
+
+  const job = await storage.getJob(jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.runCount, 2);
+
+  const events = await storage.getJobEvents(jobId);
+  const restart = events.findIndex(({ event }) => event === 'restart');
+  const tokens = (list) => list.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+  assert.ok(restart > 0, 'restart is logged');
+  assert.deepEqual(events[restart].data, { run: 2 });
+  assert.equal(tokens(events.slice(0, restart)), 'The first answer, ');
+  assert.equal(tokens(events.slice(restart)), 'The whole answer.');
+  assert.equal(pageText(events), 'The whole answer.');
+
+  // Resuming after one of the old run's tokens still ends on the new text
+  const firstToken = events.find(({ event }) => event === 'token');
+  const resumed = await storage.getJobEvents(jobId, firstToken.id);
+  assert.equal(pageText(resumed, firstToken.data.text), 'The whole answer.');
+});
@@ -0,0 +1,58 @@
+/**
+ * Replaying recorded LLM answers (api/llm/mock.js) through a route adapter,
+ * the way the app calls it with LLM_MOCK=replay. The fixtures in
+ * test/fixtures/llm were written by the mock adapter's own recorder.
+ */
+
+const path = require('path');
+
+process.env.LLM_MOCK = 'replay';
+process.env.LLM_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+process.env.LLM_MOCK_SPEED = '0';
+// The route must resolve to exactly the recorded provider and model
+for (const name of ['ANALYSIS_LLM_PROVIDER', 'ANALYSIS_LLM_MODEL', 'ANALYSIS_LLM_FALLBACK']) {
+  delete process.env[name];
+}
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRouteAdapter } = require('../../api/llm');
+
+// Smallest valid PNG: 1x1, transparent
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const streamAnalysis = (prompt) => new Promise((resolve, reject) => {
+  const tokens = [];
+  getRouteAdapter('analysis', { provider: 'claude' }).streamImageAnalysis({
+    imageData: PNG,
+    mediaType: 'image/png',
+    prompt,
+    onToken: (token) => tokens.push(token),
+    onComplete: (text, usage, answeredBy) => resolve({ tokens, text, usage, answeredBy }),
+    onError: reject,
+  });
+});
+
+test('replays a recorded stream token by token', async () => {
+  const { tokens, text, usage, answeredBy } = await streamAnalysis('What is in this image?');
+  assert.deepEqual(tokens, ['A single ', 'transparent ', 'pixel.']);
+  assert.equal(text, 'A single transparent pixel.');
+  assert.deepEqual(usage, { input_tokens: 20, output_tokens: 6 });
+  assert.equal(answeredBy.provider, 'mock');
+  assert.deepEqual(answeredBy.failures, []);
+});
+
+test('throws the error a fixture recorded', async () => {
+  const adapter = getRouteAdapter('analysis', { provider: 'claude' });
+  await assert.rejects(
+    adapter.analyzeImage({ imageData: PNG, mediaType: 'image/png', prompt: 'Describe it in one word.' }),
+    (error) => error.status === 401 && error.message === 'invalid x-api-key',
+  );
+});
+
+test('fails a call nobody recorded, naming the fixture it looked for', async () => {
+  await assert.rejects(
+    streamAnalysis('A question that was never recorded'),
+    /No LLM fixture for streamImageAnalysis .*streamImageAnalysis-[0-9a-f]{32}\.json/,
+  );
+});
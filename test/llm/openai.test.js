@@ -0,0 +1,206 @@
+/**
+ * The OpenAI-compatible adapter (api/llm/openai.js) against a local server
+ * speaking the Chat Completions format. The request's model names the
+ * answer the server gives.
+ */
+
+for (const name of ['OPENAI_API_KEY', 'OPENAI_MODEL', 'OPENAI_STREAM_USAGE']) {
+  delete process.env[name];
+}
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OpenAIAdapter } = require('../../api/llm/openai');
+
+// Smallest valid PNG: 1x1, transparent
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const USAGE = { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 };
+
+let server;
+// The last request the server got
+let lastRequest;
+
+const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+const sendEvents = (res, chunks) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const chunk of chunks) {
+    res.write(`data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`);
+  }
+  res.end();
+};
+
+const delta = (content, finishReason = null) => ({
+  choices: [{ index: 0, delta: content === null ? {} : { content }, finish_reason: finishReason }],
+});
+
+const answers = {
+  json: (res) => sendJson(res, 200, {
+    model: 'json-0125',
+    choices: [{ index: 0, message: { role: 'assistant', content: '  {"kind": "pixel"}  ' }, finish_reason: 'stop' }],
+    usage: USAGE,
+  }),
+  stream: (res) => sendEvents(res, [
+    delta('A single '),
+    delta('pixel.'),
+    delta(null, 'stop'),
+    // With include_usage, usage comes in a last chunk without choices
+    { choices: [], usage: USAGE },
+    '[DONE]',
+    // Nothing after [DONE] is read
+    delta(' Ignored.'),
+  ]),
+  refusal: (res) => sendJson(res, 200, {
+    choices: [{ index: 0, message: { role: 'assistant', content: null, refusal: 'I can\'t help with that.' }, finish_reason: 'stop' }],
+  }),
+  'stream-refusal': (res) => sendEvents(res, [
+    { choices: [{ index: 0, delta: { refusal: 'I can\'t ' }, finish_reason: null }] },
+    { choices: [{ index: 0, delta: { refusal: 'help with that.' }, finish_reason: 'stop' }] },
+    '[DONE]',
+  ]),
+  filtered: (res) => sendJson(res, 200, {
+    choices: [{ index: 0, message: { role: 'assistant', content: '' }, finish_reason: 'content_filter' }],
+  }),
+  busy: (res) => sendJson(res, 429, {
+    error: { message: 'Rate limit reached', type: 'requests' },
+  }, { 'Retry-After': '7' }),
+  broken: (res) => {
+    res.writeHead(502, { 'Content-Type': 'text/html' });
+    res.end('<html>Bad Gateway</html>');
+  },
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString());
+      lastRequest = { method: req.method, url: req.url, headers: req.headers, body };
+      answers[body.model](res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => server.close());
+
+const streamText = (adapter) => new Promise((resolve, reject) => {
+  const tokens = [];
+  adapter.streamText({
+    prompt: 'What is it?',
+    onToken: (token) => tokens.push(token),
+    onComplete: (text, usage) => resolve({ tokens, text, usage }),
+    onError: reject,
+  });
+});
+
+test('analyzes an image from a JSON chat completion', async () => {
+  const adapter = new OpenAIAdapter({ model: 'json' });
+  const result = await adapter.analyzeImage({
+    imageData: PNG,
+    mediaType: 'image/png',
+    prompt: 'Describe it.',
+    responseFormat: { type: 'object', properties: { kind: { type: 'string' } } },
+  });
+
+  assert.equal(result.text, '{"kind": "pixel"}');
+  assert.deepEqual(result.structured, { kind: 'pixel' });
+  assert.deepEqual(result.usage, { input_tokens: 12, output_tokens: 4 });
+  assert.equal(result.model, 'json-0125');
+
+  assert.equal(lastRequest.method, 'POST');
+  assert.equal(lastRequest.url, '/v1/chat/completions');
+  // No key for a local server
+  assert.equal(lastRequest.headers.authorization, undefined);
+  const [message] = lastRequest.body.messages;
+  assert.deepEqual(message.content, [
+    { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } },
+    { type: 'text', text: 'Describe it.' },
+  ]);
+  assert.equal(lastRequest.body.response_format.type, 'json_schema');
+  assert.equal(lastRequest.body.stream, undefined);
+});
+
+test('streams tokens up to [DONE] and reads usage from the last chunk', async () => {
+  const adapter = new OpenAIAdapter({ model: 'stream', streamUsage: true, apiKey: 'local-key' });
+  const { tokens, text, usage } = await streamText(adapter);
+
+  assert.deepEqual(tokens, ['A single ', 'pixel.']);
+  assert.equal(text, 'A single pixel.');
+  assert.deepEqual(usage, { input_tokens: 12, output_tokens: 4 });
+  assert.equal(lastRequest.headers.authorization, 'Bearer local-key');
+  assert.equal(lastRequest.body.stream, true);
+  assert.deepEqual(lastRequest.body.stream_options, { include_usage: true });
+});
+
+test('throws a refusal instead of an empty answer', async () => {
+  await assert.rejects(
+    new OpenAIAdapter({ model: 'refusal' }).generateText({ prompt: 'Do something bad.' }),
+    { message: 'The model refused: I can\'t help with that.' },
+  );
+  await assert.rejects(
+    streamText(new OpenAIAdapter({ model: 'stream-refusal' })),
+    { message: 'The model refused: I can\'t help with that.' },
+  );
+});
+
+test('throws when the content filter removed the answer', async () => {
+  await assert.rejects(
+    new OpenAIAdapter({ model: 'filtered' }).generateText({ prompt: 'Something filtered.' }),
+    { message: 'The answer was blocked by the content filter' },
+  );
+});
+
+test('throws API errors with their status and retry-after', async () => {
+  await assert.rejects(
+    new OpenAIAdapter({ model: 'busy' }).generateText({ prompt: 'Hello' }),
+    (error) => error.message === 'Rate limit reached' && error.status === 429 && error.retryAfter === '7',
+  );
+  await assert.rejects(
+    new OpenAIAdapter({ model: 'broken' }).generateText({ prompt: 'Hello' }),
+    (error) => error.message === 'OpenAIAdapter API error (502)' && error.status === 502 && error.retryAfter === null,
+  );
+});
+
+test('sends max_tokens and no stream_options to other servers', async () => {
+  const adapter = new OpenAIAdapter({ model: 'stream', maxTokens: 256 });
+  assert.equal(adapter.maxTokensParam, 'max_tokens');
+  assert.equal(adapter.streamUsage, false);
+
+  const { usage } = await streamText(adapter);
+  assert.equal(lastRequest.body.max_tokens, 256);
+  assert.equal(lastRequest.body.max_completion_tokens, undefined);
+  assert.equal(lastRequest.body.stream_options, undefined);
+  // The server sent usage anyway
+  assert.deepEqual(usage, { input_tokens: 12, output_tokens: 4 });
+});
+
+test('sends max_completion_tokens and stream_options to OpenAI', async () => {
+  const adapter = new OpenAIAdapter({ model: 'stream', apiKey: 'sk-test', baseUrl: OpenAIAdapter.defaultBaseUrl });
+  assert.equal(adapter.maxTokensParam, 'max_completion_tokens');
+  assert.equal(adapter.streamUsage, true);
+
+  // Send the request to the local server to see its body
+  const realFetch = global.fetch;
+  global.fetch = (url, init) => realFetch(url.replace(OpenAIAdapter.defaultBaseUrl, process.env.OPENAI_BASE_URL.replace(/\/$/, '')), init);
+  try {
+    await streamText(adapter);
+  } finally {
+    global.fetch = realFetch;
+  }
+  assert.equal(lastRequest.body.max_completion_tokens, 4096);
+  assert.equal(lastRequest.body.max_tokens, undefined);
+  assert.deepEqual(lastRequest.body.stream_options, { include_usage: true });
+});
+
+test('needs a key only for OpenAI itself', () => {
+  assert.throws(() => new OpenAIAdapter({ baseUrl: OpenAIAdapter.defaultBaseUrl }), /OPENAI_API_KEY is required/);
+  assert.doesNotThrow(() => new OpenAIAdapter());
+});